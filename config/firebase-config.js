@@ -2,7 +2,20 @@ const admin = require("firebase-admin");
 
 // Get Firebase credentials from environment variable or file
 let serviceAccount;
-if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+if (
+  process.env.FIRESTORE_EMULATOR_HOST &&
+  !process.env.FIREBASE_SERVICE_ACCOUNT
+) {
+  // Local Firestore emulator (tests): no credentials needed
+  serviceAccount = null;
+  console.log(
+    `🧪 Using Firestore emulator at ${process.env.FIRESTORE_EMULATOR_HOST}`
+  );
+} else if (process.env.FUNCTION_TARGET) {
+  // Cloud Functions (functions/index.js): default service account
+  serviceAccount = null;
+  console.log("🔐 Using Cloud Functions default credentials");
+} else if (process.env.FIREBASE_SERVICE_ACCOUNT) {
   // Production: use environment variable
   serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
   console.log("🔐 Using Firebase credentials from environment variable");
@@ -13,10 +26,20 @@ if (process.env.FIREBASE_SERVICE_ACCOUNT) {
 }
 
 // Initialize Firebase Admin
-if (!admin.apps.length) {
+if (!admin.apps.length && process.env.FUNCTION_TARGET) {
+  admin.initializeApp();
+  console.log("✅ Firebase Admin initialized (Cloud Functions)");
+} else if (!admin.apps.length && !serviceAccount) {
+  admin.initializeApp({
+    projectId: process.env.GCLOUD_PROJECT || "demo-ipal-monitoring",
+  });
+  console.log("✅ Firebase Admin initialized (emulator)");
+} else if (!admin.apps.length) {
   admin.initializeApp({
     credential: admin.credential.cert(serviceAccount),
     databaseURL: `https://${serviceAccount.project_id}.firebaseio.com`,
+    // Default bucket for admin.storage() (Cloud Functions get it from FIREBASE_CONFIG)
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
   });
   console.log("✅ Firebase Admin initialized");
 } else {
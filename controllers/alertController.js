@@ -7,6 +7,8 @@
  */
 
 const { db, admin } = require("../config/firebase-config");
+const realtimeService = require("../services/realtimeService");
+const escalationService = require("../services/escalationService");
 
 /**
  * GET ALL ALERTS dengan filter
@@ -283,10 +285,34 @@ exports.updateAlertStatus = async (req, res) => {
       updateData.resolved_at = admin.firestore.FieldValue.serverTimestamp();
     }
 
+    // Acknowledged / resolved → stop escalation chain
+    Object.assign(
+      updateData,
+      escalationService.buildStopUpdate(alertDoc.data(), status, user.email)
+    );
+
     await alertRef.update(updateData);
 
     console.log(`✅ Alert status updated: ${id} → ${status}`);
 
+    // 📡 Live update for dashboard stream
+    const alertData = alertDoc.data();
+    if (alertData.status !== status) {
+      realtimeService.publish(
+        realtimeService.EVENT_TYPES.ALERT_STATUS_CHANGED,
+        alertData.ipal_id,
+        {
+          alert_id: id,
+          parameter: alertData.parameter,
+          location: alertData.location,
+          severity: alertData.severity,
+          previous_status: alertData.status,
+          status,
+          updated_by: user.email,
+        }
+      );
+    }
+
     return res.status(200).json({
       success: true,
       message: `Alert ${status}`,
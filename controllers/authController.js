@@ -9,6 +9,7 @@
 const { admin, db } = require("../config/firebase-config");
 const jwt = require("jsonwebtoken");
 const axios = require("axios");
+const fcmTokenModel = require("../models/fcmTokenModel");
 require("dotenv").config();
 
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-this";
@@ -225,8 +226,9 @@ exports.getProfile = async (req, res) => {
       username: userData.username || userData.email.split("@")[0],
       role: userData.role,
       created_at: userData.created_at,
-      fcm_token: userData.fcm_token || null,
+      fcm_token: userData.fcm_token || null, // Legacy (before multi-device)
       fcm_token_updated_at: userData.fcm_token_updated_at || null,
+      fcm_devices: await fcmTokenModel.getUserTokens(user.uid),
     };
 
     console.log("✅ Profile retrieved for:", user.email);
@@ -6,6 +6,8 @@
  */
 
 const { db, admin } = require("../config/firebase-config");
+const chartService = require("../services/chartService");
+const { measuredSide } = chartService;
 
 /**
  * GET DASHBOARD SUMMARY untuk specific IPAL
@@ -105,6 +107,8 @@ exports.getOverview = async (req, res) => {
                 quality_status:
                   latestReading.fuzzy_analysis?.status || "Unknown",
                 quality_score: latestReading.fuzzy_analysis?.quality_score || 0,
+                partial: latestReading.partial || false,
+                partial_mode: latestReading.partial_info?.mode || null,
               }
             : null,
           active_alerts: activeAlertsCount,
@@ -247,11 +251,16 @@ async function getTodayStatistics(ipalId) {
     // Calculate averages, min, max
     const readings = snapshot.docs.map((doc) => doc.data());
 
-    const inletStats = calculateStats(readings.map((r) => r.inlet));
-    const outletStats = calculateStats(readings.map((r) => r.outlet));
+    const inletStats = calculateStats(
+      readings.map((r) => measuredSide(r, "inlet"))
+    );
+    const outletStats = calculateStats(
+      readings.map((r) => measuredSide(r, "outlet"))
+    );
 
     return {
       readings_count: readings.length,
+      partial_count: readings.filter((r) => r.partial).length,
       inlet: inletStats,
       outlet: outletStats,
     };
@@ -285,11 +294,16 @@ async function getWeeklyStatistics(ipalId) {
 
     const readings = snapshot.docs.map((doc) => doc.data());
 
-    const inletStats = calculateStats(readings.map((r) => r.inlet));
-    const outletStats = calculateStats(readings.map((r) => r.outlet));
+    const inletStats = calculateStats(
+      readings.map((r) => measuredSide(r, "inlet"))
+    );
+    const outletStats = calculateStats(
+      readings.map((r) => measuredSide(r, "outlet"))
+    );
 
     return {
       readings_count: readings.length,
+      partial_count: readings.filter((r) => r.partial).length,
       inlet: inletStats,
       outlet: outletStats,
     };
@@ -303,7 +317,9 @@ async function getWeeklyStatistics(ipalId) {
  * Calculate statistics (avg, min, max) for array of readings
  */
 function calculateStats(readings) {
-  if (!readings || readings.length === 0) {
+  readings = (readings || []).filter(Boolean);
+
+  if (readings.length === 0) {
     return null;
   }
 
@@ -359,73 +375,69 @@ async function getIPALInfo(ipalId) {
  * GET READINGS FOR CHARTS (optimized untuk Recharts)
  * Endpoint: GET /api/dashboard/readings/:ipal_id
  * Query params:
- *   - period: today|yesterday|week|custom (default: today)
- *   - start: ISO date string (for custom period)
- *   - end: ISO date string (for custom period)
- *   - limit: number (default: 100, max: 500)
+ *   - period: today|yesterday|week|30days|custom (default: today,
+ *             custom when start & end are given)
+ *   - start: YYYY-MM-DD (local day) or ISO date string (for custom period)
+ *   - end: YYYY-MM-DD (local day) or ISO date string (for custom period)
+ *   - bucket: 5m|1h|1d → avg/min/max/count per bucket instead of raw readings
+ *   - limit: number (default: 100, raw readings only)
+ * Days & buckets follow the IPAL timezone (default Asia/Jakarta)
  */
 exports.getReadingsForChart = async (req, res) => {
   try {
     const { ipal_id } = req.params;
-    const { period = "today", start, end, limit = 100 } = req.query;
+    const { start, end, limit = 100, bucket } = req.query;
+    const period = req.query.period || (start && end ? "custom" : "today");
 
     console.log(
-      `📊 Fetching readings for chart - IPAL: ${ipal_id}, Period: ${period}`
+      `📊 Fetching readings for chart - IPAL: ${ipal_id}, Period: ${period}${
+        bucket ? `, Bucket: ${bucket}` : ""
+      }`
     );
 
-    // Calculate date range based on period
-    let startDate, endDate;
-
-    switch (period) {
-      case "today":
-        startDate = new Date();
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date();
-        endDate.setHours(23, 59, 59, 999);
-        break;
-
-      case "yesterday":
-        startDate = new Date();
-        startDate.setDate(startDate.getDate() - 1);
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date();
-        endDate.setDate(endDate.getDate() - 1);
-        endDate.setHours(23, 59, 59, 999);
-        break;
-
-      case "week":
-      case "7days":
-        startDate = new Date();
-        startDate.setDate(startDate.getDate() - 7);
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date();
-        endDate.setHours(23, 59, 59, 999);
-        break;
-
-      case "custom":
-        if (!start || !end) {
-          return res.status(400).json({
-            success: false,
-            message:
-              "Custom period requires 'start' and 'end' query parameters",
-          });
-        }
-        startDate = new Date(start);
-        endDate = new Date(end);
-        break;
-
-      default:
-        return res.status(400).json({
-          success: false,
-          message:
-            "Invalid period. Use: today, yesterday, week, or custom (with start/end)",
-        });
+    if (bucket && !chartService.BUCKETS[bucket]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid bucket. Use: ${Object.keys(chartService.BUCKETS).join(
+          ", "
+        )}`,
+      });
     }
 
+    // Calculate date range based on period (IPAL local days)
+    const ipal = await getIPALInfo(parseInt(ipal_id));
+    const timezone = ipal?.timezone || chartService.CONFIG.DEFAULT_TIMEZONE;
+
+    const range = chartService.resolveDateRange(
+      period,
+      { start, end },
+      timezone
+    );
+
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const { startDate, endDate } = range;
+
     console.log(
       `   Date range: ${startDate.toISOString()} to ${endDate.toISOString()}`
     );
 
+    if (bucket) {
+      return sendBucketedReadings(res, {
+        ipalId: ipal_id,
+        period,
+        bucket,
+        timezone,
+        startDate,
+        endDate,
+      });
+    }
+
     // Query Firestore
     const snapshot = await db
       .collection("water_quality_readings")
@@ -442,6 +454,7 @@ exports.getReadingsForChart = async (req, res) => {
         message: "No readings found for the specified period",
         data: [],
         period: period,
+        timezone,
         date_range: {
           start: startDate.toISOString(),
           end: endDate.toISOString(),
@@ -456,6 +469,10 @@ exports.getReadingsForChart = async (req, res) => {
         ? data.timestamp.toDate()
         : new Date(data.timestamp);
 
+      // Partial reading: only chart the side that was measured
+      const inlet = measuredSide(data, "inlet");
+      const outlet = measuredSide(data, "outlet");
+
       return {
         // IDs
         id: doc.id,
@@ -467,38 +484,47 @@ exports.getReadingsForChart = async (req, res) => {
         unix_timestamp: timestamp.getTime(),
         // Formatted strings for display only (not for parsing)
         date: timestamp.toLocaleDateString("id-ID", {
+          timeZone: timezone,
           day: "2-digit",
           month: "short",
         }), // "10 Nov" - short format for chart axis
         time: timestamp.toLocaleTimeString("id-ID", {
+          timeZone: timezone,
           hour: "2-digit",
           minute: "2-digit",
         }), // "07:29" - for chart axis
         date_display: timestamp.toLocaleDateString("id-ID", {
+          timeZone: timezone,
           day: "2-digit",
           month: "short",
           year: "numeric",
         }), // "10 Nov 2025" - for display only
         time_display: timestamp.toLocaleTimeString("id-ID", {
+          timeZone: timezone,
           hour: "2-digit",
           minute: "2-digit",
         }), // "07:29" - for display only
-        datetime_display: timestamp.toLocaleString("id-ID"), // "10/11/2025 07:29:20" - for display only
+        datetime_display: timestamp.toLocaleString("id-ID", {
+          timeZone: timezone,
+        }), // "10/11/2025 07:29:20" - for display only
 
         // Inlet data (prefix untuk clarity di chart)
-        inlet_ph: data.inlet?.ph || null,
-        inlet_tds: data.inlet?.tds || null,
-        inlet_turbidity: data.inlet?.turbidity || null,
-        inlet_temperature: data.inlet?.temperature || null,
+        inlet_ph: inlet?.ph || null,
+        inlet_tds: inlet?.tds || null,
+        inlet_turbidity: inlet?.turbidity || null,
+        inlet_temperature: inlet?.temperature || null,
 
         // Outlet data
-        outlet_ph: data.outlet?.ph || null,
-        outlet_tds: data.outlet?.tds || null,
-        outlet_turbidity: data.outlet?.turbidity || null,
-        outlet_temperature: data.outlet?.temperature || null,
+        outlet_ph: outlet?.ph || null,
+        outlet_tds: outlet?.tds || null,
+        outlet_turbidity: outlet?.turbidity || null,
+        outlet_temperature: outlet?.temperature || null,
 
         // ⭐ FUZZY ANALYSIS (PENTING!)
-        quality_score: data.fuzzy_analysis?.quality_score || 0,
+        // Inlet-only partial reading has no score (null, not 0)
+        quality_score: data.partial
+          ? data.fuzzy_analysis?.quality_score ?? null
+          : data.fuzzy_analysis?.quality_score || 0,
         status: data.fuzzy_analysis?.status || "unknown",
         alert_count: data.fuzzy_analysis?.alert_count || 0,
         has_violations: data.fuzzy_analysis?.violations?.length > 0 || false,
@@ -507,6 +533,10 @@ exports.getReadingsForChart = async (req, res) => {
         violations: data.fuzzy_analysis?.violations || [],
         recommendations: data.fuzzy_analysis?.recommendations || [],
         analysis_method: data.fuzzy_analysis?.analysis_method || null,
+
+        // Single-sided reading (orphaned buffer)
+        partial: data.partial || false,
+        partial_mode: data.partial_info?.mode || null,
       };
     });
 
@@ -519,6 +549,7 @@ exports.getReadingsForChart = async (req, res) => {
       success: true,
       count: readings.length,
       period: period,
+      timezone,
       date_range: {
         start: startDate.toISOString(),
         end: endDate.toISOString(),
@@ -536,6 +567,65 @@ exports.getReadingsForChart = async (req, res) => {
   }
 };
 
+/**
+ * Helper: Bucketed chart response (avg/min/max/count per bucket)
+ * Only buckets with readings are returned
+ */
+async function sendBucketedReadings(
+  res,
+  { ipalId, period, bucket, timezone, startDate, endDate }
+) {
+  const bucketCount = chartService.countBuckets(startDate, endDate, bucket);
+
+  if (bucketCount > chartService.CONFIG.MAX_BUCKETS) {
+    return res.status(400).json({
+      success: false,
+      message: `Range too large for bucket ${bucket} (${bucketCount} buckets, max ${chartService.CONFIG.MAX_BUCKETS}). Use a larger bucket.`,
+    });
+  }
+
+  // Per-reading fields for the summary (same as raw mode)
+  const summaryReadings = [];
+
+  const { buckets, total_readings } = await chartService.getBucketedReadings({
+    ipalId,
+    startDate,
+    endDate,
+    bucket,
+    timezone,
+    onReading: (data, timestamp) => {
+      summaryReadings.push({
+        timestamp: timestamp.toISOString(),
+        quality_score: data.partial
+          ? data.fuzzy_analysis?.quality_score ?? null
+          : data.fuzzy_analysis?.quality_score || 0,
+        status: data.fuzzy_analysis?.status || "unknown",
+        alert_count: data.fuzzy_analysis?.alert_count || 0,
+        partial: data.partial || false,
+      });
+    },
+  });
+
+  console.log(
+    `✅ Aggregated ${total_readings} readings into ${buckets.length} ${bucket} buckets`
+  );
+
+  return res.status(200).json({
+    success: true,
+    count: buckets.length,
+    total_readings,
+    period,
+    bucket,
+    timezone,
+    date_range: {
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+    },
+    summary: calculateReadingsSummary(summaryReadings),
+    data: buckets,
+  });
+}
+
 /**
  * Helper: Calculate summary statistics dari readings
  */
@@ -544,10 +634,13 @@ function calculateReadingsSummary(readings) {
     return null;
   }
 
-  // Calculate averages
+  // Calculate averages (inlet-only partial readings have no score)
+  const scored = readings.filter((r) => r.quality_score !== null);
   const avgQualityScore =
-    readings.reduce((sum, r) => sum + (r.quality_score || 0), 0) /
-    readings.length;
+    scored.length > 0
+      ? scored.reduce((sum, r) => sum + (r.quality_score || 0), 0) /
+        scored.length
+      : 0;
 
   // Count by status
   const statusCounts = readings.reduce((acc, r) => {
@@ -566,6 +659,7 @@ function calculateReadingsSummary(readings) {
 
   return {
     total_readings: readings.length,
+    partial_readings: readings.filter((r) => r.partial).length,
     average_quality_score: Math.round(avgQualityScore),
     status_distribution: statusCounts,
     total_violations: totalViolations,
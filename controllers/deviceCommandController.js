@@ -0,0 +1,251 @@
+/**
+ * ========================================
+ * DEVICE COMMAND CONTROLLER
+ * ========================================
+ * Send commands to ESP32 devices over the device WebSocket
+ * (set_sampling_interval, calibrate, reboot) and track delivery/ack
+ *
+ * Routes (admin & manager):
+ * - POST   /api/devices/:device_id/commands
+ * - GET    /api/devices/:device_id/commands
+ * - GET    /api/devices/:device_id/commands/:command_id
+ * - DELETE /api/devices/:device_id/commands/:command_id  (cancel queued)
+ */
+
+// ⚡ Lazy load services to reduce cold start
+let deviceModel;
+let deviceCommandModel;
+let deviceCommandService;
+let deviceSocketService;
+let validationService;
+
+const getDeviceModel = () => {
+  if (!deviceModel) {
+    deviceModel = require("../models/deviceModel");
+  }
+  return deviceModel;
+};
+
+const getDeviceCommandModel = () => {
+  if (!deviceCommandModel) {
+    deviceCommandModel = require("../models/deviceCommandModel");
+  }
+  return deviceCommandModel;
+};
+
+const getDeviceCommandService = () => {
+  if (!deviceCommandService) {
+    deviceCommandService = require("../services/deviceCommandService");
+  }
+  return deviceCommandService;
+};
+
+const getDeviceSocketService = () => {
+  if (!deviceSocketService) {
+    deviceSocketService = require("../services/deviceSocketService");
+  }
+  return deviceSocketService;
+};
+
+const getValidationService = () => {
+  if (!validationService) {
+    validationService = require("../services/validationService");
+  }
+  return validationService;
+};
+
+const COMMAND_STATUSES = [
+  "queued",
+  "sent",
+  "acked",
+  "failed",
+  "expired",
+  "cancelled",
+];
+
+/**
+ * SEND COMMAND
+ * Endpoint: POST /api/devices/:device_id/commands
+ * Body: { command, params?, ttl_minutes? }
+ */
+exports.sendCommand = async (req, res) => {
+  try {
+    const { device_id } = req.params;
+
+    const { error, value } = getValidationService().validateDeviceCommand(
+      req.body
+    );
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.details.map((d) => d.message),
+        available_commands: getValidationService().DEVICE_COMMANDS,
+      });
+    }
+
+    const device = await getDeviceModel().getDeviceById(device_id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: `Device ${device_id} not found`,
+      });
+    }
+
+    if (device.status !== "active") {
+      return res.status(409).json({
+        success: false,
+        message: `Device ${device_id} has been revoked`,
+      });
+    }
+
+    console.log(`📡 Command ${value.command} → ${device_id}`);
+
+    const command = await getDeviceCommandService().queueCommand({
+      device: { device_id, ipal_id: device.ipal_id },
+      command: value.command,
+      params: value.params,
+      ttl_minutes: value.ttl_minutes,
+      created_by: req.user.email,
+    });
+
+    const delivered = command.status === "sent";
+
+    return res.status(201).json({
+      success: true,
+      message: delivered
+        ? "Command sent to device, waiting for ack"
+        : "Device offline, command queued until it connects",
+      data: command,
+    });
+  } catch (error) {
+    console.error("💥 Error sending device command:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to send device command",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET COMMAND HISTORY
+ * Endpoint: GET /api/devices/:device_id/commands?status=acked&limit=50
+ */
+exports.getCommands = async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (status && !COMMAND_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${COMMAND_STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const commands = await getDeviceCommandModel().getDeviceCommands(
+      device_id,
+      { status, limit }
+    );
+
+    return res.status(200).json({
+      success: true,
+      device_id,
+      connected: getDeviceSocketService().isConnected(device_id),
+      count: commands.length,
+      data: commands,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching device commands:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch device commands",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET COMMAND BY ID
+ * Endpoint: GET /api/devices/:device_id/commands/:command_id
+ */
+exports.getCommandById = async (req, res) => {
+  try {
+    const { device_id, command_id } = req.params;
+
+    const command = await getDeviceCommandModel().getCommandById(command_id);
+
+    if (!command || command.device_id !== device_id) {
+      return res.status(404).json({
+        success: false,
+        message: `Command ${command_id} not found for device ${device_id}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: command,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching device command:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch device command",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * CANCEL COMMAND (only while still queued)
+ * Endpoint: DELETE /api/devices/:device_id/commands/:command_id
+ */
+exports.cancelCommand = async (req, res) => {
+  try {
+    const { device_id, command_id } = req.params;
+
+    const command = await getDeviceCommandModel().getCommandById(command_id);
+
+    if (!command || command.device_id !== device_id) {
+      return res.status(404).json({
+        success: false,
+        message: `Command ${command_id} not found for device ${device_id}`,
+      });
+    }
+
+    const cancelled = await getDeviceCommandModel().cancelCommand(
+      command_id,
+      req.user.email
+    );
+
+    if (!cancelled) {
+      // Status may have changed since the read above (e.g. just delivered)
+      const latest = await getDeviceCommandModel().getCommandById(command_id);
+      return res.status(409).json({
+        success: false,
+        message: `Command is already ${latest.status}, only queued commands can be cancelled`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Command cancelled",
+      data: cancelled,
+    });
+  } catch (error) {
+    console.error("💥 Error cancelling device command:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to cancel device command",
+      error: error.message,
+    });
+  }
+};
+
+console.log("📦 deviceCommandController loaded");
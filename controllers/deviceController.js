@@ -0,0 +1,295 @@
+/**
+ * ========================================
+ * DEVICE CONTROLLER
+ * ========================================
+ * Admin management of ESP32 device credentials
+ * - Issue (register device + API key)
+ * - Rotate API key
+ * - Revoke device (also closes its command socket)
+ *
+ * The plain API key is only returned on issue/rotate.
+ */
+
+const cacheService = require("../services/cacheService");
+const { validateDeviceId } = require("../services/validationService");
+
+// ⚡ Lazy load model to reduce cold start
+let deviceModel;
+let deviceSocketService;
+
+const getDeviceModel = () => {
+  if (!deviceModel) {
+    deviceModel = require("../models/deviceModel");
+  }
+  return deviceModel;
+};
+
+const getDeviceSocketService = () => {
+  if (!deviceSocketService) {
+    deviceSocketService = require("../services/deviceSocketService");
+  }
+  return deviceSocketService;
+};
+
+/**
+ * Remove secret fields & format timestamps
+ * connected = device has the command WebSocket open
+ */
+function formatDevice(device) {
+  const { key_hash, ...safe } = device;
+
+  safe.connected = getDeviceSocketService().isConnected(
+    device.device_id || device.id
+  );
+
+  ["created_at", "rotated_at", "revoked_at", "last_seen_at"].forEach(
+    (field) => {
+      if (safe[field]?.toDate) {
+        safe[field] = safe[field].toDate().toISOString();
+      }
+    }
+  );
+
+  return safe;
+}
+
+/**
+ * router.param("device_id") handler: 400 for IDs that cannot be a doc ID
+ */
+exports.checkDeviceIdParam = (req, res, next, deviceId) => {
+  const { error } = validateDeviceId(deviceId);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  next();
+};
+
+/**
+ * ISSUE DEVICE CREDENTIAL
+ * Endpoint: POST /api/devices
+ * Body: { device_id, ipal_id, location, description? }
+ */
+exports.issueDevice = async (req, res) => {
+  try {
+    const { device_id, ipal_id, location, description } = req.body;
+
+    // Validate input
+    if (!device_id || !ipal_id || !location) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+        required: ["device_id", "ipal_id", "location"],
+      });
+    }
+
+    const { error: deviceIdError } = validateDeviceId(device_id);
+    if (deviceIdError) {
+      return res.status(400).json({
+        success: false,
+        message: deviceIdError.message,
+      });
+    }
+
+    if (!["inlet", "outlet"].includes(location)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid location. Must be "inlet" or "outlet"',
+      });
+    }
+
+    if (isNaN(parseInt(ipal_id))) {
+      return res.status(400).json({
+        success: false,
+        message: "ipal_id must be a number",
+      });
+    }
+
+    console.log(`🔑 Issuing credential for device: ${device_id}`);
+
+    const existing = await getDeviceModel().getDeviceById(device_id);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Device ${device_id} already registered. Use rotate instead.`,
+      });
+    }
+
+    const { device, api_key } = await getDeviceModel().createDevice(
+      { device_id, ipal_id, location, description },
+      req.user.email
+    );
+
+    cacheService.invalidate(cacheService.KEYS.DEVICE(device_id));
+
+    return res.status(201).json({
+      success: true,
+      message:
+        "Device registered. Store the api_key now, it will not be shown again.",
+      data: {
+        ...formatDevice(device),
+        created_at: new Date().toISOString(),
+        api_key,
+      },
+    });
+  } catch (error) {
+    console.error("💥 Error issuing device credential:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to issue device credential",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET ALL DEVICES
+ * Endpoint: GET /api/devices?ipal_id=1
+ */
+exports.getDevices = async (req, res) => {
+  try {
+    const { ipal_id } = req.query;
+
+    const devices = await getDeviceModel().getDevices(
+      ipal_id ? parseInt(ipal_id) : null
+    );
+
+    return res.status(200).json({
+      success: true,
+      count: devices.length,
+      data: devices.map(formatDevice),
+    });
+  } catch (error) {
+    console.error("💥 Error fetching devices:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch devices",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET DEVICE BY ID
+ * Endpoint: GET /api/devices/:device_id
+ */
+exports.getDeviceById = async (req, res) => {
+  try {
+    const { device_id } = req.params;
+
+    const device = await getDeviceModel().getDeviceById(device_id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: `Device ${device_id} not found`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatDevice(device),
+    });
+  } catch (error) {
+    console.error("💥 Error fetching device:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch device",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * ROTATE DEVICE KEY
+ * Endpoint: POST /api/devices/:device_id/rotate
+ */
+exports.rotateDeviceKey = async (req, res) => {
+  try {
+    const { device_id } = req.params;
+
+    console.log(`🔄 Rotating key for device: ${device_id}`);
+
+    const apiKey = await getDeviceModel().rotateDeviceKey(
+      device_id,
+      req.user.email
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: `Device ${device_id} not found`,
+      });
+    }
+
+    cacheService.invalidate(cacheService.KEYS.DEVICE(device_id));
+
+    return res.status(200).json({
+      success: true,
+      message:
+        "Device key rotated. The previous key no longer works. Store the new api_key now.",
+      data: {
+        device_id,
+        api_key: apiKey,
+        rotated_by: req.user.email,
+      },
+    });
+  } catch (error) {
+    console.error("💥 Error rotating device key:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to rotate device key",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * REVOKE DEVICE
+ * Endpoint: POST /api/devices/:device_id/revoke
+ */
+exports.revokeDevice = async (req, res) => {
+  try {
+    const { device_id } = req.params;
+
+    console.log(`⛔ Revoking device: ${device_id}`);
+
+    const revoked = await getDeviceModel().revokeDevice(
+      device_id,
+      req.user.email
+    );
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: `Device ${device_id} not found`,
+      });
+    }
+
+    cacheService.invalidate(cacheService.KEYS.DEVICE(device_id));
+    getDeviceSocketService().disconnect(device_id, "Device revoked");
+
+    return res.status(200).json({
+      success: true,
+      message: `Device ${device_id} revoked`,
+      data: {
+        device_id,
+        status: "revoked",
+        revoked_by: req.user.email,
+      },
+    });
+  } catch (error) {
+    console.error("💥 Error revoking device:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to revoke device",
+      error: error.message,
+    });
+  }
+};
+
+console.log("📦 deviceController loaded");
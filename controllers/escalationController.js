@@ -0,0 +1,175 @@
+/**
+ * ========================================
+ * ESCALATION POLICY CONTROLLER
+ * ========================================
+ * Escalation chain per IPAL for unacknowledged alerts
+ * - Get policy (null → IPAL uses broadcast notifications)
+ * - Save policy (admin only)
+ * - Delete policy (admin only)
+ *
+ * Running escalations keep the steps they started with.
+ */
+
+const { db } = require("../config/firebase-config");
+const cacheService = require("../services/cacheService");
+const { validateEscalationPolicy } = require("../services/validationService");
+
+// ⚡ Lazy load model to reduce cold start
+let escalationPolicyModel;
+
+const getEscalationPolicyModel = () => {
+  if (!escalationPolicyModel) {
+    escalationPolicyModel = require("../models/escalationPolicyModel");
+  }
+  return escalationPolicyModel;
+};
+
+/**
+ * Check IPAL exists
+ */
+async function ipalExists(ipalId) {
+  const snapshot = await db
+    .collection("ipals")
+    .where("ipal_id", "==", ipalId)
+    .limit(1)
+    .get();
+
+  return !snapshot.empty;
+}
+
+/**
+ * Parse :ipal_id, send 400 if invalid
+ * @returns {Number|null} IPAL ID
+ */
+function parseIpalId(req, res) {
+  const ipalId = parseInt(req.params.ipal_id);
+
+  if (isNaN(ipalId)) {
+    res.status(400).json({
+      success: false,
+      message: "ipal_id must be a number",
+    });
+    return null;
+  }
+
+  return ipalId;
+}
+
+/**
+ * GET ESCALATION POLICY
+ * Endpoint: GET /api/ipals/:ipal_id/escalation-policy
+ */
+exports.getEscalationPolicy = async (req, res) => {
+  try {
+    const ipalId = parseIpalId(req, res);
+    if (ipalId === null) return;
+
+    const policy = await getEscalationPolicyModel().getPolicy(ipalId);
+
+    return res.status(200).json({
+      success: true,
+      message: policy
+        ? `Escalation policy for IPAL ${ipalId}`
+        : `IPAL ${ipalId} has no escalation policy, alerts are broadcast`,
+      data: policy,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching escalation policy:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch escalation policy",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * SAVE ESCALATION POLICY
+ * Endpoint: PUT /api/ipals/:ipal_id/escalation-policy
+ * Body: { enabled?, severities?, steps: [{ delay_minutes, roles, channels? }], notes? }
+ */
+exports.updateEscalationPolicy = async (req, res) => {
+  try {
+    const ipalId = parseIpalId(req, res);
+    if (ipalId === null) return;
+
+    const { error, value } = validateEscalationPolicy(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.details.map((d) => d.message),
+      });
+    }
+
+    if (!(await ipalExists(ipalId))) {
+      return res.status(404).json({
+        success: false,
+        message: `IPAL with ID ${ipalId} not found`,
+      });
+    }
+
+    console.log(
+      `📶 Updating escalation policy for IPAL ${ipalId} by ${req.user.email}`
+    );
+
+    const policy = await getEscalationPolicyModel().savePolicy(
+      ipalId,
+      value,
+      req.user.email
+    );
+
+    // New alerts must use the new policy immediately
+    cacheService.invalidate(cacheService.KEYS.ESCALATION_POLICY(ipalId));
+
+    return res.status(200).json({
+      success: true,
+      message: `Escalation policy for IPAL ${ipalId} saved`,
+      data: policy,
+    });
+  } catch (error) {
+    console.error("💥 Error updating escalation policy:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update escalation policy",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * DELETE ESCALATION POLICY
+ * Endpoint: DELETE /api/ipals/:ipal_id/escalation-policy
+ */
+exports.deleteEscalationPolicy = async (req, res) => {
+  try {
+    const ipalId = parseIpalId(req, res);
+    if (ipalId === null) return;
+
+    const deleted = await getEscalationPolicyModel().deletePolicy(ipalId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `IPAL ${ipalId} has no escalation policy`,
+      });
+    }
+
+    cacheService.invalidate(cacheService.KEYS.ESCALATION_POLICY(ipalId));
+
+    return res.status(200).json({
+      success: true,
+      message: `Escalation policy for IPAL ${ipalId} deleted, alerts are broadcast again`,
+    });
+  } catch (error) {
+    console.error("💥 Error deleting escalation policy:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete escalation policy",
+      error: error.message,
+    });
+  }
+};
+
+console.log("📦 escalationController loaded");
@@ -2,12 +2,14 @@
  * ========================================
  * IPAL CONTROLLER
  * ========================================
- * Read operations for IPAL facilities
+ * Read & write operations for IPAL facilities
  * Support for dynamic IPAL selection
  */
 
 const { admin, db } = require("../config/firebase-config");
 const cacheService = require("../services/cacheService");
+const { invalidateCache } = require("../middleware/cacheMiddleware");
+const { validateIpalData } = require("../services/validationService");
 
 /**
  * GET ALL IPALS
@@ -62,6 +64,9 @@ exports.getAllIpals = async (req, res) => {
             status: data.status || "active",
             contact_person: data.contact_person || null,
             contact_phone: data.contact_phone || null,
+            analysis_method: data.analysis_method || "simple_threshold",
+            orphan_policy: data.orphan_policy || "discard",
+            timezone: data.timezone || null,
             created_at: data.created_at?.toDate
               ? data.created_at.toDate().toISOString()
               : null,
@@ -162,6 +167,9 @@ exports.getIpalById = async (req, res) => {
           status: data.status || "active",
           contact_person: data.contact_person || null,
           contact_phone: data.contact_phone || null,
+          analysis_method: data.analysis_method || "simple_threshold",
+          orphan_policy: data.orphan_policy || "discard",
+          timezone: data.timezone || null,
           created_at: data.created_at?.toDate
             ? data.created_at.toDate().toISOString()
             : null,
@@ -331,4 +339,289 @@ exports.getIpalStats = async (req, res) => {
   }
 };
 
+// ========================================
+// WRITE OPERATIONS (ADMIN ONLY)
+// ========================================
+
+/**
+ * Invalidate every cache the IPAL read routes rely on
+ * - cacheService keys (ipals:all:*, ipal:{id}, ipal:{id}:stats,
+ *   analysis_method:{id}, orphan_policy:{id})
+ * - cacheMiddleware response cache (/api/ipals, /api/dashboard)
+ */
+function invalidateIpalCaches(ipalId) {
+  cacheService.invalidatePattern("ipals:all:*");
+  cacheService.invalidate(cacheService.KEYS.IPAL(ipalId));
+  cacheService.invalidate(cacheService.KEYS.IPAL_STATS(ipalId));
+  cacheService.invalidate(cacheService.KEYS.ANALYSIS_METHOD(ipalId));
+  cacheService.invalidate(cacheService.KEYS.ORPHAN_POLICY(ipalId));
+  invalidateCache(["/api/ipals", "/api/dashboard"]);
+}
+
+/**
+ * Find IPAL document by numeric ipal_id
+ */
+async function findIpalDoc(ipalId) {
+  const snapshot = await db
+    .collection("ipals")
+    .where("ipal_id", "==", parseInt(ipalId))
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * Create IPAL document with a unique ipal_id (transaction)
+ * counters/ipals.last_id is written by every create, so two concurrent
+ * creates conflict and Firestore retries one of them with fresh reads.
+ * @param {Object} ipalDoc - IPAL fields without ipal_id
+ * @param {Number} requestedId - Explicit ipal_id (optional, else next available)
+ * @returns {Object|null} { ipalId, docRef }, null if requestedId already exists
+ */
+async function createIpalWithId(ipalDoc, requestedId) {
+  const counterRef = db.collection("counters").doc("ipals");
+  const docRef = db.collection("ipals").doc();
+
+  return db.runTransaction(async (transaction) => {
+    const counterDoc = await transaction.get(counterRef);
+    let lastId = counterDoc.exists ? counterDoc.data().last_id || 0 : 0;
+
+    // Counter belum ada (IPAL lama) → mulai dari ipal_id terbesar
+    if (!counterDoc.exists) {
+      const lastSnapshot = await transaction.get(
+        db.collection("ipals").orderBy("ipal_id", "desc").limit(1)
+      );
+      lastId = lastSnapshot.empty
+        ? 0
+        : lastSnapshot.docs[0].data().ipal_id || 0;
+    }
+
+    let ipalId = requestedId;
+
+    if (ipalId) {
+      const existing = await transaction.get(
+        db.collection("ipals").where("ipal_id", "==", ipalId).limit(1)
+      );
+      if (!existing.empty) {
+        return null;
+      }
+    } else {
+      ipalId = lastId + 1;
+    }
+
+    transaction.set(docRef, { ...ipalDoc, ipal_id: ipalId });
+    transaction.set(counterRef, {
+      last_id: Math.max(lastId, ipalId),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { ipalId, docRef };
+  });
+}
+
+/**
+ * Format IPAL document for response
+ */
+function formatIpal(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    created_at: data.created_at?.toDate
+      ? data.created_at.toDate().toISOString()
+      : null,
+    updated_at: data.updated_at?.toDate
+      ? data.updated_at.toDate().toISOString()
+      : null,
+    decommissioned_at: data.decommissioned_at?.toDate
+      ? data.decommissioned_at.toDate().toISOString()
+      : null,
+  };
+}
+
+/**
+ * CREATE IPAL
+ * Endpoint: POST /api/ipals
+ * Body: { ipal_location, ipal_description?, address?, coordinates?,
+ *         capacity?, status?, contact_person?, contact_phone?, timezone?,
+ *         ipal_id? }
+ * ipal_id auto-increments when omitted
+ */
+exports.createIpal = async (req, res) => {
+  try {
+    const { error, value } = validateIpalData(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.details.map((d) => d.message),
+      });
+    }
+
+    console.log(`🏭 Creating IPAL: ${value.ipal_location}`);
+
+    const ipalDoc = {
+      ipal_location: value.ipal_location,
+      ipal_description: value.ipal_description || null,
+      address: value.address || null,
+      coordinates: value.coordinates || null,
+      capacity: value.capacity || null,
+      status: value.status,
+      contact_person: value.contact_person || null,
+      contact_phone: value.contact_phone || null,
+      analysis_method: value.analysis_method,
+      orphan_policy: value.orphan_policy,
+      timezone: value.timezone || null,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      created_by: req.user.email,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    // ipal_id: explicit or next available, allocated in a transaction
+    const created = await createIpalWithId(ipalDoc, value.ipal_id);
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: `IPAL with ID ${value.ipal_id} already exists`,
+      });
+    }
+
+    const { ipalId, docRef } = created;
+
+    invalidateIpalCaches(ipalId);
+
+    console.log(`✅ IPAL created: ${ipalId} (${docRef.id})`);
+
+    return res.status(201).json({
+      success: true,
+      message: "IPAL created successfully",
+      data: formatIpal(await docRef.get()),
+    });
+  } catch (error) {
+    console.error("💥 Error creating IPAL:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create IPAL",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * UPDATE IPAL
+ * Endpoint: PUT /api/ipals/:ipal_id
+ * Body: any IPAL field except ipal_id
+ */
+exports.updateIpal = async (req, res) => {
+  try {
+    const { ipal_id } = req.params;
+
+    const { error, value } = validateIpalData(req.body, { partial: true });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.details.map((d) => d.message),
+      });
+    }
+
+    console.log(`✏️ Updating IPAL: ${ipal_id} by ${req.user.email}`);
+
+    const doc = await findIpalDoc(ipal_id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: `IPAL with ID ${ipal_id} not found`,
+      });
+    }
+
+    const updateData = {
+      ...value,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_by: req.user.email,
+    };
+
+    await doc.ref.update(updateData);
+
+    invalidateIpalCaches(ipal_id);
+
+    console.log(`✅ IPAL updated: ${ipal_id}`);
+
+    return res.status(200).json({
+      success: true,
+      message: "IPAL updated successfully",
+      data: formatIpal(await doc.ref.get()),
+    });
+  } catch (error) {
+    console.error("💥 Error updating IPAL:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update IPAL",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * DECOMMISSION IPAL (soft delete)
+ * Endpoint: DELETE /api/ipals/:ipal_id
+ * Body: { reason? }
+ * Sets status to inactive, keeps readings & alerts history
+ */
+exports.decommissionIpal = async (req, res) => {
+  try {
+    const { ipal_id } = req.params;
+    const { reason } = req.body || {};
+
+    console.log(`🏚️ Decommissioning IPAL: ${ipal_id} by ${req.user.email}`);
+
+    const doc = await findIpalDoc(ipal_id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: `IPAL with ID ${ipal_id} not found`,
+      });
+    }
+
+    if (doc.data().decommissioned_at) {
+      return res.status(409).json({
+        success: false,
+        message: `IPAL ${ipal_id} is already decommissioned`,
+      });
+    }
+
+    await doc.ref.update({
+      status: "inactive",
+      decommissioned_at: admin.firestore.FieldValue.serverTimestamp(),
+      decommissioned_by: req.user.email,
+      decommission_reason: reason || null,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_by: req.user.email,
+    });
+
+    invalidateIpalCaches(ipal_id);
+
+    console.log(`✅ IPAL decommissioned: ${ipal_id}`);
+
+    return res.status(200).json({
+      success: true,
+      message: `IPAL ${ipal_id} decommissioned`,
+      data: formatIpal(await doc.ref.get()),
+    });
+  } catch (error) {
+    console.error("💥 Error decommissioning IPAL:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to decommission IPAL",
+      error: error.message,
+    });
+  }
+};
+
 console.log("📦 ipalController loaded");
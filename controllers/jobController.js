@@ -0,0 +1,178 @@
+/**
+ * ========================================
+ * JOB CONTROLLER
+ * ========================================
+ * Admin view of background jobs (node-cron)
+ * - List jobs with schedule, next run & last run result
+ * - Run history per job
+ * - Trigger job manually
+ */
+
+// ⚡ Lazy load scheduler to reduce cold start
+let schedulerService;
+let jobRunModel;
+
+const getSchedulerService = () => {
+  if (!schedulerService) {
+    schedulerService = require("../services/schedulerService");
+  }
+  return schedulerService;
+};
+
+const getJobRunModel = () => {
+  if (!jobRunModel) {
+    jobRunModel = require("../models/jobRunModel");
+  }
+  return jobRunModel;
+};
+
+/**
+ * Fill last_run from job_runs when this instance has not run the job yet
+ * (e.g. after restart or on another instance)
+ */
+async function withLastRun(job) {
+  if (job.last_run) {
+    return job;
+  }
+
+  return {
+    ...job,
+    last_run: await getJobRunModel().getLastRun(job.name),
+  };
+}
+
+/**
+ * LIST JOBS
+ * Endpoint: GET /api/jobs
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await Promise.all(
+      getSchedulerService().listJobs().map(withLastRun)
+    );
+
+    return res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching jobs:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch jobs",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET JOB
+ * Endpoint: GET /api/jobs/:name
+ */
+exports.getJobByName = async (req, res) => {
+  try {
+    const job = getSchedulerService().getJob(req.params.name);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `Job ${req.params.name} not found`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await withLastRun(job),
+    });
+  } catch (error) {
+    console.error("💥 Error fetching job:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET JOB RUN HISTORY
+ * Endpoint: GET /api/jobs/:name/runs?limit=20
+ */
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (!getSchedulerService().getJob(name)) {
+      return res.status(404).json({
+        success: false,
+        message: `Job ${name} not found`,
+      });
+    }
+
+    const runs = await getJobRunModel().getJobRuns(name, limit);
+
+    return res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching job runs:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch job runs",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * RUN JOB NOW
+ * Endpoint: POST /api/jobs/:name/run
+ */
+exports.runJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    console.log(`▶️  Manual run of job ${name} by ${req.user.email}`);
+
+    const run = await getSchedulerService().runJob(name, {
+      trigger: "manual",
+      triggered_by: req.user.email,
+    });
+
+    return res.status(200).json({
+      success: run.status === "success",
+      message:
+        run.status === "success"
+          ? `Job ${name} finished`
+          : `Job ${name} failed: ${run.error}`,
+      data: run,
+    });
+  } catch (error) {
+    if (error.code === "not-found") {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === "already-running") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("💥 Error running job:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to run job",
+      error: error.message,
+    });
+  }
+};
+
+console.log("📦 jobController loaded");
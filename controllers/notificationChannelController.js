@@ -0,0 +1,202 @@
+/**
+ * ========================================
+ * NOTIFICATION CHANNEL CONTROLLER
+ * ========================================
+ * External notification channels per IPAL (admin only)
+ * - Get channels (secrets masked)
+ * - Replace channel list (webhook, Telegram)
+ * - Send test event to channels
+ */
+
+const { db } = require("../config/firebase-config");
+const cacheService = require("../services/cacheService");
+const notificationService = require("../services/notificationService");
+const {
+  validateNotificationChannels,
+} = require("../services/validationService");
+
+// ⚡ Lazy load model to reduce cold start
+let notificationChannelModel;
+
+const getNotificationChannelModel = () => {
+  if (!notificationChannelModel) {
+    notificationChannelModel = require("../models/notificationChannelModel");
+  }
+  return notificationChannelModel;
+};
+
+/**
+ * Check IPAL exists
+ */
+async function ipalExists(ipalId) {
+  const snapshot = await db
+    .collection("ipals")
+    .where("ipal_id", "==", ipalId)
+    .limit(1)
+    .get();
+
+  return !snapshot.empty;
+}
+
+/**
+ * Parse :ipal_id, send 400 if invalid
+ * @returns {Number|null} IPAL ID
+ */
+function parseIpalId(req, res) {
+  const ipalId = parseInt(req.params.ipal_id);
+
+  if (isNaN(ipalId)) {
+    res.status(400).json({
+      success: false,
+      message: "ipal_id must be a number",
+    });
+    return null;
+  }
+
+  return ipalId;
+}
+
+/**
+ * GET NOTIFICATION CHANNELS
+ * Endpoint: GET /api/ipals/:ipal_id/notification-channels
+ */
+exports.getNotificationChannels = async (req, res) => {
+  try {
+    const ipalId = parseIpalId(req, res);
+    if (ipalId === null) return;
+
+    const model = getNotificationChannelModel();
+    const config = await model.getChannels(ipalId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ipal_id: ipalId,
+        channels: (config?.channels || []).map(model.maskChannel),
+        updated_by: config?.updated_by || null,
+        updated_at: config?.updated_at || null,
+      },
+    });
+  } catch (error) {
+    console.error("💥 Error fetching notification channels:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch notification channels",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * REPLACE NOTIFICATION CHANNELS
+ * Endpoint: PUT /api/ipals/:ipal_id/notification-channels
+ * Body: { channels: [
+ *   { id?, type: "webhook", name?, enabled?, min_severity?, events?, url, secret?, headers? },
+ *   { id?, type: "telegram", name?, enabled?, min_severity?, events?, chat_id, bot_token? }
+ * ] }
+ * Secrets omitted for an existing channel id are kept.
+ */
+exports.updateNotificationChannels = async (req, res) => {
+  try {
+    const ipalId = parseIpalId(req, res);
+    if (ipalId === null) return;
+
+    const { error, value } = validateNotificationChannels(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.details.map((d) => d.message),
+      });
+    }
+
+    if (!(await ipalExists(ipalId))) {
+      return res.status(404).json({
+        success: false,
+        message: `IPAL with ID ${ipalId} not found`,
+      });
+    }
+
+    console.log(
+      `🔌 Updating notification channels for IPAL ${ipalId} by ${req.user.email}`
+    );
+
+    const model = getNotificationChannelModel();
+    const { config, new_secrets } = await model.saveChannels(
+      ipalId,
+      value.channels,
+      req.user.email
+    );
+
+    cacheService.invalidate(cacheService.KEYS.NOTIFICATION_CHANNELS(ipalId));
+
+    return res.status(200).json({
+      success: true,
+      message: `Notification channels for IPAL ${ipalId} saved`,
+      data: {
+        ...config,
+        channels: config.channels.map(model.maskChannel),
+      },
+      // Shown only once, store it on the receiving side
+      new_secrets,
+    });
+  } catch (error) {
+    console.error("💥 Error updating notification channels:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update notification channels",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * TEST NOTIFICATION CHANNELS
+ * Endpoint: POST /api/ipals/:ipal_id/notification-channels/test
+ * Body: { channel_id? } (default: all channels, including disabled)
+ */
+exports.testNotificationChannels = async (req, res) => {
+  try {
+    const ipalId = parseIpalId(req, res);
+    if (ipalId === null) return;
+
+    const { channel_id } = req.body || {};
+
+    const results = await notificationService.sendTestToIpalChannels(
+      ipalId,
+      channel_id || null
+    );
+
+    if (results === null) {
+      return res.status(404).json({
+        success: false,
+        message: `Channel ${channel_id} not found on IPAL ${ipalId}`,
+      });
+    }
+
+    if (results.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `IPAL ${ipalId} has no notification channels`,
+      });
+    }
+
+    const delivered = results.filter((result) => result.success).length;
+
+    return res.status(200).json({
+      success: delivered === results.length,
+      message: `${delivered}/${results.length} channel(s) delivered`,
+      data: results,
+    });
+  } catch (error) {
+    console.error("💥 Error testing notification channels:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to test notification channels",
+      error: error.message,
+    });
+  }
+};
+
+console.log("📦 notificationChannelController loaded");
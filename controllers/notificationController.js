@@ -18,6 +18,26 @@ const {
   unsubscribeFromTopic,
 } = require("../services/fcmService");
 
+// ⚡ Lazy load model
+let fcmTokenModel;
+
+const getFcmTokenModel = () => {
+  if (!fcmTokenModel) {
+    fcmTokenModel = require("../models/fcmTokenModel");
+  }
+  return fcmTokenModel;
+};
+
+/**
+ * FCM topics a user's devices are subscribed to
+ */
+function getRoleTopics(role) {
+  const topics = ["all-users"];
+  if (role === "manager") topics.push("managers");
+  if (role === "teknisi") topics.push("teknisi");
+  return topics;
+}
+
 // ========================================
 // SEND NOTIFICATION (Manual Trigger)
 // ========================================
@@ -267,43 +287,65 @@ exports.unsubscribeFromTopicHandler = async (req, res) => {
 // ========================================
 
 /**
- * Save user's FCM token to database
+ * Register user's device FCM token (1 user → many devices)
+ * Called on every app start, so last_seen_at stays fresh
  * Endpoint: POST /api/notifications/register-device
+ * Body: { fcm_token, label? }
  */
 exports.registerDevice = async (req, res) => {
   try {
-    const { fcm_token } = req.body;
+    const { fcm_token, label } = req.body;
     const user = req.user; // From auth middleware
 
-    if (!fcm_token) {
+    if (!fcm_token || typeof fcm_token !== "string") {
       return res.status(400).json({
         success: false,
         message: "fcm_token is required",
       });
     }
 
-    // Save FCM token to user document
-    await db.collection("users").doc(user.uid).update({
-      fcm_token: fcm_token,
-      fcm_token_updated_at: new Date().toISOString(),
-    });
-
-    console.log(`✅ FCM token registered for user: ${user.email}`);
+    if (label !== undefined && label !== null && typeof label !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "label must be a string",
+      });
+    }
 
-    // Auto-subscribe to topic based on role
-    const userDoc = await db.collection("users").doc(user.uid).get();
-    const userData = userDoc.data();
+    const { device, is_new, previous_uid } =
+      await getFcmTokenModel().registerToken(user.uid, {
+        token: fcm_token,
+        label: label ? label.trim().slice(0, 100) : null,
+        user_agent: req.headers["user-agent"]?.slice(0, 300) || null,
+      });
 
-    if (userData.role === "manager") {
-      await subscribeToTopic(fcm_token, "managers");
-    } else if (userData.role === "teknisi") {
-      await subscribeToTopic(fcm_token, "teknisi");
+    console.log(
+      `✅ FCM token ${is_new ? "registered" : "refreshed"} for user: ${
+        user.email
+      }`
+    );
+
+    if (is_new) {
+      // Device of another user before: drop that user's role topics
+      if (previous_uid) {
+        const previousUser = await db
+          .collection("users")
+          .doc(previous_uid)
+          .get();
+        for (const topic of getRoleTopics(previousUser.data()?.role)) {
+          await unsubscribeFromTopic(fcm_token, topic);
+        }
+      }
+
+      // Auto-subscribe to topic based on role
+      for (const topic of getRoleTopics(user.role)) {
+        await subscribeToTopic(fcm_token, topic);
+      }
     }
-    await subscribeToTopic(fcm_token, "all-users");
 
     return res.status(200).json({
       success: true,
       message: "Device registered successfully",
+      data: device,
     });
   } catch (error) {
     console.error("💥 Error registering device:", error);
@@ -315,6 +357,120 @@ exports.registerDevice = async (req, res) => {
   }
 };
 
+// ========================================
+// DEVICES (FCM TOKENS) OF LOGGED-IN USER
+// ========================================
+
+/**
+ * List devices registered for push notification
+ * Endpoint: GET /api/notifications/devices
+ */
+exports.getMyDevices = async (req, res) => {
+  try {
+    const devices = await getFcmTokenModel().getUserTokens(req.user.uid);
+
+    return res.status(200).json({
+      success: true,
+      count: devices.length,
+      data: devices,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching devices:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch devices",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a device (by token_id from GET /devices)
+ * Endpoint: DELETE /api/notifications/devices/:token_id
+ */
+exports.removeDevice = async (req, res) => {
+  try {
+    const removed = await getFcmTokenModel().removeToken(
+      req.user.uid,
+      req.params.token_id
+    );
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not found",
+      });
+    }
+
+    for (const topic of getRoleTopics(req.user.role)) {
+      await unsubscribeFromTopic(removed.token, topic);
+    }
+
+    console.log(`🗑️  FCM device removed for user: ${req.user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: "Device removed successfully",
+    });
+  } catch (error) {
+    console.error("💥 Error removing device:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to remove device",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Unregister current device (e.g. on logout)
+ * Endpoint: POST /api/notifications/unregister-device
+ * Body: { fcm_token }
+ */
+exports.unregisterDevice = async (req, res) => {
+  try {
+    const { fcm_token } = req.body;
+
+    if (!fcm_token || typeof fcm_token !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "fcm_token is required",
+      });
+    }
+
+    const model = getFcmTokenModel();
+    const removed = await model.removeToken(
+      req.user.uid,
+      model.getTokenId(fcm_token)
+    );
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not registered for this user",
+      });
+    }
+
+    for (const topic of getRoleTopics(req.user.role)) {
+      await unsubscribeFromTopic(fcm_token, topic);
+    }
+
+    console.log(`✅ FCM device unregistered for user: ${req.user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: "Device unregistered successfully",
+    });
+  } catch (error) {
+    console.error("💥 Error unregistering device:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to unregister device",
+      error: error.message,
+    });
+  }
+};
+
 // Debug
 console.log("📦 notificationController exports:", Object.keys(module.exports));
 
@@ -0,0 +1,172 @@
+/**
+ * ========================================
+ * NOTIFICATION DELIVERY CONTROLLER
+ * ========================================
+ * Notification outbox / delivery log (admin only)
+ *
+ * Routes:
+ * - GET  /api/notifications/deliveries
+ * - GET  /api/notifications/deliveries/:id
+ * - POST /api/notifications/deliveries/:id/resend  (failed only)
+ */
+
+// ⚡ Lazy load to reduce cold start
+let notificationModel;
+let notificationOutboxService;
+
+const getNotificationModel = () => {
+  if (!notificationModel) {
+    notificationModel = require("../models/notificationModel");
+  }
+  return notificationModel;
+};
+
+const getNotificationOutboxService = () => {
+  if (!notificationOutboxService) {
+    notificationOutboxService = require("../services/notificationOutboxService");
+  }
+  return notificationOutboxService;
+};
+
+const DELIVERY_STATUSES = ["pending", "sent", "failed"];
+const DELIVERY_CHANNELS = ["email", "fcm", "webhook", "telegram"];
+
+/**
+ * GET DELIVERY HISTORY
+ * Endpoint: GET /api/notifications/deliveries?status=failed&channel=email&ipal_id=1&alert_id=...&limit=50
+ */
+exports.getDeliveries = async (req, res) => {
+  try {
+    const { status, channel, alert_id } = req.query;
+    const ipalId = req.query.ipal_id ? parseInt(req.query.ipal_id) : null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    if (channel && !DELIVERY_CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid channel. Must be one of: ${DELIVERY_CHANNELS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    if (req.query.ipal_id && isNaN(ipalId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ipal_id must be a number",
+      });
+    }
+
+    const deliveries = await getNotificationModel().getNotifications({
+      status,
+      channel,
+      ipal_id: ipalId,
+      alert_id,
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching notification deliveries:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch notification deliveries",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET DELIVERY BY ID
+ * Endpoint: GET /api/notifications/deliveries/:id
+ */
+exports.getDeliveryById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const delivery = await getNotificationModel().getNotificationById(id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: `Notification ${id} not found`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching notification delivery:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch notification delivery",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * RESEND FAILED DELIVERY
+ * Endpoint: POST /api/notifications/deliveries/:id/resend
+ * Sends now; if it fails again the retry worker takes over
+ */
+exports.resendDelivery = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await getNotificationOutboxService().resendNotification(
+      id,
+      req.user.email
+    );
+
+    if (!result) {
+      const delivery = await getNotificationModel().getNotificationById(id);
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: `Notification ${id} not found`,
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: `Only failed notifications can be resent (status: ${delivery.status})`,
+      });
+    }
+
+    const delivery = await getNotificationModel().getNotificationById(id);
+
+    return res.status(200).json({
+      success: Boolean(result.success),
+      message: result.success
+        ? "Notification resent successfully"
+        : `Resend failed: ${result.error || "unknown error"}`,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error("💥 Error resending notification:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to resend notification",
+      error: error.message,
+    });
+  }
+};
+
+console.log("📦 notificationDeliveryController loaded");
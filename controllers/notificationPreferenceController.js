@@ -0,0 +1,118 @@
+/**
+ * ========================================
+ * NOTIFICATION PREFERENCE CONTROLLER
+ * ========================================
+ * Notification preferences of the logged-in user
+ * - IPAL subscriptions (null = semua IPAL)
+ * - Minimum severity per channel (email / push)
+ * - Quiet hours with critical-only override
+ * - Daily digest opt-in / opt-out
+ */
+
+const {
+  validateNotificationPreferences,
+} = require("../services/validationService");
+
+// ⚡ Lazy load model to reduce cold start
+let notificationPreferenceModel;
+
+const getNotificationPreferenceModel = () => {
+  if (!notificationPreferenceModel) {
+    notificationPreferenceModel = require("../models/notificationPreferenceModel");
+  }
+  return notificationPreferenceModel;
+};
+
+/**
+ * GET MY NOTIFICATION PREFERENCES
+ * Endpoint: GET /api/users/me/notification-preferences
+ */
+exports.getMyPreferences = async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferenceModel().getPreferences(
+      req.user.uid,
+      req.user.role
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: preferences,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching notification preferences:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch notification preferences",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * UPDATE MY NOTIFICATION PREFERENCES
+ * Endpoint: PUT /api/users/me/notification-preferences
+ * Body (partial): { ipal_ids?, min_severity?: { email?, push? },
+ *   quiet_hours?: { enabled?, start?, end?, timezone?, critical_override? },
+ *   daily_digest? }
+ */
+exports.updateMyPreferences = async (req, res) => {
+  try {
+    const { error, value } = validateNotificationPreferences(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.details.map((d) => d.message),
+      });
+    }
+
+    console.log(`🔔 Updating notification preferences: ${req.user.email}`);
+
+    const preferences = await getNotificationPreferenceModel().savePreferences(
+      req.user.uid,
+      req.user.role,
+      value
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification preferences saved",
+      data: preferences,
+    });
+  } catch (error) {
+    console.error("💥 Error updating notification preferences:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update notification preferences",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * RESET MY NOTIFICATION PREFERENCES (back to role defaults)
+ * Endpoint: DELETE /api/users/me/notification-preferences
+ */
+exports.resetMyPreferences = async (req, res) => {
+  try {
+    const model = getNotificationPreferenceModel();
+
+    await model.deletePreferences(req.user.uid);
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification preferences reset to defaults",
+      data: await model.getPreferences(req.user.uid, req.user.role),
+    });
+  } catch (error) {
+    console.error("💥 Error resetting notification preferences:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to reset notification preferences",
+      error: error.message,
+    });
+  }
+};
+
+console.log("📦 notificationPreferenceController loaded");
@@ -18,6 +18,12 @@ const getReportService = () => {
 /**
  * GET /api/reports/export
  * Generate & download report
+ *
+ * Total readings exported:
+ * - PDF: X-Total-Readings header
+ * - CSV / Excel (streamed): last CSV row "Total Readings Exported" /
+ *   Summary sheet. Also sent as X-Total-Readings HTTP trailer, but
+ *   browsers (fetch / XHR) never expose trailers to the frontend.
  */
 exports.exportReport = async (req, res) => {
   try {
@@ -47,6 +53,13 @@ exports.exportReport = async (req, res) => {
       });
     }
 
+    if (!["csv", "excel", "pdf"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid format. Use csv, excel, or pdf",
+      });
+    }
+
     if (!start_date || !end_date) {
       return res.status(400).json({
         success: false,
@@ -67,9 +80,52 @@ exports.exportReport = async (req, res) => {
       location,
     };
 
-    // Fetch data
-    console.log("🔍 Fetching data...");
     const service = getReportService();
+
+    // CSV & Excel: streamed straight to the response (no row limit)
+    if (format === "csv" || format === "excel") {
+      const isCSV = format === "csv";
+      const fileName = `water_quality_report_${start_date}_${end_date}.${
+        isCSV ? "csv" : "xlsx"
+      }`;
+
+      console.log(`📤 Streaming ${format.toUpperCase()}: ${fileName}`);
+
+      const stream = isCSV ? service.streamCSV : service.streamExcel;
+      const total = await stream(filters, res, {
+        onStart: () => {
+          res.setHeader(
+            "Content-Type",
+            isCSV
+              ? "text/csv; charset=utf-8"
+              : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          );
+          res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="${fileName}"`
+          );
+          // Jumlah pasti baru diketahui di akhir → HTTP trailer
+          // (non-browser clients only, frontend reads the file itself)
+          res.setHeader("Trailer", "X-Total-Readings");
+        },
+        onTotal: (count) => {
+          res.addTrailers({ "X-Total-Readings": String(count) });
+        },
+      });
+
+      if (total === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "No data found for the specified period",
+        });
+      }
+
+      console.log(`✅ ${format.toUpperCase()} streamed: ${total} readings`);
+      return;
+    }
+
+    // PDF: summary + recent readings, generated in memory
+    console.log("🔍 Fetching data...");
     const data = await service.fetchWaterQualityData(filters);
 
     if (data.length === 0) {
@@ -84,87 +140,36 @@ exports.exportReport = async (req, res) => {
     // Calculate summary
     const summary = service.calculateSummary(data, paramList);
 
-    // Generate file based on format
-    let fileContent;
-    let contentType;
-    let fileName;
-
     try {
-      if (format === "csv") {
-        console.log("📄 Generating CSV...");
-        fileContent = service.generateCSV(data);
-        contentType = "text/csv; charset=utf-8";
-        fileName = `water_quality_report_${start_date}_${end_date}.csv`;
-
-        console.log(`✅ CSV generated: ${fileName}`);
-      } else if (format === "excel") {
-        console.log("📊 Generating Excel...");
-        fileContent = await service.generateExcel(data, summary, filters);
-        contentType =
-          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
-        fileName = `water_quality_report_${start_date}_${end_date}.xlsx`;
-
-        console.log(
-          `✅ Excel generated: ${fileName} (${fileContent.length} bytes)`
-        );
-      } else if (format === "pdf") {
-        console.log("📄 Generating PDF...");
-        fileContent = await service.generatePDF(data, summary, filters);
-        contentType = "application/pdf";
-        fileName = `water_quality_report_${start_date}_${end_date}.pdf`;
-
-        // ⚠️ CRITICAL LOGS - HARUS MUNCUL!
-        console.log(`✅ PDF buffer received: ${fileContent.length} bytes`);
-        console.log(`🔍 Buffer is valid: ${Buffer.isBuffer(fileContent)}`);
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid format. Use csv, excel, or pdf",
-        });
-      }
+      console.log("📄 Generating PDF...");
+      const fileContent = await service.generatePDF(data, summary, filters);
+      const fileName = `water_quality_report_${start_date}_${end_date}.pdf`;
 
-      // Validate file content
-      if (!fileContent) {
-        throw new Error(`${format.toUpperCase()} generation returned null`);
-      }
+      // ⚠️ CRITICAL LOGS - HARUS MUNCUL!
+      console.log(`✅ PDF buffer received: ${fileContent.length} bytes`);
+      console.log(`🔍 Buffer is valid: ${Buffer.isBuffer(fileContent)}`);
 
-      if (format !== "csv" && fileContent.length === 0) {
-        throw new Error(
-          `${format.toUpperCase()} generation returned empty buffer`
-        );
+      // Validate file content
+      if (!fileContent || fileContent.length === 0) {
+        throw new Error("PDF generation returned empty buffer");
       }
 
       // Set headers
-      res.setHeader("Content-Type", contentType);
+      res.setHeader("Content-Type", "application/pdf");
       res.setHeader(
         "Content-Disposition",
         `attachment; filename="${fileName}"`
       );
-
-      if (format === "csv") {
-        res.setHeader("Content-Length", Buffer.byteLength(fileContent, "utf8"));
-      } else {
-        res.setHeader("Content-Length", fileContent.length);
-      }
+      res.setHeader("Content-Length", fileContent.length);
+      res.setHeader("X-Total-Readings", String(data.length));
 
       // ⚠️ CRITICAL LOG - HARUS MUNCUL!
-      console.log(
-        `📤 Sending ${format.toUpperCase()}: ${fileName} (${
-          format === "csv"
-            ? Buffer.byteLength(fileContent, "utf8")
-            : fileContent.length
-        } bytes)`
-      );
+      console.log(`📤 Sending PDF: ${fileName} (${fileContent.length} bytes)`);
 
-      // Send file
-      if (format === "csv") {
-        res.send(fileContent);
-      } else {
-        res.end(fileContent, "binary");
-      }
+      res.end(fileContent, "binary");
 
       // ⚠️ CRITICAL LOG - HARUS MUNCUL!
-      console.log(`✅ ${format.toUpperCase()} sent successfully!`);
+      console.log("✅ PDF sent successfully!");
     } catch (genError) {
       console.error(`❌ Error generating ${format}:`, genError);
       console.error("Stack:", genError.stack);
@@ -188,6 +193,9 @@ exports.exportReport = async (req, res) => {
         error: error.message,
       });
     }
+
+    // Stream sudah jalan → putus koneksi agar file tidak tampak lengkap
+    res.destroy(error);
   }
 };
 
@@ -263,5 +271,138 @@ exports.previewReport = async (req, res) => {
   }
 };
 
+/**
+ * Parse compliance query, send 400 if invalid
+ * @returns {Object|null} Filters
+ */
+function parseComplianceFilters(req, res) {
+  const { ipal_id, start_date, end_date, parameters } = req.query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const validParameters = ["ph", "tds", "turbidity", "temperature"];
+
+  if (!ipal_id || isNaN(parseInt(ipal_id))) {
+    res.status(400).json({
+      success: false,
+      message: "ipal_id is required and must be a number",
+    });
+    return null;
+  }
+
+  if (
+    !datePattern.test(start_date || "") ||
+    !datePattern.test(end_date || "") ||
+    start_date > end_date
+  ) {
+    res.status(400).json({
+      success: false,
+      message:
+        "start_date and end_date are required (YYYY-MM-DD, start_date <= end_date)",
+    });
+    return null;
+  }
+
+  const paramList = parameters
+    ? parameters.split(",").map((p) => p.trim())
+    : validParameters;
+
+  const invalid = paramList.filter((p) => !validParameters.includes(p));
+  if (invalid.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid parameters: ${invalid.join(
+        ", "
+      )}. Use ${validParameters.join(", ")}`,
+    });
+    return null;
+  }
+
+  return {
+    ipal_id: parseInt(ipal_id),
+    start_date,
+    end_date,
+    parameters: paramList,
+  };
+}
+
+/**
+ * GET /api/reports/compliance
+ * Compliance report against baku mutu (JSON)
+ */
+exports.getComplianceReport = async (req, res) => {
+  try {
+    const filters = parseComplianceFilters(req, res);
+    if (!filters) return;
+
+    console.log("📋 Compliance report request:", filters);
+
+    const report = await getReportService().generateComplianceReport(filters);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "No data found for the specified period",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("❌ Error in getComplianceReport:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to generate compliance report",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET /api/reports/compliance/pdf
+ * Compliance report against baku mutu (PDF download)
+ */
+exports.exportCompliancePDF = async (req, res) => {
+  try {
+    const filters = parseComplianceFilters(req, res);
+    if (!filters) return;
+
+    console.log("📋 Compliance PDF request:", filters);
+
+    const service = getReportService();
+    const report = await service.generateComplianceReport(filters);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "No data found for the specified period",
+      });
+    }
+
+    const fileContent = await service.generateCompliancePDF(report);
+    const fileName = `compliance_report_ipal${filters.ipal_id}_${filters.start_date}_${filters.end_date}.pdf`;
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Content-Length", fileContent.length);
+
+    console.log(
+      `📤 Sending compliance PDF: ${fileName} (${fileContent.length} bytes)`
+    );
+
+    res.end(fileContent, "binary");
+  } catch (error) {
+    console.error("❌ Error in exportCompliancePDF:", error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to generate compliance PDF",
+        error: error.message,
+      });
+    }
+  }
+};
+
 // ⚠️ PENTING: Ini harus muncul saat start!
 console.log("📦 reportController (v5 - final fix) loaded");
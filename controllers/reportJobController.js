@@ -0,0 +1,231 @@
+/**
+ * ========================================
+ * REPORT JOB CONTROLLER
+ * ========================================
+ * Asynchronous report generation with download link
+ * Jobs are visible to the requester (and admins)
+ *
+ * Routes:
+ * - POST /api/reports/jobs
+ * - GET  /api/reports/jobs/:id
+ * - GET  /api/reports/jobs/:id/download
+ */
+
+const { validateReportJob } = require("../services/validationService");
+
+// ⚡ Lazy load to reduce cold start
+let reportJobModel;
+let reportJobService;
+
+const getReportJobModel = () => {
+  if (!reportJobModel) {
+    reportJobModel = require("../models/reportJobModel");
+  }
+  return reportJobModel;
+};
+
+const getReportJobService = () => {
+  if (!reportJobService) {
+    reportJobService = require("../services/reportJobService");
+  }
+  return reportJobService;
+};
+
+const canAccess = (job, user) =>
+  user.role === "admin" || job.requested_by?.uid === user.uid;
+
+/**
+ * Expired = file no longer downloadable (worker may not have run yet)
+ */
+const isExpired = (job) =>
+  job.status === "expired" ||
+  (job.status === "completed" &&
+    job.expires_at &&
+    new Date(job.expires_at) <= new Date());
+
+/**
+ * Job response with status & download URLs
+ */
+function withLinks(job) {
+  const statusUrl = `/api/reports/jobs/${job.id}`;
+
+  return {
+    ...job,
+    status: isExpired(job) ? "expired" : job.status,
+    status_url: statusUrl,
+    download_url:
+      job.status === "completed" && !isExpired(job)
+        ? `${statusUrl}/download`
+        : null,
+  };
+}
+
+/**
+ * CREATE REPORT JOB
+ * Endpoint: POST /api/reports/jobs
+ * Body: { format, start_date, end_date, ipal_id?, parameters?, location? }
+ * Returns 202 with job id; poll GET /api/reports/jobs/:id
+ */
+exports.createReportJob = async (req, res) => {
+  try {
+    const body = { ...(req.body || {}) };
+    if (typeof body.parameters === "string") {
+      body.parameters = body.parameters.split(",").map((p) => p.trim());
+    }
+
+    const { error, value } = validateReportJob(body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.details.map((d) => d.message),
+      });
+    }
+
+    if (value.start_date > value.end_date) {
+      return res.status(400).json({
+        success: false,
+        message: "start_date must be before or equal to end_date",
+      });
+    }
+
+    const job = await getReportJobService().createJob(value, req.user);
+
+    return res.status(202).json({
+      success: true,
+      message: "Report job queued",
+      data: withLinks(job),
+    });
+  } catch (error) {
+    console.error("💥 Error creating report job:", error);
+
+    if (error.code === "storage-not-configured") {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create report job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET REPORT JOB STATUS
+ * Endpoint: GET /api/reports/jobs/:id
+ */
+exports.getReportJob = async (req, res) => {
+  try {
+    const job = await getReportJobModel().getJobById(req.params.id);
+
+    if (!job || !canAccess(job, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: `Report job ${req.params.id} not found`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: withLinks(job),
+    });
+  } catch (error) {
+    console.error("💥 Error fetching report job:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch report job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * DOWNLOAD REPORT FILE
+ * Endpoint: GET /api/reports/jobs/:id/download
+ * 409 while queued/running/failed, 410 once expired
+ */
+exports.downloadReportJob = async (req, res) => {
+  try {
+    const job = await getReportJobModel().getJobById(req.params.id, {
+      raw: true,
+    });
+
+    if (!job || !canAccess(job, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: `Report job ${req.params.id} not found`,
+      });
+    }
+
+    const expiresAt = job.expires_at?.toDate ? job.expires_at.toDate() : null;
+
+    if (
+      job.status === "expired" ||
+      (job.status === "completed" && expiresAt && expiresAt <= new Date())
+    ) {
+      return res.status(410).json({
+        success: false,
+        message: "Report file has expired, create a new report job",
+      });
+    }
+
+    if (job.status !== "completed") {
+      return res.status(409).json({
+        success: false,
+        message:
+          job.status === "failed"
+            ? `Report job failed: ${job.error}`
+            : `Report is not ready yet (${job.status}, ${job.progress}%)`,
+        data: { status: job.status, progress: job.progress },
+      });
+    }
+
+    const stream = getReportJobService().openJobFile(job);
+
+    stream.on("error", (error) => {
+      console.error(`❌ Report job ${job.id} file error:`, error.message);
+
+      if (!res.headersSent) {
+        res.removeHeader("Content-Disposition");
+        res.removeHeader("X-Total-Readings");
+        return res.status(410).json({
+          success: false,
+          message: "Report file is no longer available, create a new job",
+        });
+      }
+
+      res.destroy(error);
+    });
+
+    res.setHeader("Content-Type", job.file.content_type);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${job.file.name}"`
+    );
+    res.setHeader("Content-Length", job.file.size);
+    res.setHeader("X-Total-Readings", String(job.readings));
+
+    console.log(
+      `📤 Sending report job file: ${job.file.name} (${job.file.size} bytes)`
+    );
+
+    stream.pipe(res);
+  } catch (error) {
+    console.error("💥 Error downloading report job:", error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to download report",
+        error: error.message,
+      });
+    }
+  }
+};
+
+console.log("📦 reportJobController loaded");
@@ -0,0 +1,356 @@
+/**
+ * ========================================
+ * REPORT SCHEDULE CONTROLLER
+ * ========================================
+ * Scheduled report delivery by email (admin & manager)
+ *
+ * Routes:
+ * - GET    /api/reports/schedules
+ * - POST   /api/reports/schedules
+ * - GET    /api/reports/schedules/:id
+ * - PUT    /api/reports/schedules/:id
+ * - DELETE /api/reports/schedules/:id
+ * - GET    /api/reports/schedules/:id/runs
+ * - POST   /api/reports/schedules/:id/run   (send now)
+ */
+
+const { db } = require("../config/firebase-config");
+const { validateReportSchedule } = require("../services/validationService");
+
+// ⚡ Lazy load to reduce cold start
+let reportScheduleModel;
+let reportScheduleService;
+
+const getReportScheduleModel = () => {
+  if (!reportScheduleModel) {
+    reportScheduleModel = require("../models/reportScheduleModel");
+  }
+  return reportScheduleModel;
+};
+
+const getReportScheduleService = () => {
+  if (!reportScheduleService) {
+    reportScheduleService = require("../services/reportScheduleService");
+  }
+  return reportScheduleService;
+};
+
+const TIMING_FIELDS = ["cadence", "day_of_week", "day_of_month", "send_hour"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check IPAL exists
+ */
+async function ipalExists(ipalId) {
+  const snapshot = await db
+    .collection("ipals")
+    .where("ipal_id", "==", ipalId)
+    .limit(1)
+    .get();
+
+  return !snapshot.empty;
+}
+
+/**
+ * Validate body + IPAL, send 400/404 if invalid
+ * @returns {Object|null} Validated schedule
+ */
+async function validateBody(req, res) {
+  const { error, value } = validateReportSchedule(req.body);
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map((d) => d.message),
+    });
+    return null;
+  }
+
+  if (!(await ipalExists(value.ipal_id))) {
+    res.status(404).json({
+      success: false,
+      message: `IPAL with ID ${value.ipal_id} not found`,
+    });
+    return null;
+  }
+
+  return value;
+}
+
+/**
+ * LIST REPORT SCHEDULES
+ * Endpoint: GET /api/reports/schedules?ipal_id=1
+ */
+exports.getSchedules = async (req, res) => {
+  try {
+    const ipalId = req.query.ipal_id ? parseInt(req.query.ipal_id) : null;
+
+    const schedules = await getReportScheduleModel().getSchedules({
+      ipal_id: ipalId || undefined,
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: schedules.length,
+      data: schedules,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching report schedules:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch report schedules",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * CREATE REPORT SCHEDULE
+ * Endpoint: POST /api/reports/schedules
+ * Body: { name, ipal_id, parameters?, location?, format?, cadence,
+ *         day_of_week?, day_of_month?, send_hour?, recipients, enabled? }
+ * First delivery is the next send time (not the period that just ended)
+ */
+exports.createSchedule = async (req, res) => {
+  try {
+    const value = await validateBody(req, res);
+    if (!value) return;
+
+    const { end_date } = getReportScheduleService().getReportPeriod(value);
+
+    const schedule = await getReportScheduleModel().createSchedule(
+      value,
+      { last_period_end: end_date },
+      req.user.email
+    );
+
+    console.log(
+      `📄 Report schedule created: "${schedule.name}" (${schedule.cadence}, IPAL ${schedule.ipal_id}) by ${req.user.email}`
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Report schedule created",
+      data: schedule,
+    });
+  } catch (error) {
+    console.error("💥 Error creating report schedule:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create report schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET REPORT SCHEDULE BY ID
+ * Endpoint: GET /api/reports/schedules/:id
+ */
+exports.getScheduleById = async (req, res) => {
+  try {
+    const schedule = await getReportScheduleModel().getScheduleById(
+      req.params.id
+    );
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `Report schedule ${req.params.id} not found`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching report schedule:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch report schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * UPDATE REPORT SCHEDULE (full replace)
+ * Endpoint: PUT /api/reports/schedules/:id
+ * Body: same as create
+ */
+exports.updateSchedule = async (req, res) => {
+  try {
+    const model = getReportScheduleModel();
+    const current = await model.getScheduleById(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: `Report schedule ${req.params.id} not found`,
+      });
+    }
+
+    const value = await validateBody(req, res);
+    if (!value) return;
+
+    // Timing changed or re-enabled → next delivery is the next send time
+    const timingChanged =
+      TIMING_FIELDS.some((field) => current[field] !== value[field]) ||
+      (value.enabled && !current.enabled);
+
+    const state = timingChanged
+      ? {
+          last_period_end:
+            getReportScheduleService().getReportPeriod(value).end_date,
+        }
+      : {};
+
+    const schedule = await model.updateSchedule(
+      req.params.id,
+      value,
+      state,
+      req.user.email
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Report schedule updated",
+      data: schedule,
+    });
+  } catch (error) {
+    console.error("💥 Error updating report schedule:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update report schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * DELETE REPORT SCHEDULE
+ * Endpoint: DELETE /api/reports/schedules/:id
+ * Run history is kept
+ */
+exports.deleteSchedule = async (req, res) => {
+  try {
+    const deleted = await getReportScheduleModel().deleteSchedule(
+      req.params.id
+    );
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `Report schedule ${req.params.id} not found`,
+      });
+    }
+
+    console.log(
+      `🗑️  Report schedule ${req.params.id} deleted by ${req.user.email}`
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Report schedule deleted",
+    });
+  } catch (error) {
+    console.error("💥 Error deleting report schedule:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete report schedule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET RUN HISTORY
+ * Endpoint: GET /api/reports/schedules/:id/runs?limit=20
+ */
+exports.getScheduleRuns = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const runs = await getReportScheduleModel().getRuns(req.params.id, limit);
+
+    return res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching report runs:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch report runs",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * RUN SCHEDULE NOW
+ * Endpoint: POST /api/reports/schedules/:id/run
+ * Body: { start_date?, end_date? } (YYYY-MM-DD, default: previous period)
+ * Does not change the schedule's own delivery state
+ */
+exports.runScheduleNow = async (req, res) => {
+  try {
+    const { start_date, end_date } = req.body || {};
+
+    if (
+      (start_date || end_date) &&
+      (!DATE_PATTERN.test(start_date || "") ||
+        !DATE_PATTERN.test(end_date || "") ||
+        start_date > end_date)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "start_date and end_date must both be YYYY-MM-DD, start_date <= end_date",
+      });
+    }
+
+    const schedule = await getReportScheduleModel().getScheduleById(
+      req.params.id
+    );
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `Report schedule ${req.params.id} not found`,
+      });
+    }
+
+    const service = getReportScheduleService();
+    const period = start_date
+      ? { start_date, end_date }
+      : service.getReportPeriod(schedule);
+
+    const run = await service.runSchedule(schedule, {
+      period,
+      trigger: "manual",
+      triggeredBy: req.user.email,
+    });
+
+    return res.status(200).json({
+      success: run.status !== "failed",
+      message:
+        run.status === "failed"
+          ? `Report not sent: ${run.error}`
+          : `Report sent to ${schedule.recipients.length} recipient(s)`,
+      data: run,
+    });
+  } catch (error) {
+    console.error("💥 Error running report schedule:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to run report schedule",
+      error: error.message,
+    });
+  }
+};
+
+console.log("📦 reportScheduleController loaded");
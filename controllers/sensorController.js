@@ -8,6 +8,8 @@
 
 const { admin, db } = require("../config/firebase-config");
 const { invalidateCache } = require("../middleware/cacheMiddleware");
+const cacheService = require("../services/cacheService");
+const sensorModel = require("../models/sensorModel");
 
 // ========================================
 // EXISTING FUNCTIONS (keep these)
@@ -205,7 +207,8 @@ exports.getAllSensors = async (req, res) => {
         debugInfo.minutesAgo = minutesAgo.toFixed(2);
 
         // Online jika update < 5 menit yang lalu
-        online_status = minutesAgo < 5 ? "online" : "offline";
+        online_status =
+          minutesAgo < sensorModel.OFFLINE_AFTER_MINUTES ? "online" : "offline";
         debugInfo.online_status = online_status;
 
         console.log(
@@ -720,4 +723,260 @@ exports.getSensorHistory = async (req, res) => {
   }
 };
 
+// ========================================
+// SENSOR PROVISIONING (register / retire / replace)
+// ========================================
+
+/**
+ * Invalidate sensor-related caches after provisioning changes
+ */
+function invalidateSensorCaches(ipalId, sensorIds = []) {
+  invalidateCache([
+    "/api/sensors",
+    ...sensorIds.map((id) => `/api/sensors/${id}`),
+    "/api/dashboard",
+    "/api/ipals",
+  ]);
+  cacheService.invalidate(cacheService.KEYS.IPAL(ipalId));
+  cacheService.invalidate(cacheService.KEYS.IPAL_STATS(ipalId));
+  cacheService.invalidate(cacheService.KEYS.SENSORS(ipalId));
+  cacheService.invalidate(cacheService.KEYS.SENSORS());
+}
+
+/**
+ * REGISTER SENSOR
+ * Endpoint: POST /api/sensors
+ * Body: { ipal_id, sensor_type, sensor_location, sensor_description?, last_calibration? }
+ *
+ * Response includes sensor_mapping yang harus dikirim ESP32
+ */
+exports.registerSensor = async (req, res) => {
+  try {
+    const {
+      ipal_id,
+      sensor_type,
+      sensor_location,
+      sensor_description,
+      last_calibration,
+    } = req.body;
+    const user = req.user;
+
+    // Validate input
+    if (!ipal_id || !sensor_type || !sensor_location) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+        required: ["ipal_id", "sensor_type", "sensor_location"],
+      });
+    }
+
+    if (!sensorModel.SENSOR_TYPES.includes(sensor_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sensor_type. Must be one of: ${sensorModel.SENSOR_TYPES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    if (!sensorModel.SENSOR_LOCATIONS.includes(sensor_location)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sensor_location. Must be "inlet" or "outlet"',
+      });
+    }
+
+    if (last_calibration && isNaN(new Date(last_calibration).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "last_calibration must be a valid date",
+      });
+    }
+
+    // Cek IPAL exists
+    const ipalSnapshot = await db
+      .collection("ipals")
+      .where("ipal_id", "==", parseInt(ipal_id))
+      .limit(1)
+      .get();
+
+    if (ipalSnapshot.empty) {
+      return res.status(404).json({
+        success: false,
+        message: `IPAL with ID ${ipal_id} not found`,
+      });
+    }
+
+    console.log(
+      `➕ Registering ${sensor_location}_${sensor_type} sensor for IPAL ${ipal_id} by ${user.email}`
+    );
+
+    const result = await sensorModel.registerSensor(
+      {
+        ipal_id,
+        sensor_type,
+        sensor_location,
+        sensor_description,
+        last_calibration,
+      },
+      user.email
+    );
+
+    invalidateSensorCaches(parseInt(ipal_id));
+
+    return res.status(201).json({
+      success: true,
+      message: "Sensor registered successfully",
+      data: {
+        id: result.sensor_id,
+        ...result.sensor,
+        added_at: new Date().toISOString(),
+        last_calibration: last_calibration
+          ? new Date(last_calibration).toISOString()
+          : null,
+        sensor_mapping: result.sensor_mapping,
+      },
+    });
+  } catch (error) {
+    if (error.code === "slot-occupied") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        occupied_by: error.occupant,
+      });
+    }
+
+    console.error("💥 Error registering sensor:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to register sensor",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * RETIRE SENSOR (soft delete)
+ * Endpoint: DELETE /api/sensors/:id
+ * Body: { reason? }
+ */
+exports.retireSensor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+    const user = req.user;
+
+    console.log(`🗑️ Retiring sensor: ${id} by ${user.email}`);
+
+    const retired = await sensorModel.retireSensor(id, user.email, reason);
+
+    if (!retired) {
+      return res.status(404).json({
+        success: false,
+        message: `Sensor with ID ${id} not found`,
+      });
+    }
+
+    invalidateSensorCaches(retired.ipal_id, [id]);
+
+    return res.status(200).json({
+      success: true,
+      message: `Sensor ${id} retired`,
+      data: {
+        sensor_id: id,
+        status: "retired",
+        freed_mapping_key: sensorModel.getSensorMappingKey(
+          retired.sensor_location,
+          retired.sensor_type
+        ),
+        retired_by: user.email,
+      },
+    });
+  } catch (error) {
+    if (error.code === "already-retired") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("💥 Error retiring sensor:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retire sensor",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * REPLACE SENSOR
+ * Endpoint: POST /api/sensors/:id/replace
+ * Body: { sensor_description?, last_calibration?, reason? }
+ *
+ * Retire sensor lama + register sensor baru di slot yang sama (atomic)
+ * ESP32 harus update sensor_mapping ke ID baru
+ */
+exports.replaceSensor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sensor_description, last_calibration, reason } = req.body || {};
+    const user = req.user;
+
+    if (last_calibration && isNaN(new Date(last_calibration).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "last_calibration must be a valid date",
+      });
+    }
+
+    console.log(`🔁 Replacing sensor: ${id} by ${user.email}`);
+
+    const result = await sensorModel.replaceSensor(
+      id,
+      { sensor_description, last_calibration },
+      user.email,
+      reason
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: `Sensor with ID ${id} not found`,
+      });
+    }
+
+    invalidateSensorCaches(result.sensor.ipal_id, [id]);
+
+    return res.status(201).json({
+      success: true,
+      message: `Sensor ${id} replaced by ${result.sensor_id}`,
+      data: {
+        replaced_sensor_id: id,
+        id: result.sensor_id,
+        ...result.sensor,
+        added_at: new Date().toISOString(),
+        last_calibration: last_calibration
+          ? new Date(last_calibration).toISOString()
+          : null,
+        sensor_mapping: result.sensor_mapping,
+      },
+    });
+  } catch (error) {
+    if (error.code === "already-retired" || error.code === "slot-occupied") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("💥 Error replacing sensor:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to replace sensor",
+      error: error.message,
+    });
+  }
+};
+
 console.log("📦 sensorController (extended) loaded");
@@ -0,0 +1,144 @@
+/**
+ * ========================================
+ * STREAM CONTROLLER
+ * ========================================
+ * Server-Sent Events for live dashboard updates
+ * (replaces polling /api/dashboard/summary and /api/alerts)
+ *
+ * Routes:
+ * - GET /api/stream?ipal_id=1&events=reading.created,alert.created
+ */
+
+// ⚡ Lazy load services to reduce cold start
+let realtimeService;
+
+const getRealtimeService = () => {
+  if (!realtimeService) {
+    realtimeService = require("../services/realtimeService");
+  }
+  return realtimeService;
+};
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keep proxies from closing idle streams
+const RETRY_MS = 5000; // Client reconnect delay
+
+/**
+ * Write one SSE message
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(
+    `data: ${JSON.stringify({
+      ipal_id: event.ipal_id,
+      published_at: event.published_at,
+      ...event.data,
+    })}\n\n`
+  );
+}
+
+/**
+ * GET /api/stream
+ * Query:
+ * - ipal_id (optional) → only events of this IPAL
+ * - events  (optional) → comma separated event types
+ * Header Last-Event-ID (sent by EventSource on reconnect) replays missed events
+ */
+exports.stream = (req, res) => {
+  const service = getRealtimeService();
+  const user = req.user;
+  const allowedTypes = service.getAllowedTypes(user.role);
+
+  // Validate ipal_id
+  let ipalId = null;
+  if (req.query.ipal_id !== undefined) {
+    ipalId = parseInt(req.query.ipal_id);
+    if (isNaN(ipalId) || ipalId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "ipal_id must be a positive integer",
+      });
+    }
+  }
+
+  // Validate requested event types against role
+  let types = allowedTypes;
+  if (req.query.events) {
+    types = String(req.query.events)
+      .split(",")
+      .map((type) => type.trim())
+      .filter(Boolean);
+
+    const unknown = types.filter(
+      (type) => !Object.values(service.EVENT_TYPES).includes(type)
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown event type(s): ${unknown.join(", ")}`,
+        available: Object.values(service.EVENT_TYPES),
+      });
+    }
+
+    const forbidden = types.filter((type) => !allowedTypes.includes(type));
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Role ${user.role} cannot subscribe to: ${forbidden.join(
+          ", "
+        )}`,
+      });
+    }
+  }
+
+  if (types.length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: `Role ${user.role} has no stream access`,
+    });
+  }
+
+  // ========================================
+  // OPEN STREAM
+  // ========================================
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable nginx buffering
+  });
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  res.write(
+    `event: ready\ndata: ${JSON.stringify({
+      ipal_id: ipalId,
+      events: types,
+    })}\n\n`
+  );
+
+  const lastEventId = parseInt(req.headers["last-event-id"]) || null;
+
+  const unsubscribe = service.subscribe(
+    { role: user.role, ipal_id: ipalId, types },
+    (event) => writeEvent(res, event),
+    lastEventId
+  );
+
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, HEARTBEAT_INTERVAL);
+
+  console.log(
+    `📡 Stream opened: ${user.email} (IPAL: ${
+      ipalId || "all"
+    }, ${service.getSubscriberCount()} client(s))`
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`📴 Stream closed: ${user.email}`);
+  });
+};
+
+console.log("📦 streamController loaded");
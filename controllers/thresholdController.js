@@ -0,0 +1,235 @@
+/**
+ * ========================================
+ * THRESHOLD PROFILE CONTROLLER
+ * ========================================
+ * Baku mutu (quality standard) profile per IPAL
+ * - Get current profile (falls back to default THRESHOLDS)
+ * - Get version history / specific version
+ * - Save new version (admin only)
+ *
+ * Readings store threshold_profile_version they were scored with.
+ */
+
+const { db } = require("../config/firebase-config");
+const cacheService = require("../services/cacheService");
+const { validateThresholdProfile } = require("../services/validationService");
+const {
+  THRESHOLDS,
+  DEFAULT_PROFILE_VERSION,
+} = require("../services/fuzzyService");
+
+// ⚡ Lazy load model to reduce cold start
+let thresholdProfileModel;
+
+const getThresholdProfileModel = () => {
+  if (!thresholdProfileModel) {
+    thresholdProfileModel = require("../models/thresholdProfileModel");
+  }
+  return thresholdProfileModel;
+};
+
+/**
+ * Check IPAL exists
+ */
+async function ipalExists(ipalId) {
+  const snapshot = await db
+    .collection("ipals")
+    .where("ipal_id", "==", ipalId)
+    .limit(1)
+    .get();
+
+  return !snapshot.empty;
+}
+
+/**
+ * Default profile response (IPAL without own profile)
+ */
+function defaultProfile(ipalId) {
+  return {
+    ipal_id: ipalId,
+    version: DEFAULT_PROFILE_VERSION,
+    thresholds: THRESHOLDS,
+    permit_reference: null,
+    source: "default",
+  };
+}
+
+/**
+ * GET CURRENT PROFILE
+ * Endpoint: GET /api/ipals/:ipal_id/thresholds
+ */
+exports.getThresholdProfile = async (req, res) => {
+  try {
+    const ipalId = parseInt(req.params.ipal_id);
+
+    if (isNaN(ipalId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ipal_id must be a number",
+      });
+    }
+
+    const profile = await getThresholdProfileModel().getCurrentProfile(ipalId);
+
+    return res.status(200).json({
+      success: true,
+      data: profile ? { ...profile, source: "ipal" } : defaultProfile(ipalId),
+    });
+  } catch (error) {
+    console.error("💥 Error fetching threshold profile:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch threshold profile",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET PROFILE HISTORY
+ * Endpoint: GET /api/ipals/:ipal_id/thresholds/history
+ */
+exports.getThresholdHistory = async (req, res) => {
+  try {
+    const ipalId = parseInt(req.params.ipal_id);
+
+    if (isNaN(ipalId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ipal_id must be a number",
+      });
+    }
+
+    const versions = await getThresholdProfileModel().getProfileHistory(ipalId);
+
+    return res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: versions,
+    });
+  } catch (error) {
+    console.error("💥 Error fetching threshold history:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch threshold profile history",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET SPECIFIC PROFILE VERSION
+ * Endpoint: GET /api/ipals/:ipal_id/thresholds/versions/:version
+ * Version 0 = default THRESHOLDS
+ */
+exports.getThresholdVersion = async (req, res) => {
+  try {
+    const ipalId = parseInt(req.params.ipal_id);
+    const version = parseInt(req.params.version);
+
+    if (isNaN(ipalId) || isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        message: "ipal_id and version must be numbers",
+      });
+    }
+
+    if (version === DEFAULT_PROFILE_VERSION) {
+      return res.status(200).json({
+        success: true,
+        data: defaultProfile(ipalId),
+      });
+    }
+
+    const profile = await getThresholdProfileModel().getProfileVersion(
+      ipalId,
+      version
+    );
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: `Threshold profile v${version} for IPAL ${ipalId} not found`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { ...profile, source: "ipal" },
+    });
+  } catch (error) {
+    console.error("💥 Error fetching threshold version:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch threshold profile version",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * SAVE NEW PROFILE VERSION
+ * Endpoint: PUT /api/ipals/:ipal_id/thresholds
+ * Body: { thresholds: { ph, tds, turbidity, temperature }, permit_reference?, notes? }
+ */
+exports.updateThresholdProfile = async (req, res) => {
+  try {
+    const ipalId = parseInt(req.params.ipal_id);
+
+    if (isNaN(ipalId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ipal_id must be a number",
+      });
+    }
+
+    const { error, value } = validateThresholdProfile(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.details.map((d) => d.message),
+      });
+    }
+
+    if (!(await ipalExists(ipalId))) {
+      return res.status(404).json({
+        success: false,
+        message: `IPAL with ID ${ipalId} not found`,
+      });
+    }
+
+    console.log(
+      `📏 Updating baku mutu profile for IPAL ${ipalId} by ${req.user.email}`
+    );
+
+    const profile = await getThresholdProfileModel().saveProfile(
+      ipalId,
+      value,
+      req.user.email
+    );
+
+    // New readings must be scored with the new version immediately
+    cacheService.invalidate(cacheService.KEYS.THRESHOLD_PROFILE(ipalId));
+
+    return res.status(200).json({
+      success: true,
+      message: `Threshold profile for IPAL ${ipalId} saved as version ${profile.version}`,
+      data: {
+        ...profile,
+        created_at: new Date().toISOString(),
+        source: "ipal",
+      },
+    });
+  } catch (error) {
+    console.error("💥 Error updating threshold profile:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update threshold profile",
+      error: error.message,
+    });
+  }
+};
+
+console.log("📦 thresholdController loaded");
@@ -133,8 +133,17 @@ exports.getAllUsers = async (req, res) => {
 
     console.log(`📋 Fetching all users (requested by: ${req.user.email})`);
 
-    // Get all users from Firestore
-    const usersSnapshot = await db.collection("users").get();
+    // Get all users + registered push devices from Firestore
+    const [usersSnapshot, tokensSnapshot] = await Promise.all([
+      db.collection("users").get(),
+      db.collection("fcm_tokens").get(),
+    ]);
+
+    const deviceCounts = {};
+    tokensSnapshot.forEach((doc) => {
+      const uid = doc.data().uid;
+      deviceCounts[uid] = (deviceCounts[uid] || 0) + 1;
+    });
 
     const users = [];
     usersSnapshot.forEach((doc) => {
@@ -145,7 +154,8 @@ exports.getAllUsers = async (req, res) => {
         username: userData.username,
         role: userData.role,
         created_at: userData.created_at,
-        fcm_token: userData.fcm_token ? "✓" : null, // Don't expose actual token
+        fcm_token: deviceCounts[doc.id] || userData.fcm_token ? "✓" : null, // Don't expose actual token
+        fcm_devices: deviceCounts[doc.id] || 0,
       });
     });
 
@@ -7,6 +7,7 @@
  *
  * Routes:
  * - POST   /api/water-quality/submit          (ESP32 endpoint)
+ * - POST   /api/water-quality/submit-batch    (ESP32 offline backlog)
  * - GET    /api/water-quality/buffer-status   (monitoring)
  * - DELETE /api/water-quality/cleanup-buffer  (maintenance)
  * - GET    /api/water-quality/readings        (get readings)
@@ -16,6 +17,8 @@
 // ⚡ Lazy load services to reduce cold start
 let waterQualityService;
 let waterQualityModel;
+let validationService;
+let mqttGatewayService;
 let invalidateCache;
 
 const getWaterQualityService = () => {
@@ -32,6 +35,20 @@ const getWaterQualityModel = () => {
   return waterQualityModel;
 };
 
+const getValidationService = () => {
+  if (!validationService) {
+    validationService = require("../services/validationService");
+  }
+  return validationService;
+};
+
+const getMqttGatewayService = () => {
+  if (!mqttGatewayService) {
+    mqttGatewayService = require("../services/mqttGatewayService");
+  }
+  return mqttGatewayService;
+};
+
 const getCacheInvalidator = () => {
   if (!invalidateCache) {
     ({ invalidateCache } = require("../middleware/cacheMiddleware"));
@@ -48,7 +65,7 @@ const getCacheInvalidator = () => {
 /**
  * POST /api/water-quality/submit
  * Main endpoint for ESP32 to submit sensor readings
- * NO AUTH required (device endpoint)
+ * DEVICE AUTH required (requireDevice middleware)
  */
 exports.submitReading = async (req, res) => {
   try {
@@ -145,6 +162,54 @@ exports.submitReading = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/water-quality/submit-batch
+ * Offline backlog from ESP32 (readings with device-side timestamps)
+ * DEVICE AUTH required (requireDevice middleware)
+ */
+exports.submitBacklog = async (req, res) => {
+  try {
+    const { error, value } = getValidationService().validateBacklog(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.details.map((d) => d.message),
+      });
+    }
+
+    console.log(
+      `📥 Received backlog of ${value.readings.length} reading(s) from ${value.device_id}`
+    );
+
+    const result = await getWaterQualityService().submitBacklog(value);
+
+    // ♻️ Invalidate related caches when readings were created
+    if (result.paired > 0) {
+      getCacheInvalidator()([
+        "/api/dashboard",
+        "/api/sensors/readings",
+        "/api/alerts",
+      ]);
+      console.log("♻️  Cache invalidated for backfilled readings");
+    }
+
+    return res.status(200).json({
+      success: result.accepted > 0,
+      message: `${result.accepted} reading(s) accepted (${result.paired} paired), ${result.rejected} rejected`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("❌ Error in submitBacklog:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * ========================================
  * MONITORING & DEBUGGING ENDPOINTS
@@ -447,6 +512,7 @@ exports.healthCheck = async (req, res) => {
       success: true,
       message: "Water Quality Service is running",
       timestamp: new Date().toISOString(),
+      mqtt_gateway: getMqttGatewayService().getStatus(),
     });
   } catch (error) {
     return res.status(500).json({
@@ -0,0 +1,123 @@
+/**
+ * ========================================
+ * CLOUD FUNCTIONS ENTRY POINT
+ * ========================================
+ * Deploy: firebase deploy --only functions (lihat firebase.json)
+ *
+ * API berjalan di Vercel (server.js); yang perlu jalan setelah response
+ * terkirim atau secara terjadwal dijalankan di sini:
+ * - onNewWaterQualityReading: analisis reading baru (analysisPipeline)
+ * - onNewReportJob: generate async report job begitu dibuat
+ * - SCHEDULED_JOBS: satu scheduled function per background job
+ *   (jobs/index.js), dijalankan lewat schedulerService.runJob sehingga
+ *   tetap tercatat di job_runs. Di Vercel schedulerService tidak jalan,
+ *   jadi ini satu-satunya runner job di production.
+ *
+ * Kalau server.js juga jalan sebagai long-lived server di samping
+ * deployment ini, set JOBS_ENABLED=false di server tersebut supaya
+ * job tidak jalan dua kali.
+ */
+
+const functions = require("firebase-functions/v1");
+
+const { onNewWaterQualityReading } = require("./triggers/readingTrigger");
+const { onNewReportJob } = require("./triggers/reportJobTrigger");
+
+// ========================================
+// KONFIGURASI
+// ========================================
+
+const CONFIG = {
+  REGION: process.env.FUNCTIONS_REGION || "asia-southeast2",
+  TIMEZONE: process.env.JOB_TIMEZONE || "Asia/Jakarta",
+  // Report besar: fetch semua reading + generate file di memory
+  REPORT_RUNTIME: { timeoutSeconds: 540, memory: "1GB" },
+};
+
+/**
+ * Scheduled jobs: export name → job (jobs/*.js)
+ * schedule = defaultSchedule job (samakan kalau job diubah); override
+ * JOB_<NAME>_SCHEDULE / JOB_<NAME>_ENABLED / JOBS_ENABLED seperti
+ * schedulerService. Registry tidak di-require di sini supaya trigger
+ * lain tidak ikut memuat semua job saat cold start.
+ */
+const SCHEDULED_JOBS = {
+  bufferCleanupJob: { job: "buffer-cleanup", schedule: "*/10 * * * *" },
+  orphanReadingsJob: { job: "orphan-readings", schedule: "* * * * *" },
+  incompleteReadingsJob: {
+    job: "incomplete-readings",
+    schedule: "*/5 * * * *",
+  },
+  analysisRetryJob: { job: "analysis-retry", schedule: "*/5 * * * *" },
+  sensorOfflineSweepJob: {
+    job: "sensor-offline-sweep",
+    schedule: "*/5 * * * *",
+  },
+  dailyDigestJob: { job: "daily-digest", schedule: "0 7 * * *" },
+  deviceCommandExpiryJob: {
+    job: "device-command-expiry",
+    schedule: "*/5 * * * *",
+  },
+  alertEscalationJob: { job: "alert-escalation", schedule: "* * * * *" },
+  notificationRetryJob: { job: "notification-retry", schedule: "* * * * *" },
+  scheduledReportsJob: {
+    job: "scheduled-reports",
+    schedule: "0 * * * *",
+    runtime: CONFIG.REPORT_RUNTIME,
+  },
+  reportJobsWorker: {
+    job: "report-jobs",
+    schedule: "* * * * *",
+    runtime: CONFIG.REPORT_RUNTIME,
+  },
+};
+
+/**
+ * "daily-digest" → "JOB_DAILY_DIGEST" (sama dengan schedulerService)
+ */
+function envPrefix(jobName) {
+  return `JOB_${jobName.toUpperCase().replace(/-/g, "_")}`;
+}
+
+// Builder baru per function: runWith() mengubah builder yang dipakai
+const region = () => functions.region(CONFIG.REGION);
+
+// ========================================
+// FIRESTORE TRIGGERS
+// ========================================
+
+exports.onNewWaterQualityReading = region()
+  .firestore.document("water_quality_readings/{readingId}")
+  .onCreate(onNewWaterQualityReading);
+
+exports.onNewReportJob = region()
+  .runWith(CONFIG.REPORT_RUNTIME)
+  .firestore.document("report_jobs/{jobId}")
+  .onCreate(onNewReportJob);
+
+// ========================================
+// SCHEDULED
+// ========================================
+
+if (process.env.JOBS_ENABLED !== "false") {
+  Object.entries(SCHEDULED_JOBS).forEach(([exportName, config]) => {
+    const prefix = envPrefix(config.job);
+
+    if (process.env[`${prefix}_ENABLED`] === "false") {
+      return;
+    }
+
+    exports[exportName] = region()
+      .runWith(config.runtime || {})
+      .pubsub.schedule(process.env[`${prefix}_SCHEDULE`] || config.schedule)
+      .timeZone(CONFIG.TIMEZONE)
+      .onRun(async () => {
+        // ⚡ Lazy: scheduler loads the job registry
+        const { runJob } = require("../services/schedulerService");
+        const run = await runJob(config.job, { trigger: "schedule" });
+        return run.result || null;
+      });
+  });
+}
+
+console.log("📦 functions index loaded");
@@ -1,11 +1,13 @@
 const { admin, db } = require("../../config/firebase-config");
-const { analyzeFuzzy } = require("../../utils/fuzzyLogicHelper");
+const { analyzeReading } = require("../../services/analysisPipeline");
 
 /**
  * Firestore Trigger: onCreate water_quality_readings
  *
  * Otomatis dijalankan setiap ada data baru di collection water_quality_readings
- * Akan menjalankan fuzzy logic dan membuat alert jika perlu
+ * Analisis & alert dijalankan lewat analysisPipeline (sama dengan submit API).
+ * Reading yang sudah dianalisis / sedang diproses oleh submit akan di-skip
+ * (lihat reading.analysis_state).
  */
 async function onNewWaterQualityReading(snapshot, context) {
   try {
@@ -19,73 +21,27 @@ async function onNewWaterQualityReading(snapshot, context) {
       timestamp: data.timestamp?.toDate().toISOString(),
     });
 
-    // 1. Jalankan Fuzzy Logic Analysis
-    console.log("🧠 Running fuzzy logic analysis...");
+    const result = await analyzeReading(readingId, { source: "trigger" });
 
-    const fuzzyResult = analyzeFuzzy(data.inlet, data.outlet);
-
-    console.log(`✅ Analysis complete: ${fuzzyResult.alertCount} alerts found`);
-    console.log(`📊 Quality Score: ${fuzzyResult.qualityScore}/100`);
-    console.log(`🎯 Status: ${fuzzyResult.status}`);
-
-    // 2. Simpan hasil analisis ke reading document
-    await snapshot.ref.update({
-      fuzzy_analysis: {
-        quality_score: fuzzyResult.qualityScore,
-        status: fuzzyResult.status,
-        alert_count: fuzzyResult.alertCount,
-        analyzed_at: admin.firestore.FieldValue.serverTimestamp(),
-      },
-    });
-
-    console.log("✅ Fuzzy analysis result saved to reading document");
-
-    // 3. Jika ada alert, simpan ke collection alerts
-    if (fuzzyResult.hasAlert) {
-      console.log(`⚠️  Creating ${fuzzyResult.alertCount} alert(s)...`);
-
-      const alertPromises = fuzzyResult.alerts.map(async (alert) => {
-        const alertData = {
-          ipal_id: data.ipal_id,
-          reading_id: readingId,
-          parameter: alert.parameter,
-          location: alert.location,
-          rule: alert.rule,
-          message: alert.message,
-          severity: alert.severity,
-          inlet_value: alert.inlet_value,
-          outlet_value: alert.outlet_value,
-          difference: alert.difference || null,
-          reduction: alert.reduction || null,
-          threshold: alert.threshold || null,
-          status: "active",
-          timestamp:
-            data.timestamp || admin.firestore.FieldValue.serverTimestamp(),
-          created_at: admin.firestore.FieldValue.serverTimestamp(),
-        };
-
-        // Simpan ke collection alerts
-        const alertRef = await db.collection("alerts").add(alertData);
-
-        console.log(`✅ Alert created: ${alertRef.id} - ${alert.rule}`);
-
-        return alertRef.id;
-      });
-
-      await Promise.all(alertPromises);
-
-      console.log(
-        `✅ All ${fuzzyResult.alertCount} alert(s) saved successfully`
-      );
-    } else {
-      console.log("✅ No alerts triggered - Water quality is good");
+    if (result.skipped) {
+      console.log(`⏭️  Reading ${readingId} skipped: ${result.reason}`);
+      return {
+        success: true,
+        readingId,
+        skipped: true,
+        reason: result.reason,
+      };
     }
 
+    console.log(
+      `✅ Analysis complete: ${result.alerts.length} alert(s), score ${result.fuzzy_analysis.quality_score}/100`
+    );
+
     return {
       success: true,
       readingId,
-      alertCount: fuzzyResult.alertCount,
-      qualityScore: fuzzyResult.qualityScore,
+      alertCount: result.alerts.length,
+      qualityScore: result.fuzzy_analysis.quality_score,
     };
   } catch (error) {
     console.error("💥 Error in readingTrigger:", error);
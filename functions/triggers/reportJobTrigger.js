@@ -0,0 +1,39 @@
+const { processJob } = require("../../services/reportJobService");
+
+/**
+ * Firestore Trigger: onCreate report_jobs
+ *
+ * Generate report job di Cloud Functions (timeout lebih panjang dari
+ * request serverless). Job yang sudah diambil instance lain (lease)
+ * di-skip oleh processJob. Di-deploy lewat functions/index.js.
+ */
+async function onNewReportJob(snapshot, context) {
+  const jobId = context.params.jobId;
+
+  try {
+    console.log("🔔 New report job:", jobId);
+
+    const status = await processJob(jobId);
+
+    if (!status) {
+      console.log(`⏭️  Report job ${jobId} skipped: claimed elsewhere`);
+      return { success: true, jobId, skipped: true };
+    }
+
+    return { success: status === "completed", jobId, status };
+  } catch (error) {
+    console.error("💥 Error in reportJobTrigger:", error);
+
+    // Log error tapi jangan throw; report-jobs worker mengambil alih
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+module.exports = {
+  onNewReportJob,
+};
+
+console.log("📦 reportJobTrigger loaded");
@@ -0,0 +1,22 @@
+/**
+ * ========================================
+ * JOB: ALERT ESCALATION
+ * ========================================
+ * Jalankan step escalation yang sudah jatuh tempo
+ * (mis. manager T+15, admin T+60) untuk alert yang belum di-acknowledge
+ * Production (Vercel): functions/index.js alertEscalationJob
+ */
+
+const escalationService = require("../services/escalationService");
+
+module.exports = {
+  name: "alert-escalation",
+  description: "Run due escalation steps for unacknowledged alerts",
+  defaultSchedule: "* * * * *",
+
+  async run() {
+    return escalationService.processDueEscalations();
+  },
+};
+
+console.log("📦 alertEscalationJob loaded");
@@ -0,0 +1,71 @@
+/**
+ * ========================================
+ * JOB: ANALYSIS RETRY
+ * ========================================
+ * Analisis ulang reading yang gagal (analysis_state.status = failed)
+ * atau macet di processing lebih dari STALE_CLAIM_AFTER menit.
+ * Setelah MAX_ATTEMPTS reading di-abandon dan admin dikirimi email.
+ */
+
+const analysisPipeline = require("../services/analysisPipeline");
+const notificationService = require("../services/notificationService");
+
+/**
+ * Build admin email for abandoned analyses
+ */
+function buildEmailHTML(abandoned) {
+  const rows = abandoned
+    .map(
+      (r) => `<tr>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">IPAL ${r.ipal_id}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${r.reading_id}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${r.attempts}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${r.error}</td>
+      </tr>`
+    )
+    .join("");
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+      <h2 style="color: #dc2626;">❌ Water Quality Analysis Abandoned</h2>
+      <p>Reading berikut gagal dianalisis ${analysisPipeline.CONFIG.MAX_ATTEMPTS} kali dan tidak akan dicoba lagi.
+      Alert untuk reading ini belum dibuat, cek log error lalu analisis ulang secara manual.</p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <thead>
+          <tr style="background: #f3f4f6; text-align: left;">
+            <th style="padding: 8px;">IPAL</th>
+            <th style="padding: 8px;">Reading</th>
+            <th style="padding: 8px;">Attempts</th>
+            <th style="padding: 8px;">Last Error</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+module.exports = {
+  name: "analysis-retry",
+  description:
+    "Retry failed or stuck reading analyses and report abandoned ones",
+  defaultSchedule: "*/5 * * * *",
+
+  async run() {
+    const summary = await analysisPipeline.retryStuckAnalyses();
+
+    if (summary.abandoned.length === 0) {
+      return summary;
+    }
+
+    const notification = await notificationService.notifyAdmins({
+      subject: `❌ ${summary.abandoned.length} reading analysis abandoned`,
+      html: buildEmailHTML(summary.abandoned),
+      priority: "high",
+    });
+
+    return { ...summary, admins_notified: notification.success === true };
+  },
+};
+
+console.log("📦 analysisRetryJob loaded");
@@ -0,0 +1,26 @@
+/**
+ * ========================================
+ * JOB: BUFFER CLEANUP
+ * ========================================
+ * Hapus dokumen readings_buffer yang sudah expired
+ * (unmerged buffer disimpan sampai dilaporkan incomplete)
+ */
+
+const waterQualityService = require("../services/waterQualityService");
+
+module.exports = {
+  name: "buffer-cleanup",
+  description: "Delete expired readings_buffer documents",
+  defaultSchedule: "*/10 * * * *",
+
+  async run() {
+    const result = await waterQualityService.cleanupExpiredBuffer();
+
+    return {
+      deleted: result.deleted,
+      kept: result.kept || 0,
+    };
+  },
+};
+
+console.log("📦 bufferCleanupJob loaded");
@@ -0,0 +1,162 @@
+/**
+ * ========================================
+ * JOB: DAILY DIGEST
+ * ========================================
+ * Ringkasan 24 jam terakhir per IPAL (jumlah reading, rata-rata skor,
+ * alert baru, alert aktif, sensor offline) dikirim ke user yang memilih
+ * daily_digest di notification preferences (default: admin & manager).
+ * User dengan IPAL subscription hanya menerima IPAL yang mereka pilih.
+ */
+
+const { db } = require("../config/firebase-config");
+const emailService = require("../services/emailService");
+const notificationService = require("../services/notificationService");
+
+const PERIOD_HOURS = 24;
+
+/**
+ * Build digest for one IPAL
+ */
+async function buildIpalDigest(ipal, periodStart) {
+  const [readingsSnapshot, alertsSnapshot, activeSnapshot, sensorsSnapshot] =
+    await Promise.all([
+      db
+        .collection("water_quality_readings")
+        .where("ipal_id", "==", ipal.ipal_id)
+        .where("timestamp", ">=", periodStart)
+        .get(),
+      db
+        .collection("alerts")
+        .where("ipal_id", "==", ipal.ipal_id)
+        .where("timestamp", ">=", periodStart)
+        .get(),
+      db
+        .collection("alerts")
+        .where("ipal_id", "==", ipal.ipal_id)
+        .where("status", "==", "active")
+        .get(),
+      db
+        .collection("sensors")
+        .where("ipal_id", "==", ipal.ipal_id)
+        .where("status", "==", "active")
+        .get(),
+    ]);
+
+  const scores = readingsSnapshot.docs
+    .map((doc) => doc.data().fuzzy_analysis?.quality_score)
+    .filter((score) => typeof score === "number");
+
+  const alerts = { total: alertsSnapshot.size, critical: 0, high: 0 };
+  alertsSnapshot.forEach((doc) => {
+    const severity = doc.data().severity;
+    if (severity === "critical") alerts.critical++;
+    if (severity === "high") alerts.high++;
+  });
+
+  // online_status diisi oleh sensor-offline-sweep job
+  const offlineSensors = sensorsSnapshot.docs.filter(
+    (doc) => doc.data().online_status === "offline"
+  ).length;
+
+  return {
+    ipal_id: ipal.ipal_id,
+    ipal_location: ipal.ipal_location || "-",
+    reading_count: readingsSnapshot.size,
+    avg_quality_score:
+      scores.length > 0
+        ? Math.round(
+            (scores.reduce((sum, s) => sum + s, 0) / scores.length) * 10
+          ) / 10
+        : null,
+    alerts,
+    active_alerts: activeSnapshot.size,
+    offline_sensors: offlineSensors,
+  };
+}
+
+module.exports = {
+  name: "daily-digest",
+  description: "Email a 24h summary per IPAL to admins and managers",
+  defaultSchedule: "0 7 * * *",
+
+  async run() {
+    const periodEnd = new Date();
+    const periodStart = new Date(
+      periodEnd.getTime() - PERIOD_HOURS * 60 * 60 * 1000
+    );
+
+    const ipalsSnapshot = await db
+      .collection("ipals")
+      .where("status", "==", "active")
+      .get();
+
+    const ipals = [];
+    for (const doc of ipalsSnapshot.docs) {
+      ipals.push(await buildIpalDigest(doc.data(), periodStart));
+    }
+
+    const digest = {
+      period_start: periodStart.toISOString(),
+      period_end: periodEnd.toISOString(),
+      ipals,
+    };
+
+    if (ipals.length === 0) {
+      return { ...digest, sent: false, message: "No active IPAL" };
+    }
+
+    const recipients = await notificationService.getDigestRecipients();
+
+    if (recipients.length === 0) {
+      return { ...digest, sent: false, message: "No digest recipients" };
+    }
+
+    // 1 email per IPAL subscription set
+    const groups = new Map();
+    recipients.forEach(({ email, ipal_ids }) => {
+      const key = ipal_ids ? [...ipal_ids].sort().join(",") : "all";
+      if (!groups.has(key)) {
+        groups.set(key, { ipal_ids, emails: [] });
+      }
+      groups.get(key).emails.push(email);
+    });
+
+    const subject = `📊 Ringkasan Harian IPAL - ${periodEnd.toLocaleDateString(
+      "id-ID",
+      { timeZone: "Asia/Jakarta" }
+    )}`;
+
+    let emailsSent = 0;
+    for (const { ipal_ids, emails } of groups.values()) {
+      const groupIpals = ipal_ids
+        ? ipals.filter((ipal) => ipal_ids.includes(ipal.ipal_id))
+        : ipals;
+
+      if (groupIpals.length === 0) {
+        continue;
+      }
+
+      const result = await emailService.sendEmail({
+        to: emails,
+        subject,
+        html: emailService.generateDigestEmailHTML({
+          ...digest,
+          ipals: groupIpals,
+        }),
+      });
+
+      if (result.success) {
+        emailsSent++;
+      }
+    }
+
+    return {
+      ...digest,
+      sent: emailsSent > 0,
+      recipients: recipients.length,
+      emails_sent: emailsSent,
+    };
+  },
+};
+
+console.log("📦 dailyDigestJob loaded");
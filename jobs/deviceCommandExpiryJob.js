@@ -0,0 +1,21 @@
+/**
+ * ========================================
+ * JOB: DEVICE COMMAND EXPIRY
+ * ========================================
+ * Tandai command device yang belum di-ack melewati TTL
+ * (ttl_minutes saat dikirim) sebagai expired
+ */
+
+const deviceCommandService = require("../services/deviceCommandService");
+
+module.exports = {
+  name: "device-command-expiry",
+  description: "Expire device commands that were not acked before their TTL",
+  defaultSchedule: "*/5 * * * *",
+
+  async run() {
+    return deviceCommandService.expireCommands();
+  },
+};
+
+console.log("📦 deviceCommandExpiryJob loaded");
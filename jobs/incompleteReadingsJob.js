@@ -0,0 +1,121 @@
+/**
+ * ========================================
+ * JOB: INCOMPLETE READING DETECTION
+ * ========================================
+ * Cari buffer inlet/outlet yang pasangannya tidak datang
+ * (> ALERT_INCOMPLETE_AFTER menit), kirim email ke admin,
+ * lalu tandai incomplete_detected_at supaya tidak dilaporkan ulang.
+ */
+
+const { db } = require("../config/firebase-config");
+const waterQualityService = require("../services/waterQualityService");
+const waterQualityModel = require("../models/waterQualityModel");
+const notificationService = require("../services/notificationService");
+
+/**
+ * Build admin email for incomplete readings
+ */
+function buildEmailHTML(ipalResults) {
+  const rows = ipalResults
+    .map(({ ipal_id, ipal_location, readings }) =>
+      readings
+        .map((r) => {
+          const time = r.timestamp?.toDate
+            ? r.timestamp.toDate().toISOString()
+            : "-";
+          const missing = r.location === "inlet" ? "outlet" : "inlet";
+          return `<tr>
+            <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">IPAL ${ipal_id} - ${ipal_location}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${r.location}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${missing}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${time}</td>
+          </tr>`;
+        })
+        .join("")
+    )
+    .join("");
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+      <h2 style="color: #d97706;">⚠️ Incomplete Sensor Readings</h2>
+      <p>Data berikut tidak mendapatkan pasangan inlet/outlet dalam ${waterQualityService.CONFIG.ALERT_INCOMPLETE_AFTER} menit.
+      Kemungkinan ESP32 atau koneksi jaringan bermasalah.</p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <thead>
+          <tr style="background: #f3f4f6; text-align: left;">
+            <th style="padding: 8px;">IPAL</th>
+            <th style="padding: 8px;">Received</th>
+            <th style="padding: 8px;">Missing</th>
+            <th style="padding: 8px;">Timestamp</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+module.exports = {
+  name: "incomplete-readings",
+  description: "Detect unpaired inlet/outlet buffer readings and notify admins",
+  defaultSchedule: "*/5 * * * *",
+
+  async run() {
+    const ipalsSnapshot = await db
+      .collection("ipals")
+      .where("status", "==", "active")
+      .get();
+
+    const ipalResults = [];
+
+    for (const ipalDoc of ipalsSnapshot.docs) {
+      const ipal = ipalDoc.data();
+      const check = await waterQualityService.checkIncompleteReadings(
+        ipal.ipal_id
+      );
+
+      if (!check.hasIncomplete) continue;
+
+      // Hanya laporkan yang belum pernah dilaporkan
+      const newReadings = check.readings.filter(
+        (r) => !r.incomplete_detected_at
+      );
+
+      if (newReadings.length > 0) {
+        ipalResults.push({
+          ipal_id: ipal.ipal_id,
+          ipal_location: ipal.ipal_location || "-",
+          readings: newReadings,
+        });
+      }
+    }
+
+    const total = ipalResults.reduce((sum, r) => sum + r.readings.length, 0);
+
+    if (total === 0) {
+      return { checked_ipals: ipalsSnapshot.size, incomplete: 0 };
+    }
+
+    const notification = await notificationService.notifyAdmins({
+      subject: `⚠️ ${total} incomplete sensor reading(s) detected`,
+      html: buildEmailHTML(ipalResults),
+      priority: "high",
+    });
+
+    await waterQualityModel.markBufferIncomplete(
+      ipalResults.flatMap((r) => r.readings.map((reading) => reading.id))
+    );
+
+    return {
+      checked_ipals: ipalsSnapshot.size,
+      incomplete: total,
+      ipals: ipalResults.map((r) => ({
+        ipal_id: r.ipal_id,
+        count: r.readings.length,
+      })),
+      admins_notified: notification.success === true,
+    };
+  },
+};
+
+console.log("📦 incompleteReadingsJob loaded");
@@ -0,0 +1,21 @@
+/**
+ * ========================================
+ * JOB REGISTRY
+ * ========================================
+ * Setiap job: { name, description, defaultSchedule, run() }
+ * run() mengembalikan ringkasan hasil (disimpan di job_runs)
+ */
+
+module.exports = [
+  require("./bufferCleanupJob"),
+  require("./orphanReadingsJob"),
+  require("./incompleteReadingsJob"),
+  require("./analysisRetryJob"),
+  require("./sensorOfflineSweepJob"),
+  require("./dailyDigestJob"),
+  require("./deviceCommandExpiryJob"),
+  require("./alertEscalationJob"),
+  require("./notificationRetryJob"),
+  require("./scheduledReportsJob"),
+  require("./reportJobsJob"),
+];
@@ -0,0 +1,22 @@
+/**
+ * ========================================
+ * JOB: NOTIFICATION RETRY
+ * ========================================
+ * Kirim ulang notifikasi di outbox yang gagal (status pending,
+ * next_retry_at sudah lewat) dengan backoff 1m, 5m, 15m, 60m
+ * Production (Vercel): functions/index.js notificationRetryJob
+ */
+
+const notificationOutboxService = require("../services/notificationOutboxService");
+
+module.exports = {
+  name: "notification-retry",
+  description: "Retry pending notifications from the outbox",
+  defaultSchedule: "* * * * *",
+
+  async run() {
+    return notificationOutboxService.processDueNotifications();
+  },
+};
+
+console.log("📦 notificationRetryJob loaded");
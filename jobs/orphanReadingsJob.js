@@ -0,0 +1,45 @@
+/**
+ * ========================================
+ * JOB: ORPHANED READINGS
+ * ========================================
+ * Buffer inlet/outlet yang tidak mendapat pasangan dalam
+ * MERGE_TIME_WINDOW diproses sesuai orphan_policy IPAL
+ * (discard / partial / pair_last_known).
+ */
+
+const { db } = require("../config/firebase-config");
+const waterQualityService = require("../services/waterQualityService");
+
+module.exports = {
+  name: "orphan-readings",
+  description: "Process single-sided buffer readings per IPAL orphan policy",
+  defaultSchedule: "* * * * *",
+
+  async run() {
+    const ipalsSnapshot = await db
+      .collection("ipals")
+      .where("status", "==", "active")
+      .get();
+
+    const ipals = [];
+
+    for (const ipalDoc of ipalsSnapshot.docs) {
+      const ipalId = ipalDoc.data().ipal_id;
+      const result = await waterQualityService.processOrphanedReadings(ipalId);
+
+      if (result.orphans > 0) {
+        ipals.push({ ipal_id: ipalId, ...result });
+      }
+    }
+
+    return {
+      checked_ipals: ipalsSnapshot.size,
+      processed: ipals.reduce((sum, r) => sum + r.processed, 0),
+      discarded: ipals.reduce((sum, r) => sum + r.discarded, 0),
+      failed: ipals.reduce((sum, r) => sum + r.failed, 0),
+      ipals,
+    };
+  },
+};
+
+console.log("📦 orphanReadingsJob loaded");
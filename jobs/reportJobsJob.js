@@ -0,0 +1,21 @@
+/**
+ * ========================================
+ * JOB: REPORT JOBS
+ * ========================================
+ * Generate async report jobs yang belum selesai (mis. instance serverless
+ * berhenti sebelum selesai) & hapus file report yang sudah expired
+ */
+
+const reportJobService = require("../services/reportJobService");
+
+module.exports = {
+  name: "report-jobs",
+  description: "Generate pending report jobs and delete expired report files",
+  defaultSchedule: "* * * * *",
+
+  async run() {
+    return reportJobService.processPendingJobs();
+  },
+};
+
+console.log("📦 reportJobsJob loaded");
@@ -0,0 +1,22 @@
+/**
+ * ========================================
+ * JOB: SCHEDULED REPORTS
+ * ========================================
+ * Kirim laporan terjadwal (PDF/Excel/CSV) via email untuk periode
+ * sebelumnya, sesuai cadence & jam kirim tiap report schedule
+ * Production (Vercel): functions/index.js scheduledReportsJob
+ */
+
+const reportScheduleService = require("../services/reportScheduleService");
+
+module.exports = {
+  name: "scheduled-reports",
+  description: "Email scheduled reports for the previous period",
+  defaultSchedule: "0 * * * *",
+
+  async run() {
+    return reportScheduleService.processDueSchedules();
+  },
+};
+
+console.log("📦 scheduledReportsJob loaded");
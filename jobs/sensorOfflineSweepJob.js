@@ -0,0 +1,157 @@
+/**
+ * ========================================
+ * JOB: SENSOR OFFLINE SWEEP
+ * ========================================
+ * Hitung online/offline semua sensor aktif (sama seperti sensorController:
+ * offline jika tidak ada update > OFFLINE_AFTER menit), simpan
+ * online_status pada dokumen sensor dan email admin saat sensor
+ * berubah online → offline. Setiap perubahan dipublish ke realtime stream.
+ */
+
+const { admin, db } = require("../config/firebase-config");
+const notificationService = require("../services/notificationService");
+const realtimeService = require("../services/realtimeService");
+const {
+  OFFLINE_AFTER_MINUTES: OFFLINE_AFTER,
+} = require("../models/sensorModel");
+
+/**
+ * Resolve last update time of a sensor document
+ */
+function getLastUpdate(data) {
+  const lastUpdateField =
+    data.last_updated_at || data.latest_reading?.timestamp;
+
+  if (!lastUpdateField) return null;
+
+  return lastUpdateField.toDate
+    ? lastUpdateField.toDate()
+    : new Date(lastUpdateField);
+}
+
+function buildEmailHTML(sensors) {
+  const rows = sensors
+    .map(
+      (s) => `<tr>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${
+          s.sensor_id
+        }</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">IPAL ${
+          s.ipal_id
+        }</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${
+          s.sensor_location
+        } / ${s.sensor_type}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${
+          s.last_update || "never"
+        }</td>
+      </tr>`
+    )
+    .join("");
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+      <h2 style="color: #dc2626;">📴 Sensor Offline</h2>
+      <p>Sensor berikut tidak mengirim data lebih dari ${OFFLINE_AFTER} menit.</p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <thead>
+          <tr style="background: #f3f4f6; text-align: left;">
+            <th style="padding: 8px;">Sensor</th>
+            <th style="padding: 8px;">IPAL</th>
+            <th style="padding: 8px;">Location / Type</th>
+            <th style="padding: 8px;">Last Update</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+module.exports = {
+  name: "sensor-offline-sweep",
+  description:
+    "Update sensor online_status and notify admins of offline sensors",
+  defaultSchedule: "*/5 * * * *",
+
+  async run() {
+    const snapshot = await db
+      .collection("sensors")
+      .where("status", "==", "active")
+      .get();
+
+    const now = new Date();
+    const wentOffline = [];
+    const cameOnline = [];
+    const batch = db.batch();
+
+    snapshot.forEach((doc) => {
+      const data = doc.data();
+      const lastUpdate = getLastUpdate(data);
+      const minutesAgo = lastUpdate ? (now - lastUpdate) / 1000 / 60 : null;
+      const onlineStatus =
+        minutesAgo !== null && minutesAgo < OFFLINE_AFTER
+          ? "online"
+          : "offline";
+
+      // Hanya tulis saat status berubah
+      if (data.online_status === onlineStatus) return;
+
+      batch.update(doc.ref, {
+        online_status: onlineStatus,
+        online_status_changed_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      const sensor = {
+        sensor_id: doc.id,
+        ipal_id: data.ipal_id,
+        sensor_type: data.sensor_type,
+        sensor_location: data.sensor_location,
+        last_update: lastUpdate ? lastUpdate.toISOString() : null,
+      };
+
+      if (onlineStatus === "offline") {
+        wentOffline.push(sensor);
+      } else {
+        cameOnline.push(sensor);
+      }
+    });
+
+    if (wentOffline.length + cameOnline.length > 0) {
+      await batch.commit();
+
+      wentOffline
+        .map((sensor) => ({ ...sensor, online_status: "offline" }))
+        .concat(
+          cameOnline.map((sensor) => ({ ...sensor, online_status: "online" }))
+        )
+        .forEach((sensor) =>
+          realtimeService.publish(
+            realtimeService.EVENT_TYPES.SENSOR_STATUS_CHANGED,
+            sensor.ipal_id,
+            sensor
+          )
+        );
+    }
+
+    let adminsNotified = false;
+
+    if (wentOffline.length > 0) {
+      const notification = await notificationService.notifyAdmins({
+        subject: `📴 ${wentOffline.length} sensor(s) went offline`,
+        html: buildEmailHTML(wentOffline),
+        priority: "high",
+      });
+      adminsNotified = notification.success === true;
+    }
+
+    return {
+      checked: snapshot.size,
+      went_offline: wentOffline.map((s) => s.sensor_id),
+      came_online: cameOnline.map((s) => s.sensor_id),
+      admins_notified: adminsNotified,
+    };
+  },
+};
+
+console.log("📦 sensorOfflineSweepJob loaded");
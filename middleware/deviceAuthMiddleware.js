@@ -0,0 +1,223 @@
+/**
+ * ========================================
+ * DEVICE AUTH MIDDLEWARE
+ * ========================================
+ * Authenticate ESP32 devices before they can write readings
+ *
+ * Supported credentials (checked against body.device_id):
+ * 1. API key:     X-Device-Key: dk_xxx
+ * 2. Signed body: X-Device-Timestamp: <unix seconds>
+ *                 X-Device-Signature: hex(HMAC-SHA256(sha256(api_key), "<timestamp>.<raw body>"))
+ *
+ * Device must be registered, active, and bound to the same
+ * ipal_id + location that it is submitting for.
+ *
+ * authenticateDevice() holds the actual check so other transports
+ * (MQTT gateway) authenticate devices exactly like HTTP does.
+ *
+ * Device records are cached per process for DEVICE_CACHE_TTL. Rotate /
+ * revoke invalidate the cache of the instance that handled them; other
+ * instances (e.g. other Vercel functions) may still accept the old key
+ * for up to DEVICE_CACHE_TTL seconds.
+ */
+
+const crypto = require("crypto");
+const cacheService = require("../services/cacheService");
+const { validateDeviceId } = require("../services/validationService");
+
+// ⚡ Lazy load model to reduce cold start
+let deviceModel;
+
+const getDeviceModel = () => {
+  if (!deviceModel) {
+    deviceModel = require("../models/deviceModel");
+  }
+  return deviceModel;
+};
+
+const DEVICE_CACHE_TTL = 60; // seconds, max. revoke delay on other instances
+const SIGNATURE_MAX_AGE = 5 * 60; // seconds (replay window)
+
+/**
+ * Constant-time compare of two hex strings
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a), "utf8");
+  const bufB = Buffer.from(String(b), "utf8");
+
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Reject request with 401
+ */
+function deny(res, message) {
+  return res.status(401).json({
+    success: false,
+    message,
+  });
+}
+
+/**
+ * Verify signature against raw payload
+ * @param {Object} credentials - { signature, timestamp, rawBody }
+ * @param {String} keyHash - Stored key hash (HMAC signing key)
+ * @returns {String|null} Error message, null if valid
+ */
+function verifySignature({ signature, timestamp, rawBody }, keyHash) {
+  if (!timestamp) {
+    return "X-Device-Timestamp header is required for signed requests";
+  }
+
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+  if (isNaN(age) || age > SIGNATURE_MAX_AGE) {
+    return "Signature timestamp expired or invalid";
+  }
+
+  const expected = crypto
+    .createHmac("sha256", keyHash)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+
+  return safeEqual(signature, expected) ? null : "Invalid device signature";
+}
+
+/**
+ * Authenticate device credentials
+ * @param {Object} params
+ * @param {String} params.device_id - Claimed device ID
+ * @param {Number} params.ipal_id - IPAL the device writes to (optional)
+ * @param {String} params.location - Location the device writes to (optional)
+ * @param {String} params.apiKey - Plain API key, or
+ * @param {String} params.signature - HMAC signature (with timestamp + rawBody)
+ * @returns {Object} { device } on success, { error } if rejected
+ */
+async function authenticateDevice({
+  device_id,
+  ipal_id,
+  location,
+  apiKey,
+  signature,
+  timestamp,
+  rawBody,
+}) {
+  if (!device_id) {
+    return { error: "device_id is required for device authentication" };
+  }
+
+  // Not a valid doc ID → cannot be a registered device
+  if (validateDeviceId(device_id).error) {
+    return { error: `Device ${device_id} is not registered` };
+  }
+
+  if (!apiKey && !signature) {
+    return {
+      error:
+        "Device credentials missing. Send X-Device-Key or X-Device-Signature header.",
+    };
+  }
+
+  // Device lookup (cached, registry rarely changes)
+  const device = await cacheService.getCached(
+    cacheService.KEYS.DEVICE(device_id),
+    () => getDeviceModel().getDeviceById(device_id),
+    DEVICE_CACHE_TTL
+  );
+
+  if (!device) {
+    console.warn(`⛔ Unknown device rejected: ${device_id}`);
+    return { error: `Device ${device_id} is not registered` };
+  }
+
+  if (device.status !== "active") {
+    console.warn(`⛔ Revoked device rejected: ${device_id}`);
+    return { error: `Device ${device_id} has been revoked` };
+  }
+
+  // Verify credential
+  if (apiKey) {
+    if (!safeEqual(getDeviceModel().hashApiKey(apiKey), device.key_hash)) {
+      console.warn(`⛔ Invalid API key for device: ${device_id}`);
+      return { error: "Invalid device API key" };
+    }
+  } else {
+    const signatureError = verifySignature(
+      { signature, timestamp, rawBody },
+      device.key_hash
+    );
+    if (signatureError) {
+      console.warn(`⛔ ${signatureError}: ${device_id}`);
+      return { error: signatureError };
+    }
+  }
+
+  // Device may only write for its own IPAL + location
+  if (
+    (ipal_id !== undefined && parseInt(ipal_id) !== device.ipal_id) ||
+    (location !== undefined && location !== device.location)
+  ) {
+    console.warn(
+      `⛔ Device ${device_id} not allowed to write IPAL ${ipal_id} ${location}`
+    );
+    return {
+      error: `Device ${device_id} is not allowed to write to IPAL ${ipal_id} (${location})`,
+    };
+  }
+
+  // Fire-and-forget, don't block submission
+  getDeviceModel().touchDevice(device_id);
+
+  console.log(`✅ Device authenticated: ${device_id}`);
+
+  return {
+    device: {
+      device_id: device.device_id || device.id,
+      ipal_id: device.ipal_id,
+      location: device.location,
+    },
+  };
+}
+
+/**
+ * Require authenticated device
+ * Attaches req.device on success
+ */
+exports.requireDevice = async (req, res, next) => {
+  try {
+    const { device_id, ipal_id, location } = req.body || {};
+
+    const { device, error } = await authenticateDevice({
+      device_id,
+      ipal_id,
+      location,
+      apiKey: req.headers["x-device-key"],
+      signature: req.headers["x-device-signature"],
+      timestamp: req.headers["x-device-timestamp"],
+      rawBody: req.rawBody
+        ? req.rawBody.toString("utf8")
+        : JSON.stringify(req.body || {}),
+    });
+
+    if (error) {
+      return deny(res, error);
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error("❌ Device auth middleware error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Device authentication failed",
+      error: error.message,
+    });
+  }
+};
+
+exports.authenticateDevice = authenticateDevice;
+
+console.log("📦 deviceAuthMiddleware loaded");
@@ -4,6 +4,7 @@
  * ========================================
  * Firestore operations for alerts collection
  * Supports both addAlert (legacy) and createAlert (new)
+ * Analysis pipeline uses recordAlertOccurrence (deduplicated by fingerprint)
  */
 
 const { admin } = require("../config/firebase-config");
@@ -47,6 +48,315 @@ const addAlert = async (alertData) => {
  */
 const createAlert = addAlert;
 
+/**
+ * ========================================
+ * DEDUPLICATION (FINGERPRINT)
+ * ========================================
+ * Satu alert "open" per fingerprint (ipal_id + parameter + location + condition).
+ * alert_fingerprints/{fingerprint} menunjuk ke alert terakhir untuk fingerprint itu;
+ * setiap pelanggaran dicatat di alerts/{id}/occurrences/{reading_id}
+ * sehingga analisis ulang reading yang sama tidak menghitung dua kali.
+ */
+
+const OPEN_STATUSES = ["active", "acknowledged"];
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+/**
+ * Build alert fingerprint
+ * @param {Object} alert - { ipal_id, parameter, location, condition }
+ * @returns {String} e.g. "1_ph_outlet_below_minimum"
+ */
+const buildFingerprint = ({ ipal_id, parameter, location, condition }) => {
+  return `${ipal_id}_${parameter}_${location}_${condition}`;
+};
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (value.toMillis) return value.toMillis();
+  return new Date(value).getTime();
+};
+
+/**
+ * Create alert, or count a repeat on the open alert with the same fingerprint
+ * @param {String} alertId - Deterministic ID used if a new alert is created
+ * @param {Object} alertData - Alert data (must include reading_id + fingerprint fields)
+ * @param {Object} options
+ * @param {Function} options.getCooldownMinutes - fn(severity) → minutes between
+ *   notifications, or null if this occurrence must not notify
+ * @returns {Object} { status: "created"|"repeated"|"duplicate", alert_id, alert?, notify }
+ */
+const recordAlertOccurrence = async (
+  alertId,
+  alertData,
+  { getCooldownMinutes = () => null } = {}
+) => {
+  try {
+    const db = admin.firestore();
+    const fingerprint = buildFingerprint(alertData);
+    const fingerprintRef = db.collection("alert_fingerprints").doc(fingerprint);
+    const ownRef = db.collection("alerts").doc(alertId);
+
+    return await db.runTransaction(async (transaction) => {
+      const [fingerprintDoc, ownDoc] = await Promise.all([
+        transaction.get(fingerprintRef),
+        transaction.get(ownRef),
+      ]);
+
+      // Reading ini sudah membuat alert-nya (re-run)
+      if (ownDoc.exists) {
+        return { status: "duplicate", alert_id: alertId, notify: false };
+      }
+
+      const openId = fingerprintDoc.exists
+        ? fingerprintDoc.data().alert_id
+        : null;
+      const openRef = openId ? db.collection("alerts").doc(openId) : null;
+      const openDoc = openRef ? await transaction.get(openRef) : null;
+
+      const now = admin.firestore.Timestamp.now();
+      const occurrence = {
+        reading_id: alertData.reading_id,
+        value: alertData.value,
+        severity: alertData.severity,
+        timestamp: alertData.timestamp,
+        created_at: now,
+      };
+
+      // ========================================
+      // REPEAT: open alert with same fingerprint
+      // ========================================
+      if (openDoc?.exists && OPEN_STATUSES.includes(openDoc.data().status)) {
+        const open = openDoc.data();
+        const occurrenceRef = openRef
+          .collection("occurrences")
+          .doc(alertData.reading_id);
+        const occurrenceDoc = await transaction.get(occurrenceRef);
+
+        if (occurrenceDoc.exists) {
+          return { status: "duplicate", alert_id: openId, notify: false };
+        }
+
+        const escalated =
+          (SEVERITY_RANK[alertData.severity] || 0) >
+          (SEVERITY_RANK[open.severity] || 0);
+        const severity = escalated ? alertData.severity : open.severity;
+
+        const cooldown = getCooldownMinutes(severity);
+        const lastNotified = toMillis(open.last_notified_at);
+        const notify =
+          cooldown !== null &&
+          (escalated ||
+            !lastNotified ||
+            now.toMillis() - lastNotified >= cooldown * 60 * 1000);
+
+        // Backfilled readings may be older than the last seen violation
+        const isLatest =
+          toMillis(alertData.timestamp) >= (toMillis(open.last_seen_at) || 0);
+
+        const update = {
+          occurrences: (open.occurrences || 1) + 1,
+          severity,
+        };
+
+        if (isLatest) {
+          update.last_seen_at = alertData.timestamp;
+          update.last_reading_id = alertData.reading_id;
+          update.last_value = alertData.value;
+          // Message quotes the value, keep it in step with last_value
+          update.message = alertData.message;
+        }
+
+        if (notify) {
+          update.last_notified_at = now;
+          update.notification_count = (open.notification_count || 0) + 1;
+        }
+
+        // Violation after the last clean reading breaks the auto-resolve streak
+        if (
+          toMillis(alertData.timestamp) >= (toMillis(open.last_clean_at) || 0)
+        ) {
+          update.clean_streak = 0;
+          update.clean_since = null;
+        }
+
+        transaction.update(openRef, {
+          ...update,
+          updated_at: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.set(occurrenceRef, occurrence);
+
+        return {
+          status: "repeated",
+          alert_id: openId,
+          alert: { alert_id: openId, ...open, ...update, escalated },
+          notify,
+        };
+      }
+
+      // ========================================
+      // NEW ALERT
+      // ========================================
+      const cooldown = getCooldownMinutes(alertData.severity);
+      const notify = cooldown !== null;
+
+      const alertDoc = {
+        ...alertData,
+        fingerprint,
+        occurrences: 1,
+        first_seen_at: alertData.timestamp,
+        last_seen_at: alertData.timestamp,
+        last_reading_id: alertData.reading_id,
+        last_value: alertData.value,
+        last_notified_at: notify ? now : null,
+        notification_count: notify ? 1 : 0,
+        clean_streak: 0,
+        clean_since: null,
+        last_clean_at: null,
+      };
+
+      transaction.create(ownRef, {
+        ...alertDoc,
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+        read: false,
+      });
+      transaction.set(
+        ownRef.collection("occurrences").doc(alertData.reading_id),
+        occurrence
+      );
+      transaction.set(fingerprintRef, {
+        fingerprint,
+        alert_id: alertId,
+        ipal_id: alertData.ipal_id,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return {
+        status: "created",
+        alert_id: alertId,
+        alert: { alert_id: alertId, ...alertDoc },
+        notify,
+      };
+    });
+  } catch (error) {
+    console.error("❌ Error recording alert occurrence:", error);
+    throw new Error("Error recording alert occurrence: " + error.message);
+  }
+};
+
+/**
+ * ========================================
+ * AUTO-RESOLVE
+ * ========================================
+ * Reading tanpa pelanggaran untuk parameter + lokasi yang sama menambah
+ * clean_streak alert yang masih open. Alert di-resolve oleh "system" setelah
+ * minCleanReadings reading bersih berturut-turut, atau setelah holdMinutes
+ * sejak reading bersih pertama (clean_since).
+ */
+
+/**
+ * Record clean reading on open alerts of the same parameter/location
+ * @param {Object} reading - { ipal_id, reading_id, timestamp, clean_keys }
+ *   clean_keys: ["ph_outlet", ...] measured and within limits
+ * @param {Object} rules - { minCleanReadings, holdMinutes } (0 = rule disabled)
+ * @returns {Array} Alerts resolved by this reading
+ */
+const recordCleanReading = async (
+  { ipal_id, reading_id, timestamp, clean_keys },
+  { minCleanReadings, holdMinutes }
+) => {
+  try {
+    const db = admin.firestore();
+    const snapshot = await db
+      .collection("alerts")
+      .where("ipal_id", "==", ipal_id)
+      .where("status", "in", OPEN_STATUSES)
+      .get();
+
+    const candidates = snapshot.docs.filter((doc) =>
+      clean_keys.includes(`${doc.data().parameter}_${doc.data().location}`)
+    );
+
+    const readingMs = toMillis(timestamp);
+    const resolved = [];
+
+    for (const candidate of candidates) {
+      const result = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(candidate.ref);
+        const alert = doc.data();
+
+        if (!doc.exists || !OPEN_STATUSES.includes(alert.status)) {
+          return null;
+        }
+
+        // Older than the violation (backfill) or already counted (re-run)
+        if (
+          readingMs <= (toMillis(alert.last_seen_at || alert.timestamp) || 0) ||
+          readingMs <= (toMillis(alert.last_clean_at) || 0)
+        ) {
+          return null;
+        }
+
+        const streak = (alert.clean_streak || 0) + 1;
+        const cleanSince = alert.clean_since || timestamp;
+        const cleanMinutes = Math.floor(
+          (readingMs - toMillis(cleanSince)) / 60000
+        );
+
+        let reason = null;
+        if (minCleanReadings > 0 && streak >= minCleanReadings) {
+          reason = `${streak} consecutive readings within limits`;
+        } else if (holdMinutes > 0 && cleanMinutes >= holdMinutes) {
+          reason = `Within limits for ${cleanMinutes} minutes`;
+        }
+
+        const update = {
+          clean_streak: streak,
+          clean_since: cleanSince,
+          last_clean_at: timestamp,
+          updated_at: admin.firestore.FieldValue.serverTimestamp(),
+        };
+
+        if (reason) {
+          Object.assign(update, {
+            status: "resolved",
+            resolved_by: "system",
+            resolved_at: admin.firestore.FieldValue.serverTimestamp(),
+            auto_resolved: true,
+            resolution_reason: reason,
+            resolution_reading_id: reading_id,
+          });
+        }
+
+        transaction.update(candidate.ref, update);
+
+        return reason
+          ? {
+              alert_id: doc.id,
+              ...alert,
+              previous_status: alert.status,
+              status: "resolved",
+              resolved_by: "system",
+              resolution_reason: reason,
+            }
+          : null;
+      });
+
+      if (result) {
+        console.log(
+          `✅ Alert ${result.alert_id} auto-resolved (${result.resolution_reason})`
+        );
+        resolved.push(result);
+      }
+    }
+
+    return resolved;
+  } catch (error) {
+    console.error("❌ Error recording clean reading:", error);
+    throw new Error("Error recording clean reading: " + error.message);
+  }
+};
+
 /**
  * ========================================
  * READ ALERTS
@@ -345,6 +655,9 @@ module.exports = {
   addAlert,
   createAlert, // ⭐ Alias for compatibility
   createAlertsInBatch,
+  recordAlertOccurrence,
+  buildFingerprint,
+  recordCleanReading,
 
   // Read operations
   getAlerts,
@@ -358,6 +671,8 @@ module.exports = {
 
   // Delete operations
   deleteAlert,
+
+  OPEN_STATUSES,
 };
 
 console.log("📦 alertModel loaded");
@@ -0,0 +1,256 @@
+/**
+ * ========================================
+ * DEVICE COMMAND MODEL
+ * ========================================
+ * Firestore operations for commands sent to ESP32 devices
+ *
+ * Collection: device_commands (one document per command, history per device)
+ *
+ * Status flow:
+ *   queued → sent → acked | failed
+ *   queued | sent → expired   (not acked before expires_at)
+ *   queued → cancelled        (by admin/manager before delivery)
+ */
+
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "device_commands";
+const PENDING_STATUSES = ["queued", "sent"];
+
+/**
+ * Format command document (Timestamp → ISO string)
+ */
+function formatCommand(id, data) {
+  const toISO = (value) =>
+    value?.toDate ? value.toDate().toISOString() : value || null;
+
+  return {
+    id,
+    ...data,
+    created_at: toISO(data.created_at),
+    expires_at: toISO(data.expires_at),
+    sent_at: toISO(data.sent_at),
+    acked_at: toISO(data.acked_at),
+    updated_at: toISO(data.updated_at),
+  };
+}
+
+/**
+ * ========================================
+ * CREATE
+ * ========================================
+ */
+
+/**
+ * Queue a new command
+ * @param {Object} commandData - { device_id, ipal_id, command, params, ttl_minutes, created_by }
+ * @returns {Object} Created command
+ */
+const createCommand = async (commandData) => {
+  try {
+    const { device_id, ipal_id, command, params, ttl_minutes, created_by } =
+      commandData;
+
+    const expiresAt = new Date(Date.now() + ttl_minutes * 60 * 1000);
+
+    const commandRef = await db.collection(COLLECTION).add({
+      device_id,
+      ipal_id,
+      command,
+      params: params || {},
+      status: "queued",
+      attempts: 0,
+      result: null,
+      error: null,
+      created_by: created_by || null,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      expires_at: admin.firestore.Timestamp.fromDate(expiresAt),
+      sent_at: null,
+      acked_at: null,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return await getCommandById(commandRef.id);
+  } catch (error) {
+    console.error("❌ Error creating device command:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * READ
+ * ========================================
+ */
+
+/**
+ * Get command by ID
+ * @returns {Object|null} Command or null
+ */
+const getCommandById = async (commandId) => {
+  try {
+    const doc = await db.collection(COLLECTION).doc(commandId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return formatCommand(doc.id, doc.data());
+  } catch (error) {
+    console.error("❌ Error fetching device command:", error);
+    throw error;
+  }
+};
+
+/**
+ * Command history of a device (newest first)
+ * @param {String} deviceId - Device ID
+ * @param {Object} options - { status?, limit }
+ * @returns {Array} Commands
+ */
+const getDeviceCommands = async (deviceId, { status, limit = 50 } = {}) => {
+  try {
+    let query = db.collection(COLLECTION).where("device_id", "==", deviceId);
+
+    if (status) {
+      query = query.where("status", "==", status);
+    }
+
+    const snapshot = await query
+      .orderBy("created_at", "desc")
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map((doc) => formatCommand(doc.id, doc.data()));
+  } catch (error) {
+    console.error("❌ Error fetching device commands:", error);
+    throw error;
+  }
+};
+
+/**
+ * Commands waiting for delivery / ack (oldest first)
+ * @param {String} deviceId - Device ID, or null for all devices
+ * @returns {Array} Pending commands
+ */
+const getPendingCommands = async (deviceId = null) => {
+  try {
+    let query = db
+      .collection(COLLECTION)
+      .where("status", "in", PENDING_STATUSES);
+
+    if (deviceId) {
+      query = query.where("device_id", "==", deviceId);
+    }
+
+    const snapshot = await query.get();
+
+    // Sort in memory (pending set is small, avoids composite index)
+    return snapshot.docs
+      .map((doc) => formatCommand(doc.id, doc.data()))
+      .sort((a, b) => (a.created_at || "").localeCompare(b.created_at || ""));
+  } catch (error) {
+    console.error("❌ Error fetching pending commands:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * STATUS TRANSITIONS
+ * ========================================
+ */
+
+/**
+ * Change command status atomically
+ * @param {String} commandId - Command ID
+ * @param {Array} fromStatuses - Allowed current statuses
+ * @param {Object|Function} update - Fields to write, or fn(currentData) → fields
+ * @returns {Object|null} Updated command, null if missing or not in fromStatuses
+ */
+const transitionCommand = async (commandId, fromStatuses, update) => {
+  try {
+    const commandRef = db.collection(COLLECTION).doc(commandId);
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(commandRef);
+
+      if (!doc.exists || !fromStatuses.includes(doc.data().status)) {
+        return null;
+      }
+
+      const fields = typeof update === "function" ? update(doc.data()) : update;
+
+      transaction.update(commandRef, {
+        ...fields,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return formatCommand(doc.id, {
+        ...doc.data(),
+        ...fields,
+        updated_at: new Date().toISOString(),
+      });
+    });
+  } catch (error) {
+    console.error(`❌ Error updating command ${commandId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Mark command as written to the device socket
+ */
+const markCommandSent = (commandId) => {
+  return transitionCommand(commandId, PENDING_STATUSES, (current) => ({
+    status: "sent",
+    sent_at: admin.firestore.Timestamp.now(),
+    attempts: (current.attempts || 0) + 1,
+  }));
+};
+
+/**
+ * Record device acknowledgement
+ * @param {Boolean} ok - true → acked, false → failed
+ */
+const markCommandAcked = (commandId, { ok, result, error }) => {
+  return transitionCommand(commandId, PENDING_STATUSES, {
+    status: ok ? "acked" : "failed",
+    acked_at: admin.firestore.Timestamp.now(),
+    result: result ?? null,
+    error: ok ? null : error || "Device reported an error",
+  });
+};
+
+const markCommandExpired = (commandId) => {
+  return transitionCommand(commandId, PENDING_STATUSES, {
+    status: "expired",
+  });
+};
+
+const cancelCommand = (commandId, cancelledBy) => {
+  return transitionCommand(commandId, ["queued"], {
+    status: "cancelled",
+    cancelled_by: cancelledBy || null,
+  });
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  createCommand,
+  getCommandById,
+  getDeviceCommands,
+  getPendingCommands,
+  markCommandSent,
+  markCommandAcked,
+  markCommandExpired,
+  cancelCommand,
+  PENDING_STATUSES,
+};
+
+console.log("📦 deviceCommandModel loaded");
@@ -0,0 +1,258 @@
+/**
+ * ========================================
+ * DEVICE MODEL
+ * ========================================
+ * Firestore operations for devices collection
+ * Registry of ESP32 units allowed to submit readings
+ *
+ * Document ID = device_id (e.g., "ESP32-INLET-001")
+ * Only the SHA-256 hash of the API key is stored
+ */
+
+const crypto = require("crypto");
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "devices";
+const KEY_PREFIX = "dk_";
+
+/**
+ * ========================================
+ * KEY HELPERS
+ * ========================================
+ */
+
+/**
+ * Generate a new random API key
+ * @returns {String} Plain API key (shown to admin ONCE)
+ */
+const generateApiKey = () => {
+  return KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+};
+
+/**
+ * Hash API key for storage / comparison
+ * The hash is also the HMAC signing key for signed payloads
+ * @param {String} apiKey - Plain API key
+ * @returns {String} Hex SHA-256 hash
+ */
+const hashApiKey = (apiKey) => {
+  return crypto.createHash("sha256").update(String(apiKey)).digest("hex");
+};
+
+/**
+ * ========================================
+ * CREATE / UPDATE
+ * ========================================
+ */
+
+/**
+ * Register a new device and issue its first API key
+ * @param {Object} deviceData - { device_id, ipal_id, location, description }
+ * @param {String} createdBy - Email of admin who issued the credential
+ * @returns {Object} { device, api_key }
+ */
+const createDevice = async (deviceData, createdBy) => {
+  try {
+    const { device_id, ipal_id, location, description } = deviceData;
+
+    const deviceRef = db.collection(COLLECTION).doc(device_id);
+    const existing = await deviceRef.get();
+
+    if (existing.exists) {
+      throw new Error(`Device ${device_id} already registered`);
+    }
+
+    const apiKey = generateApiKey();
+
+    const deviceDoc = {
+      device_id,
+      ipal_id: parseInt(ipal_id),
+      location,
+      description: description || null,
+      status: "active",
+      key_hash: hashApiKey(apiKey),
+      key_prefix: apiKey.substring(0, 10),
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      created_by: createdBy || null,
+      rotated_at: null,
+      revoked_at: null,
+      last_seen_at: null,
+    };
+
+    await deviceRef.set(deviceDoc);
+
+    console.log(`✅ Device registered: ${device_id}`);
+
+    return {
+      device: { id: device_id, ...deviceDoc },
+      api_key: apiKey,
+    };
+  } catch (error) {
+    console.error("❌ Error creating device:", error);
+    throw error;
+  }
+};
+
+/**
+ * Rotate API key (old key stops working immediately)
+ * Re-activates a revoked device
+ * @param {String} deviceId - Device ID
+ * @param {String} rotatedBy - Email of admin
+ * @returns {String|null} New plain API key, null if device not found
+ */
+const rotateDeviceKey = async (deviceId, rotatedBy) => {
+  try {
+    const deviceRef = db.collection(COLLECTION).doc(deviceId);
+    const doc = await deviceRef.get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    const apiKey = generateApiKey();
+
+    await deviceRef.update({
+      key_hash: hashApiKey(apiKey),
+      key_prefix: apiKey.substring(0, 10),
+      status: "active",
+      rotated_at: admin.firestore.FieldValue.serverTimestamp(),
+      rotated_by: rotatedBy || null,
+      revoked_at: null,
+    });
+
+    console.log(`🔄 Device key rotated: ${deviceId}`);
+
+    return apiKey;
+  } catch (error) {
+    console.error("❌ Error rotating device key:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke device credential (device can no longer submit)
+ * @param {String} deviceId - Device ID
+ * @param {String} revokedBy - Email of admin
+ * @returns {Boolean} false if device not found
+ */
+const revokeDevice = async (deviceId, revokedBy) => {
+  try {
+    const deviceRef = db.collection(COLLECTION).doc(deviceId);
+    const doc = await deviceRef.get();
+
+    if (!doc.exists) {
+      return false;
+    }
+
+    await deviceRef.update({
+      status: "revoked",
+      revoked_at: admin.firestore.FieldValue.serverTimestamp(),
+      revoked_by: revokedBy || null,
+    });
+
+    console.log(`⛔ Device revoked: ${deviceId}`);
+
+    return true;
+  } catch (error) {
+    console.error("❌ Error revoking device:", error);
+    throw error;
+  }
+};
+
+/**
+ * Update last_seen_at (called after successful authentication)
+ * @param {String} deviceId - Device ID
+ */
+const touchDevice = async (deviceId) => {
+  try {
+    await db.collection(COLLECTION).doc(deviceId).update({
+      last_seen_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    // Don't throw - last_seen is informational only
+    console.warn(`⚠️  Could not update last_seen_at for ${deviceId}`);
+  }
+};
+
+/**
+ * ========================================
+ * READ
+ * ========================================
+ */
+
+/**
+ * Get device by ID (includes key_hash - internal use only)
+ * @param {String} deviceId - Device ID
+ * @returns {Object|null} Device document
+ */
+const getDeviceById = async (deviceId) => {
+  try {
+    const doc = await db.collection(COLLECTION).doc(deviceId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data(),
+    };
+  } catch (error) {
+    console.error("❌ Error fetching device:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get all devices (optionally by IPAL)
+ * @param {Number} ipalId - IPAL ID (optional)
+ * @returns {Array} Devices
+ */
+const getDevices = async (ipalId = null) => {
+  try {
+    let query = db.collection(COLLECTION);
+
+    if (ipalId !== null) {
+      query = query.where("ipal_id", "==", ipalId);
+    }
+
+    const snapshot = await query.get();
+
+    const devices = [];
+    snapshot.forEach((doc) => {
+      devices.push({
+        id: doc.id,
+        ...doc.data(),
+      });
+    });
+
+    return devices;
+  } catch (error) {
+    console.error("❌ Error fetching devices:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  // Key helpers
+  generateApiKey,
+  hashApiKey,
+
+  // Create / update
+  createDevice,
+  rotateDeviceKey,
+  revokeDevice,
+  touchDevice,
+
+  // Read
+  getDeviceById,
+  getDevices,
+};
+
+console.log("📦 deviceModel loaded");
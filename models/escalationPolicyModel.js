@@ -0,0 +1,126 @@
+/**
+ * ========================================
+ * ESCALATION POLICY MODEL
+ * ========================================
+ * Firestore operations for per-IPAL alert escalation chains
+ *
+ * Collection: escalation_policies/{ipal_id}
+ * {
+ *   ipal_id, enabled, severities: ["critical"],
+ *   steps: [
+ *     { delay_minutes: 0,  roles: ["teknisi"], channels: ["email", "fcm"] },
+ *     { delay_minutes: 15, roles: ["manager"], channels: ["email"] },
+ *     { delay_minutes: 60, roles: ["admin"],   channels: ["email", "fcm"] }
+ *   ],
+ *   updated_by, updated_at
+ * }
+ *
+ * Alerts snapshot the steps when escalation starts, so editing
+ * a policy never changes an escalation that is already running.
+ */
+
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "escalation_policies";
+
+/**
+ * Format policy document (Timestamp → ISO string)
+ */
+function formatPolicy(data) {
+  return {
+    ...data,
+    updated_at: data.updated_at?.toDate
+      ? data.updated_at.toDate().toISOString()
+      : data.updated_at || null,
+  };
+}
+
+/**
+ * Get escalation policy of an IPAL
+ * @param {Number} ipalId - IPAL ID
+ * @returns {Object|null} Policy or null if IPAL has none
+ */
+const getPolicy = async (ipalId) => {
+  try {
+    const doc = await db.collection(COLLECTION).doc(String(ipalId)).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return formatPolicy(doc.data());
+  } catch (error) {
+    console.error("❌ Error fetching escalation policy:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create or replace escalation policy
+ * @param {Number} ipalId - IPAL ID
+ * @param {Object} policyData - { enabled, severities, steps, notes? }
+ * @param {String} updatedBy - Email of admin
+ * @returns {Object} Saved policy
+ */
+const savePolicy = async (ipalId, policyData, updatedBy) => {
+  try {
+    const policy = {
+      ipal_id: parseInt(ipalId),
+      enabled: policyData.enabled,
+      severities: policyData.severities,
+      steps: policyData.steps,
+      notes: policyData.notes || null,
+      updated_by: updatedBy || null,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    await db.collection(COLLECTION).doc(String(ipalId)).set(policy);
+
+    console.log(
+      `✅ Escalation policy saved: IPAL ${ipalId} (${policy.steps.length} step(s))`
+    );
+
+    return { ...policy, updated_at: new Date().toISOString() };
+  } catch (error) {
+    console.error("❌ Error saving escalation policy:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete escalation policy (IPAL falls back to broadcast notifications)
+ * @returns {Boolean} false if IPAL had no policy
+ */
+const deletePolicy = async (ipalId) => {
+  try {
+    const policyRef = db.collection(COLLECTION).doc(String(ipalId));
+    const doc = await policyRef.get();
+
+    if (!doc.exists) {
+      return false;
+    }
+
+    await policyRef.delete();
+
+    console.log(`🗑️  Escalation policy deleted: IPAL ${ipalId}`);
+
+    return true;
+  } catch (error) {
+    console.error("❌ Error deleting escalation policy:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  getPolicy,
+  savePolicy,
+  deletePolicy,
+};
+
+console.log("📦 escalationPolicyModel loaded");
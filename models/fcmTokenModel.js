@@ -0,0 +1,273 @@
+/**
+ * ========================================
+ * FCM TOKEN MODEL
+ * ========================================
+ * Firestore operations for push notification tokens (1 per device)
+ *
+ * Collection: fcm_tokens/{sha256(token)}
+ * {
+ *   uid, token, label: "Pixel 7" | null, user_agent,
+ *   created_at, last_seen_at
+ * }
+ *
+ * A token belongs to one device: registering it again (e.g. another
+ * user logs in on the same browser) moves it to the new user.
+ *
+ * Legacy: users/{uid}.fcm_token (single token) is still read as a
+ * fallback and migrated on the user's next registration.
+ */
+
+const crypto = require("crypto");
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "fcm_tokens";
+const IN_QUERY_LIMIT = 30; // Firestore "in" operator limit
+
+/**
+ * Document ID for a token (tokens are long and may contain any character)
+ */
+function getTokenId(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Format token document (Timestamp → ISO string, token not exposed)
+ */
+function formatToken(id, data) {
+  const toISO = (value) =>
+    value?.toDate ? value.toDate().toISOString() : value || null;
+
+  return {
+    token_id: id,
+    token_preview: `${data.token.slice(0, 12)}…`,
+    label: data.label || null,
+    user_agent: data.user_agent || null,
+    created_at: toISO(data.created_at),
+    last_seen_at: toISO(data.last_seen_at),
+  };
+}
+
+/**
+ * Split array into chunks (for "in" queries)
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * ========================================
+ * REGISTER / UNREGISTER
+ * ========================================
+ */
+
+/**
+ * Register (or refresh) a device token for a user
+ * @param {String} uid - User ID
+ * @param {Object} device - { token, label?, user_agent? }
+ * @returns {Object} { device, is_new, previous_uid }
+ */
+const registerToken = async (uid, { token, label, user_agent }) => {
+  try {
+    const tokenRef = db.collection(COLLECTION).doc(getTokenId(token));
+    const userRef = db.collection("users").doc(uid);
+    const now = admin.firestore.Timestamp.now();
+
+    const [tokenDoc, userDoc] = await Promise.all([
+      tokenRef.get(),
+      userRef.get(),
+    ]);
+    const existing = tokenDoc.exists ? tokenDoc.data() : null;
+
+    const data = {
+      uid,
+      token,
+      label: label || existing?.label || null,
+      user_agent: user_agent || existing?.user_agent || null,
+      created_at: existing && existing.uid === uid ? existing.created_at : now,
+      last_seen_at: now,
+    };
+
+    const batch = db.batch();
+    batch.set(tokenRef, data);
+
+    // Migrate legacy single-token field
+    const legacyToken = userDoc.exists ? userDoc.data().fcm_token : null;
+    if (legacyToken && legacyToken !== token) {
+      batch.set(db.collection(COLLECTION).doc(getTokenId(legacyToken)), {
+        uid,
+        token: legacyToken,
+        label: null,
+        user_agent: null,
+        created_at: now,
+        last_seen_at: now,
+      });
+    }
+    if (userDoc.exists) {
+      batch.update(userRef, {
+        fcm_token: admin.firestore.FieldValue.delete(),
+        fcm_token_updated_at: now.toDate().toISOString(),
+      });
+    }
+
+    await batch.commit();
+
+    if (existing && existing.uid !== uid) {
+      console.log(`🔁 FCM token moved from user ${existing.uid} to ${uid}`);
+    }
+
+    return {
+      device: formatToken(tokenRef.id, data),
+      is_new: !existing || existing.uid !== uid,
+      previous_uid: existing && existing.uid !== uid ? existing.uid : null,
+    };
+  } catch (error) {
+    console.error("❌ Error registering FCM token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a device of a user
+ * @param {String} uid - User ID
+ * @param {String} tokenId - Token document ID
+ * @returns {Object|null} Removed token data (with raw token), null if not found
+ */
+const removeToken = async (uid, tokenId) => {
+  try {
+    const tokenRef = db.collection(COLLECTION).doc(tokenId);
+    const doc = await tokenRef.get();
+
+    if (!doc.exists || doc.data().uid !== uid) {
+      return null;
+    }
+
+    await tokenRef.delete();
+
+    return doc.data();
+  } catch (error) {
+    console.error("❌ Error removing FCM token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove tokens rejected by FCM (not registered / invalid)
+ * @param {Array<string>} tokens - Raw tokens
+ * @returns {Number} Tokens removed (collection + legacy fields)
+ */
+const removeInvalidTokens = async (tokens) => {
+  try {
+    if (!tokens || tokens.length === 0) {
+      return 0;
+    }
+
+    let removed = 0;
+
+    for (const token of tokens) {
+      const tokenRef = db.collection(COLLECTION).doc(getTokenId(token));
+      const doc = await tokenRef.get();
+
+      if (doc.exists) {
+        await tokenRef.delete();
+        removed++;
+      }
+    }
+
+    // Legacy users/{uid}.fcm_token
+    for (const tokensChunk of chunk(tokens, IN_QUERY_LIMIT)) {
+      const snapshot = await db
+        .collection("users")
+        .where("fcm_token", "in", tokensChunk)
+        .get();
+
+      for (const doc of snapshot.docs) {
+        await doc.ref.update({
+          fcm_token: admin.firestore.FieldValue.delete(),
+        });
+        removed++;
+      }
+    }
+
+    return removed;
+  } catch (error) {
+    console.error("❌ Error removing invalid FCM tokens:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * READ
+ * ========================================
+ */
+
+/**
+ * Devices of a user (most recently seen first)
+ * @param {String} uid - User ID
+ * @returns {Array} Devices (token not exposed)
+ */
+const getUserTokens = async (uid) => {
+  try {
+    const snapshot = await db
+      .collection(COLLECTION)
+      .where("uid", "==", uid)
+      .get();
+
+    return snapshot.docs
+      .map((doc) => formatToken(doc.id, doc.data()))
+      .sort((a, b) =>
+        (b.last_seen_at || "").localeCompare(a.last_seen_at || "")
+      );
+  } catch (error) {
+    console.error("❌ Error fetching FCM tokens:", error);
+    throw error;
+  }
+};
+
+/**
+ * Raw tokens of many users (for sending)
+ * @param {Array<string>} uids - User IDs
+ * @returns {Map} uid → [token]
+ */
+const getTokensForUsers = async (uids) => {
+  try {
+    const tokens = new Map(uids.map((uid) => [uid, []]));
+
+    for (const uidsChunk of chunk(uids, IN_QUERY_LIMIT)) {
+      const snapshot = await db
+        .collection(COLLECTION)
+        .where("uid", "in", uidsChunk)
+        .get();
+
+      snapshot.forEach((doc) => {
+        tokens.get(doc.data().uid)?.push(doc.data().token);
+      });
+    }
+
+    return tokens;
+  } catch (error) {
+    console.error("❌ Error fetching FCM tokens:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  registerToken,
+  removeToken,
+  removeInvalidTokens,
+  getUserTokens,
+  getTokensForUsers,
+  getTokenId,
+};
+
+console.log("📦 fcmTokenModel loaded");
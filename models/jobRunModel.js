@@ -0,0 +1,100 @@
+/**
+ * ========================================
+ * JOB RUN MODEL
+ * ========================================
+ * Firestore operations for background job run history
+ *
+ * Collection: job_runs (one document per run)
+ */
+
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "job_runs";
+
+/**
+ * Format run document (Timestamp → ISO string)
+ */
+function formatRun(id, data) {
+  const toISO = (value) =>
+    value?.toDate ? value.toDate().toISOString() : value || null;
+
+  return {
+    id,
+    ...data,
+    started_at: toISO(data.started_at),
+    finished_at: toISO(data.finished_at),
+    created_at: toISO(data.created_at),
+  };
+}
+
+/**
+ * Save a finished job run
+ * @param {Object} run - { job, trigger, triggered_by, status, started_at, finished_at, duration_ms, result?, error? }
+ * @returns {String} Run document ID
+ */
+const saveJobRun = async (run) => {
+  try {
+    const runRef = await db.collection(COLLECTION).add({
+      ...run,
+      result: run.result ?? null,
+      error: run.error ?? null,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return runRef.id;
+  } catch (error) {
+    console.error("❌ Error saving job run:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get recent runs of a job (newest first)
+ * @param {String} jobName - Job name
+ * @param {Number} limit - Max runs
+ * @returns {Array} Job runs
+ */
+const getJobRuns = async (jobName, limit = 20) => {
+  try {
+    const snapshot = await db
+      .collection(COLLECTION)
+      .where("job", "==", jobName)
+      .orderBy("started_at", "desc")
+      .limit(limit)
+      .get();
+
+    const runs = [];
+    snapshot.forEach((doc) => {
+      runs.push(formatRun(doc.id, doc.data()));
+    });
+
+    return runs;
+  } catch (error) {
+    console.error("❌ Error fetching job runs:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get last run of a job
+ * @param {String} jobName - Job name
+ * @returns {Object|null} Last run or null
+ */
+const getLastRun = async (jobName) => {
+  const runs = await getJobRuns(jobName, 1);
+  return runs[0] || null;
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  saveJobRun,
+  getJobRuns,
+  getLastRun,
+};
+
+console.log("📦 jobRunModel loaded");
@@ -0,0 +1,160 @@
+/**
+ * ========================================
+ * NOTIFICATION CHANNEL MODEL
+ * ========================================
+ * Firestore operations for per-IPAL external notification channels
+ * (outbound webhook, Telegram). Email & FCM go to users and are not
+ * configured here.
+ *
+ * Collection: notification_channels/{ipal_id}
+ * {
+ *   ipal_id,
+ *   channels: [
+ *     { id, type: "webhook", name, enabled, min_severity, events,
+ *       url, secret, headers },
+ *     { id, type: "telegram", name, enabled, min_severity, events,
+ *       chat_id, bot_token? }
+ *   ],
+ *   updated_by, updated_at
+ * }
+ */
+
+const crypto = require("crypto");
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "notification_channels";
+const SECRET_FIELDS = ["secret", "bot_token"];
+
+/**
+ * Hide secrets for API responses ("••••a1b2")
+ */
+function maskChannel(channel) {
+  const masked = { ...channel };
+
+  SECRET_FIELDS.forEach((field) => {
+    if (masked[field]) {
+      masked[field] = `••••${String(masked[field]).slice(-4)}`;
+    }
+  });
+
+  if (masked.headers) {
+    masked.headers = Object.fromEntries(
+      Object.keys(masked.headers).map((name) => [name, "••••"])
+    );
+  }
+
+  return masked;
+}
+
+/**
+ * Format config document (Timestamp → ISO string)
+ */
+function formatConfig(data) {
+  return {
+    ...data,
+    updated_at: data.updated_at?.toDate
+      ? data.updated_at.toDate().toISOString()
+      : data.updated_at || null,
+  };
+}
+
+/**
+ * Get channel config of an IPAL (with secrets, for sending)
+ * @param {Number} ipalId - IPAL ID
+ * @returns {Object|null} Config or null if IPAL has none
+ */
+const getChannels = async (ipalId) => {
+  try {
+    const doc = await db.collection(COLLECTION).doc(String(ipalId)).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return formatConfig(doc.data());
+  } catch (error) {
+    console.error("❌ Error fetching notification channels:", error);
+    throw error;
+  }
+};
+
+/**
+ * Replace channel list of an IPAL
+ * - Channel without id → new id
+ * - Secret / bot_token / headers omitted on an existing channel → kept
+ * - New webhook without secret → random secret (returned once)
+ * @param {Number} ipalId - IPAL ID
+ * @param {Array} channels - Validated channels
+ * @param {String} updatedBy - Email of admin
+ * @returns {Object} { config, new_secrets: { [channel_id]: secret } }
+ */
+const saveChannels = async (ipalId, channels, updatedBy) => {
+  try {
+    const current = await getChannels(ipalId);
+    const existing = new Map(
+      (current?.channels || []).map((channel) => [channel.id, channel])
+    );
+    const newSecrets = {};
+
+    const merged = channels.map((channel) => {
+      const id = channel.id || crypto.randomBytes(6).toString("hex");
+      const previous = existing.get(id);
+      const result = { ...channel, id };
+
+      if (previous && previous.type === channel.type) {
+        [...SECRET_FIELDS, "headers"].forEach((field) => {
+          if (result[field] === undefined && previous[field] !== undefined) {
+            result[field] = previous[field];
+          }
+        });
+      }
+
+      if (result.type === "webhook" && !result.secret) {
+        result.secret = crypto.randomBytes(32).toString("hex");
+        newSecrets[id] = result.secret;
+      }
+
+      // Firestore rejects undefined
+      Object.keys(result).forEach((key) => {
+        if (result[key] === undefined) delete result[key];
+      });
+
+      return result;
+    });
+
+    const config = {
+      ipal_id: parseInt(ipalId),
+      channels: merged,
+      updated_by: updatedBy || null,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    await db.collection(COLLECTION).doc(String(ipalId)).set(config);
+
+    console.log(
+      `✅ Notification channels saved: IPAL ${ipalId} (${merged.length} channel(s))`
+    );
+
+    return {
+      config: { ...config, updated_at: new Date().toISOString() },
+      new_secrets: newSecrets,
+    };
+  } catch (error) {
+    console.error("❌ Error saving notification channels:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  getChannels,
+  saveChannels,
+  maskChannel,
+};
+
+console.log("📦 notificationChannelModel loaded");
@@ -1,44 +1,363 @@
-// models/notificationModel.js
-const admin = require("../config/firebase-config");
+/**
+ * ========================================
+ * NOTIFICATION MODEL (OUTBOX)
+ * ========================================
+ * Firestore operations for the notification outbox / delivery log
+ *
+ * Collection: notifications (1 document per delivery per channel)
+ * {
+ *   channel: "email" | "fcm" | "webhook" | "telegram",
+ *   kind: "alert" | "recovery",
+ *   ipal_id, alert_ids,
+ *   target:  { emails } | { tokens } | { channel_id, name },
+ *   payload: data needed to send again (email data, FCM data, channel event),
+ *   status: "pending" | "sent" | "failed",
+ *   attempts, max_attempts, error, last_result,
+ *   next_retry_at, processing_until,   // retry schedule + worker lease
+ *   created_at, updated_at, sent_at, resent_by?
+ * }
+ *
+ * Status flow:
+ *   pending → sent
+ *   pending → pending (attempt failed, next_retry_at in the future)
+ *   pending → failed  (max_attempts reached, or permanent error)
+ *   failed  → pending (resend by admin)
+ */
 
-// Fungsi untuk menambahkan notifikasi baru
-const addNotification = async (notificationData) => {
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "notifications";
+
+/**
+ * Remove undefined values (Firestore rejects them), keep Timestamp/Date
+ */
+function stripUndefined(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripUndefined);
+  }
+
+  if (value && typeof value === "object" && value.constructor === Object) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, stripUndefined(v)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Format notification document (Timestamp → ISO string)
+ * FCM tokens are replaced by a count (admin API must not leak them)
+ */
+function formatNotification(id, data, { includePayload = false } = {}) {
+  const toISO = (value) =>
+    value?.toDate ? value.toDate().toISOString() : value || null;
+
+  const { payload, processing_until, ...rest } = data;
+  const target =
+    data.channel === "fcm"
+      ? { token_count: data.target?.tokens?.length || 0 }
+      : data.target;
+
+  return {
+    id,
+    ...rest,
+    target,
+    ...(includePayload && data.channel !== "fcm" ? { payload } : {}),
+    next_retry_at: toISO(data.next_retry_at),
+    created_at: toISO(data.created_at),
+    updated_at: toISO(data.updated_at),
+    sent_at: toISO(data.sent_at),
+  };
+}
+
+/**
+ * ========================================
+ * CREATE
+ * ========================================
+ */
+
+/**
+ * Add delivery to the outbox
+ * Created with a processing lease, so the retry worker does not
+ * pick it up while the first attempt is running.
+ * @param {Object} notificationData - { channel, kind, ipal_id, alert_ids, target, payload, max_attempts }
+ * @param {Number} leaseMs - Lease duration
+ * @returns {Promise<String>} Notification ID
+ */
+const addNotification = async (notificationData, leaseMs) => {
   try {
-    const notificationsRef = admin.firestore().collection("notifications");
-    const newNotificationRef = await notificationsRef.add(notificationData); // Menambahkan notifikasi baru
-    return newNotificationRef.id; // Mengembalikan ID notifikasi yang baru ditambahkan
+    const now = Date.now();
+
+    const notificationRef = await db.collection(COLLECTION).add(
+      stripUndefined({
+        channel: notificationData.channel,
+        kind: notificationData.kind || "alert",
+        ipal_id: notificationData.ipal_id ?? null,
+        alert_ids: notificationData.alert_ids || [],
+        target: notificationData.target,
+        payload: notificationData.payload,
+        status: "pending",
+        attempts: 0,
+        max_attempts: notificationData.max_attempts,
+        error: null,
+        last_result: null,
+        next_retry_at: admin.firestore.Timestamp.fromMillis(now),
+        processing_until: admin.firestore.Timestamp.fromMillis(now + leaseMs),
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+        sent_at: null,
+      })
+    );
+
+    return notificationRef.id;
   } catch (error) {
-    throw new Error("Error adding notification: " + error.message); // Menangani error
+    console.error("❌ Error adding notification:", error);
+    throw error;
   }
 };
 
-// Fungsi untuk mengambil semua notifikasi
-const getNotifications = async () => {
+/**
+ * ========================================
+ * READ
+ * ========================================
+ */
+
+/**
+ * Get notification by ID (raw data for sending, or formatted)
+ * @returns {Object|null} Notification or null
+ */
+const getNotificationById = async (notificationId, { raw = false } = {}) => {
   try {
-    const notificationsRef = admin.firestore().collection("notifications");
-    const snapshot = await notificationsRef.get(); // Mengambil semua dokumen dalam koleksi 'notifications'
-    const notifications = snapshot.docs.map((doc) => doc.data()); // Mengambil data dari setiap dokumen
-    return notifications;
+    const doc = await db.collection(COLLECTION).doc(notificationId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return raw
+      ? { id: doc.id, ...doc.data() }
+      : formatNotification(doc.id, doc.data(), { includePayload: true });
   } catch (error) {
-    throw new Error("Error fetching notifications: " + error.message); // Menangani error
+    console.error("❌ Error fetching notification:", error);
+    throw error;
   }
 };
 
-// Fungsi untuk mengambil notifikasi berdasarkan ID
-const getNotificationById = async (notificationId) => {
+/**
+ * Delivery history (newest first)
+ * @param {Object} filters - { status?, channel?, ipal_id?, alert_id?, limit }
+ * @returns {Array} Notifications
+ */
+const getNotifications = async ({
+  status,
+  channel,
+  ipal_id,
+  alert_id,
+  limit = 50,
+} = {}) => {
   try {
-    const notificationRef = admin
-      .firestore()
-      .collection("notifications")
-      .doc(notificationId); // Mengakses dokumen berdasarkan ID
-    const doc = await notificationRef.get();
-    if (!doc.exists) {
-      throw new Error("Notification not found"); // Menangani jika notifikasi tidak ditemukan
-    }
-    return doc.data(); // Mengembalikan data notifikasi
+    let query = db.collection(COLLECTION);
+
+    if (status) query = query.where("status", "==", status);
+    if (channel) query = query.where("channel", "==", channel);
+    if (ipal_id) query = query.where("ipal_id", "==", ipal_id);
+    if (alert_id) query = query.where("alert_ids", "array-contains", alert_id);
+
+    const snapshot = await query
+      .orderBy("created_at", "desc")
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map((doc) => formatNotification(doc.id, doc.data()));
+  } catch (error) {
+    console.error("❌ Error fetching notifications:", error);
+    throw error;
+  }
+};
+
+/**
+ * Pending notifications whose retry time has come (oldest first)
+ * @param {Number} limit - Max notifications
+ * @returns {Array<String>} Notification IDs
+ */
+const getDueNotificationIds = async (limit) => {
+  try {
+    const snapshot = await db
+      .collection(COLLECTION)
+      .where("status", "==", "pending")
+      .get();
+
+    const now = Date.now();
+
+    // Filter & sort in memory (pending set is small, avoids composite index)
+    return snapshot.docs
+      .filter((doc) => {
+        const data = doc.data();
+        return (
+          (data.next_retry_at?.toMillis() ?? 0) <= now &&
+          (data.processing_until?.toMillis() ?? 0) <= now
+        );
+      })
+      .sort(
+        (a, b) =>
+          (a.data().next_retry_at?.toMillis() ?? 0) -
+          (b.data().next_retry_at?.toMillis() ?? 0)
+      )
+      .slice(0, limit)
+      .map((doc) => doc.id);
+  } catch (error) {
+    console.error("❌ Error fetching due notifications:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * STATUS TRANSITIONS
+ * ========================================
+ */
+
+/**
+ * Claim a due notification for one attempt (transaction)
+ * @returns {Object|null} Raw notification, null if not due / already claimed
+ */
+const claimNotification = async (notificationId, leaseMs) => {
+  try {
+    const notificationRef = db.collection(COLLECTION).doc(notificationId);
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(notificationRef);
+      const data = doc.data();
+      const now = Date.now();
+
+      if (
+        !doc.exists ||
+        data.status !== "pending" ||
+        (data.next_retry_at?.toMillis() ?? 0) > now ||
+        (data.processing_until?.toMillis() ?? 0) > now
+      ) {
+        return null;
+      }
+
+      transaction.update(notificationRef, {
+        processing_until: admin.firestore.Timestamp.fromMillis(now + leaseMs),
+      });
+
+      return { id: doc.id, ...data };
+    });
   } catch (error) {
-    throw new Error("Error fetching notification: " + error.message); // Menangani error
+    console.error(`❌ Error claiming notification ${notificationId}:`, error);
+    throw error;
   }
 };
 
-module.exports = { addNotification, getNotifications, getNotificationById };
+/**
+ * Record the outcome of an attempt
+ * @param {String} notificationId - Notification ID
+ * @param {Object} outcome - { success, error?, result?, retryAt? (ms), permanent? }
+ * @returns {Object} { status, attempts }
+ */
+const recordAttempt = async (notificationId, outcome) => {
+  try {
+    const notificationRef = db.collection(COLLECTION).doc(notificationId);
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(notificationRef);
+      const data = doc.data();
+      const attempts = (data.attempts || 0) + 1;
+
+      let status = "pending";
+      if (outcome.success) {
+        status = "sent";
+      } else if (outcome.permanent || attempts >= data.max_attempts) {
+        status = "failed";
+      }
+
+      transaction.update(
+        notificationRef,
+        stripUndefined({
+          status,
+          attempts,
+          error: outcome.success ? null : outcome.error || "Unknown error",
+          last_result: outcome.result || null,
+          next_retry_at:
+            status === "pending"
+              ? admin.firestore.Timestamp.fromMillis(outcome.retryAt)
+              : null,
+          processing_until: null,
+          sent_at: outcome.success
+            ? admin.firestore.FieldValue.serverTimestamp()
+            : data.sent_at || null,
+          updated_at: admin.firestore.FieldValue.serverTimestamp(),
+        })
+      );
+
+      return { status, attempts };
+    });
+  } catch (error) {
+    console.error(`❌ Error updating notification ${notificationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Put a failed notification back in the queue (admin resend)
+ * @param {String} notificationId - Notification ID
+ * @param {Object} options - { extraAttempts, resentBy, leaseMs }
+ * @returns {Object|null} Raw notification (claimed), null if not failed
+ */
+const requeueNotification = async (
+  notificationId,
+  { extraAttempts, resentBy, leaseMs }
+) => {
+  try {
+    const notificationRef = db.collection(COLLECTION).doc(notificationId);
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(notificationRef);
+
+      if (!doc.exists || doc.data().status !== "failed") {
+        return null;
+      }
+
+      const data = doc.data();
+      const now = Date.now();
+      const update = {
+        status: "pending",
+        max_attempts: (data.attempts || 0) + extraAttempts,
+        next_retry_at: admin.firestore.Timestamp.fromMillis(now),
+        processing_until: admin.firestore.Timestamp.fromMillis(now + leaseMs),
+        resent_by: resentBy || null,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      transaction.update(notificationRef, update);
+
+      return { id: doc.id, ...data, ...update };
+    });
+  } catch (error) {
+    console.error(`❌ Error requeueing notification ${notificationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  addNotification,
+  getNotifications,
+  getNotificationById,
+  getDueNotificationIds,
+  claimNotification,
+  recordAttempt,
+  requeueNotification,
+};
+
+console.log("📦 notificationModel loaded");
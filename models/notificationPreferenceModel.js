@@ -0,0 +1,203 @@
+/**
+ * ========================================
+ * NOTIFICATION PREFERENCE MODEL
+ * ========================================
+ * Firestore operations for per-user notification preferences
+ *
+ * Collection: notification_preferences/{uid}
+ * {
+ *   ipal_ids: null | [1, 2],            // null = semua IPAL
+ *   min_severity: { email: "low", push: "high" },
+ *   quiet_hours: {
+ *     enabled, start: "22:00", end: "06:00", timezone: "Asia/Jakarta",
+ *     critical_override: true            // critical tetap dikirim
+ *   },
+ *   daily_digest: true,
+ *   updated_at
+ * }
+ *
+ * Users without a document get role defaults (everything, digest for
+ * admin & manager), which is the behaviour before preferences existed.
+ */
+
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "notification_preferences";
+const DIGEST_ROLES = ["admin", "manager"];
+
+/**
+ * Default preferences for a role
+ * @param {String} role - User role
+ * @returns {Object} Preferences
+ */
+function getDefaultPreferences(role) {
+  return {
+    ipal_ids: null,
+    min_severity: { email: "low", push: "low" },
+    quiet_hours: {
+      enabled: false,
+      start: "22:00",
+      end: "06:00",
+      timezone: "Asia/Jakarta",
+      critical_override: true,
+    },
+    daily_digest: DIGEST_ROLES.includes(role),
+  };
+}
+
+/**
+ * Merge stored (partial) preferences over role defaults
+ */
+function mergePreferences(base, data = {}) {
+  return {
+    ipal_ids: data.ipal_ids !== undefined ? data.ipal_ids : base.ipal_ids,
+    min_severity: { ...base.min_severity, ...data.min_severity },
+    quiet_hours: { ...base.quiet_hours, ...data.quiet_hours },
+    daily_digest:
+      data.daily_digest !== undefined ? data.daily_digest : base.daily_digest,
+  };
+}
+
+/**
+ * Format preference document (Timestamp → ISO string)
+ */
+function formatPreferences(role, data) {
+  if (!data) {
+    return {
+      ...getDefaultPreferences(role),
+      is_default: true,
+      updated_at: null,
+    };
+  }
+
+  return {
+    ...mergePreferences(getDefaultPreferences(role), data),
+    is_default: false,
+    updated_at: data.updated_at?.toDate
+      ? data.updated_at.toDate().toISOString()
+      : data.updated_at || null,
+  };
+}
+
+/**
+ * ========================================
+ * READ
+ * ========================================
+ */
+
+/**
+ * Get effective preferences of a user (defaults if none saved)
+ * @param {String} uid - User ID
+ * @param {String} role - User role (for defaults)
+ * @returns {Object} Preferences
+ */
+const getPreferences = async (uid, role) => {
+  try {
+    const doc = await db.collection(COLLECTION).doc(uid).get();
+
+    return formatPreferences(role, doc.exists ? doc.data() : null);
+  } catch (error) {
+    console.error("❌ Error fetching notification preferences:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get effective preferences of many users at once
+ * @param {Array} users - [{ uid, role }]
+ * @returns {Map} uid → preferences
+ */
+const getPreferencesForUsers = async (users) => {
+  try {
+    const docs = await Promise.all(
+      users.map((user) => db.collection(COLLECTION).doc(user.uid).get())
+    );
+
+    return new Map(
+      users.map((user, i) => [
+        user.uid,
+        formatPreferences(user.role, docs[i].exists ? docs[i].data() : null),
+      ])
+    );
+  } catch (error) {
+    console.error("❌ Error fetching notification preferences:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * WRITE
+ * ========================================
+ */
+
+/**
+ * Update preferences (partial, merged over current preferences)
+ * @param {String} uid - User ID
+ * @param {String} role - User role (for defaults)
+ * @param {Object} changes - Validated partial preferences
+ * @returns {Object} Saved preferences
+ */
+const savePreferences = async (uid, role, changes) => {
+  try {
+    const current = await getPreferences(uid, role);
+    const preferences = mergePreferences(current, changes);
+
+    await db
+      .collection(COLLECTION)
+      .doc(uid)
+      .set({
+        ...preferences,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+    console.log(`✅ Notification preferences saved: ${uid}`);
+
+    return {
+      ...preferences,
+      is_default: false,
+      updated_at: new Date().toISOString(),
+    };
+  } catch (error) {
+    console.error("❌ Error saving notification preferences:", error);
+    throw error;
+  }
+};
+
+/**
+ * Reset preferences to role defaults
+ * @returns {Boolean} false if user had no saved preferences
+ */
+const deletePreferences = async (uid) => {
+  try {
+    const prefRef = db.collection(COLLECTION).doc(uid);
+    const doc = await prefRef.get();
+
+    if (!doc.exists) {
+      return false;
+    }
+
+    await prefRef.delete();
+
+    return true;
+  } catch (error) {
+    console.error("❌ Error deleting notification preferences:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  getPreferences,
+  getPreferencesForUsers,
+  savePreferences,
+  deletePreferences,
+  getDefaultPreferences,
+};
+
+console.log("📦 notificationPreferenceModel loaded");
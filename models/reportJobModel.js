@@ -0,0 +1,339 @@
+/**
+ * ========================================
+ * REPORT JOB MODEL
+ * ========================================
+ * Firestore operations for asynchronous report generation
+ *
+ * Collection: report_jobs
+ * {
+ *   format: "pdf" | "excel" | "csv",
+ *   filters: { ipal_id, start_date, end_date, parameters, location },
+ *   status: "queued" | "running" | "completed" | "failed" | "expired",
+ *   stage: "queued" | "fetching" | "generating" | "storing" | "done",
+ *   progress,            // 0-100
+ *   readings,            // Readings fetched so far / in the file
+ *   attempts,
+ *   file: { storage, key, name, content_type, size } | null,
+ *   error,
+ *   requested_by: { uid, email },
+ *   processing_until,    // Worker lease
+ *   created_at, started_at, completed_at, expires_at, updated_at
+ * }
+ *
+ * Status flow:
+ *   queued    → running → completed → expired (file deleted)
+ *   running   → failed
+ *   running   → running (lease expired, e.g. worker died → reclaimed)
+ */
+
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "report_jobs";
+
+const toISO = (value) =>
+  value?.toDate ? value.toDate().toISOString() : value || null;
+
+/**
+ * Format job document (Timestamp → ISO string)
+ * Storage location & lease are internal
+ */
+function formatJob(id, data) {
+  const { processing_until, file, ...rest } = data;
+
+  return {
+    id,
+    ...rest,
+    file: file
+      ? { name: file.name, content_type: file.content_type, size: file.size }
+      : null,
+    created_at: toISO(data.created_at),
+    started_at: toISO(data.started_at),
+    completed_at: toISO(data.completed_at),
+    expires_at: toISO(data.expires_at),
+    updated_at: toISO(data.updated_at),
+  };
+}
+
+/**
+ * ========================================
+ * CREATE & READ
+ * ========================================
+ */
+
+/**
+ * Create queued job
+ * @param {Object} job - { format, filters, requested_by: { uid, email } }
+ * @returns {Object} Created job
+ */
+const createJob = async ({ format, filters, requested_by }) => {
+  try {
+    const jobRef = await db.collection(COLLECTION).add({
+      format,
+      filters,
+      status: "queued",
+      stage: "queued",
+      progress: 0,
+      readings: 0,
+      attempts: 0,
+      file: null,
+      error: null,
+      requested_by,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return await getJobById(jobRef.id);
+  } catch (error) {
+    console.error("❌ Error creating report job:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get job by ID
+ * @param {String} jobId - Job ID
+ * @param {Object} options - { raw: true → document data incl. file location }
+ * @returns {Object|null} Job or null
+ */
+const getJobById = async (jobId, { raw = false } = {}) => {
+  try {
+    const doc = await db.collection(COLLECTION).doc(jobId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return raw ? { id: doc.id, ...doc.data() } : formatJob(doc.id, doc.data());
+  } catch (error) {
+    console.error("❌ Error fetching report job:", error);
+    throw error;
+  }
+};
+
+/**
+ * Jobs waiting for a worker (queued, or running with an expired lease)
+ * Oldest first
+ * @param {Number} limit - Max jobs
+ * @returns {Array} Job IDs
+ */
+const getPendingJobIds = async (limit) => {
+  try {
+    const snapshot = await db
+      .collection(COLLECTION)
+      .where("status", "in", ["queued", "running"])
+      .get();
+
+    const now = Date.now();
+
+    // Filter & sort in memory (pending set is small, avoids composite index)
+    return snapshot.docs
+      .filter((doc) => (doc.data().processing_until?.toMillis() ?? 0) <= now)
+      .sort(
+        (a, b) =>
+          (a.data().created_at?.toMillis() ?? 0) -
+          (b.data().created_at?.toMillis() ?? 0)
+      )
+      .slice(0, limit)
+      .map((doc) => doc.id);
+  } catch (error) {
+    console.error("❌ Error fetching pending report jobs:", error);
+    throw error;
+  }
+};
+
+/**
+ * Completed jobs whose file has expired
+ * @param {Number} limit - Max jobs
+ * @returns {Array} Jobs (raw, incl. file location)
+ */
+const getExpiredJobs = async (limit) => {
+  try {
+    const snapshot = await db
+      .collection(COLLECTION)
+      .where("status", "==", "completed")
+      .get();
+
+    const now = Date.now();
+
+    return snapshot.docs
+      .filter((doc) => (doc.data().expires_at?.toMillis() ?? 0) <= now)
+      .slice(0, limit)
+      .map((doc) => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error("❌ Error fetching expired report jobs:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * WORKER
+ * ========================================
+ */
+
+/**
+ * Claim a job for generation (transaction)
+ * A running job whose lease expired is reclaimed; after maxAttempts it
+ * is marked failed instead.
+ * @param {String} jobId - Job ID
+ * @param {Number} leaseMs - Lease duration
+ * @param {Number} maxAttempts - Max attempts
+ * @returns {Object|null} Job (raw), null if not claimable
+ */
+const claimJob = async (jobId, leaseMs, maxAttempts) => {
+  try {
+    const jobRef = db.collection(COLLECTION).doc(jobId);
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(jobRef);
+      const data = doc.data();
+      const now = Date.now();
+
+      if (
+        !doc.exists ||
+        !["queued", "running"].includes(data.status) ||
+        (data.processing_until?.toMillis() ?? 0) > now
+      ) {
+        return null;
+      }
+
+      const FieldValue = admin.firestore.FieldValue;
+
+      if ((data.attempts || 0) >= maxAttempts) {
+        transaction.update(jobRef, {
+          status: "failed",
+          error: "Report generation did not finish",
+          processing_until: FieldValue.delete(),
+          updated_at: FieldValue.serverTimestamp(),
+        });
+        return null;
+      }
+
+      transaction.update(jobRef, {
+        status: "running",
+        stage: "fetching",
+        progress: 0,
+        readings: 0,
+        attempts: (data.attempts || 0) + 1,
+        started_at: FieldValue.serverTimestamp(),
+        processing_until: admin.firestore.Timestamp.fromMillis(now + leaseMs),
+        updated_at: FieldValue.serverTimestamp(),
+      });
+
+      return { id: doc.id, ...data };
+    });
+  } catch (error) {
+    console.error(`❌ Error claiming report job ${jobId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Update progress (also extends the lease)
+ * @param {String} jobId - Job ID
+ * @param {Object} progress - { stage, progress, readings? }
+ * @param {Number} leaseMs - Lease duration
+ */
+const updateProgress = async (jobId, progress, leaseMs) => {
+  try {
+    await db
+      .collection(COLLECTION)
+      .doc(jobId)
+      .update({
+        ...progress,
+        processing_until: admin.firestore.Timestamp.fromMillis(
+          Date.now() + leaseMs
+        ),
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+  } catch (error) {
+    console.error(`❌ Error updating report job ${jobId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Mark job completed
+ * @param {String} jobId - Job ID
+ * @param {Object} result - { file, readings, expiresAt (Date) }
+ */
+const completeJob = async (jobId, { file, readings, expiresAt }) => {
+  try {
+    const FieldValue = admin.firestore.FieldValue;
+
+    await db
+      .collection(COLLECTION)
+      .doc(jobId)
+      .update({
+        status: "completed",
+        stage: "done",
+        progress: 100,
+        readings,
+        file,
+        error: null,
+        completed_at: FieldValue.serverTimestamp(),
+        expires_at: admin.firestore.Timestamp.fromDate(expiresAt),
+        processing_until: FieldValue.delete(),
+        updated_at: FieldValue.serverTimestamp(),
+      });
+  } catch (error) {
+    console.error(`❌ Error completing report job ${jobId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Mark job failed
+ */
+const failJob = async (jobId, message) => {
+  try {
+    const FieldValue = admin.firestore.FieldValue;
+
+    await db.collection(COLLECTION).doc(jobId).update({
+      status: "failed",
+      error: message,
+      completed_at: FieldValue.serverTimestamp(),
+      processing_until: FieldValue.delete(),
+      updated_at: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error(`❌ Error failing report job ${jobId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Mark job expired (file deleted)
+ */
+const markExpired = async (jobId) => {
+  try {
+    await db.collection(COLLECTION).doc(jobId).update({
+      status: "expired",
+      file: null,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error(`❌ Error expiring report job ${jobId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  createJob,
+  getJobById,
+  getPendingJobIds,
+  getExpiredJobs,
+  claimJob,
+  updateProgress,
+  completeJob,
+  failJob,
+  markExpired,
+};
+
+console.log("📦 reportJobModel loaded");
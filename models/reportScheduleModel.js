@@ -0,0 +1,342 @@
+/**
+ * ========================================
+ * REPORT SCHEDULE MODEL
+ * ========================================
+ * Firestore operations for scheduled report delivery
+ *
+ * Collection: report_schedules
+ * {
+ *   name, ipal_id, parameters, location, format,
+ *   cadence: "daily" | "weekly" | "monthly",
+ *   day_of_week?, day_of_month?, send_hour,
+ *   recipients, enabled,
+ *   last_period_end,    // End date (YYYY-MM-DD) of the last period handled
+ *   last_status,        // running | sent | no_data | failed
+ *   period_attempts,    // Attempts for last_period_end (failed → retried)
+ *   last_run_at,
+ *   created_by, created_at, updated_by, updated_at
+ * }
+ *
+ * Collection: report_runs (one document per run, scheduled or manual)
+ */
+
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "report_schedules";
+const RUNS_COLLECTION = "report_runs";
+
+const toISO = (value) =>
+  value?.toDate ? value.toDate().toISOString() : value || null;
+
+/**
+ * Format schedule document (Timestamp → ISO string)
+ */
+function formatSchedule(id, data) {
+  return {
+    id,
+    ...data,
+    last_run_at: toISO(data.last_run_at),
+    created_at: toISO(data.created_at),
+    updated_at: toISO(data.updated_at),
+  };
+}
+
+/**
+ * Format run document (Timestamp → ISO string)
+ */
+function formatRun(id, data) {
+  return {
+    id,
+    ...data,
+    started_at: toISO(data.started_at),
+    finished_at: toISO(data.finished_at),
+    created_at: toISO(data.created_at),
+  };
+}
+
+/**
+ * Remove undefined fields (Firestore rejects undefined)
+ */
+function compact(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * ========================================
+ * SCHEDULES
+ * ========================================
+ */
+
+/**
+ * Create schedule
+ * @param {Object} schedule - Validated schedule
+ * @param {Object} state - { last_period_end } (first run = next period)
+ * @param {String} createdBy - Email of creator
+ * @returns {Object} Created schedule
+ */
+const createSchedule = async (schedule, state, createdBy) => {
+  try {
+    const scheduleRef = await db.collection(COLLECTION).add(
+      compact({
+        ...schedule,
+        last_period_end: state.last_period_end,
+        last_status: null,
+        period_attempts: 0,
+        last_run_at: null,
+        created_by: createdBy || null,
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+        updated_by: createdBy || null,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      })
+    );
+
+    return await getScheduleById(scheduleRef.id);
+  } catch (error) {
+    console.error("❌ Error creating report schedule:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get schedule by ID
+ * @returns {Object|null} Schedule or null
+ */
+const getScheduleById = async (scheduleId) => {
+  try {
+    const doc = await db.collection(COLLECTION).doc(scheduleId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return formatSchedule(doc.id, doc.data());
+  } catch (error) {
+    console.error("❌ Error fetching report schedule:", error);
+    throw error;
+  }
+};
+
+/**
+ * List schedules (optionally per IPAL)
+ * @param {Object} filters - { ipal_id?, enabled? }
+ * @returns {Array} Schedules
+ */
+const getSchedules = async ({ ipal_id, enabled } = {}) => {
+  try {
+    let query = db.collection(COLLECTION);
+
+    if (ipal_id) query = query.where("ipal_id", "==", ipal_id);
+    if (enabled !== undefined) query = query.where("enabled", "==", enabled);
+
+    const snapshot = await query.get();
+
+    return snapshot.docs
+      .map((doc) => formatSchedule(doc.id, doc.data()))
+      .sort((a, b) => (a.created_at || "").localeCompare(b.created_at || ""));
+  } catch (error) {
+    console.error("❌ Error fetching report schedules:", error);
+    throw error;
+  }
+};
+
+/**
+ * Replace schedule settings (run state is kept unless given)
+ * @param {String} scheduleId - Schedule ID
+ * @param {Object} schedule - Validated schedule
+ * @param {Object} state - { last_period_end? } when timing changed
+ * @param {String} updatedBy - Email of editor
+ * @returns {Object|null} Updated schedule, null if not found
+ */
+const updateSchedule = async (scheduleId, schedule, state, updatedBy) => {
+  try {
+    const scheduleRef = db.collection(COLLECTION).doc(scheduleId);
+    const doc = await scheduleRef.get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    const FieldValue = admin.firestore.FieldValue;
+
+    await scheduleRef.update(
+      compact({
+        ...schedule,
+        // Cadence switch → drop the day field of the old cadence
+        day_of_week: schedule.day_of_week ?? FieldValue.delete(),
+        day_of_month: schedule.day_of_month ?? FieldValue.delete(),
+        ...(state.last_period_end
+          ? { last_period_end: state.last_period_end, period_attempts: 0 }
+          : {}),
+        updated_by: updatedBy || null,
+        updated_at: FieldValue.serverTimestamp(),
+      })
+    );
+
+    return await getScheduleById(scheduleId);
+  } catch (error) {
+    console.error("❌ Error updating report schedule:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete schedule (run history is kept)
+ * @returns {Boolean} false if not found
+ */
+const deleteSchedule = async (scheduleId) => {
+  try {
+    const scheduleRef = db.collection(COLLECTION).doc(scheduleId);
+    const doc = await scheduleRef.get();
+
+    if (!doc.exists) {
+      return false;
+    }
+
+    await scheduleRef.delete();
+    return true;
+  } catch (error) {
+    console.error("❌ Error deleting report schedule:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * RUN STATE
+ * ========================================
+ */
+
+/**
+ * Claim a period for a scheduled run (transaction)
+ * Due when the period was not handled yet, or its last run failed
+ * and attempts are left.
+ * @param {String} scheduleId - Schedule ID
+ * @param {String} periodEnd - Period end date (YYYY-MM-DD)
+ * @param {Number} maxAttempts - Max attempts per period
+ * @returns {Object|null} Schedule, null if not due / claimed elsewhere
+ */
+const claimScheduledRun = async (scheduleId, periodEnd, maxAttempts) => {
+  try {
+    const scheduleRef = db.collection(COLLECTION).doc(scheduleId);
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(scheduleRef);
+
+      if (!doc.exists || !doc.data().enabled) {
+        return null;
+      }
+
+      const data = doc.data();
+      const samePeriod = data.last_period_end === periodEnd;
+
+      if (
+        samePeriod &&
+        (data.last_status !== "failed" ||
+          (data.period_attempts || 0) >= maxAttempts)
+      ) {
+        return null;
+      }
+
+      transaction.update(scheduleRef, {
+        last_period_end: periodEnd,
+        last_status: "running",
+        period_attempts: samePeriod ? (data.period_attempts || 0) + 1 : 1,
+        last_run_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return formatSchedule(doc.id, data);
+    });
+  } catch (error) {
+    console.error(`❌ Error claiming report schedule ${scheduleId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Store outcome of a scheduled run on the schedule
+ */
+const setLastStatus = async (scheduleId, status) => {
+  try {
+    await db.collection(COLLECTION).doc(scheduleId).update({
+      last_status: status,
+    });
+  } catch (error) {
+    // Schedule deleted while running → nothing to update
+    console.error(
+      `⚠️  Could not update report schedule ${scheduleId}:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * ========================================
+ * RUN HISTORY
+ * ========================================
+ */
+
+/**
+ * Save a finished run
+ * @param {Object} run - { schedule_id, ipal_id, trigger, triggered_by, period_start, period_end, format, recipients, status, readings, file_name, file_size, error, started_at, finished_at, duration_ms }
+ * @returns {String} Run ID
+ */
+const saveRun = async (run) => {
+  try {
+    const runRef = await db.collection(RUNS_COLLECTION).add(
+      compact({
+        ...run,
+        error: run.error ?? null,
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+      })
+    );
+
+    return runRef.id;
+  } catch (error) {
+    console.error("❌ Error saving report run:", error);
+    throw error;
+  }
+};
+
+/**
+ * Run history of a schedule (newest first)
+ * @param {String} scheduleId - Schedule ID
+ * @param {Number} limit - Max runs
+ * @returns {Array} Runs
+ */
+const getRuns = async (scheduleId, limit = 20) => {
+  try {
+    const snapshot = await db
+      .collection(RUNS_COLLECTION)
+      .where("schedule_id", "==", scheduleId)
+      .orderBy("started_at", "desc")
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map((doc) => formatRun(doc.id, doc.data()));
+  } catch (error) {
+    console.error("❌ Error fetching report runs:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  createSchedule,
+  getScheduleById,
+  getSchedules,
+  updateSchedule,
+  deleteSchedule,
+  claimScheduledRun,
+  setLastStatus,
+  saveRun,
+  getRuns,
+};
+
+console.log("📦 reportScheduleModel loaded");
@@ -1,6 +1,10 @@
 // models/sensorModel.js
 const { admin } = require("../config/firebase-config"); // Firebase Admin SDK
 
+// Sensor dianggap offline jika tidak ada update > N menit
+// (dipakai sensorController, sensor-offline-sweep job & batch update)
+const OFFLINE_AFTER_MINUTES = 5;
+
 // Fungsi untuk menambahkan sensor baru ke Firestore
 const addSensor = async (sensorData) => {
   try {
@@ -115,7 +119,7 @@ const batchUpdateSensorsReading = async (sensorsData) => {
   try {
     if (!sensorsData || sensorsData.length === 0) {
       console.log("ℹ️  No sensors to update");
-      return { success: 0, failed: 0, skipped: 0 };
+      return { success: 0, failed: 0, skipped: 0, came_online: [] };
     }
 
     console.log(`📦 Batch updating ${sensorsData.length} sensor(s)...`);
@@ -125,6 +129,7 @@ const batchUpdateSensorsReading = async (sensorsData) => {
     let successCount = 0;
     let failedCount = 0;
     let skippedCount = 0;
+    const cameOnline = [];
 
     // Process each sensor
     for (const { sensorId, readingData } of sensorsData) {
@@ -154,8 +159,19 @@ const batchUpdateSensorsReading = async (sensorsData) => {
         // Prepare timestamp - use provided timestamp or create new one
         const updateTimestamp = timestamp || admin.firestore.Timestamp.now();
 
-        // Add to batch
-        batch.update(sensorRef, {
+        // Backfilled (older) reading must not replace a newer latest_reading
+        const sensorData = sensorDoc.data();
+        const current = sensorData.latest_reading?.timestamp;
+        if (
+          current?.toMillis &&
+          updateTimestamp.toMillis &&
+          current.toMillis() > updateTimestamp.toMillis()
+        ) {
+          skippedCount++;
+          continue;
+        }
+
+        const sensorUpdate = {
           latest_reading: {
             value: value,
             timestamp: updateTimestamp,
@@ -165,7 +181,30 @@ const batchUpdateSensorsReading = async (sensorsData) => {
           last_updated_at: updateTimestamp,
           updated_at: updateTimestamp,
           readings_count: admin.firestore.FieldValue.increment(1),
-        });
+        };
+
+        // Sensor yang offline kembali online saat mengirim data baru
+        // (data backlog lama tidak dihitung)
+        const ageMinutes = updateTimestamp.toMillis
+          ? (Date.now() - updateTimestamp.toMillis()) / 1000 / 60
+          : 0;
+        if (
+          sensorData.online_status === "offline" &&
+          ageMinutes < OFFLINE_AFTER_MINUTES
+        ) {
+          sensorUpdate.online_status = "online";
+          sensorUpdate.online_status_changed_at =
+            admin.firestore.FieldValue.serverTimestamp();
+          cameOnline.push({
+            sensor_id: sensorId,
+            ipal_id: sensorData.ipal_id,
+            sensor_type: sensorData.sensor_type,
+            sensor_location: sensorData.sensor_location,
+          });
+        }
+
+        // Add to batch
+        batch.update(sensorRef, sensorUpdate);
 
         successCount++;
       } catch (error) {
@@ -188,6 +227,7 @@ const batchUpdateSensorsReading = async (sensorsData) => {
       failed: failedCount,
       skipped: skippedCount,
       total: sensorsData.length,
+      came_online: cameOnline,
     };
 
     if (failedCount > 0 || skippedCount > 0) {
@@ -201,10 +241,265 @@ const batchUpdateSensorsReading = async (sensorsData) => {
   }
 };
 
+/**
+ * ========================================
+ * SENSOR PROVISIONING
+ * ========================================
+ * Register / retire / replace sensors for any IPAL
+ * Menggantikan script setupSensor.js
+ */
+
+const SENSOR_TYPES = ["ph", "tds", "turbidity", "temperature"];
+const SENSOR_LOCATIONS = ["inlet", "outlet"];
+
+// Short names used in sensor IDs (sensor-ph-inlet-001, sensor-turb-outlet-007)
+const SENSOR_TYPE_SHORT = {
+  ph: "ph",
+  tds: "tds",
+  turbidity: "turb",
+  temperature: "temp",
+};
+
+/**
+ * Build sensor_mapping key that devices must send
+ * @param {string} sensorLocation - inlet/outlet
+ * @param {string} sensorType - ph/tds/turbidity/temperature
+ * @returns {string} e.g. "inlet_ph"
+ */
+const getSensorMappingKey = (sensorLocation, sensorType) =>
+  `${sensorLocation}_${sensorType}`;
+
+/**
+ * Find sensor currently occupying an IPAL slot (type + location)
+ * Retired sensors do not occupy a slot
+ * @returns {Promise<Object|null>} { id, ...data } or null if slot is free
+ */
+const findSensorInSlot = async (ipalId, sensorType, sensorLocation, tx) => {
+  const query = admin
+    .firestore()
+    .collection("sensors")
+    .where("ipal_id", "==", parseInt(ipalId))
+    .where("sensor_type", "==", sensorType)
+    .where("sensor_location", "==", sensorLocation);
+
+  const snapshot = tx ? await tx.get(query) : await query.get();
+
+  const occupant = snapshot.docs.find((doc) => doc.data().status !== "retired");
+
+  return occupant ? { id: occupant.id, ...occupant.data() } : null;
+};
+
+/**
+ * Generate next free sensor ID (global sequence, e.g. sensor-ph-inlet-009)
+ * Pass the registering transaction so the candidate read conflicts with a
+ * concurrent registration of the same ID (Firestore retries the loser)
+ */
+const generateSensorId = async (sensorType, sensorLocation, tx) => {
+  const db = admin.firestore();
+  const read = (refOrQuery) => (tx ? tx.get(refOrQuery) : refOrQuery.get());
+
+  const snapshot = await read(db.collection("sensors").count());
+  let seq = snapshot.data().count + 1;
+
+  // Skip IDs already taken (retired sensors keep their IDs)
+  while (true) {
+    const candidate = `sensor-${
+      SENSOR_TYPE_SHORT[sensorType]
+    }-${sensorLocation}-${String(seq).padStart(3, "0")}`;
+    const existing = await read(db.collection("sensors").doc(candidate));
+    if (!existing.exists) {
+      return candidate;
+    }
+    seq++;
+  }
+};
+
+/**
+ * Register sensor into a free IPAL slot
+ * @param {Object} sensorData
+ * @param {number} sensorData.ipal_id
+ * @param {string} sensorData.sensor_type - ph/tds/turbidity/temperature
+ * @param {string} sensorData.sensor_location - inlet/outlet
+ * @param {string} [sensorData.sensor_description]
+ * @param {string|Date} [sensorData.last_calibration]
+ * @param {string} addedBy - Email of user registering the sensor
+ * @param {Object} [options]
+ * @param {string} [options.replaces] - Sensor ID being replaced (retired in same transaction)
+ * @returns {Promise<Object>} { sensor_id, sensor, sensor_mapping }
+ */
+const registerSensor = async (sensorData, addedBy, options = {}) => {
+  const {
+    ipal_id,
+    sensor_type,
+    sensor_location,
+    sensor_description,
+    last_calibration,
+  } = sensorData;
+
+  if (!SENSOR_TYPES.includes(sensor_type)) {
+    throw new Error(
+      `Invalid sensor_type. Must be one of: ${SENSOR_TYPES.join(", ")}`
+    );
+  }
+  if (!SENSOR_LOCATIONS.includes(sensor_location)) {
+    throw new Error(
+      `Invalid sensor_location. Must be one of: ${SENSOR_LOCATIONS.join(", ")}`
+    );
+  }
+
+  const db = admin.firestore();
+  const mappingKey = getSensorMappingKey(sensor_location, sensor_type);
+
+  // sensor_id is filled in inside the transaction
+  const sensorDoc = {
+    sensor_id: null,
+    ipal_id: parseInt(ipal_id),
+    sensor_type,
+    sensor_location,
+    sensor_mapping_key: mappingKey,
+    sensor_description:
+      sensor_description ||
+      `Sensor ${sensor_type} ${sensor_location} IPAL ${ipal_id}`,
+    status: "active",
+    added_by: addedBy || "system",
+    added_at: admin.firestore.FieldValue.serverTimestamp(),
+    last_calibration: last_calibration
+      ? admin.firestore.Timestamp.fromDate(new Date(last_calibration))
+      : null,
+    replaces: options.replaces || null,
+  };
+
+  const sensorId = await db.runTransaction(async (tx) => {
+    const occupant = await findSensorInSlot(
+      ipal_id,
+      sensor_type,
+      sensor_location,
+      tx
+    );
+
+    if (occupant && occupant.id !== options.replaces) {
+      const error = new Error(
+        `Slot ${mappingKey} on IPAL ${ipal_id} is already used by ${occupant.id}`
+      );
+      error.code = "slot-occupied";
+      error.occupant = occupant.id;
+      throw error;
+    }
+
+    const newId = await generateSensorId(sensor_type, sensor_location, tx);
+    sensorDoc.sensor_id = newId;
+
+    if (options.replaces) {
+      tx.update(db.collection("sensors").doc(options.replaces), {
+        status: "retired",
+        retired_at: admin.firestore.FieldValue.serverTimestamp(),
+        retired_by: addedBy || "system",
+        retire_reason: options.reason || "replaced",
+        replaced_by: newId,
+      });
+    }
+
+    tx.create(db.collection("sensors").doc(newId), sensorDoc);
+
+    return newId;
+  });
+
+  console.log(
+    `✅ Sensor registered: ${sensorId} (${mappingKey}, IPAL ${ipal_id})`
+  );
+
+  return {
+    sensor_id: sensorId,
+    sensor: sensorDoc,
+    sensor_mapping: { [mappingKey]: sensorId },
+  };
+};
+
+/**
+ * Retire sensor (soft delete, frees its slot)
+ * Historical readings keep referencing the sensor ID
+ * @param {string} sensorId
+ * @param {string} retiredBy - Email of user
+ * @param {string} [reason]
+ * @returns {Promise<Object|null>} Retired sensor data, null if not found
+ */
+const retireSensor = async (sensorId, retiredBy, reason = null) => {
+  const sensorRef = admin.firestore().collection("sensors").doc(sensorId);
+  const doc = await sensorRef.get();
+
+  if (!doc.exists) {
+    return null;
+  }
+
+  if (doc.data().status === "retired") {
+    const error = new Error(`Sensor ${sensorId} is already retired`);
+    error.code = "already-retired";
+    throw error;
+  }
+
+  await sensorRef.update({
+    status: "retired",
+    retired_at: admin.firestore.FieldValue.serverTimestamp(),
+    retired_by: retiredBy || "system",
+    retire_reason: reason,
+  });
+
+  console.log(`🗑️ Sensor retired: ${sensorId}`);
+
+  return { id: sensorId, ...doc.data(), status: "retired" };
+};
+
+/**
+ * Replace sensor with a new unit in the same slot (atomic)
+ * @param {string} sensorId - Sensor being replaced
+ * @param {Object} newSensorData - { sensor_description?, last_calibration? }
+ * @param {string} replacedBy - Email of user
+ * @param {string} [reason]
+ * @returns {Promise<Object|null>} registerSensor result, null if old sensor not found
+ */
+const replaceSensor = async (sensorId, newSensorData, replacedBy, reason) => {
+  const doc = await admin.firestore().collection("sensors").doc(sensorId).get();
+
+  if (!doc.exists) {
+    return null;
+  }
+
+  const oldSensor = doc.data();
+
+  if (oldSensor.status === "retired") {
+    const error = new Error(`Sensor ${sensorId} is already retired`);
+    error.code = "already-retired";
+    throw error;
+  }
+
+  return registerSensor(
+    {
+      ipal_id: oldSensor.ipal_id,
+      sensor_type: oldSensor.sensor_type,
+      sensor_location: oldSensor.sensor_location,
+      sensor_description:
+        newSensorData.sensor_description || oldSensor.sensor_description,
+      last_calibration: newSensorData.last_calibration,
+    },
+    replacedBy,
+    { replaces: sensorId, reason: reason || "replaced" }
+  );
+};
+
 module.exports = {
   addSensor,
   getSensors,
   getSensorById,
   updateSensorLatestReading,
   batchUpdateSensorsReading,
+
+  // Provisioning
+  registerSensor,
+  retireSensor,
+  replaceSensor,
+  findSensorInSlot,
+  getSensorMappingKey,
+  SENSOR_TYPES,
+  SENSOR_LOCATIONS,
+  OFFLINE_AFTER_MINUTES,
 };
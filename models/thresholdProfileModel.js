@@ -0,0 +1,174 @@
+/**
+ * ========================================
+ * THRESHOLD PROFILE MODEL
+ * ========================================
+ * Firestore operations for per-IPAL baku mutu (quality standard) profiles
+ *
+ * Structure:
+ *   threshold_profiles/{ipal_id}                  → current version (pointer + thresholds)
+ *   threshold_profiles/{ipal_id}/versions/{v}     → immutable history, one doc per version
+ *
+ * Every edit creates a new version. Readings store the version
+ * they were scored with, so old versions are never modified.
+ */
+
+const { admin, db } = require("../config/firebase-config");
+
+const COLLECTION = "threshold_profiles";
+const VERSIONS_SUBCOLLECTION = "versions";
+
+/**
+ * Format profile document (Timestamp → ISO string)
+ */
+function formatProfile(data) {
+  return {
+    ...data,
+    created_at: data.created_at?.toDate
+      ? data.created_at.toDate().toISOString()
+      : data.created_at || null,
+  };
+}
+
+/**
+ * ========================================
+ * READ
+ * ========================================
+ */
+
+/**
+ * Get current threshold profile for an IPAL
+ * @param {Number} ipalId - IPAL ID
+ * @returns {Object|null} { ipal_id, version, thresholds, ... } or null if IPAL uses defaults
+ */
+const getCurrentProfile = async (ipalId) => {
+  try {
+    const doc = await db.collection(COLLECTION).doc(String(ipalId)).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return formatProfile(doc.data());
+  } catch (error) {
+    console.error("❌ Error fetching threshold profile:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get specific profile version
+ * @param {Number} ipalId - IPAL ID
+ * @param {Number} version - Profile version
+ * @returns {Object|null} Profile version or null if not found
+ */
+const getProfileVersion = async (ipalId, version) => {
+  try {
+    const doc = await db
+      .collection(COLLECTION)
+      .doc(String(ipalId))
+      .collection(VERSIONS_SUBCOLLECTION)
+      .doc(String(version))
+      .get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return formatProfile(doc.data());
+  } catch (error) {
+    console.error("❌ Error fetching threshold profile version:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get all versions of an IPAL profile (newest first)
+ * @param {Number} ipalId - IPAL ID
+ * @returns {Array} Profile versions
+ */
+const getProfileHistory = async (ipalId) => {
+  try {
+    const snapshot = await db
+      .collection(COLLECTION)
+      .doc(String(ipalId))
+      .collection(VERSIONS_SUBCOLLECTION)
+      .orderBy("version", "desc")
+      .get();
+
+    const versions = [];
+    snapshot.forEach((doc) => {
+      versions.push(formatProfile(doc.data()));
+    });
+
+    return versions;
+  } catch (error) {
+    console.error("❌ Error fetching threshold profile history:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * WRITE
+ * ========================================
+ */
+
+/**
+ * Save new profile version (atomic version increment)
+ * @param {Number} ipalId - IPAL ID
+ * @param {Object} profileData - { thresholds, permit_reference?, notes? }
+ * @param {String} createdBy - Email of admin
+ * @returns {Object} Saved profile (with new version number)
+ */
+const saveProfile = async (ipalId, profileData, createdBy) => {
+  try {
+    const profileRef = db.collection(COLLECTION).doc(String(ipalId));
+
+    const profile = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(profileRef);
+      const version = current.exists ? (current.data().version || 0) + 1 : 1;
+
+      const profileDoc = {
+        ipal_id: parseInt(ipalId),
+        version,
+        thresholds: profileData.thresholds,
+        permit_reference: profileData.permit_reference || null,
+        notes: profileData.notes || null,
+        created_by: createdBy || null,
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      transaction.set(profileRef, profileDoc);
+      transaction.create(
+        profileRef.collection(VERSIONS_SUBCOLLECTION).doc(String(version)),
+        profileDoc
+      );
+
+      return profileDoc;
+    });
+
+    console.log(
+      `✅ Threshold profile saved: IPAL ${ipalId} v${profile.version}`
+    );
+
+    return profile;
+  } catch (error) {
+    console.error("❌ Error saving threshold profile:", error);
+    throw error;
+  }
+};
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  getCurrentProfile,
+  getProfileVersion,
+  getProfileHistory,
+  saveProfile,
+};
+
+console.log("📦 thresholdProfileModel loaded");
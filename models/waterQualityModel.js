@@ -12,6 +12,9 @@
 const { db } = require("../config/firebase-config");
 const admin = require("firebase-admin");
 
+// Unmerged buffer docs are deleted after this even if never reported
+const BUFFER_RETENTION_HOURS = 24;
+
 /**
  * ========================================
  * BUFFER OPERATIONS
@@ -62,72 +65,344 @@ async function saveToBuffer(data) {
 }
 
 /**
- * Get unmerged readings from buffer within time window
- * Used to check if we have a complete pair (inlet + outlet)
+ * Save backlog reading (device-side timestamp) to buffer
+ * Document ID is derived from device + timestamp, so a replayed
+ * backlog entry is detected as duplicate instead of stored twice.
+ * @param {Object} data - { ipal_id, location, device_id, data, sensor_mapping, device_timestamp, pair_deadline }
+ * @returns {Object} { created, buffer_id }
+ */
+async function saveBacklogToBuffer(data) {
+  const {
+    ipal_id,
+    location,
+    device_id,
+    data: readingData,
+    sensor_mapping,
+    device_timestamp,
+    pair_deadline,
+  } = data;
+
+  const bufferId = `${device_id}_${device_timestamp.getTime()}`;
+
+  try {
+    await db
+      .collection("readings_buffer")
+      .doc(bufferId)
+      .create({
+        ipal_id,
+        location,
+        device_id,
+        data: readingData,
+        sensor_mapping: sensor_mapping || {},
+        is_merged: false,
+        source: "backlog",
+        // Pairing & analysis use the time the device measured
+        timestamp: admin.firestore.Timestamp.fromDate(device_timestamp),
+        received_at: admin.firestore.FieldValue.serverTimestamp(),
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+        pair_deadline,
+        expires_at: pair_deadline,
+      });
+
+    return { created: true, buffer_id: bufferId };
+  } catch (error) {
+    // ALREADY_EXISTS (gRPC code 6): entry was submitted before
+    if (error.code === 6) {
+      return { created: false, buffer_id: bufferId };
+    }
+    console.error("❌ Error saving backlog to buffer:", error);
+    throw error;
+  }
+}
+
+/**
+ * Claim the closest-in-time counterpart for a backlog buffer doc (atomic)
+ * @param {String} bufferId - Backlog buffer doc ID
+ * @param {Number} toleranceMs - Max distance between inlet & outlet timestamps
+ * @returns {Object|null} { inlet, outlet } or null if already merged / no counterpart
  */
-async function getUnmergedReadings(ipalId, timeWindowMinutes = 5) {
+async function claimBacklogPair(bufferId, toleranceMs) {
+  const docRef = db.collection("readings_buffer").doc(bufferId);
+
   try {
-    const cutoffTime = new Date(Date.now() - timeWindowMinutes * 60 * 1000);
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists || doc.data().is_merged) {
+        return null;
+      }
+
+      const own = { id: doc.id, ...doc.data() };
+      const time = own.timestamp.toMillis();
+
+      const snapshot = await transaction.get(
+        db
+          .collection("readings_buffer")
+          .where("ipal_id", "==", own.ipal_id)
+          .where(
+            "location",
+            "==",
+            own.location === "inlet" ? "outlet" : "inlet"
+          )
+          .where("is_merged", "==", false)
+          .where("timestamp", ">=", new Date(time - toleranceMs))
+          .where("timestamp", "<=", new Date(time + toleranceMs))
+      );
+
+      const counterpart = snapshot.docs
+        .map((d) => ({ id: d.id, ...d.data() }))
+        .sort(
+          (a, b) =>
+            Math.abs(a.timestamp.toMillis() - time) -
+            Math.abs(b.timestamp.toMillis() - time)
+        )[0];
+
+      if (!counterpart) {
+        return null;
+      }
+
+      [own, counterpart].forEach((reading) => {
+        transaction.update(db.collection("readings_buffer").doc(reading.id), {
+          is_merged: true,
+          merged_at: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+
+      return own.location === "inlet"
+        ? { inlet: own, outlet: counterpart }
+        : { inlet: counterpart, outlet: own };
+    });
+  } catch (error) {
+    console.error("❌ Error claiming backlog pair:", error);
+    throw error;
+  }
+}
+
+/**
+ * Claim latest inlet + outlet pair from buffer (atomic)
+ * Reads unmerged docs and marks the pair as merged in one transaction,
+ * so concurrent submissions can never process the same pair twice.
+ * @param {Number} ipalId - IPAL ID
+ * @param {Number} timeWindowMinutes - Merge window
+ * @returns {Object|null} { inlet, outlet, counts } or null if no complete pair
+ */
+async function claimBufferPair(ipalId, timeWindowMinutes = 5) {
+  const cutoffTime = new Date(Date.now() - timeWindowMinutes * 60 * 1000);
+
+  const query = db
+    .collection("readings_buffer")
+    .where("ipal_id", "==", ipalId)
+    .where("is_merged", "==", false)
+    .where("timestamp", ">", cutoffTime);
+
+  try {
+    return await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(query);
+
+      const readings = snapshot.docs.map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
+
+      const latestAt = (location) =>
+        readings
+          .filter((r) => r.location === location)
+          .sort((a, b) => b.timestamp?.toMillis() - a.timestamp?.toMillis())[0];
+
+      const inlet = latestAt("inlet");
+      const outlet = latestAt("outlet");
+
+      if (!inlet || !outlet) {
+        return null;
+      }
+
+      [inlet, outlet].forEach((reading) => {
+        transaction.update(db.collection("readings_buffer").doc(reading.id), {
+          is_merged: true,
+          merged_at: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+
+      return {
+        inlet,
+        outlet,
+        counts: {
+          inlet: readings.filter((r) => r.location === "inlet").length,
+          outlet: readings.filter((r) => r.location === "outlet").length,
+        },
+      };
+    });
+  } catch (error) {
+    console.error("❌ Error claiming buffer pair:", error);
+    throw error;
+  }
+}
+
+/**
+ * Undo claimBufferPair / claimOrphanBuffer (reading could not be saved,
+ * docs become available for the next merge attempt)
+ * @param {Array<String>} bufferIds - readings_buffer document IDs
+ */
+async function releaseBufferClaim(bufferIds) {
+  const batch = db.batch();
+
+  bufferIds.forEach((bufferId) => {
+    batch.update(db.collection("readings_buffer").doc(bufferId), {
+      is_merged: false,
+      merged_at: admin.firestore.FieldValue.delete(),
+      orphan_resolution: admin.firestore.FieldValue.delete(),
+    });
+  });
+
+  await batch.commit();
+}
+
+/**
+ * Get unmerged readings OLDER than N minutes (incomplete pairs)
+ * Pasangan inlet/outlet tidak datang → kemungkinan ESP32 bermasalah
+ */
+async function getIncompleteReadings(ipalId, olderThanMinutes) {
+  try {
+    const cutoffTime = new Date(Date.now() - olderThanMinutes * 60 * 1000);
 
-    // Query buffer for unmerged readings
     const snapshot = await db
       .collection("readings_buffer")
       .where("ipal_id", "==", ipalId)
       .where("is_merged", "==", false)
-      .where("timestamp", ">", cutoffTime)
+      .where("timestamp", "<=", cutoffTime)
       .get();
 
-    if (snapshot.empty) {
-      console.log("⏳ No unmerged readings in buffer");
-      return [];
-    }
-
-    // Convert to array of objects
+    const now = Date.now();
     const readings = [];
     snapshot.forEach((doc) => {
+      const data = doc.data();
+
+      // Backlog docs carry old device timestamps, they get until
+      // pair_deadline for the other side's backlog to arrive
+      if (data.pair_deadline?.toMillis && data.pair_deadline.toMillis() > now) {
+        return;
+      }
+
       readings.push({
         id: doc.id,
-        ...doc.data(),
+        ...data,
       });
     });
 
-    console.log(`🔍 Found ${readings.length} unmerged reading(s) in buffer`);
-
     return readings;
   } catch (error) {
-    console.error("❌ Error getting unmerged readings:", error);
+    console.error("❌ Error getting incomplete readings:", error);
     throw error;
   }
 }
 
 /**
- * Mark buffer documents as merged
- * Called after successful merge to water_quality_readings
+ * Mark buffer documents as reported incomplete
+ * Cleanup only deletes unmerged buffer after they were reported
  */
-async function markBufferAsMerged(bufferIds) {
-  try {
-    if (!Array.isArray(bufferIds) || bufferIds.length === 0) {
-      throw new Error("bufferIds must be a non-empty array");
+async function markBufferIncomplete(bufferIds) {
+  if (!bufferIds || bufferIds.length === 0) {
+    return { count: 0 };
+  }
+
+  const batch = db.batch();
+
+  bufferIds.forEach((bufferId) => {
+    batch.update(db.collection("readings_buffer").doc(bufferId), {
+      incomplete_detected_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+
+  await batch.commit();
+
+  return { count: bufferIds.length };
+}
+
+/**
+ * ========================================
+ * ORPHANED BUFFER (single-sided readings)
+ * ========================================
+ */
+
+/**
+ * Claim orphaned buffer doc for single-sided processing (atomic)
+ * Sets is_merged so a late pair can no longer merge it
+ * @param {String} bufferId - readings_buffer document ID
+ * @param {String} resolution - Orphan policy applied ("partial" | "pair_last_known")
+ * @returns {Object|null} Buffer data if claimed, null if already handled
+ */
+async function claimOrphanBuffer(bufferId, resolution) {
+  const docRef = db.collection("readings_buffer").doc(bufferId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+
+    if (!doc.exists) {
+      return null;
     }
 
-    // Use batch write for atomic update
-    const batch = db.batch();
+    const data = doc.data();
 
-    bufferIds.forEach((bufferId) => {
-      const docRef = db.collection("readings_buffer").doc(bufferId);
-      batch.update(docRef, {
-        is_merged: true,
-        merged_at: admin.firestore.FieldValue.serverTimestamp(),
-      });
+    if (data.is_merged || data.orphan_resolution) {
+      return null;
+    }
+
+    transaction.update(docRef, {
+      is_merged: true,
+      merged_at: admin.firestore.FieldValue.serverTimestamp(),
+      orphan_resolution: resolution,
     });
 
-    await batch.commit();
+    return { id: doc.id, ...data };
+  });
+}
 
-    console.log(`✅ Marked ${bufferIds.length} buffer document(s) as merged`);
+/**
+ * Mark orphaned buffer doc as handled without merging (policy "discard")
+ * Doc stays unmerged, so incomplete-readings job still reports it
+ */
+async function markOrphanDiscarded(bufferId) {
+  await db.collection("readings_buffer").doc(bufferId).update({
+    orphan_resolution: "discarded",
+  });
+}
 
-    return { success: true, count: bufferIds.length };
+/**
+ * Find last reading where one side was actually measured
+ * (paired_last_known readings don't count as a source for the side they borrowed)
+ * @param {Number} ipalId - IPAL ID
+ * @param {String} location - "inlet" | "outlet"
+ * @param {Date} before - Only readings at or before this time
+ * @returns {Object|null} { id, timestamp, data } or null
+ */
+async function getLastMeasuredSide(ipalId, location, before) {
+  try {
+    const snapshot = await db
+      .collection("water_quality_readings")
+      .where("ipal_id", "==", ipalId)
+      .where("timestamp", "<=", before)
+      .orderBy("timestamp", "desc")
+      .limit(20)
+      .get();
+
+    const doc = snapshot.docs.find((d) => {
+      const reading = d.data();
+      return (
+        reading[location] && reading.partial_info?.missing_location !== location
+      );
+    });
+
+    if (!doc) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      timestamp: doc.data().timestamp,
+      data: doc.data()[location],
+    };
   } catch (error) {
-    console.error("❌ Error marking buffer as merged:", error);
+    console.error("❌ Error getting last measured reading:", error);
     throw error;
   }
 }
@@ -150,7 +425,12 @@ async function saveToFinalReadings(data) {
       outlet,
       device_ids,
       sensor_mapping,
+      buffer_ids,
+      backfilled,
       fuzzy_analysis,
+      threshold_profile_version,
+      analysis_state,
+      partial_info,
       timestamp,
     } = data;
 
@@ -161,10 +441,24 @@ async function saveToFinalReadings(data) {
       outlet,
       device_ids: device_ids || {},
       sensor_mapping: sensor_mapping || {},
+      // Source readings_buffer docs (each buffer doc ends up in one reading)
+      buffer_ids: buffer_ids || [],
+      // Versi baku mutu yang dipakai untuk scoring (0 = default)
+      threshold_profile_version: threshold_profile_version ?? null,
+      // Submitted from device backlog (old data, no live notifications)
+      backfilled: Boolean(backfilled),
+      // Single-sided reading (orphaned buffer), lihat waterQualityService
+      partial: Boolean(partial_info),
+      partial_info: partial_info || null,
       timestamp: timestamp || admin.firestore.FieldValue.serverTimestamp(),
       created_at: admin.firestore.FieldValue.serverTimestamp(),
     };
 
+    // Idempotency marker (lihat analysisPipeline)
+    if (analysis_state) {
+      readingDoc.analysis_state = analysis_state;
+    }
+
     // Add fuzzy_analysis if provided
     if (fuzzy_analysis) {
       readingDoc.fuzzy_analysis = {
@@ -189,31 +483,6 @@ async function saveToFinalReadings(data) {
   }
 }
 
-/**
- * Update existing reading with fuzzy analysis results
- * Used if fuzzy is run separately after initial save
- */
-async function updateWithFuzzyAnalysis(readingId, fuzzyAnalysis) {
-  try {
-    const docRef = db.collection("water_quality_readings").doc(readingId);
-
-    await docRef.update({
-      fuzzy_analysis: {
-        ...fuzzyAnalysis,
-        analyzed_at: admin.firestore.FieldValue.serverTimestamp(),
-      },
-      processed_at: admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    console.log(`✅ Updated reading ${readingId} with fuzzy analysis`);
-
-    return { success: true };
-  } catch (error) {
-    console.error("❌ Error updating fuzzy analysis:", error);
-    throw error;
-  }
-}
-
 /**
  * Get latest readings (for dashboard/frontend)
  */
@@ -275,6 +544,189 @@ async function getReadingById(readingId) {
   }
 }
 
+/**
+ * ========================================
+ * ANALYSIS IDEMPOTENCY MARKER
+ * ========================================
+ * reading.analysis_state = { status, source, run_id, claimed_at, attempts, ... }
+ * status: processing → completed | failed
+ * failed / stale processing → retried by the analysis-retry job,
+ * abandoned once attempts reach analysisPipeline CONFIG.MAX_ATTEMPTS
+ */
+
+/**
+ * Claim reading for analysis (transaction)
+ * Claim succeeds if reading was never analysed, previous run failed,
+ * processing claim is stale (crashed run), or claim already belongs to runId
+ * @param {String} readingId - Reading document ID
+ * @param {Object} claim - { source, run_id }
+ * @param {Number} staleAfterMs - Processing claims older than this can be taken over
+ * @returns {Object} { claimed, reason?, reading? }
+ */
+async function claimReadingForAnalysis(readingId, claim, staleAfterMs) {
+  const docRef = db.collection("water_quality_readings").doc(readingId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+
+    if (!doc.exists) {
+      return { claimed: false, reason: "not-found" };
+    }
+
+    const reading = { id: doc.id, ...doc.data() };
+    const state = reading.analysis_state;
+
+    if (state && state.run_id !== claim.run_id) {
+      if (state.status === "completed") {
+        return { claimed: false, reason: "already-analyzed", reading };
+      }
+
+      const claimedAt = state.claimed_at?.toMillis
+        ? state.claimed_at.toMillis()
+        : 0;
+
+      if (
+        state.status === "processing" &&
+        Date.now() - claimedAt < staleAfterMs
+      ) {
+        return { claimed: false, reason: "in-progress", reading };
+      }
+    }
+
+    // Legacy readings analysed before the marker existed
+    if (!state && reading.fuzzy_analysis) {
+      return { claimed: false, reason: "already-analyzed", reading };
+    }
+
+    const newState = {
+      status: "processing",
+      source: claim.source,
+      run_id: claim.run_id,
+      claimed_at: admin.firestore.Timestamp.now(),
+      // Own claim (pre-claimed on save) is not a new attempt
+      attempts:
+        state?.run_id === claim.run_id
+          ? state.attempts || 1
+          : (state?.attempts || 0) + 1,
+    };
+
+    transaction.update(docRef, { analysis_state: newState });
+
+    return {
+      claimed: true,
+      reading: { ...reading, analysis_state: newState },
+    };
+  });
+}
+
+/**
+ * Save analysis result & mark reading as completed
+ * @param {String} readingId - Reading document ID
+ * @param {Object} fuzzyAnalysis - fuzzy_analysis object
+ * @param {Object} state - Current analysis_state (from claim)
+ * @param {Array} alertIds - Alert IDs created for this reading
+ */
+async function completeReadingAnalysis(
+  readingId,
+  fuzzyAnalysis,
+  state,
+  alertIds
+) {
+  await db
+    .collection("water_quality_readings")
+    .doc(readingId)
+    .update({
+      fuzzy_analysis: {
+        ...fuzzyAnalysis,
+        analyzed_at: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      threshold_profile_version:
+        fuzzyAnalysis.threshold_profile_version ?? null,
+      analysis_state: {
+        ...state,
+        status: "completed",
+        completed_at: admin.firestore.FieldValue.serverTimestamp(),
+        alert_ids: alertIds,
+      },
+    });
+
+  console.log(`✅ Reading ${readingId} analysis completed`);
+}
+
+/**
+ * Mark analysis as failed (can be claimed again)
+ */
+async function failReadingAnalysis(readingId, state, errorMessage) {
+  try {
+    await db
+      .collection("water_quality_readings")
+      .doc(readingId)
+      .update({
+        analysis_state: {
+          ...state,
+          status: "failed",
+          failed_at: admin.firestore.FieldValue.serverTimestamp(),
+          error: errorMessage,
+        },
+      });
+  } catch (error) {
+    // Don't throw - original error is more important
+    console.error("❌ Could not mark analysis as failed:", error.message);
+  }
+}
+
+/**
+ * Get readings whose analysis must be retried
+ * (status failed, or processing with a claim older than staleAfterMs)
+ * @param {Number} staleAfterMs - Processing claims older than this are stuck
+ * @param {Number} limit - Max readings per status
+ * @returns {Array} [{ id, ...reading }], oldest claim first
+ */
+async function getReadingsForAnalysisRetry(staleAfterMs, limit) {
+  const readings = db.collection("water_quality_readings");
+
+  // Equality filter only → no composite index needed, stale check in memory
+  const [failedSnapshot, processingSnapshot] = await Promise.all([
+    readings.where("analysis_state.status", "==", "failed").limit(limit).get(),
+    readings
+      .where("analysis_state.status", "==", "processing")
+      .limit(limit)
+      .get(),
+  ]);
+
+  const claimedAt = (doc) => {
+    const value = doc.data().analysis_state?.claimed_at;
+    return value?.toMillis ? value.toMillis() : 0;
+  };
+
+  const staleBefore = Date.now() - staleAfterMs;
+  const stale = processingSnapshot.docs.filter(
+    (doc) => claimedAt(doc) < staleBefore
+  );
+
+  return [...failedSnapshot.docs, ...stale]
+    .sort((a, b) => claimedAt(a) - claimedAt(b))
+    .map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Stop retrying analysis of a reading (attempts exhausted)
+ * @param {String} readingId - Reading document ID
+ * @param {Object} state - Current analysis_state
+ */
+async function abandonReadingAnalysis(readingId, state) {
+  await db
+    .collection("water_quality_readings")
+    .doc(readingId)
+    .update({
+      analysis_state: {
+        ...state,
+        status: "abandoned",
+        abandoned_at: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    });
+}
+
 /**
  * ========================================
  * CLEANUP OPERATIONS
@@ -288,6 +740,7 @@ async function getReadingById(readingId) {
 async function cleanupExpiredBuffer() {
   try {
     const now = new Date();
+    const retentionCutoff = now.getTime() - BUFFER_RETENTION_HOURS * 3600000;
 
     // Query expired documents
     const snapshot = await db
@@ -297,23 +750,45 @@ async function cleanupExpiredBuffer() {
 
     if (snapshot.empty) {
       console.log("✨ No expired buffer documents to clean");
-      return { deleted: 0 };
+      return { deleted: 0, kept: 0 };
     }
 
     // Delete in batch
     const batch = db.batch();
     let count = 0;
+    let kept = 0;
 
     snapshot.forEach((doc) => {
+      const data = doc.data();
+      // Backlog docs: retention counts from arrival, not device timestamp
+      const createdAt = (data.received_at || data.timestamp)?.toMillis
+        ? (data.received_at || data.timestamp).toMillis()
+        : 0;
+
+      // Unmerged buffer yang belum dilaporkan incomplete tetap disimpan
+      // (sampai retention habis) supaya incomplete-readings job sempat melihatnya
+      if (
+        !data.is_merged &&
+        !data.incomplete_detected_at &&
+        createdAt > retentionCutoff
+      ) {
+        kept++;
+        return;
+      }
+
       batch.delete(doc.ref);
       count++;
     });
 
-    await batch.commit();
+    if (count > 0) {
+      await batch.commit();
+    }
 
-    console.log(`🗑️ Cleaned up ${count} expired buffer document(s)`);
+    console.log(
+      `🗑️ Cleaned up ${count} expired buffer document(s), kept ${kept} unreported incomplete`
+    );
 
-    return { deleted: count };
+    return { deleted: count, kept };
   } catch (error) {
     console.error("❌ Error cleaning expired buffer:", error);
     throw error;
@@ -388,16 +863,31 @@ async function getBufferStatus(ipalId = null) {
 module.exports = {
   // Buffer operations
   saveToBuffer,
-  getUnmergedReadings,
-  markBufferAsMerged,
+  claimBufferPair,
+  releaseBufferClaim,
+  saveBacklogToBuffer,
+  claimBacklogPair,
+  getIncompleteReadings,
+  markBufferIncomplete,
   cleanupExpiredBuffer,
+
+  // Orphaned buffer (single-sided readings)
+  claimOrphanBuffer,
+  markOrphanDiscarded,
+  getLastMeasuredSide,
   getBufferStatus,
 
   // Final readings operations
   saveToFinalReadings,
-  updateWithFuzzyAnalysis,
   getLatestReadings,
   getReadingById,
+
+  // Analysis idempotency marker
+  claimReadingForAnalysis,
+  completeReadingAnalysis,
+  failReadingAnalysis,
+  getReadingsForAnalysisRetry,
+  abandonReadingAnalysis,
 };
 
 console.log("📦 waterQualityModel loaded");
@@ -45,15 +45,40 @@ router.get(
  * Cache: 60 seconds (chart data doesn't need to be super fresh)
  *
  * Query params:
- *   - period: today|yesterday|week|custom (default: today)
- *   - start: ISO date string (for custom period)
- *   - end: ISO date string (for custom period)
- *   - limit: number (default: 100, max: 500)
+ *   - period: today|yesterday|week|30days|custom (default: today)
+ *   - start: YYYY-MM-DD or ISO date string (for custom period)
+ *   - end: YYYY-MM-DD or ISO date string (for custom period)
+ *   - bucket: 5m|1h|1d (optional, aggregated points instead of raw readings)
+ *   - limit: number (default: 100, max: 500, raw readings only)
+ * Days & buckets follow the IPAL timezone (default Asia/Jakarta)
  *
  * Examples:
  *   GET /api/dashboard/readings/1?period=today
  *   GET /api/dashboard/readings/1?period=week
  *   GET /api/dashboard/readings/1?period=custom&start=2025-11-01&end=2025-11-10
+ *   GET /api/dashboard/readings/1?period=30days&bucket=1h
+ *
+ * Bucketed response (only buckets with readings):
+ * {
+ *   "success": true,
+ *   "count": 720,              // buckets
+ *   "total_readings": 8640,
+ *   "bucket": "1h",
+ *   "timezone": "Asia/Jakarta",
+ *   "data": [
+ *     {
+ *       "timestamp": "2025-11-09T17:00:00.000Z",   // bucket start
+ *       "bucket_end": "2025-11-09T18:00:00.000Z",
+ *       "date": "10 Nov",
+ *       "time": "00.00",
+ *       "count": 12,
+ *       "quality_score_avg": 78.5,
+ *       "inlet_ph_avg": 7.1, "inlet_ph_min": 6.9, "inlet_ph_max": 7.4,
+ *       "inlet_ph_count": 12,
+ *       ... (inlet/outlet × ph, tds, turbidity, temperature)
+ *     }
+ *   ]
+ * }
  *
  * Response:
  * {
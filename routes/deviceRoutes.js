@@ -0,0 +1,150 @@
+/**
+ * ========================================
+ * DEVICE ROUTES
+ * ========================================
+ * Admin management of ESP32 device credentials
+ * Used by POST /api/water-quality/submit authentication
+ *
+ * Device commands (admin & manager) are delivered over the
+ * device WebSocket (ws://<host>/ws/devices, see deviceSocketService)
+ */
+
+const express = require("express");
+const router = express.Router();
+const deviceController = require("../controllers/deviceController");
+const deviceCommandController = require("../controllers/deviceCommandController");
+const {
+  requireAuth,
+  requireAdmin,
+  requireManager,
+} = require("../middleware/authMiddleware");
+
+router.use(requireAuth);
+
+// :device_id is a Firestore doc ID, reject malformed IDs (e.g. "a%2Fb") with 400
+router.param("device_id", deviceController.checkDeviceIdParam);
+
+/**
+ * ========================================
+ * DEVICE COMMANDS (admin & manager)
+ * ========================================
+ */
+
+/**
+ * POST /api/devices/:device_id/commands
+ * Send command (delivered now if the device is connected, else queued)
+ *
+ * Body:
+ * {
+ *   "command": "set_sampling_interval",   // | "calibrate" | "reboot"
+ *   "params": { "interval_seconds": 60 },
+ *   "ttl_minutes": 60                     // optional, expire if not acked
+ * }
+ *
+ * Params per command:
+ *   set_sampling_interval: { interval_seconds: 5-3600 }
+ *   calibrate:             { sensor_type: ph|tds|turbidity|temperature, reference_value? }
+ *   reboot:                { delay_seconds?: 0-300 }
+ *
+ * Response 201: { "success": true, "data": { "id": "...", "status": "sent" | "queued", ... } }
+ */
+router.post(
+  "/:device_id/commands",
+  requireManager,
+  deviceCommandController.sendCommand
+);
+
+/**
+ * GET /api/devices/:device_id/commands
+ * Command history (newest first) + whether the device is connected
+ * Query params:
+ *   - status: queued | sent | acked | failed | expired | cancelled (optional)
+ *   - limit: number (default 50, max 200)
+ */
+router.get(
+  "/:device_id/commands",
+  requireManager,
+  deviceCommandController.getCommands
+);
+
+/**
+ * GET /api/devices/:device_id/commands/:command_id
+ * Delivery & ack details of one command
+ */
+router.get(
+  "/:device_id/commands/:command_id",
+  requireManager,
+  deviceCommandController.getCommandById
+);
+
+/**
+ * DELETE /api/devices/:device_id/commands/:command_id
+ * Cancel command that has not been delivered yet (409 otherwise)
+ */
+router.delete(
+  "/:device_id/commands/:command_id",
+  requireManager,
+  deviceCommandController.cancelCommand
+);
+
+/**
+ * ========================================
+ * DEVICE CREDENTIALS (admin only)
+ * ========================================
+ */
+
+/**
+ * GET /api/devices
+ * List registered devices (key hash never exposed)
+ * Query params:
+ *   - ipal_id: number (optional)
+ */
+router.get("/", requireAdmin, deviceController.getDevices);
+
+/**
+ * GET /api/devices/:device_id
+ * Get device details
+ */
+router.get("/:device_id", requireAdmin, deviceController.getDeviceById);
+
+/**
+ * POST /api/devices
+ * Register device & issue API key
+ *
+ * Body:
+ * {
+ *   "device_id": "ESP32-INLET-001",
+ *   "ipal_id": 1,
+ *   "location": "inlet",
+ *   "description": "Inlet unit IPAL Teknik Lingkungan"
+ * }
+ *
+ * Response (api_key shown ONCE):
+ * {
+ *   "success": true,
+ *   "data": { "device_id": "...", "api_key": "dk_..." }
+ * }
+ */
+router.post("/", requireAdmin, deviceController.issueDevice);
+
+/**
+ * POST /api/devices/:device_id/rotate
+ * Issue new API key, old key stops working immediately on this instance;
+ * other instances may accept it for up to DEVICE_CACHE_TTL (60s)
+ */
+router.post(
+  "/:device_id/rotate",
+  requireAdmin,
+  deviceController.rotateDeviceKey
+);
+
+/**
+ * POST /api/devices/:device_id/revoke
+ * Revoke device, submissions will be rejected with 401
+ * (other instances: after up to DEVICE_CACHE_TTL, 60s)
+ */
+router.post("/:device_id/revoke", requireAdmin, deviceController.revokeDevice);
+
+module.exports = router;
+
+console.log("📦 deviceRoutes loaded");
@@ -3,12 +3,16 @@
  * IPAL ROUTES
  * ========================================
  * Read operations for IPAL facilities
+ * Write operations (create/update/decommission) are admin only
  */
 
 const express = require("express");
 const router = express.Router();
 const ipalController = require("../controllers/ipalController");
-const { requireAuth } = require("../middleware/authMiddleware");
+const thresholdController = require("../controllers/thresholdController");
+const escalationController = require("../controllers/escalationController");
+const notificationChannelController = require("../controllers/notificationChannelController");
+const { requireAuth, requireAdmin } = require("../middleware/authMiddleware");
 const { cacheMiddleware } = require("../middleware/cacheMiddleware");
 
 /**
@@ -50,6 +54,211 @@ router.get(
   ipalController.getIpalStats
 );
 
+// ========================================
+// BAKU MUTU THRESHOLD PROFILE
+// ========================================
+// Not response-cached: edits must be visible immediately
+// (fuzzyService keeps its own profile cache, invalidated on save)
+
+/**
+ * GET /api/ipals/:ipal_id/thresholds
+ * Get current baku mutu profile (source: "ipal" or "default")
+ */
+router.get(
+  "/:ipal_id/thresholds",
+  requireAuth,
+  thresholdController.getThresholdProfile
+);
+
+/**
+ * GET /api/ipals/:ipal_id/thresholds/history
+ * Get all profile versions (newest first)
+ */
+router.get(
+  "/:ipal_id/thresholds/history",
+  requireAuth,
+  thresholdController.getThresholdHistory
+);
+
+/**
+ * GET /api/ipals/:ipal_id/thresholds/versions/:version
+ * Get specific profile version (0 = default)
+ * Use with reading.threshold_profile_version
+ */
+router.get(
+  "/:ipal_id/thresholds/versions/:version",
+  requireAuth,
+  thresholdController.getThresholdVersion
+);
+
+/**
+ * PUT /api/ipals/:ipal_id/thresholds
+ * Save new baku mutu profile version (Admin only)
+ *
+ * Body:
+ * {
+ *   "thresholds": {
+ *     "ph": { "min": 6, "max": 9, "optimal_min": 6.5, "optimal_max": 8.5 },
+ *     "tds": { "max": 500, "optimal_max": 300 },
+ *     "turbidity": { "max": 25, "optimal_max": 5 },
+ *     "temperature": { "min": 20, "max": 30, "optimal_min": 25, "optimal_max": 28 }
+ *   },
+ *   "permit_reference": "SK Bupati No. 660/123/2024",  // optional
+ *   "notes": "..."                                      // optional
+ * }
+ */
+router.put(
+  "/:ipal_id/thresholds",
+  requireAuth,
+  requireAdmin,
+  thresholdController.updateThresholdProfile
+);
+
+// ========================================
+// ALERT ESCALATION POLICY
+// ========================================
+// Not response-cached (escalationService keeps its own policy cache,
+// invalidated on save/delete)
+
+/**
+ * GET /api/ipals/:ipal_id/escalation-policy
+ * Get escalation chain (data: null → alerts are broadcast to admin & manager)
+ */
+router.get(
+  "/:ipal_id/escalation-policy",
+  requireAuth,
+  escalationController.getEscalationPolicy
+);
+
+/**
+ * PUT /api/ipals/:ipal_id/escalation-policy
+ * Save escalation chain (Admin only)
+ *
+ * Body:
+ * {
+ *   "enabled": true,
+ *   "severities": ["critical"],
+ *   "steps": [
+ *     { "delay_minutes": 0,  "roles": ["teknisi"], "channels": ["email", "fcm"] },
+ *     { "delay_minutes": 15, "roles": ["manager"], "channels": ["email"] },
+ *     { "delay_minutes": 60, "roles": ["admin"],   "channels": ["email", "fcm"] }
+ *   ]
+ * }
+ * A step only runs while the alert is still active (not acknowledged/resolved)
+ */
+router.put(
+  "/:ipal_id/escalation-policy",
+  requireAuth,
+  requireAdmin,
+  escalationController.updateEscalationPolicy
+);
+
+/**
+ * DELETE /api/ipals/:ipal_id/escalation-policy
+ * Remove escalation chain (Admin only)
+ */
+router.delete(
+  "/:ipal_id/escalation-policy",
+  requireAuth,
+  requireAdmin,
+  escalationController.deleteEscalationPolicy
+);
+
+// ========================================
+// NOTIFICATION CHANNELS (ADMIN ONLY)
+// ========================================
+// Webhook & Telegram per IPAL. Escalation steps can target them
+// with channels: ["webhook"] / ["telegram"]
+
+/**
+ * GET /api/ipals/:ipal_id/notification-channels
+ * Get channels (secret, bot_token and header values masked)
+ */
+router.get(
+  "/:ipal_id/notification-channels",
+  requireAuth,
+  requireAdmin,
+  notificationChannelController.getNotificationChannels
+);
+
+/**
+ * PUT /api/ipals/:ipal_id/notification-channels
+ * Replace channel list (Admin only)
+ *
+ * Body:
+ * {
+ *   "channels": [
+ *     { "type": "webhook", "name": "SCADA", "url": "https://example.com/hook",
+ *       "min_severity": "high", "events": ["alert.triggered"] },
+ *     { "type": "telegram", "name": "Grup teknisi", "chat_id": -1001234567890 }
+ *   ]
+ * }
+ * Webhook without secret → generated, returned once in new_secrets
+ */
+router.put(
+  "/:ipal_id/notification-channels",
+  requireAuth,
+  requireAdmin,
+  notificationChannelController.updateNotificationChannels
+);
+
+/**
+ * POST /api/ipals/:ipal_id/notification-channels/test
+ * Send test event (Admin only)
+ * Body: { "channel_id": "..." } (optional, default all channels)
+ */
+router.post(
+  "/:ipal_id/notification-channels/test",
+  requireAuth,
+  requireAdmin,
+  notificationChannelController.testNotificationChannels
+);
+
+// ========================================
+// WRITE OPERATIONS (ADMIN ONLY)
+// ========================================
+// All writes invalidate ipals:all:* / ipal:{id} service cache
+// and /api/ipals + /api/dashboard response cache
+
+/**
+ * POST /api/ipals
+ * Create new IPAL facility
+ *
+ * Body:
+ * {
+ *   "ipal_location": "IPAL Teknik Lingkungan",   // required
+ *   "ipal_description": "...",
+ *   "address": "...",
+ *   "coordinates": { "latitude": -7.05, "longitude": 110.44 },
+ *   "capacity": 50,                               // m³/hari
+ *   "status": "active",                           // active|inactive|maintenance
+ *   "contact_person": "...",
+ *   "contact_phone": "+62 812-3456-7890",
+ *   "analysis_method": "simple_threshold",       // simple_threshold|mamdani
+ *   "orphan_policy": "discard",                   // discard|partial|pair_last_known
+ *   "ipal_id": 2                                  // optional, auto if omitted
+ * }
+ */
+router.post("/", requireAuth, requireAdmin, ipalController.createIpal);
+
+/**
+ * PUT /api/ipals/:ipal_id
+ * Update IPAL facility (any field except ipal_id)
+ */
+router.put("/:ipal_id", requireAuth, requireAdmin, ipalController.updateIpal);
+
+/**
+ * DELETE /api/ipals/:ipal_id
+ * Decommission IPAL (soft delete: status → inactive, history kept)
+ * Body: { reason?: string }
+ */
+router.delete(
+  "/:ipal_id",
+  requireAuth,
+  requireAdmin,
+  ipalController.decommissionIpal
+);
+
 module.exports = router;
 
 console.log("📦 ipalRoutes loaded");
@@ -0,0 +1,48 @@
+/**
+ * ========================================
+ * JOB ROUTES
+ * ========================================
+ * Admin view & manual trigger of background jobs
+ * Jobs: buffer-cleanup, orphan-readings, incomplete-readings,
+ *       analysis-retry, sensor-offline-sweep, daily-digest,
+ *       device-command-expiry, alert-escalation, notification-retry,
+ *       scheduled-reports, report-jobs
+ */
+
+const express = require("express");
+const router = express.Router();
+const jobController = require("../controllers/jobController");
+const { requireAuth, requireAdmin } = require("../middleware/authMiddleware");
+
+// All job routes are admin only
+router.use(requireAuth, requireAdmin);
+
+/**
+ * GET /api/jobs
+ * List jobs with schedule, next run & last run result
+ */
+router.get("/", jobController.getJobs);
+
+/**
+ * GET /api/jobs/:name
+ * Get job details
+ */
+router.get("/:name", jobController.getJobByName);
+
+/**
+ * GET /api/jobs/:name/runs
+ * Run history (newest first)
+ * Query params:
+ *   - limit: number (default 20, max 100)
+ */
+router.get("/:name/runs", jobController.getJobRuns);
+
+/**
+ * POST /api/jobs/:name/run
+ * Trigger job now (409 if already running)
+ */
+router.post("/:name/run", jobController.runJob);
+
+module.exports = router;
+
+console.log("📦 jobRoutes loaded");
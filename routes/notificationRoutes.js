@@ -7,8 +7,9 @@
 
 const express = require("express");
 const router = express.Router();
-const { requireAuth } = require("../middleware/authMiddleware");
+const { requireAuth, requireAdmin } = require("../middleware/authMiddleware");
 const notificationController = require("../controllers/notificationController");
+const notificationDeliveryController = require("../controllers/notificationDeliveryController");
 
 // ========================================
 // TEST ROUTES (development/testing only)
@@ -53,8 +54,8 @@ router.post("/send", requireAuth, notificationController.sendNotification);
 
 /**
  * POST /api/notifications/register-device
- * Register user's device FCM token
- * Body: { fcm_token: "..." }
+ * Register user's device FCM token (1 user can have many devices)
+ * Body: { fcm_token: "...", label?: "Pixel 7" }
  */
 router.post(
   "/register-device",
@@ -62,6 +63,33 @@ router.post(
   notificationController.registerDevice
 );
 
+/**
+ * POST /api/notifications/unregister-device
+ * Remove current device's FCM token (e.g. on logout)
+ * Body: { fcm_token: "..." }
+ */
+router.post(
+  "/unregister-device",
+  requireAuth,
+  notificationController.unregisterDevice
+);
+
+/**
+ * GET /api/notifications/devices
+ * List devices registered for the logged-in user
+ */
+router.get("/devices", requireAuth, notificationController.getMyDevices);
+
+/**
+ * DELETE /api/notifications/devices/:token_id
+ * Remove one of the logged-in user's devices
+ */
+router.delete(
+  "/devices/:token_id",
+  requireAuth,
+  notificationController.removeDevice
+);
+
 /**
  * POST /api/notifications/subscribe
  * Subscribe to notification topic
@@ -84,6 +112,49 @@ router.post(
   notificationController.unsubscribeFromTopicHandler
 );
 
+// ========================================
+// DELIVERY LOG (admin only)
+// ========================================
+
+/**
+ * GET /api/notifications/deliveries
+ * Notification outbox history (newest first)
+ * Query params:
+ *   - status: pending | sent | failed
+ *   - channel: email | fcm | webhook | telegram
+ *   - ipal_id: number
+ *   - alert_id: string
+ *   - limit: number (default 50, max 200)
+ */
+router.get(
+  "/deliveries",
+  requireAuth,
+  requireAdmin,
+  notificationDeliveryController.getDeliveries
+);
+
+/**
+ * GET /api/notifications/deliveries/:id
+ * Delivery details (attempts, last error, payload)
+ */
+router.get(
+  "/deliveries/:id",
+  requireAuth,
+  requireAdmin,
+  notificationDeliveryController.getDeliveryById
+);
+
+/**
+ * POST /api/notifications/deliveries/:id/resend
+ * Resend a failed delivery (fresh retry budget)
+ */
+router.post(
+  "/deliveries/:id/resend",
+  requireAuth,
+  requireAdmin,
+  notificationDeliveryController.resendDelivery
+);
+
 module.exports = router;
 
 console.log("📦 notificationRoutes loaded");
@@ -7,11 +7,17 @@
 const express = require("express");
 const router = express.Router();
 const reportController = require("../controllers/reportController");
-const { requireAuth } = require("../middleware/authMiddleware");
+const reportScheduleController = require("../controllers/reportScheduleController");
+const reportJobController = require("../controllers/reportJobController");
+const { requireAuth, requireManager } = require("../middleware/authMiddleware");
 
 /**
  * GET /api/reports/export
  * Generate & download report
+ * CSV & Excel are streamed (all readings in the period). The exported
+ * count is in the last CSV row / Summary sheet; read it from there in the
+ * frontend. The X-Total-Readings trailer is not visible to browsers.
+ * PDF: X-Total-Readings header (exposed via CORS)
  */
 router.get("/export", requireAuth, reportController.exportReport);
 
@@ -21,6 +27,142 @@ router.get("/export", requireAuth, reportController.exportReport);
  */
 router.get("/preview", requireAuth, reportController.previewReport);
 
+/**
+ * GET /api/reports/compliance
+ * Compliance against baku mutu per parameter (JSON)
+ * Query params:
+ *   - ipal_id: number (required)
+ *   - start_date, end_date: YYYY-MM-DD (required)
+ *   - parameters: "ph,tds,turbidity,temperature" (optional)
+ */
+router.get("/compliance", requireAuth, reportController.getComplianceReport);
+
+/**
+ * GET /api/reports/compliance/pdf
+ * Same report as PDF download
+ */
+router.get(
+  "/compliance/pdf",
+  requireAuth,
+  reportController.exportCompliancePDF
+);
+
+// ========================================
+// REPORT JOBS (async generation)
+// ========================================
+
+/**
+ * POST /api/reports/jobs
+ * Queue report generation, returns 202 with job id
+ * Body: { format: "csv" | "excel" | "pdf", start_date, end_date,
+ *         ipal_id?, parameters?, location? }
+ */
+router.post("/jobs", requireAuth, reportJobController.createReportJob);
+
+/**
+ * GET /api/reports/jobs/:id
+ * Job status & progress (download_url when completed)
+ */
+router.get("/jobs/:id", requireAuth, reportJobController.getReportJob);
+
+/**
+ * GET /api/reports/jobs/:id/download
+ * Download finished file (410 after expiry)
+ */
+router.get(
+  "/jobs/:id/download",
+  requireAuth,
+  reportJobController.downloadReportJob
+);
+
+// ========================================
+// REPORT SCHEDULES (admin & manager)
+// ========================================
+
+/**
+ * GET /api/reports/schedules
+ * List report schedules
+ * Query params:
+ *   - ipal_id: number (optional)
+ */
+router.get(
+  "/schedules",
+  requireAuth,
+  requireManager,
+  reportScheduleController.getSchedules
+);
+
+/**
+ * POST /api/reports/schedules
+ * Create report schedule
+ * Body: { name, ipal_id, parameters?, location?, format?, cadence,
+ *         day_of_week?, day_of_month?, send_hour?, recipients, enabled? }
+ */
+router.post(
+  "/schedules",
+  requireAuth,
+  requireManager,
+  reportScheduleController.createSchedule
+);
+
+/**
+ * GET /api/reports/schedules/:id
+ * Get report schedule
+ */
+router.get(
+  "/schedules/:id",
+  requireAuth,
+  requireManager,
+  reportScheduleController.getScheduleById
+);
+
+/**
+ * PUT /api/reports/schedules/:id
+ * Replace report schedule (same body as create)
+ */
+router.put(
+  "/schedules/:id",
+  requireAuth,
+  requireManager,
+  reportScheduleController.updateSchedule
+);
+
+/**
+ * DELETE /api/reports/schedules/:id
+ * Delete report schedule (run history is kept)
+ */
+router.delete(
+  "/schedules/:id",
+  requireAuth,
+  requireManager,
+  reportScheduleController.deleteSchedule
+);
+
+/**
+ * GET /api/reports/schedules/:id/runs
+ * Run history (newest first)
+ * Query params:
+ *   - limit: number (default 20, max 100)
+ */
+router.get(
+  "/schedules/:id/runs",
+  requireAuth,
+  requireManager,
+  reportScheduleController.getScheduleRuns
+);
+
+/**
+ * POST /api/reports/schedules/:id/run
+ * Generate & email the report now
+ * Body: { start_date?, end_date? } (default: previous period)
+ */
+router.post(
+  "/schedules/:id/run",
+  requireAuth,
+  requireManager,
+  reportScheduleController.runScheduleNow
+);
+
 module.exports = router;
 
 console.log("📦 reportRoutes (v3 - fixed) loaded");
@@ -78,6 +78,57 @@ router.get(
   sensorController.getSensorById
 );
 
+/**
+ * POST /api/sensors
+ * Register new sensor (Manager/Admin only)
+ * Slot (ipal_id + sensor_type + sensor_location) must be free
+ *
+ * Body:
+ * {
+ *   "ipal_id": 2,
+ *   "sensor_type": "ph",            // ph|tds|turbidity|temperature
+ *   "sensor_location": "inlet",     // inlet|outlet
+ *   "sensor_description": "...",    // optional
+ *   "last_calibration": "2025-11-01T08:00:00Z" // optional
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "id": "sensor-ph-inlet-009",
+ *     "sensor_mapping": { "inlet_ph": "sensor-ph-inlet-009" }
+ *   }
+ * }
+ */
+router.post("/", requireAuth, requireManager, sensorController.registerSensor);
+
+/**
+ * POST /api/sensors/:id/replace
+ * Replace sensor with new unit in the same slot (Manager/Admin only)
+ * Old sensor is retired, response contains new sensor_mapping
+ * Body: { sensor_description?, last_calibration?, reason? }
+ */
+router.post(
+  "/:id/replace",
+  requireAuth,
+  requireManager,
+  sensorController.replaceSensor
+);
+
+/**
+ * DELETE /api/sensors/:id
+ * Retire sensor (Manager/Admin only)
+ * Soft delete: status → retired, history kept, slot freed
+ * Body: { reason? }
+ */
+router.delete(
+  "/:id",
+  requireAuth,
+  requireManager,
+  sensorController.retireSensor
+);
+
 /**
  * PUT /api/sensors/:id
  * Update sensor (Manager/Admin only)
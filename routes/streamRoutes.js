@@ -0,0 +1,47 @@
+/**
+ * ========================================
+ * STREAM ROUTES
+ * ========================================
+ * Server-Sent Events (live readings, alerts, sensor status)
+ */
+
+const express = require("express");
+const router = express.Router();
+const streamController = require("../controllers/streamController");
+const { requireAuth } = require("../middleware/authMiddleware");
+
+/**
+ * Browser EventSource cannot set headers, so the JWT may also be
+ * passed as ?access_token=... (only on this route)
+ */
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+/**
+ * GET /api/stream
+ * Auth: Authorization: Bearer <token>, or ?access_token=<token>
+ *
+ * Query params:
+ *   - ipal_id: number (optional, default all IPALs)
+ *   - events: comma separated (optional, default all allowed for role)
+ *       reading.created, alert.created, alert.status_changed,
+ *       sensor.status_changed (admin & teknisi only)
+ *
+ * Example:
+ *   const es = new EventSource("/api/stream?ipal_id=1&access_token=...");
+ *   es.addEventListener("reading.created", (e) => JSON.parse(e.data));
+ *
+ * Messages:
+ *   event: reading.created
+ *   id: 42
+ *   data: { "ipal_id": 1, "reading_id": "...", "quality_score": 85, ... }
+ */
+router.get("/", tokenFromQuery, requireAuth, streamController.stream);
+
+module.exports = router;
+
+console.log("📦 streamRoutes loaded");
@@ -9,6 +9,7 @@
 const express = require("express");
 const router = express.Router();
 const userController = require("../controllers/userController");
+const notificationPreferenceController = require("../controllers/notificationPreferenceController");
 const { verifyToken } = require("../middleware/authMiddleware");
 
 // All routes require authentication
@@ -29,6 +30,42 @@ router.post("/", userController.createUser);
  */
 router.get("/", userController.getAllUsers);
 
+// ========================================
+// OWN NOTIFICATION PREFERENCES
+// ========================================
+// ⚠️ Must be registered before /:uid routes
+
+/**
+ * @route   GET /api/users/me/notification-preferences
+ * @desc    Get notification preferences (defaults if never saved)
+ * @access  Any authenticated user
+ */
+router.get(
+  "/me/notification-preferences",
+  notificationPreferenceController.getMyPreferences
+);
+
+/**
+ * @route   PUT /api/users/me/notification-preferences
+ * @desc    Update notification preferences (partial)
+ * @access  Any authenticated user
+ * @body    { ipal_ids?, min_severity?, quiet_hours?, daily_digest? }
+ */
+router.put(
+  "/me/notification-preferences",
+  notificationPreferenceController.updateMyPreferences
+);
+
+/**
+ * @route   DELETE /api/users/me/notification-preferences
+ * @desc    Reset notification preferences to role defaults
+ * @access  Any authenticated user
+ */
+router.delete(
+  "/me/notification-preferences",
+  notificationPreferenceController.resetMyPreferences
+);
+
 /**
  * @route   GET /api/users/:uid
  * @desc    Get user by ID
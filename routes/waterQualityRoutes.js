@@ -6,7 +6,7 @@
  * Handles ESP32 data submission with buffer/merge system
  *
  * Route Groups:
- * 1. ESP32 Endpoints (NO AUTH)
+ * 1. ESP32 Endpoints (DEVICE AUTH)
  * 2. Data Retrieval (WITH AUTH)
  * 3. Monitoring (WITH AUTH)
  * 4. Maintenance (ADMIN ONLY)
@@ -16,19 +16,25 @@ const express = require("express");
 const router = express.Router();
 const waterQualityController = require("../controllers/waterQualityController");
 const { requireAuth, requireAdmin } = require("../middleware/authMiddleware");
+const { requireDevice } = require("../middleware/deviceAuthMiddleware");
 
 /**
  * ========================================
- * ESP32 ENDPOINTS (NO AUTH)
+ * ESP32 ENDPOINTS (DEVICE AUTH)
  * ========================================
  * These endpoints are called by ESP32 devices
- * NO authentication required for device communication
+ * Devices authenticate with credentials issued via /api/devices
+ * (no user JWT required)
  */
 
 /**
  * POST /api/water-quality/submit
  * Main endpoint for ESP32 to submit sensor readings
  *
+ * Headers (one of):
+ *   X-Device-Key: dk_...
+ *   X-Device-Timestamp + X-Device-Signature (HMAC-SHA256, see deviceAuthMiddleware)
+ *
  * Body:
  * {
  *   "ipal_id": 1,
@@ -69,8 +75,56 @@ const { requireAuth, requireAdmin } = require("../middleware/authMiddleware");
  *     "waiting_for": "outlet"
  *   }
  * }
+ *
+ * Response (401): device unknown, revoked, bad credential,
+ * or not bound to this ipal_id/location
  */
-router.post("/submit", waterQualityController.submitReading);
+router.post("/submit", requireDevice, waterQualityController.submitReading);
+
+/**
+ * POST /api/water-quality/submit-batch
+ * Offline backlog: ESP32 that lost Wi-Fi replays stored readings at once
+ *
+ * Headers: same as /submit
+ *
+ * Body:
+ * {
+ *   "ipal_id": 1,
+ *   "location": "inlet",
+ *   "device_id": "ESP32-INLET-001",
+ *   "sensor_mapping": { ... },           // optional, same as /submit
+ *   "readings": [                         // max 200 per request
+ *     {
+ *       "timestamp": 1735689600,          // device time: unix seconds/ms or ISO 8601
+ *       "data": { "ph": 7.2, "tds": 150, "turbidity": 5.3, "temperature": 28.5 }
+ *     }
+ *   ]
+ * }
+ *
+ * Readings are paired with the other location by closest device timestamp
+ * (max 120s apart), not arrival order. Unpaired readings wait 30 minutes for
+ * the other device's backlog, then follow the IPAL orphan_policy.
+ * Backfilled readings create alerts but never send live notifications.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "2 reading(s) accepted (1 paired), 1 rejected",
+ *   "data": {
+ *     "accepted": 2, "rejected": 1, "paired": 1,
+ *     "results": [
+ *       { "index": 0, "status": "accepted", "paired": true, "reading_id": "...", "buffer_id": "...", "timestamp": "..." },
+ *       { "index": 1, "status": "accepted", "paired": false, "waiting_for": "outlet", ... },
+ *       { "index": 2, "status": "rejected", "reason": "duplicate, already submitted", ... }
+ *     ]
+ *   }
+ * }
+ */
+router.post(
+  "/submit-batch",
+  requireDevice,
+  waterQualityController.submitBacklog
+);
 
 /**
  * GET /api/water-quality/health
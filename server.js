@@ -30,7 +30,7 @@ const corsOptions = {
   ],
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization"],
-  exposedHeaders: ["Content-Disposition", "Content-Type"],
+  exposedHeaders: ["Content-Disposition", "Content-Type", "X-Total-Readings"],
   credentials: true,
   optionsSuccessStatus: 200,
 };
@@ -40,7 +40,14 @@ app.use(cors(corsOptions));
 // ========================================
 // MIDDLEWARE
 // ========================================
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep raw body for device HMAC signature verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
@@ -158,13 +165,31 @@ app.use("/api/ipals", (req, res, next) => {
   require("./routes/ipalRoutes")(req, res, next);
 });
 
-// 10. Statistic routes (TODO: akan dibuat ulang)
+// 10. Device credential routes (lazy loaded)
+app.use("/api/devices", (req, res, next) => {
+  console.log("📦 Lazy loading deviceRoutes...");
+  require("./routes/deviceRoutes")(req, res, next);
+});
+
+// 11. Background job routes (lazy loaded)
+app.use("/api/jobs", (req, res, next) => {
+  console.log("📦 Lazy loading jobRoutes...");
+  require("./routes/jobRoutes")(req, res, next);
+});
+
+// 12. Realtime stream (SSE) routes (lazy loaded)
+app.use("/api/stream", (req, res, next) => {
+  console.log("📦 Lazy loading streamRoutes...");
+  require("./routes/streamRoutes")(req, res, next);
+});
+
+// 13. Statistic routes (TODO: akan dibuat ulang)
 // console.log("📦 Loading statisticRoutes...");
 // const statisticRoutes = require("./routes/statisticRoutes");
 // app.use("/api/statistics", statisticRoutes);
 // console.log("✅ statisticRoutes loaded");
 
-// 10. Chart routes (TODO: akan dibuat ulang)
+// 14. Chart routes (TODO: akan dibuat ulang)
 // console.log("📦 Loading chartRoutes...");
 // const chartRoutes = require("./routes/chartRoutes");
 // app.use("/api/charts", chartRoutes);
@@ -208,8 +233,13 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ========================================
 // Only start server if not in Vercel (serverless environment)
+let server;
+let schedulerService;
+let mqttGatewayService;
+let deviceSocketService;
+
 if (process.env.NODE_ENV !== "production" || !process.env.VERCEL) {
-  app.listen(port, () => {
+  server = app.listen(port, () => {
     console.log("\n========================================");
     console.log(`🚀 Server running at http://localhost:${port}`);
     console.log("========================================");
@@ -228,17 +258,38 @@ if (process.env.NODE_ENV !== "production" || !process.env.VERCEL) {
     console.log("   GET    /api/sensors/:id/status");
     console.log("   GET    /api/sensors/:id/latest");
     console.log("   GET    /api/sensors/:id/history");
+    console.log("   POST   /api/sensors                        (Manager+)");
+    console.log("   POST   /api/sensors/:id/replace            (Manager+)");
     console.log("   PUT    /api/sensors/:id                    (Manager+)");
+    console.log("   DELETE /api/sensors/:id                    (Manager+)");
     console.log("   GET    /api/sensors/readings");
     console.log("   GET    /api/sensors/readings/latest/:ipal_id");
 
     console.log("\n💧 Water Quality:");
-    console.log("   POST   /api/water-quality/submit          (ESP32)");
+    console.log("   POST   /api/water-quality/submit          (Device)");
+    console.log("   POST   /api/water-quality/submit-batch    (Device)");
+    console.log(
+      "   MQTT   ipal/{ipal_id}/{location}          (Device, MQTT_URL)"
+    );
     console.log("   GET    /api/water-quality/health");
     console.log("   GET    /api/water-quality/readings");
     console.log("   GET    /api/water-quality/buffer-status");
     console.log("   DELETE /api/water-quality/cleanup-buffer  (Admin)");
 
+    console.log("\n🔑 Devices (Admin):");
+    console.log("   GET    /api/devices");
+    console.log("   GET    /api/devices/:device_id");
+    console.log("   POST   /api/devices");
+    console.log("   POST   /api/devices/:device_id/rotate");
+    console.log("   POST   /api/devices/:device_id/revoke");
+
+    console.log("\n📡 Device Commands (Admin/Manager):");
+    console.log("   POST   /api/devices/:device_id/commands");
+    console.log("   GET    /api/devices/:device_id/commands");
+    console.log("   GET    /api/devices/:device_id/commands/:command_id");
+    console.log("   DELETE /api/devices/:device_id/commands/:command_id");
+    console.log("   WS     /ws/devices                        (Device)");
+
     console.log("\n📊 Statistics:");
     console.log("   (TODO: Will be created)");
 
@@ -255,6 +306,20 @@ if (process.env.NODE_ENV !== "production" || !process.env.VERCEL) {
     console.log("   GET    /api/ipals");
     console.log("   GET    /api/ipals/:ipal_id");
     console.log("   GET    /api/ipals/:ipal_id/stats");
+    console.log("   GET    /api/ipals/:ipal_id/thresholds");
+    console.log("   GET    /api/ipals/:ipal_id/thresholds/history");
+    console.log("   PUT    /api/ipals/:ipal_id/thresholds     (Admin)");
+    console.log("   GET    /api/ipals/:ipal_id/escalation-policy");
+    console.log("   PUT    /api/ipals/:ipal_id/escalation-policy (Admin)");
+    console.log("   DELETE /api/ipals/:ipal_id/escalation-policy (Admin)");
+    console.log("   GET    /api/ipals/:ipal_id/notification-channels (Admin)");
+    console.log("   PUT    /api/ipals/:ipal_id/notification-channels (Admin)");
+    console.log(
+      "   POST   /api/ipals/:ipal_id/notification-channels/test (Admin)"
+    );
+    console.log("   POST   /api/ipals                         (Admin)");
+    console.log("   PUT    /api/ipals/:ipal_id                (Admin)");
+    console.log("   DELETE /api/ipals/:ipal_id                (Admin)");
 
     console.log("\n📋 Dashboard:");
     console.log("   GET    /api/dashboard/summary/:ipal_id");
@@ -265,11 +330,42 @@ if (process.env.NODE_ENV !== "production" || !process.env.VERCEL) {
     console.log("   POST   /api/reports/generate");
     console.log("   GET    /api/reports/:report_id");
     console.log("   GET    /api/reports");
+    console.log("   GET    /api/reports/compliance");
+    console.log("   GET    /api/reports/compliance/pdf");
+    console.log("   POST   /api/reports/jobs");
+    console.log("   GET    /api/reports/jobs/:id");
+    console.log("   GET    /api/reports/jobs/:id/download");
+    console.log("   GET    /api/reports/schedules (Manager)");
+    console.log("   POST   /api/reports/schedules (Manager)");
+    console.log("   GET    /api/reports/schedules/:id (Manager)");
+    console.log("   PUT    /api/reports/schedules/:id (Manager)");
+    console.log("   DELETE /api/reports/schedules/:id (Manager)");
+    console.log("   GET    /api/reports/schedules/:id/runs (Manager)");
+    console.log("   POST   /api/reports/schedules/:id/run (Manager)");
 
     console.log("\n🔔 Notifications:");
     console.log("   GET    /api/notifications");
     console.log("   POST   /api/notifications/token");
     console.log("   PUT    /api/notifications/:id/read");
+    console.log("   POST   /api/notifications/register-device");
+    console.log("   POST   /api/notifications/unregister-device");
+    console.log("   GET    /api/notifications/devices");
+    console.log("   DELETE /api/notifications/devices/:token_id");
+    console.log("   GET    /api/notifications/deliveries (Admin)");
+    console.log("   GET    /api/notifications/deliveries/:id (Admin)");
+    console.log("   POST   /api/notifications/deliveries/:id/resend (Admin)");
+    console.log("   GET    /api/users/me/notification-preferences");
+    console.log("   PUT    /api/users/me/notification-preferences");
+    console.log("   DELETE /api/users/me/notification-preferences");
+
+    console.log("\n⏰ Jobs (Admin):");
+    console.log("   GET    /api/jobs");
+    console.log("   GET    /api/jobs/:name");
+    console.log("   GET    /api/jobs/:name/runs");
+    console.log("   POST   /api/jobs/:name/run");
+
+    console.log("\n📡 Realtime:");
+    console.log("   GET    /api/stream?ipal_id=1              (SSE)");
 
     console.log("\n🧪 Test:");
     console.log("   GET    /admin/ping                        (Admin only)");
@@ -277,12 +373,31 @@ if (process.env.NODE_ENV !== "production" || !process.env.VERCEL) {
     console.log("\n========================================");
     console.log("✨ Server ready to accept connections");
     console.log("========================================\n");
+
+    // Background jobs only run on a long-lived server (not serverless);
+    // on Vercel they run as scheduled Cloud Functions (functions/index.js)
+    schedulerService = require("./services/schedulerService");
+    schedulerService.start();
+
+    // Device command channel (WebSocket on the same port)
+    deviceSocketService = require("./services/deviceSocketService");
+    deviceSocketService.attach(server);
+
+    // MQTT ingestion (only when MQTT_URL is set)
+    mqttGatewayService = require("./services/mqttGatewayService");
+    mqttGatewayService.start().catch((error) => {
+      console.error("❌ MQTT gateway failed to start:", error.message);
+    });
   });
 }
 
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("👋 SIGTERM received. Shutting down gracefully...");
+  if (schedulerService) schedulerService.stop();
+  if (mqttGatewayService) mqttGatewayService.stop().catch(() => {});
+  if (deviceSocketService) deviceSocketService.close();
+  if (!server) process.exit(0);
   server.close(() => {
     console.log("✅ Server closed");
     process.exit(0);
@@ -291,6 +406,9 @@ process.on("SIGTERM", () => {
 
 process.on("SIGINT", () => {
   console.log("\n👋 SIGINT received. Shutting down gracefully...");
+  if (schedulerService) schedulerService.stop();
+  if (mqttGatewayService) mqttGatewayService.stop().catch(() => {});
+  if (deviceSocketService) deviceSocketService.close();
   process.exit(0);
 });
 
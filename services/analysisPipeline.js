@@ -0,0 +1,644 @@
+/**
+ * ========================================
+ * ANALYSIS PIPELINE
+ * ========================================
+ * Single analysis path for water_quality_readings, used by:
+ * - waterQualityService.processCompleteReading (submit / merge)
+ * - functions/triggers/readingTrigger.js (Firestore onCreate)
+ *
+ * Steps: claim → fuzzyService.analyze → alerts → save result → notifications
+ *
+ * Idempotency:
+ * - reading.analysis_state marks the reading as processing/completed,
+ *   claimed inside a transaction so only one caller analyses it
+ * - failed runs and stale processing claims are retried by the
+ *   analysis-retry job (retryStuckAnalyses) up to MAX_ATTEMPTS
+ * - alert IDs are deterministic ({reading_id}_{parameter}_{location}),
+ *   so a re-run after a crash never duplicates alerts or notifications
+ *
+ * Deduplication:
+ * - violations are fingerprinted (ipal_id + parameter + location + condition);
+ *   while an alert with the same fingerprint is open (active/acknowledged),
+ *   a repeat increments its `occurrences` and `last_seen_at` instead of
+ *   creating a new alert
+ * - repeats notify again only after the severity cooldown
+ *   (NOTIFICATION_COOLDOWN_MINUTES) or when the severity escalates
+ *
+ * Auto-resolve:
+ * - measured parameters without a violation count as clean readings for
+ *   open alerts of the same parameter/location; after AUTO_RESOLVE.CLEAN_READINGS
+ *   in a row, or AUTO_RESOLVE.HOLD_MINUTES of clean data, the alert is
+ *   resolved by "system" (optional recovery notification)
+ *
+ * Escalation:
+ * - if the IPAL has an escalation policy for the alert severity, the alert
+ *   is handed to escalationService (teknisi → manager → admin ...) instead
+ *   of the broadcast notification
+ */
+
+const crypto = require("crypto");
+
+// ⚡ Lazy load heavy dependencies to reduce cold start
+let waterQualityModel;
+let fuzzyService;
+let alertModel;
+let notificationService;
+let escalationService;
+
+const getWaterQualityModel = () => {
+  if (!waterQualityModel) {
+    waterQualityModel = require("../models/waterQualityModel");
+  }
+  return waterQualityModel;
+};
+
+const getFuzzyService = () => {
+  if (!fuzzyService) {
+    console.log("⚡ Loading fuzzyService...");
+    fuzzyService = require("./fuzzyService");
+  }
+  return fuzzyService;
+};
+
+const getAlertModel = () => {
+  if (!alertModel) {
+    alertModel = require("../models/alertModel");
+  }
+  return alertModel;
+};
+
+const getNotificationService = () => {
+  if (!notificationService) {
+    notificationService = require("./notificationService");
+  }
+  return notificationService;
+};
+
+const getEscalationService = () => {
+  if (!escalationService) {
+    escalationService = require("./escalationService");
+  }
+  return escalationService;
+};
+
+/**
+ * ========================================
+ * CONFIGURATION
+ * ========================================
+ */
+
+const cooldownFromEnv = (severity, fallback) => {
+  const minutes = parseInt(
+    process.env[`ALERT_COOLDOWN_${severity.toUpperCase()}_MINUTES`]
+  );
+  return isNaN(minutes) || minutes < 0 ? fallback : minutes;
+};
+
+const CONFIG = {
+  STALE_CLAIM_AFTER: 5, // Minutes before a "processing" claim can be taken over
+  MAX_ATTEMPTS: parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 5, // Then abandoned
+  RETRY_BATCH_SIZE: 50, // Readings per status per retry run
+  NOTIFY_SEVERITIES: ["critical", "high"],
+
+  // Minimum minutes between notifications for the same open alert,
+  // one entry per NOTIFY_SEVERITIES (other severities never notify)
+  // Override: ALERT_COOLDOWN_CRITICAL_MINUTES=15, ALERT_COOLDOWN_HIGH_MINUTES=120
+  NOTIFICATION_COOLDOWN_MINUTES: {
+    critical: cooldownFromEnv("critical", 30),
+    high: cooldownFromEnv("high", 60),
+  },
+
+  // 0 disables a rule, both 0 disables auto-resolve
+  AUTO_RESOLVE: {
+    CLEAN_READINGS: parseInt(process.env.ALERT_AUTO_RESOLVE_READINGS ?? 3) || 0,
+    HOLD_MINUTES:
+      parseInt(process.env.ALERT_AUTO_RESOLVE_HOLD_MINUTES ?? 60) || 0,
+    NOTIFY_RECOVERY: process.env.ALERT_RECOVERY_NOTIFY !== "false",
+  },
+};
+
+const MEASURED_PARAMETERS = ["ph", "tds", "turbidity", "temperature"];
+
+/**
+ * Create analysis claim to embed when saving a new reading
+ * Reading is then owned by this run, other entry points skip it
+ * @param {String} source - "submit" | "trigger" | ...
+ * @returns {Object} analysis_state
+ */
+function createClaim(source) {
+  return {
+    status: "processing",
+    source,
+    run_id: crypto.randomUUID(),
+    claimed_at: new Date(),
+    attempts: 1,
+  };
+}
+
+/**
+ * ========================================
+ * MAIN ENTRY POINT
+ * ========================================
+ */
+
+/**
+ * Analyze reading exactly once
+ * @param {String} readingId - water_quality_readings document ID
+ * @param {Object} options
+ * @param {String} options.source - Caller name (stored on the marker)
+ * @param {String} options.runId - Run ID of an existing claim (from createClaim)
+ * @returns {Object} { reading_id, skipped, reason?, fuzzy_analysis?, alerts? }
+ */
+async function analyzeReading(readingId, { source, runId } = {}) {
+  const claim = {
+    source: source || "unknown",
+    run_id: runId || crypto.randomUUID(),
+  };
+
+  const claimResult = await getWaterQualityModel().claimReadingForAnalysis(
+    readingId,
+    claim,
+    CONFIG.STALE_CLAIM_AFTER * 60 * 1000
+  );
+
+  if (!claimResult.claimed) {
+    console.log(
+      `⏭️  Skipping analysis of ${readingId} (${claimResult.reason})`
+    );
+    return {
+      reading_id: readingId,
+      skipped: true,
+      reason: claimResult.reason,
+    };
+  }
+
+  const reading = claimResult.reading;
+  const state = reading.analysis_state;
+
+  try {
+    console.log(`🧠 Analyzing reading ${readingId} (source: ${claim.source})`);
+
+    // ========================================
+    // STEP 1: FUZZY ANALYSIS
+    // ========================================
+    const fuzzyResult = await getFuzzyService().analyze(
+      reading.inlet,
+      reading.outlet,
+      reading.ipal_id
+    );
+
+    // ========================================
+    // STEP 2: CREATE ALERTS (idempotent)
+    // ========================================
+    // Outlet borrowed from an earlier reading (pair_last_known) was
+    // already alerted on when it was measured
+    const alertableViolations =
+      reading.partial_info?.missing_location === "outlet"
+        ? []
+        : fuzzyResult.violations;
+
+    let alertResult = {
+      created: [],
+      repeated: [],
+      to_notify: [],
+      to_escalate: [],
+      alert_ids: [],
+    };
+    let escalationPolicy = null;
+
+    if (alertableViolations.length > 0) {
+      console.log("🚨 Creating alerts...");
+      escalationPolicy = await getEscalationService().getPolicy(
+        reading.ipal_id
+      );
+      alertResult = await createAlertsForViolations(
+        readingId,
+        reading,
+        alertableViolations,
+        fuzzyResult.threshold_profile_version,
+        escalationPolicy
+      );
+      console.log(
+        `✅ Created ${alertResult.created.length} alert(s), ${alertResult.repeated.length} repeat(s) on open alerts`
+      );
+    } else {
+      console.log("✅ No violations, no alerts needed");
+    }
+
+    // ========================================
+    // STEP 3: AUTO-RESOLVE (parameters back within limits)
+    // ========================================
+    const resolvedAlerts = await autoResolveAlerts(
+      readingId,
+      reading,
+      fuzzyResult.violations
+    );
+
+    // ========================================
+    // STEP 4: SAVE RESULT + MARK COMPLETED
+    // ========================================
+    const fuzzyAnalysis = buildFuzzyAnalysis(fuzzyResult);
+
+    await getWaterQualityModel().completeReadingAnalysis(
+      readingId,
+      fuzzyAnalysis,
+      state,
+      alertResult.alert_ids
+    );
+
+    // ========================================
+    // STEP 5: NOTIFICATIONS (new alerts + repeats past their cooldown)
+    // ========================================
+    const alertsToNotify = [...alertResult.to_notify];
+
+    if (reading.backfilled && alertResult.created.length > 0) {
+      console.log("⏭️  Backfilled reading, skipping live notifications");
+    }
+
+    for (const alert of alertResult.to_escalate) {
+      try {
+        await getEscalationService().startEscalation(alert, escalationPolicy);
+      } catch (error) {
+        // Never leave an alert without any notification
+        console.error(
+          `❌ Escalation start failed for ${alert.alert_id}, broadcasting instead:`,
+          error.message
+        );
+        alertsToNotify.push(alert);
+      }
+    }
+
+    if (alertsToNotify.length > 0) {
+      console.log("📧 Sending notifications for critical alerts...");
+      await sendNotificationsForAlerts(alertsToNotify);
+    }
+
+    // Recovery only for alerts somebody was notified about
+    const recoveriesToNotify =
+      CONFIG.AUTO_RESOLVE.NOTIFY_RECOVERY && !reading.backfilled
+        ? resolvedAlerts.filter((a) => a.notification_count > 0)
+        : [];
+
+    if (recoveriesToNotify.length > 0) {
+      await sendRecoveryNotifications(recoveriesToNotify);
+    }
+
+    return {
+      reading_id: readingId,
+      skipped: false,
+      fuzzy_analysis: fuzzyResult,
+      alerts: alertResult.created,
+      repeated_alerts: alertResult.repeated,
+      resolved_alerts: resolvedAlerts,
+      notifications_sent: alertsToNotify.length,
+      escalations_started: alertResult.to_escalate.length,
+    };
+  } catch (error) {
+    console.error(`❌ Analysis of ${readingId} failed:`, error);
+    await getWaterQualityModel().failReadingAnalysis(
+      readingId,
+      state,
+      error.message
+    );
+    throw error;
+  }
+}
+
+/**
+ * Retry analysis of failed readings and stale processing claims
+ * Only the analysis (fuzzy → alerts → notifications) is re-run;
+ * sensor updates and realtime events belong to the original submission
+ * @returns {Object} { found, succeeded, skipped, failed, abandoned: [...] }
+ */
+async function retryStuckAnalyses() {
+  const readings = await getWaterQualityModel().getReadingsForAnalysisRetry(
+    CONFIG.STALE_CLAIM_AFTER * 60 * 1000,
+    CONFIG.RETRY_BATCH_SIZE
+  );
+
+  const summary = {
+    found: readings.length,
+    succeeded: 0,
+    skipped: 0,
+    failed: 0,
+    abandoned: [],
+  };
+
+  for (const reading of readings) {
+    const state = reading.analysis_state;
+
+    if ((state.attempts || 0) >= CONFIG.MAX_ATTEMPTS) {
+      console.error(
+        `❌ Giving up analysis of ${reading.id} after ${state.attempts} attempts`
+      );
+      await getWaterQualityModel().abandonReadingAnalysis(reading.id, state);
+      summary.abandoned.push({
+        reading_id: reading.id,
+        ipal_id: reading.ipal_id,
+        attempts: state.attempts,
+        error: state.error || `stuck in ${state.status}`,
+      });
+      continue;
+    }
+
+    try {
+      const result = await analyzeReading(reading.id, { source: "retry" });
+      if (result.skipped) {
+        summary.skipped++;
+      } else {
+        summary.succeeded++;
+      }
+    } catch (error) {
+      // analyzeReading already marked the reading as failed
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * ========================================
+ * HELPERS
+ * ========================================
+ */
+
+/**
+ * fuzzy_analysis object stored on the reading
+ */
+function buildFuzzyAnalysis(fuzzyResult) {
+  const fuzzyAnalysis = {
+    quality_score: fuzzyResult.quality_score,
+    status: fuzzyResult.status,
+    alert_count: fuzzyResult.alert_count,
+    violations: fuzzyResult.violations,
+    recommendations: fuzzyResult.recommendations,
+    analysis_method: fuzzyResult.analysis_method,
+    threshold_profile_version: fuzzyResult.threshold_profile_version,
+  };
+
+  // Mamdani: simpan aktivasi rule supaya operator bisa lihat alasan skor
+  if (fuzzyResult.rule_activations) {
+    fuzzyAnalysis.rule_activations = fuzzyResult.rule_activations;
+    fuzzyAnalysis.fuzzy_details = fuzzyResult.fuzzy_details;
+  }
+
+  return fuzzyAnalysis;
+}
+
+/**
+ * Deterministic alert ID (one alert per reading + parameter + location)
+ */
+function buildAlertId(readingId, violation) {
+  return `${readingId}_${violation.parameter}_${violation.location}`;
+}
+
+/**
+ * Notification cooldown for an occurrence
+ * @returns {Number|null} Minutes, null if the occurrence must not notify
+ */
+function getCooldownMinutes(reading, severity, escalationPolicy) {
+  // Backfilled readings (device backlog) are history, not live events
+  if (reading.backfilled || !CONFIG.NOTIFY_SEVERITIES.includes(severity)) {
+    return null;
+  }
+
+  // Escalation chain notifies instead
+  if (getEscalationService().appliesTo(escalationPolicy, severity)) {
+    return null;
+  }
+
+  return CONFIG.NOTIFICATION_COOLDOWN_MINUTES[severity] ?? 0;
+}
+
+/**
+ * Create alerts for violations, or count repeats on open alerts
+ * with the same fingerprint (see alertModel.recordAlertOccurrence)
+ * @param {Object} escalationPolicy - IPAL escalation policy (optional)
+ * @returns {Object} { created, repeated, to_notify, to_escalate, alert_ids }
+ */
+async function createAlertsForViolations(
+  readingId,
+  reading,
+  violations,
+  thresholdProfileVersion,
+  escalationPolicy = null
+) {
+  const result = {
+    created: [],
+    repeated: [],
+    to_notify: [],
+    to_escalate: [],
+    alert_ids: [],
+  };
+
+  for (const violation of violations) {
+    const alertId = buildAlertId(readingId, violation);
+
+    const alertData = {
+      ipal_id: reading.ipal_id,
+      reading_id: readingId,
+      parameter: violation.parameter,
+      location: violation.location,
+      value: violation.value,
+      threshold: violation.threshold,
+      deviation: Math.abs(violation.value - violation.threshold),
+      condition: violation.condition,
+      severity: violation.severity,
+      status: "active",
+      rule: `${violation.parameter} ${violation.condition}`,
+      message: violation.message,
+      threshold_profile_version: thresholdProfileVersion,
+      backfilled: Boolean(reading.backfilled),
+      timestamp: reading.timestamp || new Date(),
+      // Note: created_at will be added by alertModel using serverTimestamp()
+    };
+
+    const occurrence = await getAlertModel().recordAlertOccurrence(
+      alertId,
+      alertData,
+      {
+        getCooldownMinutes: (severity) =>
+          getCooldownMinutes(reading, severity, escalationPolicy),
+      }
+    );
+
+    result.alert_ids.push(occurrence.alert_id);
+
+    if (occurrence.status === "created") {
+      result.created.push(occurrence.alert);
+    } else if (occurrence.status === "repeated") {
+      console.log(
+        `🔁 Repeat of ${occurrence.alert_id} (${
+          occurrence.alert.occurrences
+        }x)${occurrence.notify ? "" : ", notification in cooldown"}`
+      );
+      result.repeated.push(occurrence.alert);
+    } else {
+      console.log(`⏭️  Occurrence of ${readingId} already recorded, skipping`);
+    }
+
+    if (occurrence.notify) {
+      result.to_notify.push(occurrence.alert);
+    }
+
+    // New alert, or open alert that escalated into a policy severity
+    if (
+      occurrence.status !== "duplicate" &&
+      !reading.backfilled &&
+      !occurrence.alert.escalation &&
+      getEscalationService().appliesTo(
+        escalationPolicy,
+        occurrence.alert.severity
+      )
+    ) {
+      result.to_escalate.push(occurrence.alert);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parameter/location pairs measured in this reading without a violation
+ * @returns {Array} e.g. ["ph_outlet", "tds_outlet"]
+ */
+function getCleanKeys(reading, violations) {
+  const keys = [];
+
+  ["inlet", "outlet"].forEach((location) => {
+    // Borrowed (pair_last_known) or missing side is not a new measurement
+    if (
+      !reading[location] ||
+      reading.partial_info?.missing_location === location
+    ) {
+      return;
+    }
+
+    MEASURED_PARAMETERS.forEach((parameter) => {
+      const measured = typeof reading[location][parameter] === "number";
+      const violated = violations.some(
+        (v) => v.parameter === parameter && v.location === location
+      );
+
+      if (measured && !violated) {
+        keys.push(`${parameter}_${location}`);
+      }
+    });
+  });
+
+  return keys;
+}
+
+/**
+ * Resolve open alerts whose parameter is back within limits
+ * @returns {Array} Alerts resolved by this reading
+ */
+async function autoResolveAlerts(readingId, reading, violations) {
+  const { CLEAN_READINGS, HOLD_MINUTES } = CONFIG.AUTO_RESOLVE;
+
+  if (CLEAN_READINGS <= 0 && HOLD_MINUTES <= 0) {
+    return [];
+  }
+
+  const cleanKeys = getCleanKeys(reading, violations);
+
+  if (cleanKeys.length === 0) {
+    return [];
+  }
+
+  const resolved = await getAlertModel().recordCleanReading(
+    {
+      ipal_id: reading.ipal_id,
+      reading_id: readingId,
+      timestamp: reading.timestamp,
+      clean_keys: cleanKeys,
+    },
+    { minCleanReadings: CLEAN_READINGS, holdMinutes: HOLD_MINUTES }
+  );
+
+  if (resolved.length > 0) {
+    console.log(`✅ Auto-resolved ${resolved.length} alert(s)`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Send recovery notifications for auto-resolved alerts
+ * Failures are logged, never thrown
+ */
+async function sendRecoveryNotifications(alerts) {
+  try {
+    console.log(
+      `💚 Sending recovery notification for ${alerts.length} alert(s)...`
+    );
+    return await getNotificationService().sendRecoveries(alerts);
+  } catch (error) {
+    console.error("❌ Error sending recovery notifications:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Send notifications (email + FCM) for alerts
+ * Failures are logged, never thrown
+ */
+async function sendNotificationsForAlerts(alerts) {
+  try {
+    if (!alerts || alerts.length === 0) {
+      console.log("ℹ️  No alerts to send");
+      return;
+    }
+
+    console.log(`📧 Sending notifications for ${alerts.length} alert(s)...`);
+
+    const result = await getNotificationService().sendAlerts(alerts);
+
+    if (result.success) {
+      console.log("✅ Notifications sent successfully");
+      console.log(`   Email: ${result.results?.email?.success ? "✅" : "❌"}`);
+      console.log(
+        `   FCM: ${result.results?.fcm?.success ? "✅" : "⏭️ Skipped"}`
+      );
+    } else {
+      console.log("⚠️  Notification sending had issues:", result.message);
+    }
+
+    return result;
+  } catch (error) {
+    console.error("❌ Error sending notifications:", error);
+    // Don't throw - notifications failing shouldn't break the main flow
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  analyzeReading,
+  createClaim,
+  retryStuckAnalyses,
+
+  // Exported for testing
+  buildFuzzyAnalysis,
+  buildAlertId,
+  createAlertsForViolations,
+  sendNotificationsForAlerts,
+  getCleanKeys,
+  autoResolveAlerts,
+
+  CONFIG,
+};
+
+console.log("📦 analysisPipeline loaded");
@@ -39,6 +39,20 @@ const KEYS = {
   // Alert keys
   ALERTS: (ipal_id, status) => `alerts:${ipal_id || "all"}:${status || "all"}`,
   ALERT: (alert_id) => `alert:${alert_id}`,
+
+  // Device keys
+  DEVICE: (device_id) => `device:${device_id}`,
+
+  // Baku mutu profile keys
+  THRESHOLD_PROFILE: (ipal_id) => `thresholds:${ipal_id}`,
+  ANALYSIS_METHOD: (ipal_id) => `analysis_method:${ipal_id}`,
+  ORPHAN_POLICY: (ipal_id) => `orphan_policy:${ipal_id}`,
+
+  // Alert escalation keys
+  ESCALATION_POLICY: (ipal_id) => `escalation_policy:${ipal_id}`,
+
+  // External notification channel keys
+  NOTIFICATION_CHANNELS: (ipal_id) => `notification_channels:${ipal_id}`,
 };
 
 /**
@@ -0,0 +1,396 @@
+/**
+ * ========================================
+ * CHART SERVICE
+ * ========================================
+ * Date ranges & time-bucketed aggregation for dashboard charts
+ *
+ * - Periods (today, yesterday, week, 30days) and date-only custom
+ *   ranges are local calendar days of the IPAL (ipal.timezone, default
+ *   CHART_TIMEZONE / Asia/Jakarta), not of the server (UTC on Vercel)
+ * - Buckets 5m / 1h / 1d are aligned to local time: a "1d" bucket is one
+ *   local day (00:00 - 24:00), not one UTC day
+ * - Per bucket: avg/min/max/count per inlet & outlet parameter.
+ *   Readings are read page by page, so long ranges are not truncated.
+ */
+
+const { db, admin } = require("../config/firebase-config");
+
+// ========================================
+// KONFIGURASI
+// ========================================
+
+const CONFIG = {
+  DEFAULT_TIMEZONE: process.env.CHART_TIMEZONE || "Asia/Jakarta",
+  MAX_BUCKETS: parseInt(process.env.CHART_MAX_BUCKETS) || 2000,
+  PAGE_SIZE: 1000,
+};
+
+const BUCKETS = {
+  "5m": 5 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+
+const PARAMETERS = ["ph", "tds", "turbidity", "temperature"];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ========================================
+ * TIMEZONE
+ * ========================================
+ * "Local ms" = wall-clock time of the timezone written as if it were UTC
+ */
+
+const formatters = new Map();
+const offsetCache = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * UTC offset (ms) of a timezone at an instant
+ * Offsets only change on quarter hours → cached per 15 minutes
+ */
+function getOffset(timezone, utcMs) {
+  const key = `${timezone}|${Math.floor(utcMs / 900000)}`;
+
+  if (!offsetCache.has(key)) {
+    const parts = Object.fromEntries(
+      getFormatter(timezone)
+        .formatToParts(new Date(utcMs))
+        .map((p) => [p.type, p.value])
+    );
+
+    const localMs = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    );
+
+    if (offsetCache.size > 10000) offsetCache.clear();
+    offsetCache.set(key, localMs - Math.floor(utcMs / 1000) * 1000);
+  }
+
+  return offsetCache.get(key);
+}
+
+const toLocal = (timezone, utcMs) => utcMs + getOffset(timezone, utcMs);
+
+/**
+ * Local wall-clock ms → UTC ms
+ */
+function toUtc(timezone, localMs) {
+  const guess = localMs - getOffset(timezone, localMs);
+  return localMs - getOffset(timezone, guess);
+}
+
+/**
+ * UTC ms of local midnight, days relative to the local date of `utcMs`
+ */
+function localMidnight(timezone, utcMs, dayOffset = 0) {
+  const local = new Date(toLocal(timezone, utcMs));
+
+  return toUtc(
+    timezone,
+    Date.UTC(
+      local.getUTCFullYear(),
+      local.getUTCMonth(),
+      local.getUTCDate() + dayOffset
+    )
+  );
+}
+
+/**
+ * ========================================
+ * DATE RANGE
+ * ========================================
+ */
+
+/**
+ * Resolve chart period to a date range in the IPAL timezone
+ * @param {String} period - today | yesterday | week | 7days | 30days | custom
+ * @param {Object} custom - { start, end }: YYYY-MM-DD (local day) or ISO timestamp
+ * @param {String} timezone - IANA timezone
+ * @param {Date} now - Current time
+ * @returns {Object} { startDate, endDate } or { error }
+ */
+function resolveDateRange(
+  period,
+  { start, end } = {},
+  timezone,
+  now = new Date()
+) {
+  const nowMs = now.getTime();
+  const endOfToday = localMidnight(timezone, nowMs, 1) - 1;
+
+  switch (period) {
+    case "today":
+      return {
+        startDate: new Date(localMidnight(timezone, nowMs)),
+        endDate: new Date(endOfToday),
+      };
+
+    case "yesterday":
+      return {
+        startDate: new Date(localMidnight(timezone, nowMs, -1)),
+        endDate: new Date(localMidnight(timezone, nowMs) - 1),
+      };
+
+    case "week":
+    case "7days":
+      return {
+        startDate: new Date(localMidnight(timezone, nowMs, -7)),
+        endDate: new Date(endOfToday),
+      };
+
+    case "30days":
+      return {
+        startDate: new Date(localMidnight(timezone, nowMs, -30)),
+        endDate: new Date(endOfToday),
+      };
+
+    case "custom": {
+      if (!start || !end) {
+        return {
+          error: "Custom period requires 'start' and 'end' query parameters",
+        };
+      }
+
+      // Date only → whole local day(s)
+      const startDate = DATE_ONLY.test(start)
+        ? new Date(toUtc(timezone, Date.parse(start + "T00:00:00Z")))
+        : new Date(start);
+      const endDate = DATE_ONLY.test(end)
+        ? new Date(toUtc(timezone, Date.parse(end + "T00:00:00Z") + DAY_MS) - 1)
+        : new Date(end);
+
+      if (isNaN(startDate) || isNaN(endDate)) {
+        return {
+          error: "start and end must be YYYY-MM-DD or ISO date strings",
+        };
+      }
+
+      if (startDate > endDate) {
+        return { error: "start must be before end" };
+      }
+
+      return { startDate, endDate };
+    }
+
+    default:
+      return {
+        error:
+          "Invalid period. Use: today, yesterday, week, 30days, or custom (with start/end)",
+      };
+  }
+}
+
+/**
+ * ========================================
+ * AGGREGATION
+ * ========================================
+ */
+
+/**
+ * Side data that was actually measured for this reading
+ * (null for the missing side of a partial reading, incl. borrowed pair_last_known data)
+ */
+function measuredSide(reading, location) {
+  if (reading.partial_info?.missing_location === location) {
+    return null;
+  }
+  return reading[location] || null;
+}
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+function createBucket(localStart) {
+  const stats = {};
+
+  ["inlet", "outlet"].forEach((location) => {
+    PARAMETERS.forEach((param) => {
+      stats[`${location}_${param}`] = {
+        sum: 0,
+        min: Infinity,
+        max: -Infinity,
+        count: 0,
+      };
+    });
+  });
+
+  return { localStart, count: 0, partial: 0, score: 0, scored: 0, stats };
+}
+
+function addToBucket(bucket, reading) {
+  bucket.count++;
+  if (reading.partial) bucket.partial++;
+
+  const score = reading.fuzzy_analysis?.quality_score;
+  if (typeof score === "number") {
+    bucket.score += score;
+    bucket.scored++;
+  }
+
+  ["inlet", "outlet"].forEach((location) => {
+    const side = measuredSide(reading, location);
+    if (!side) return;
+
+    PARAMETERS.forEach((param) => {
+      const value = side[param];
+      if (typeof value !== "number" || isNaN(value)) return;
+
+      const stat = bucket.stats[`${location}_${param}`];
+      stat.sum += value;
+      stat.min = Math.min(stat.min, value);
+      stat.max = Math.max(stat.max, value);
+      stat.count++;
+    });
+  });
+}
+
+/**
+ * Bucket → chart point (flat keys for Recharts)
+ * inlet_ph_avg, inlet_ph_min, inlet_ph_max, inlet_ph_count, ...
+ */
+function formatBucket(bucket, bucketMs, timezone) {
+  const start = new Date(toUtc(timezone, bucket.localStart));
+  const end = new Date(toUtc(timezone, bucket.localStart + bucketMs));
+
+  const point = {
+    timestamp: start.toISOString(),
+    bucket_end: end.toISOString(),
+    unix_timestamp: start.getTime(),
+    // Display only (IPAL timezone)
+    date: start.toLocaleDateString("id-ID", {
+      timeZone: timezone,
+      day: "2-digit",
+      month: "short",
+    }),
+    time: start.toLocaleTimeString("id-ID", {
+      timeZone: timezone,
+      hour: "2-digit",
+      minute: "2-digit",
+    }),
+    datetime_display: start.toLocaleString("id-ID", { timeZone: timezone }),
+    count: bucket.count,
+    partial_count: bucket.partial,
+    quality_score_avg: bucket.scored
+      ? round(bucket.score / bucket.scored)
+      : null,
+  };
+
+  Object.entries(bucket.stats).forEach(([key, stat]) => {
+    const hasData = stat.count > 0;
+    point[`${key}_avg`] = hasData ? round(stat.sum / stat.count) : null;
+    point[`${key}_min`] = hasData ? round(stat.min) : null;
+    point[`${key}_max`] = hasData ? round(stat.max) : null;
+    point[`${key}_count`] = stat.count;
+  });
+
+  return point;
+}
+
+/**
+ * Number of buckets a range would produce
+ */
+function countBuckets(startDate, endDate, bucket) {
+  return Math.ceil((endDate - startDate + 1) / BUCKETS[bucket]);
+}
+
+/**
+ * Read all readings in range (paged, oldest first) and aggregate per bucket
+ * @param {Object} options - { ipalId, startDate, endDate, bucket, timezone, onReading? }
+ *   onReading(reading, timestamp) is called for every reading (e.g. summary)
+ * @returns {Promise<Object>} { buckets: [chart points], total_readings }
+ */
+async function getBucketedReadings({
+  ipalId,
+  startDate,
+  endDate,
+  bucket,
+  timezone,
+  onReading,
+}) {
+  const bucketMs = BUCKETS[bucket];
+  const buckets = new Map();
+  let total = 0;
+  let lastDoc = null;
+
+  const baseQuery = db
+    .collection("water_quality_readings")
+    .where("ipal_id", "==", parseInt(ipalId))
+    .where("timestamp", ">=", admin.firestore.Timestamp.fromDate(startDate))
+    .where("timestamp", "<=", admin.firestore.Timestamp.fromDate(endDate))
+    .orderBy("timestamp", "asc");
+
+  while (true) {
+    let query = baseQuery.limit(CONFIG.PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const snapshot = await query.get();
+
+    snapshot.docs.forEach((doc) => {
+      const reading = doc.data();
+      if (!reading.timestamp?.toDate) return;
+
+      const timestamp = reading.timestamp.toDate();
+      const localMs = toLocal(timezone, timestamp.getTime());
+      const localStart = Math.floor(localMs / bucketMs) * bucketMs;
+
+      if (!buckets.has(localStart)) {
+        buckets.set(localStart, createBucket(localStart));
+      }
+
+      addToBucket(buckets.get(localStart), reading);
+      total++;
+
+      if (onReading) onReading(reading, timestamp);
+    });
+
+    if (snapshot.size < CONFIG.PAGE_SIZE) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  // Map keeps insertion order = chronological (query is ascending)
+  return {
+    buckets: [...buckets.values()].map((b) =>
+      formatBucket(b, bucketMs, timezone)
+    ),
+    total_readings: total,
+  };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  resolveDateRange,
+  countBuckets,
+  getBucketedReadings,
+  measuredSide,
+  BUCKETS,
+  CONFIG,
+};
+
+console.log("📦 chartService loaded");
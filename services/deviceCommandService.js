@@ -0,0 +1,214 @@
+/**
+ * ========================================
+ * DEVICE COMMAND SERVICE
+ * ========================================
+ * Command queue for ESP32 devices (sampling interval, calibration, reboot)
+ *
+ * - queueCommand: save to device_commands, deliver now if the device
+ *   is connected to deviceSocketService, otherwise wait in queue
+ * - deliverPending: called when a device (re)connects
+ * - handleAck: device reply { type: "ack", command_id, ok, result?, error? }
+ * - expireCommands: sweep for commands past their TTL (job)
+ *
+ * Delivery is at-least-once: a command that was sent but not acked
+ * is sent again on reconnect, devices must dedupe by command_id.
+ */
+
+// ⚡ Lazy load dependencies (deviceSocketService requires this module too)
+let deviceCommandModel;
+let deviceSocketService;
+
+const getDeviceCommandModel = () => {
+  if (!deviceCommandModel) {
+    deviceCommandModel = require("../models/deviceCommandModel");
+  }
+  return deviceCommandModel;
+};
+
+const getDeviceSocketService = () => {
+  if (!deviceSocketService) {
+    deviceSocketService = require("./deviceSocketService");
+  }
+  return deviceSocketService;
+};
+
+/**
+ * ========================================
+ * DELIVERY
+ * ========================================
+ */
+
+/**
+ * Send command over the device socket
+ * @param {Object} command - Command document
+ * @returns {Object} Latest command state (status "sent" if delivered)
+ */
+async function deliverCommand(command) {
+  const delivered = await getDeviceSocketService().sendToDevice(
+    command.device_id,
+    {
+      type: "command",
+      command_id: command.id,
+      command: command.command,
+      params: command.params,
+      expires_at: command.expires_at,
+    }
+  );
+
+  if (!delivered) {
+    return command;
+  }
+
+  const sent = await getDeviceCommandModel().markCommandSent(command.id);
+  console.log(`📤 Command ${command.command} sent to ${command.device_id}`);
+
+  return sent || command;
+}
+
+/**
+ * Queue command and deliver immediately when the device is online
+ * @param {Object} data - { device, command, params, ttl_minutes, created_by }
+ * @returns {Object} Command
+ */
+async function queueCommand({
+  device,
+  command,
+  params,
+  ttl_minutes,
+  created_by,
+}) {
+  const queued = await getDeviceCommandModel().createCommand({
+    device_id: device.device_id,
+    ipal_id: device.ipal_id,
+    command,
+    params,
+    ttl_minutes,
+    created_by,
+  });
+
+  console.log(`📥 Command ${command} queued for ${device.device_id}`);
+
+  if (!getDeviceSocketService().isConnected(device.device_id)) {
+    return queued;
+  }
+
+  return deliverCommand(queued);
+}
+
+/**
+ * Deliver queued (and unacked) commands after device connects
+ * @param {String} deviceId - Device ID
+ * @returns {Object} { delivered, expired }
+ */
+async function deliverPending(deviceId) {
+  const model = getDeviceCommandModel();
+  const pending = await model.getPendingCommands(deviceId);
+  const now = new Date().toISOString();
+
+  let delivered = 0;
+  let expired = 0;
+
+  // Oldest first, so e.g. interval changes are applied in order
+  for (const command of pending) {
+    if (command.expires_at && command.expires_at <= now) {
+      await model.markCommandExpired(command.id);
+      expired++;
+      continue;
+    }
+
+    const result = await deliverCommand(command);
+    if (result.status === "sent") {
+      delivered++;
+    }
+  }
+
+  if (pending.length > 0) {
+    console.log(
+      `📬 Pending commands for ${deviceId}: ${delivered} delivered, ${expired} expired`
+    );
+  }
+
+  return { delivered, expired };
+}
+
+/**
+ * ========================================
+ * ACKNOWLEDGEMENT
+ * ========================================
+ */
+
+/**
+ * Record acknowledgement from device
+ * @param {String} deviceId - Authenticated device (socket owner)
+ * @param {Object} message - { command_id, ok, result?, error? }
+ * @returns {Object|null} Updated command, null if unknown / already final
+ */
+async function handleAck(deviceId, { command_id, ok, result, error }) {
+  const model = getDeviceCommandModel();
+  const command = command_id ? await model.getCommandById(command_id) : null;
+
+  // Device may only ack its own commands
+  if (!command || command.device_id !== deviceId) {
+    console.warn(`⚠️  Ack for unknown command ${command_id} from ${deviceId}`);
+    return null;
+  }
+
+  const updated = await model.markCommandAcked(command_id, {
+    ok: ok !== false,
+    result,
+    error,
+  });
+
+  if (updated) {
+    console.log(
+      `${updated.status === "acked" ? "✅" : "❌"} Command ${command.command} ${
+        updated.status
+      } by ${deviceId}`
+    );
+  }
+
+  return updated;
+}
+
+/**
+ * ========================================
+ * EXPIRY
+ * ========================================
+ */
+
+/**
+ * Mark commands past their TTL as expired
+ * @returns {Object} { checked, expired }
+ */
+async function expireCommands() {
+  const model = getDeviceCommandModel();
+  const pending = await model.getPendingCommands();
+  const now = new Date().toISOString();
+
+  let expired = 0;
+
+  for (const command of pending) {
+    if (command.expires_at && command.expires_at <= now) {
+      if (await model.markCommandExpired(command.id)) {
+        expired++;
+      }
+    }
+  }
+
+  return { checked: pending.length, expired };
+}
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  queueCommand,
+  deliverPending,
+  handleAck,
+  expireCommands,
+};
+
+console.log("📦 deviceCommandService loaded");
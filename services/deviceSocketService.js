@@ -0,0 +1,319 @@
+/**
+ * ========================================
+ * DEVICE SOCKET SERVICE
+ * ========================================
+ * WebSocket endpoint that ESP32 devices keep open to receive commands
+ * Attached to the HTTP server in server.js (long-lived server only)
+ *
+ * Connect: ws://<host>/ws/devices
+ * Auth (same credentials as POST /api/water-quality/submit):
+ *   X-Device-Id: ESP32-INLET-001
+ *   X-Device-Key: dk_xxx
+ * or X-Device-Timestamp + X-Device-Signature = HMAC over "<timestamp>.<device_id>".
+ * Query params device_id / api_key are accepted for clients without headers.
+ *
+ * Messages (JSON):
+ *   server → device  { type: "welcome", device_id, server_time }
+ *   server → device  { type: "command", command_id, command, params, expires_at }
+ *   device → server  { type: "ack", command_id, ok: true|false, result?, error? }
+ *   device → server  { type: "ping" }  →  { type: "pong" }
+ */
+
+const { WebSocketServer } = require("ws");
+
+// ⚡ Lazy load dependencies
+let deviceCommandService;
+let authenticateDevice;
+
+const getDeviceCommandService = () => {
+  if (!deviceCommandService) {
+    deviceCommandService = require("./deviceCommandService");
+  }
+  return deviceCommandService;
+};
+
+const getDeviceAuthenticator = () => {
+  if (!authenticateDevice) {
+    ({ authenticateDevice } = require("../middleware/deviceAuthMiddleware"));
+  }
+  return authenticateDevice;
+};
+
+/**
+ * ========================================
+ * CONFIGURATION
+ * ========================================
+ */
+
+const CONFIG = {
+  PATH: "/ws/devices",
+  PING_INTERVAL: 30 * 1000, // Drop connections that miss a ping
+  MAX_PAYLOAD: 64 * 1024, // bytes
+};
+
+let wss = null;
+let pingTimer = null;
+
+// device_id → WebSocket (one connection per device)
+const connections = new Map();
+
+/**
+ * ========================================
+ * CONNECTION HANDLING
+ * ========================================
+ */
+
+function send(ws, message) {
+  return new Promise((resolve) => {
+    ws.send(JSON.stringify(message), (error) => resolve(!error));
+  });
+}
+
+/**
+ * Authenticate upgrade request
+ * @returns {Object} { device } or { error }
+ */
+async function authenticateUpgrade(req) {
+  const url = new URL(req.url, "http://localhost");
+  const deviceId =
+    req.headers["x-device-id"] || url.searchParams.get("device_id");
+
+  return getDeviceAuthenticator()({
+    device_id: deviceId,
+    apiKey: req.headers["x-device-key"] || url.searchParams.get("api_key"),
+    signature: req.headers["x-device-signature"],
+    timestamp: req.headers["x-device-timestamp"],
+    rawBody: deviceId,
+  });
+}
+
+/**
+ * Handle message from device
+ */
+async function handleMessage(ws, device, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString("utf8"));
+  } catch (error) {
+    await send(ws, { type: "error", message: "Message must be valid JSON" });
+    return;
+  }
+
+  switch (message?.type) {
+    case "ack": {
+      const command = await getDeviceCommandService().handleAck(
+        device.device_id,
+        message
+      );
+      if (!command) {
+        await send(ws, {
+          type: "error",
+          command_id: message.command_id || null,
+          message: "Unknown command or already completed",
+        });
+      }
+      break;
+    }
+
+    case "ping":
+      await send(ws, { type: "pong", server_time: new Date().toISOString() });
+      break;
+
+    default:
+      await send(ws, {
+        type: "error",
+        message: `Unknown message type: ${message?.type}`,
+      });
+  }
+}
+
+/**
+ * Register authenticated connection
+ */
+async function onConnection(ws, device) {
+  const deviceId = device.device_id;
+
+  // New connection replaces the old one (device rebooted / reconnected)
+  const previous = connections.get(deviceId);
+  if (previous) {
+    previous.close(4000, "Replaced by new connection");
+  }
+
+  connections.set(deviceId, ws);
+  ws.isAlive = true;
+
+  console.log(
+    `🔌 Device connected: ${deviceId} (${connections.size} connected)`
+  );
+
+  ws.on("pong", () => {
+    ws.isAlive = true;
+  });
+
+  ws.on("message", (raw) => {
+    handleMessage(ws, device, raw).catch((error) => {
+      console.error(`❌ Error handling message from ${deviceId}:`, error);
+    });
+  });
+
+  ws.on("close", () => {
+    if (connections.get(deviceId) === ws) {
+      connections.delete(deviceId);
+    }
+    console.log(`🔌 Device disconnected: ${deviceId}`);
+  });
+
+  ws.on("error", (error) => {
+    console.error(`❌ Socket error for ${deviceId}:`, error.message);
+  });
+
+  await send(ws, {
+    type: "welcome",
+    device_id: deviceId,
+    server_time: new Date().toISOString(),
+  });
+
+  await getDeviceCommandService().deliverPending(deviceId);
+}
+
+/**
+ * ========================================
+ * LIFECYCLE
+ * ========================================
+ */
+
+/**
+ * Attach WebSocket endpoint to HTTP server
+ * @param {http.Server} server - Server from app.listen()
+ */
+function attach(server) {
+  if (wss) {
+    return wss;
+  }
+
+  wss = new WebSocketServer({ noServer: true, maxPayload: CONFIG.MAX_PAYLOAD });
+
+  server.on("upgrade", async (req, socket, head) => {
+    if (new URL(req.url, "http://localhost").pathname !== CONFIG.PATH) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      const { device, error } = await authenticateUpgrade(req);
+
+      if (error) {
+        console.warn(`⛔ Device socket rejected: ${error}`);
+        socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+        socket.destroy();
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        onConnection(ws, device).catch((connectionError) => {
+          console.error(
+            `❌ Error on connect of ${device.device_id}:`,
+            connectionError
+          );
+        });
+      });
+    } catch (error) {
+      console.error("❌ Device socket upgrade error:", error.message);
+      socket.write("HTTP/1.1 500 Internal Server Error\r\n\r\n");
+      socket.destroy();
+    }
+  });
+
+  // Heartbeat: terminate connections that did not answer the last ping
+  pingTimer = setInterval(() => {
+    connections.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, CONFIG.PING_INTERVAL);
+
+  console.log(`🔌 Device socket listening on ${CONFIG.PATH}`);
+  return wss;
+}
+
+/**
+ * Close all device connections (graceful shutdown)
+ */
+function close() {
+  if (!wss) {
+    return;
+  }
+
+  clearInterval(pingTimer);
+  connections.forEach((ws) => ws.close(1001, "Server shutting down"));
+  connections.clear();
+  wss.close();
+  wss = null;
+  console.log("⏹️  Device socket closed");
+}
+
+/**
+ * ========================================
+ * SEND
+ * ========================================
+ */
+
+function isConnected(deviceId) {
+  return connections.has(deviceId);
+}
+
+/**
+ * Send message to a connected device
+ * @returns {Promise<Boolean>} false if device is not connected / send failed
+ */
+async function sendToDevice(deviceId, message) {
+  const ws = connections.get(deviceId);
+
+  if (!ws || ws.readyState !== ws.OPEN) {
+    return false;
+  }
+
+  return send(ws, message);
+}
+
+/**
+ * Close a device connection (e.g. after its credential is revoked)
+ */
+function disconnect(deviceId, reason = "Disconnected by server") {
+  const ws = connections.get(deviceId);
+
+  if (!ws) {
+    return false;
+  }
+
+  connections.delete(deviceId);
+  ws.close(4001, reason);
+  return true;
+}
+
+function getConnectedDevices() {
+  return Array.from(connections.keys());
+}
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  attach,
+  close,
+  isConnected,
+  sendToDevice,
+  disconnect,
+  getConnectedDevices,
+
+  CONFIG,
+};
+
+console.log("📦 deviceSocketService loaded");
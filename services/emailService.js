@@ -326,7 +326,12 @@ function generateAlertEmailHTML(alertData) {
             <p><strong>📊 Nilai:</strong> <span class="value-high">${
               typeof v.value === "number" ? v.value.toFixed(2) : v.value
             }</span></p>
-            <p><strong>⚖️ Batas Baku Mutu:</strong> ${v.threshold}</p>
+            <p><strong>⚖️ Batas Baku Mutu:</strong> ${v.threshold}</p>${
+              v.occurrences > 1
+                ? `
+            <p><strong>🔁 Terjadi:</strong> ${v.occurrences}x sejak alert dibuka</p>`
+                : ""
+            }
             <p style="color: #856404; margin-top: 10px;">
               <strong>💬 Detail:</strong> ${v.message}
             </p>
@@ -407,6 +412,278 @@ function generateAlertEmailHTML(alertData) {
   `;
 }
 
+// ========================================
+// EMAIL GENERIK (SYSTEM / DIGEST)
+// ========================================
+
+/**
+ * Kirim email generik (system notification, digest, dll)
+ *
+ * @param {Object} options - { to: Array<string>, subject, html, priority? }
+ * @returns {Promise<Object>} Send result
+ */
+async function sendEmail({
+  to = [],
+  subject,
+  html,
+  priority = "normal",
+  attachments = [],
+}) {
+  try {
+    const emailTransporter = initializeEmailService();
+
+    if (!to || to.length === 0) {
+      console.log("⚠️  No recipients specified, skipping email");
+      return { success: false, message: "No recipients" };
+    }
+
+    const info = await emailTransporter.sendMail({
+      from: {
+        name: "IPAL Monitoring System",
+        address: process.env.EMAIL_USER || "noreply@ipal-monitoring.com",
+      },
+      to: to.join(", "),
+      subject,
+      html,
+      priority,
+      attachments, // [{ filename, content: Buffer, contentType }]
+    });
+
+    console.log(`✅ Email sent: ${subject} (${info.messageId})`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      recipients: to,
+      timestamp: new Date().toISOString(),
+    };
+  } catch (error) {
+    console.error("💥 Failed to send email:", error.message);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Generate HTML untuk daily digest
+ * @param {Object} digest - { period_start, period_end, ipals: [...] }
+ */
+function generateDigestEmailHTML(digest) {
+  const formatDate = (date) =>
+    new Date(date).toLocaleString("id-ID", {
+      timeZone: "Asia/Jakarta",
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+
+  const rows = digest.ipals
+    .map(
+      (ipal) => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #eee;">
+            <strong>IPAL ${ipal.ipal_id}</strong><br/>
+            <span style="color: #666; font-size: 12px;">${
+              ipal.ipal_location || "-"
+            }</span>
+          </td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${
+            ipal.reading_count
+          }</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${
+            ipal.avg_quality_score !== null ? ipal.avg_quality_score : "-"
+          }</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${
+            ipal.alerts.total
+          } (${ipal.alerts.critical} kritis)</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${
+            ipal.active_alerts
+          }</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${
+            ipal.offline_sensors
+          }</td>
+        </tr>`
+    )
+    .join("");
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+</head>
+<body style="font-family: Arial, sans-serif; color: #333; background: #f4f4f4; padding: 20px;">
+  <div style="max-width: 700px; margin: 0 auto; background: #fff; border-radius: 8px; overflow: hidden;">
+    <div style="background: #0d6efd; color: #fff; padding: 20px;">
+      <h2 style="margin: 0;">📊 Ringkasan Harian IPAL</h2>
+      <p style="margin: 5px 0 0 0;">${formatDate(
+        digest.period_start
+      )} — ${formatDate(digest.period_end)}</p>
+    </div>
+    <div style="padding: 20px;">
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <thead>
+          <tr style="background: #f8f9fa;">
+            <th style="padding: 8px; text-align: left;">IPAL</th>
+            <th style="padding: 8px;">Readings</th>
+            <th style="padding: 8px;">Rata-rata Skor</th>
+            <th style="padding: 8px;">Alert Baru</th>
+            <th style="padding: 8px;">Alert Aktif</th>
+            <th style="padding: 8px;">Sensor Offline</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <div style="padding: 15px 20px; background: #f8f9fa; color: #999; font-size: 12px;">
+      Email ini dikirim otomatis oleh IPAL Monitoring System. Harap tidak membalas email ini.
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Generate HTML untuk notifikasi pemulihan (alert auto-resolved)
+ * @param {Array} alerts - Resolved alerts { parameter, location, severity, occurrences, resolution_reason }
+ */
+function generateRecoveryEmailHTML(alerts) {
+  const rows = alerts
+    .map(
+      (alert) => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #eee;"><strong>${alert.parameter.toUpperCase()}</strong></td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee;">${
+            alert.location === "inlet" ? "Inlet (Masuk)" : "Outlet (Keluar)"
+          }</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${
+            alert.severity
+          }</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${
+            alert.occurrences || 1
+          }x</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee;">${
+            alert.resolution_reason
+          }</td>
+        </tr>`
+    )
+    .join("");
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+</head>
+<body style="font-family: Arial, sans-serif; color: #333; background: #f4f4f4; padding: 20px;">
+  <div style="max-width: 700px; margin: 0 auto; background: #fff; border-radius: 8px; overflow: hidden;">
+    <div style="background: #198754; color: #fff; padding: 20px;">
+      <h2 style="margin: 0;">✅ Parameter Kembali Normal</h2>
+      <p style="margin: 5px 0 0 0;">IPAL ${alerts[0].ipal_id} — alert ditutup otomatis oleh sistem</p>
+    </div>
+    <div style="padding: 20px;">
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <thead>
+          <tr style="background: #f8f9fa;">
+            <th style="padding: 8px; text-align: left;">Parameter</th>
+            <th style="padding: 8px; text-align: left;">Lokasi</th>
+            <th style="padding: 8px;">Severity</th>
+            <th style="padding: 8px;">Terjadi</th>
+            <th style="padding: 8px; text-align: left;">Alasan</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <div style="padding: 15px 20px; background: #f8f9fa; color: #999; font-size: 12px;">
+      Email ini dikirim otomatis oleh IPAL Monitoring System. Harap tidak membalas email ini.
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Generate HTML untuk scheduled report (file terlampir)
+ * @param {Object} report - { name, ipal_id, cadence, period_start, period_end, format, summary, file_name }
+ */
+function generateScheduledReportEmailHTML(report) {
+  const CADENCE_LABELS = {
+    daily: "Harian",
+    weekly: "Mingguan",
+    monthly: "Bulanan",
+  };
+
+  const rows = Object.entries(report.summary?.parameters || {})
+    .map(
+      ([name, stats]) => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #eee;">${name
+            .replace("_", " ")
+            .toUpperCase()}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${
+            stats.avg
+          }</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${
+            stats.min
+          }</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${
+            stats.max
+          }</td>
+        </tr>`
+    )
+    .join("");
+
+  const body = report.summary
+    ? `
+      <p>Terlampir laporan kualitas air (${report.format.toUpperCase()}): <strong>${
+        report.file_name
+      }</strong></p>
+      <p>Jumlah reading: <strong>${report.summary.total_readings}</strong></p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <thead>
+          <tr style="background: #f8f9fa;">
+            <th style="padding: 8px; text-align: left;">Parameter</th>
+            <th style="padding: 8px;">Rata-rata</th>
+            <th style="padding: 8px;">Min</th>
+            <th style="padding: 8px;">Max</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>`
+    : `<p>⚠️ Tidak ada data reading untuk periode ini, laporan tidak dilampirkan.</p>`;
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+</head>
+<body style="font-family: Arial, sans-serif; color: #333; background: #f4f4f4; padding: 20px;">
+  <div style="max-width: 700px; margin: 0 auto; background: #fff; border-radius: 8px; overflow: hidden;">
+    <div style="background: #0d6efd; color: #fff; padding: 20px;">
+      <h2 style="margin: 0;">📄 ${report.name}</h2>
+      <p style="margin: 5px 0 0 0;">Laporan ${
+        CADENCE_LABELS[report.cadence] || report.cadence
+      } IPAL ${report.ipal_id} — ${report.period_start} s/d ${
+    report.period_end
+  }</p>
+    </div>
+    <div style="padding: 20px;">${body}
+    </div>
+    <div style="padding: 15px 20px; background: #f8f9fa; color: #999; font-size: 12px;">
+      Email ini dikirim otomatis oleh IPAL Monitoring System. Harap tidak membalas email ini.
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
 /**
  * Send test email
  */
@@ -433,6 +710,10 @@ async function sendTestEmail(recipient) {
 
 module.exports = {
   sendWaterQualityAlert,
+  sendEmail,
+  generateDigestEmailHTML,
+  generateRecoveryEmailHTML,
+  generateScheduledReportEmailHTML,
   sendTestEmail,
   initializeEmailService,
 };
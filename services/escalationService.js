@@ -0,0 +1,328 @@
+/**
+ * ========================================
+ * ESCALATION SERVICE
+ * ========================================
+ * Escalation chains for unacknowledged alerts (per IPAL policy)
+ *
+ * Example policy: teknisi at T+0, manager at T+15, admin at T+60
+ *
+ * - startEscalation: called by analysisPipeline when a new (or escalated)
+ *   alert matches the IPAL policy; snapshots the steps onto the alert
+ *   and runs step T+0 immediately
+ * - processDueEscalations: alert-escalation job (every minute) runs
+ *   steps whose time has come
+ * - A step only runs while the alert is still "active". Acknowledging
+ *   or resolving via PUT /api/alerts/:id/status stops the chain.
+ *
+ * Alert fields:
+ *   escalation: { status: running|stopped|completed, steps, started_at,
+ *                 next_step, next_step_at, stopped_reason? }
+ *   escalation_history: [{ step, delay_minutes, roles, channels, sent_at,
+ *                         success, email, fcm, message }]
+ */
+
+const cacheService = require("./cacheService");
+
+// ⚡ Lazy load dependencies
+let escalationPolicyModel;
+let notificationService;
+let admin;
+let db;
+
+const getEscalationPolicyModel = () => {
+  if (!escalationPolicyModel) {
+    escalationPolicyModel = require("../models/escalationPolicyModel");
+  }
+  return escalationPolicyModel;
+};
+
+const getNotificationService = () => {
+  if (!notificationService) {
+    notificationService = require("./notificationService");
+  }
+  return notificationService;
+};
+
+const getFirestore = () => {
+  if (!db) {
+    ({ admin, db } = require("../config/firebase-config"));
+  }
+  return { admin, db };
+};
+
+const POLICY_CACHE_TTL = 300; // Seconds (policy update invalidates immediately)
+
+/**
+ * ========================================
+ * POLICY
+ * ========================================
+ */
+
+/**
+ * Get escalation policy of an IPAL (cached)
+ * @param {Number} ipalId - IPAL ID
+ * @returns {Promise<Object|null>} Policy or null
+ */
+async function getPolicy(ipalId) {
+  // false = "no policy" (cacheService does not cache null)
+  const policy = await cacheService.getCached(
+    cacheService.KEYS.ESCALATION_POLICY(ipalId),
+    async () => (await getEscalationPolicyModel().getPolicy(ipalId)) || false,
+    POLICY_CACHE_TTL
+  );
+
+  return policy || null;
+}
+
+/**
+ * Does the policy escalate alerts of this severity?
+ */
+function appliesTo(policy, severity) {
+  return Boolean(policy?.enabled && policy.severities?.includes(severity));
+}
+
+/**
+ * ========================================
+ * START
+ * ========================================
+ */
+
+/**
+ * Start escalation chain for an alert (no-op if already started)
+ * @param {Object} alert - Alert with alert_id
+ * @param {Object} policy - IPAL escalation policy
+ * @returns {Promise<Boolean>} true if started by this call
+ */
+async function startEscalation(alert, policy) {
+  const { admin, db } = getFirestore();
+  const alertRef = db.collection("alerts").doc(alert.alert_id);
+
+  const started = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(alertRef);
+
+    if (!doc.exists || doc.data().escalation) {
+      return false;
+    }
+
+    const now = Date.now();
+    const steps = policy.steps.map((step) => ({
+      delay_minutes: step.delay_minutes,
+      roles: step.roles,
+      channels: step.channels,
+    }));
+
+    transaction.update(alertRef, {
+      escalation: {
+        status: "running",
+        steps,
+        started_at: admin.firestore.Timestamp.fromMillis(now),
+        next_step: 0,
+        next_step_at: admin.firestore.Timestamp.fromMillis(
+          now + steps[0].delay_minutes * 60 * 1000
+        ),
+      },
+      escalation_history: [],
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return true;
+  });
+
+  if (started) {
+    console.log(
+      `📶 Escalation started for ${alert.alert_id} (${policy.steps.length} step(s))`
+    );
+    await runDueSteps(alert.alert_id);
+  }
+
+  return started;
+}
+
+/**
+ * ========================================
+ * STEPS
+ * ========================================
+ */
+
+/**
+ * Claim the next due step (transaction, so each step runs once)
+ * @returns {Object|null} { alert, step, index } or null if nothing due
+ */
+async function claimNextStep(alertId) {
+  const { admin, db } = getFirestore();
+  const alertRef = db.collection("alerts").doc(alertId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(alertRef);
+    const alert = doc.data();
+    const escalation = alert?.escalation;
+
+    if (!doc.exists || escalation?.status !== "running") {
+      return null;
+    }
+
+    // Acknowledged/resolved outside PUT /status (e.g. auto-resolve)
+    if (alert.status !== "active") {
+      transaction.update(alertRef, {
+        "escalation.status": "stopped",
+        "escalation.stopped_reason": `Alert ${alert.status}`,
+        "escalation.stopped_at": admin.firestore.Timestamp.now(),
+        "escalation.next_step_at": null,
+      });
+      return null;
+    }
+
+    if (escalation.next_step_at.toMillis() > Date.now()) {
+      return null;
+    }
+
+    const index = escalation.next_step;
+    const next = escalation.steps[index + 1];
+    const startedAt = escalation.started_at.toMillis();
+
+    transaction.update(alertRef, {
+      "escalation.next_step": index + 1,
+      "escalation.next_step_at": next
+        ? admin.firestore.Timestamp.fromMillis(
+            startedAt + next.delay_minutes * 60 * 1000
+          )
+        : null,
+      "escalation.status": next ? "running" : "completed",
+      last_notified_at: admin.firestore.Timestamp.now(),
+      notification_count: (alert.notification_count || 0) + 1,
+    });
+
+    return {
+      alert: { alert_id: doc.id, ...alert },
+      step: escalation.steps[index],
+      index,
+    };
+  });
+}
+
+/**
+ * Run every step that is due for an alert
+ * @returns {Promise<Number>} Steps run
+ */
+async function runDueSteps(alertId) {
+  const { admin, db } = getFirestore();
+  let ran = 0;
+
+  // Loop: after downtime several steps may be due at once
+  for (;;) {
+    const claimed = await claimNextStep(alertId);
+    if (!claimed) {
+      break;
+    }
+
+    const { alert, step, index } = claimed;
+
+    console.log(
+      `📶 Escalation ${alertId} step ${index + 1}: ${step.roles.join(
+        ", "
+      )} via ${step.channels.join(", ")}`
+    );
+
+    const result = await getNotificationService().sendAlerts([alert], {
+      roles: step.roles,
+      channels: step.channels,
+    });
+
+    await db
+      .collection("alerts")
+      .doc(alertId)
+      .update({
+        escalation_history: admin.firestore.FieldValue.arrayUnion({
+          step: index + 1,
+          delay_minutes: step.delay_minutes,
+          roles: step.roles,
+          channels: step.channels,
+          sent_at: admin.firestore.Timestamp.now(),
+          success: Boolean(result?.success),
+          email: result?.results?.email?.success ?? null,
+          fcm: result?.results?.fcm?.success ?? null,
+          message: result?.message || result?.error || null,
+        }),
+      });
+
+    ran++;
+  }
+
+  return ran;
+}
+
+/**
+ * Run due steps of all running escalations (alert-escalation job)
+ * @returns {Promise<Object>} { checked, due, steps_run, failed }
+ */
+async function processDueEscalations() {
+  const { db } = getFirestore();
+  const snapshot = await db
+    .collection("alerts")
+    .where("escalation.status", "==", "running")
+    .get();
+
+  const now = Date.now();
+  const due = snapshot.docs.filter(
+    (doc) => doc.data().escalation.next_step_at?.toMillis() <= now
+  );
+
+  let stepsRun = 0;
+  let failed = 0;
+
+  for (const doc of due) {
+    try {
+      stepsRun += await runDueSteps(doc.id);
+    } catch (error) {
+      failed++;
+      console.error(`❌ Escalation of ${doc.id} failed:`, error.message);
+    }
+  }
+
+  return {
+    checked: snapshot.size,
+    due: due.length,
+    steps_run: stepsRun,
+    failed,
+  };
+}
+
+/**
+ * Fields that stop a running escalation (merged into the alert status update)
+ * @param {Object} alert - Current alert data
+ * @param {String} status - New alert status
+ * @param {String} by - User email
+ * @returns {Object} Update fields (empty if nothing to stop)
+ */
+function buildStopUpdate(alert, status, by) {
+  const { admin } = getFirestore();
+
+  if (alert.escalation?.status !== "running" || status === "active") {
+    return {};
+  }
+
+  return {
+    "escalation.status": "stopped",
+    "escalation.stopped_reason": `Alert ${status}`,
+    "escalation.stopped_by": by || null,
+    "escalation.stopped_at": admin.firestore.Timestamp.now(),
+    "escalation.next_step_at": null,
+  };
+}
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  getPolicy,
+  appliesTo,
+  startEscalation,
+  runDueSteps,
+  processDueEscalations,
+  buildStopUpdate,
+};
+
+console.log("📦 escalationService loaded");
@@ -8,6 +8,42 @@
 
 const { admin } = require("../config/firebase-config");
 
+// ⚡ Lazy load model
+let fcmTokenModel;
+
+const getFcmTokenModel = () => {
+  if (!fcmTokenModel) {
+    fcmTokenModel = require("../models/fcmTokenModel");
+  }
+  return fcmTokenModel;
+};
+
+// Token tidak berlaku lagi (app uninstall, token rotated) → hapus dari database
+const INVALID_TOKEN_ERRORS = [
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+];
+
+/**
+ * Remove tokens rejected by FCM (never throws, sending must not fail)
+ * @param {Array<string>} tokens - Invalid tokens
+ * @returns {Promise<Number>} Tokens removed
+ */
+async function pruneInvalidTokens(tokens) {
+  if (tokens.length === 0) {
+    return 0;
+  }
+
+  try {
+    const removed = await getFcmTokenModel().removeInvalidTokens(tokens);
+    console.log(`🧹 Pruned ${removed} invalid FCM token(s)`);
+    return removed;
+  } catch (error) {
+    console.error("⚠️  Failed to prune invalid FCM tokens:", error.message);
+    return 0;
+  }
+}
+
 // ========================================
 // FUNGSI UTAMA: KIRIM FCM NOTIFICATION
 // ========================================
@@ -73,13 +109,9 @@ async function sendPushNotification(fcmToken, alertData) {
     console.error("💥 Failed to send push notification:", error.message);
 
     // Handle specific FCM errors
-    if (
-      error.code === "messaging/invalid-registration-token" ||
-      error.code === "messaging/registration-token-not-registered"
-    ) {
-      console.log(
-        "⚠️  Invalid or expired FCM token, should remove from database"
-      );
+    if (INVALID_TOKEN_ERRORS.includes(error.code)) {
+      console.log("⚠️  Invalid or expired FCM token, removing from database");
+      await pruneInvalidTokens([fcmToken]);
     }
 
     return {
@@ -113,7 +145,7 @@ async function sendPushNotificationToMultiple(fcmTokens, alertData) {
     const message = {
       tokens: fcmTokens,
       notification: {
-        title: `🚨 Alert: ${alertData.rule}`,
+        title: alertData.title || `🚨 Alert: ${alertData.rule}`,
         body: alertData.message,
       },
       data: {
@@ -143,18 +175,25 @@ async function sendPushNotificationToMultiple(fcmTokens, alertData) {
     console.log(`   Success: ${response.successCount}/${fcmTokens.length}`);
     console.log(`   Failed: ${response.failureCount}`);
 
-    // Log failed tokens (for cleanup)
+    // Log failed tokens, remove the ones FCM will never accept again
+    let prunedTokens = 0;
     if (response.failureCount > 0) {
       const failedTokens = [];
       response.responses.forEach((resp, idx) => {
         if (!resp.success) {
           failedTokens.push({
             token: fcmTokens[idx],
-            error: resp.error.code,
+            error: resp.error?.code,
           });
         }
       });
       console.log("⚠️  Failed tokens:", failedTokens);
+
+      prunedTokens = await pruneInvalidTokens(
+        failedTokens
+          .filter((failed) => INVALID_TOKEN_ERRORS.includes(failed.error))
+          .map((failed) => failed.token)
+      );
     }
 
     return {
@@ -162,6 +201,7 @@ async function sendPushNotificationToMultiple(fcmTokens, alertData) {
       successCount: response.successCount,
       failureCount: response.failureCount,
       totalTokens: fcmTokens.length,
+      prunedTokens,
       timestamp: new Date().toISOString(),
     };
   } catch (error) {
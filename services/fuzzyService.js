@@ -6,16 +6,35 @@
  * Provides water quality analysis using fuzzy logic
  *
  * Phase 1: Simple scoring (basic thresholds)
- * Phase 2: Advanced fuzzy logic (dapat di-upgrade nanti)
+ * Phase 2: Mamdani fuzzy inference (utils/mamdaniEngine.js)
+ *
+ * Method dipilih per IPAL lewat field ipals.analysis_method
+ * ("simple_threshold" | "mamdani"), default simple_threshold.
  */
 
 const fuzzyLogicHelper = require("../utils/fuzzyLogicHelper");
+const mamdaniEngine = require("../utils/mamdaniEngine");
+const cacheService = require("./cacheService");
+
+// ⚡ Lazy load model to reduce cold start
+let thresholdProfileModel;
+
+const getThresholdProfileModel = () => {
+  if (!thresholdProfileModel) {
+    thresholdProfileModel = require("../models/thresholdProfileModel");
+  }
+  return thresholdProfileModel;
+};
 
 /**
  * ========================================
  * BAKU MUTU THRESHOLDS
  * ========================================
  * Reference: Peraturan Menteri LHK (adjust sesuai kebutuhan)
+ *
+ * DEFAULT profile (version 0). Each IPAL can override it with
+ * its own versioned profile (threshold_profiles collection),
+ * sesuai izin pembuangan masing-masing.
  */
 
 const THRESHOLDS = {
@@ -41,6 +60,88 @@ const THRESHOLDS = {
   },
 };
 
+const DEFAULT_PROFILE_VERSION = 0;
+const PROFILE_CACHE_TTL = 300; // seconds (admin edits invalidate immediately)
+
+const ANALYSIS_METHODS = {
+  SIMPLE: "simple_threshold",
+  MAMDANI: "mamdani",
+};
+
+/**
+ * ========================================
+ * THRESHOLD PROFILE
+ * ========================================
+ */
+
+/**
+ * Load baku mutu profile for an IPAL (cached)
+ * Falls back to default THRESHOLDS if IPAL has no profile
+ * @param {Number} ipalId - IPAL ID (null = default profile)
+ * @returns {Promise<Object>} { ipal_id, version, thresholds, source }
+ */
+async function getThresholdProfile(ipalId) {
+  const defaultProfile = {
+    ipal_id: ipalId ?? null,
+    version: DEFAULT_PROFILE_VERSION,
+    thresholds: THRESHOLDS,
+    source: "default",
+  };
+
+  if (ipalId === undefined || ipalId === null) {
+    return defaultProfile;
+  }
+
+  const profile = await cacheService.getCached(
+    cacheService.KEYS.THRESHOLD_PROFILE(ipalId),
+    () => getThresholdProfileModel().getCurrentProfile(ipalId),
+    PROFILE_CACHE_TTL
+  );
+
+  if (!profile) {
+    return defaultProfile;
+  }
+
+  return {
+    ipal_id: profile.ipal_id,
+    version: profile.version,
+    thresholds: profile.thresholds,
+    source: "ipal",
+  };
+}
+
+/**
+ * Get analysis method configured for an IPAL (cached)
+ * @param {Number} ipalId - IPAL ID (null = default method)
+ * @returns {Promise<String>} "simple_threshold" | "mamdani"
+ */
+async function getAnalysisMethod(ipalId) {
+  if (ipalId === undefined || ipalId === null) {
+    return ANALYSIS_METHODS.SIMPLE;
+  }
+
+  const method = await cacheService.getCached(
+    cacheService.KEYS.ANALYSIS_METHOD(ipalId),
+    async () => {
+      const { db } = require("../config/firebase-config");
+      const snapshot = await db
+        .collection("ipals")
+        .where("ipal_id", "==", parseInt(ipalId))
+        .limit(1)
+        .get();
+
+      return snapshot.empty
+        ? ANALYSIS_METHODS.SIMPLE
+        : snapshot.docs[0].data().analysis_method || ANALYSIS_METHODS.SIMPLE;
+    },
+    PROFILE_CACHE_TTL
+  );
+
+  return Object.values(ANALYSIS_METHODS).includes(method)
+    ? method
+    : ANALYSIS_METHODS.SIMPLE;
+}
+
 /**
  * ========================================
  * MAIN ANALYSIS FUNCTION
@@ -49,22 +150,58 @@ const THRESHOLDS = {
 
 /**
  * Analyze water quality data with fuzzy logic
- * @param {Object} inlet - Inlet sensor data { ph, tds, turbidity, temperature }
- * @param {Object} outlet - Outlet sensor data { ph, tds, turbidity, temperature }
- * @returns {Object} Analysis result with score, status, violations
+ * @param {Object} inlet - Inlet sensor data { ph, tds, turbidity, temperature } (null = partial, outlet only)
+ * @param {Object} outlet - Outlet sensor data { ph, tds, turbidity, temperature } (null = partial, inlet only)
+ * @param {Number} ipalId - IPAL ID, selects baku mutu profile & method (optional, defaults if omitted)
+ * @param {Object} options - { method?: "simple_threshold"|"mamdani" } override IPAL setting
+ * @returns {Object} Analysis result with score, status, violations, threshold_profile_version
+ *                   (+ rule_activations & fuzzy_details for mamdani)
  */
-async function analyze(inlet, outlet) {
+async function analyze(inlet, outlet, ipalId = null, options = {}) {
   try {
     console.log("🧠 Starting fuzzy logic analysis...");
     console.log("   Inlet:", inlet);
     console.log("   Outlet:", outlet);
 
+    const profile = await getThresholdProfile(ipalId);
+    const thresholds = profile.thresholds;
+    console.log(
+      `   Baku mutu profile: v${profile.version} (${profile.source})`
+    );
+
+    // Partial reading tanpa outlet: baku mutu berlaku untuk outlet,
+    // jadi kepatuhan tidak bisa dinilai
+    if (!outlet) {
+      console.warn("⚠️  Partial reading (inlet only), no compliance scoring");
+      return buildInletOnlyResult(profile.version);
+    }
+
+    const method = options.method || (await getAnalysisMethod(ipalId));
+
+    // Phase 2: Mamdani inference (jika dipilih untuk IPAL ini)
+    // Butuh inlet untuk input removal, partial outlet-only pakai simple
+    let advanced = null;
+    if (method === ANALYSIS_METHODS.MAMDANI && inlet) {
+      advanced = analyzeAdvancedFuzzy(inlet, outlet, thresholds);
+
+      if (advanced.score === null) {
+        console.warn("⚠️  No fuzzy rule fired, falling back to simple scoring");
+        advanced = null;
+      }
+    }
+
     // Phase 1: Simple scoring (basic thresholds)
-    // Nanti bisa di-upgrade ke advanced fuzzy logic
-    const score = calculateSimpleScore(outlet);
+    const score = advanced
+      ? Math.round(advanced.score)
+      : calculateSimpleScore(outlet, thresholds);
     const status = determineStatus(score);
-    const violations = checkViolations(outlet);
-    const recommendations = generateRecommendations(violations, inlet, outlet);
+    const violations = checkViolations(outlet, thresholds);
+    const recommendations = generateRecommendations(
+      violations,
+      inlet,
+      outlet,
+      thresholds
+    );
 
     const result = {
       quality_score: score,
@@ -72,10 +209,25 @@ async function analyze(inlet, outlet) {
       violations: violations,
       alert_count: violations.length,
       recommendations: recommendations,
-      analysis_method: "simple_threshold", // Phase 1
+      analysis_method: advanced
+        ? ANALYSIS_METHODS.MAMDANI
+        : ANALYSIS_METHODS.SIMPLE,
+      threshold_profile_version: profile.version,
     };
 
+    if (advanced) {
+      // Kenapa skor keluar seperti ini: kekuatan aktivasi tiap rule
+      result.rule_activations = advanced.rule_activations;
+      result.fuzzy_details = {
+        inputs: advanced.inputs,
+        memberships: advanced.memberships,
+        output_strengths: advanced.output_strengths,
+        centroid: advanced.score,
+      };
+    }
+
     console.log("✅ Fuzzy analysis complete:");
+    console.log(`   Method: ${result.analysis_method}`);
     console.log(`   Score: ${score}/100`);
     console.log(`   Status: ${status}`);
     console.log(`   Violations: ${violations.length}`);
@@ -87,6 +239,28 @@ async function analyze(inlet, outlet) {
   }
 }
 
+/**
+ * Result for inlet-only partial reading (no outlet data to score)
+ */
+function buildInletOnlyResult(profileVersion) {
+  return {
+    quality_score: null,
+    status: "unknown",
+    violations: [],
+    alert_count: 0,
+    recommendations: [
+      {
+        type: "monitoring",
+        priority: "medium",
+        message:
+          "Data outlet tidak tersedia. Periksa ESP32 outlet, kepatuhan baku mutu tidak dapat dinilai.",
+      },
+    ],
+    analysis_method: ANALYSIS_METHODS.SIMPLE,
+    threshold_profile_version: profileVersion,
+  };
+}
+
 /**
  * ========================================
  * SCORING FUNCTIONS (Phase 1: Simple)
@@ -97,12 +271,12 @@ async function analyze(inlet, outlet) {
  * Calculate simple quality score based on thresholds
  * Score: 0-100 (100 = excellent, 0 = very poor)
  */
-function calculateSimpleScore(data) {
+function calculateSimpleScore(data, thresholds = THRESHOLDS) {
   let score = 100;
   const deductions = [];
 
   // 1. Check pH (weight: 25%)
-  const phScore = scorePH(data.ph);
+  const phScore = scorePH(data.ph, thresholds);
   const phDeduction = Math.round((100 - phScore) * 0.25);
   score -= phDeduction;
   if (phDeduction > 0) {
@@ -110,7 +284,7 @@ function calculateSimpleScore(data) {
   }
 
   // 2. Check TDS (weight: 25%)
-  const tdsScore = scoreTDS(data.tds);
+  const tdsScore = scoreTDS(data.tds, thresholds);
   const tdsDeduction = Math.round((100 - tdsScore) * 0.25);
   score -= tdsDeduction;
   if (tdsDeduction > 0) {
@@ -118,7 +292,7 @@ function calculateSimpleScore(data) {
   }
 
   // 3. Check Turbidity (weight: 30%)
-  const turbidityScore = scoreTurbidity(data.turbidity);
+  const turbidityScore = scoreTurbidity(data.turbidity, thresholds);
   const turbidityDeduction = Math.round((100 - turbidityScore) * 0.3);
   score -= turbidityDeduction;
   if (turbidityDeduction > 0) {
@@ -126,7 +300,7 @@ function calculateSimpleScore(data) {
   }
 
   // 4. Check Temperature (weight: 20%)
-  const tempScore = scoreTemperature(data.temperature);
+  const tempScore = scoreTemperature(data.temperature, thresholds);
   const tempDeduction = Math.round((100 - tempScore) * 0.2);
   score -= tempDeduction;
   if (tempDeduction > 0) {
@@ -147,8 +321,8 @@ function calculateSimpleScore(data) {
 /**
  * Score pH value (0-100)
  */
-function scorePH(ph) {
-  const { min, max, optimal_min, optimal_max } = THRESHOLDS.ph;
+function scorePH(ph, thresholds = THRESHOLDS) {
+  const { min, max, optimal_min, optimal_max } = thresholds.ph;
 
   if (ph < min || ph > max) {
     // Critical violation
@@ -172,8 +346,8 @@ function scorePH(ph) {
 /**
  * Score TDS value (0-100)
  */
-function scoreTDS(tds) {
-  const { max, optimal_max } = THRESHOLDS.tds;
+function scoreTDS(tds, thresholds = THRESHOLDS) {
+  const { max, optimal_max } = thresholds.tds;
 
   if (tds > max) {
     // Critical violation
@@ -192,8 +366,8 @@ function scoreTDS(tds) {
 /**
  * Score Turbidity value (0-100)
  */
-function scoreTurbidity(turbidity) {
-  const { max, optimal_max } = THRESHOLDS.turbidity;
+function scoreTurbidity(turbidity, thresholds = THRESHOLDS) {
+  const { max, optimal_max } = thresholds.turbidity;
 
   if (turbidity > max) {
     // Critical violation
@@ -212,8 +386,8 @@ function scoreTurbidity(turbidity) {
 /**
  * Score Temperature value (0-100)
  */
-function scoreTemperature(temp) {
-  const { min, max, optimal_min, optimal_max } = THRESHOLDS.temperature;
+function scoreTemperature(temp, thresholds = THRESHOLDS) {
+  const { min, max, optimal_min, optimal_max } = thresholds.temperature;
 
   if (temp < min || temp > max) {
     // Critical violation
@@ -266,83 +440,85 @@ function determineStatus(score) {
 /**
  * Check for threshold violations
  * Returns array of violations with details
+ * @param {Object} data - Outlet data
+ * @param {Object} thresholds - Baku mutu from IPAL profile (default: THRESHOLDS)
  */
-function checkViolations(data) {
+function checkViolations(data, thresholds = THRESHOLDS) {
   const violations = [];
 
   // Check pH
-  if (data.ph < THRESHOLDS.ph.min || data.ph > THRESHOLDS.ph.max) {
+  if (data.ph < thresholds.ph.min || data.ph > thresholds.ph.max) {
     violations.push({
       parameter: "ph",
       location: "outlet",
       value: data.ph,
       threshold:
-        data.ph < THRESHOLDS.ph.min ? THRESHOLDS.ph.min : THRESHOLDS.ph.max,
+        data.ph < thresholds.ph.min ? thresholds.ph.min : thresholds.ph.max,
       condition:
-        data.ph < THRESHOLDS.ph.min ? "below_minimum" : "above_maximum",
-      severity: determineSeverity("ph", data.ph),
+        data.ph < thresholds.ph.min ? "below_minimum" : "above_maximum",
+      severity: determineSeverity("ph", data.ph, thresholds),
       message: `pH outlet (${data.ph.toFixed(2)}) ${
-        data.ph < THRESHOLDS.ph.min ? "di bawah" : "melebihi"
+        data.ph < thresholds.ph.min ? "di bawah" : "melebihi"
       } batas aman (${
-        data.ph < THRESHOLDS.ph.min ? THRESHOLDS.ph.min : THRESHOLDS.ph.max
+        data.ph < thresholds.ph.min ? thresholds.ph.min : thresholds.ph.max
       })`,
     });
   }
 
   // Check TDS
-  if (data.tds > THRESHOLDS.tds.max) {
+  if (data.tds > thresholds.tds.max) {
     violations.push({
       parameter: "tds",
       location: "outlet",
       value: data.tds,
-      threshold: THRESHOLDS.tds.max,
+      threshold: thresholds.tds.max,
       condition: "above_maximum",
-      severity: determineSeverity("tds", data.tds),
+      severity: determineSeverity("tds", data.tds, thresholds),
       message: `TDS outlet (${data.tds.toFixed(1)} ppm) melebihi batas aman (${
-        THRESHOLDS.tds.max
+        thresholds.tds.max
       } ppm)`,
     });
   }
 
   // Check Turbidity
-  if (data.turbidity > THRESHOLDS.turbidity.max) {
+  if (data.turbidity > thresholds.turbidity.max) {
     violations.push({
       parameter: "turbidity",
       location: "outlet",
       value: data.turbidity,
-      threshold: THRESHOLDS.turbidity.max,
+      threshold: thresholds.turbidity.max,
       condition: "above_maximum",
-      severity: determineSeverity("turbidity", data.turbidity),
+      severity: determineSeverity("turbidity", data.turbidity, thresholds),
       message: `Turbidity outlet (${data.turbidity.toFixed(
         1
-      )} NTU) melebihi batas aman (${THRESHOLDS.turbidity.max} NTU)`,
+      )} NTU) melebihi batas aman (${thresholds.turbidity.max} NTU)`,
     });
   }
 
   // Check Temperature
   if (
-    data.temperature < THRESHOLDS.temperature.min ||
-    data.temperature > THRESHOLDS.temperature.max
+    data.temperature < thresholds.temperature.min ||
+    data.temperature > thresholds.temperature.max
   ) {
     violations.push({
       parameter: "temperature",
       location: "outlet",
       value: data.temperature,
       threshold:
-        data.temperature < THRESHOLDS.temperature.min
-          ? THRESHOLDS.temperature.min
-          : THRESHOLDS.temperature.max,
+        data.temperature < thresholds.temperature.min
+          ? thresholds.temperature.min
+          : thresholds.temperature.max,
       condition:
-        data.temperature < THRESHOLDS.temperature.min
+        data.temperature < thresholds.temperature.min
           ? "below_minimum"
           : "above_maximum",
-      severity: determineSeverity("temperature", data.temperature),
+      severity: determineSeverity("temperature", data.temperature, thresholds),
       message: `Temperature outlet (${data.temperature.toFixed(1)}°C) ${
-        data.temperature < THRESHOLDS.temperature.min ? "di bawah" : "melebihi"
+        data.temperature < thresholds.temperature.min ? "di bawah" : "melebihi"
       } batas aman (${
-        data.temperature < THRESHOLDS.temperature.min
-          ? THRESHOLDS.temperature.min
-          : THRESHOLDS.temperature.max
+        data.temperature < thresholds.temperature.min
+          ? thresholds.temperature.min
+          : thresholds.temperature.max
       }°C)`,
     });
   }
@@ -352,9 +528,12 @@ function checkViolations(data) {
 
 /**
  * Determine severity level for a violation
+ * @param {String} parameter - ph|tds|turbidity|temperature
+ * @param {Number} value - Measured value
+ * @param {Object} thresholds - Baku mutu from IPAL profile (default: THRESHOLDS)
  */
-function determineSeverity(parameter, value) {
-  const threshold = THRESHOLDS[parameter];
+function determineSeverity(parameter, value, thresholds = THRESHOLDS) {
+  const threshold = thresholds[parameter];
 
   if (parameter === "ph") {
     const deviation = Math.max(
@@ -408,7 +587,12 @@ function determineSeverity(parameter, value) {
 /**
  * Generate recommendations based on violations and data
  */
-function generateRecommendations(violations, inlet, outlet) {
+function generateRecommendations(
+  violations,
+  inlet,
+  outlet,
+  thresholds = THRESHOLDS
+) {
   const recommendations = [];
 
   if (violations.length === 0) {
@@ -424,7 +608,7 @@ function generateRecommendations(violations, inlet, outlet) {
   violations.forEach((violation) => {
     switch (violation.parameter) {
       case "ph":
-        if (violation.value < THRESHOLDS.ph.min) {
+        if (violation.value < thresholds.ph.min) {
           recommendations.push({
             type: "treatment",
             priority: violation.severity,
@@ -469,9 +653,10 @@ function generateRecommendations(violations, inlet, outlet) {
     }
   });
 
-  // Check treatment effectiveness (inlet vs outlet)
-  const effectiveness = evaluateTreatmentEffectiveness(inlet, outlet);
-  if (!effectiveness.isEffective) {
+  // Check treatment effectiveness (inlet vs outlet, skipped for partial reading)
+  const effectiveness =
+    inlet && outlet ? evaluateTreatmentEffectiveness(inlet, outlet) : null;
+  if (effectiveness && !effectiveness.isEffective) {
     recommendations.push({
       type: "maintenance",
       priority: "high",
@@ -503,30 +688,31 @@ function evaluateTreatmentEffectiveness(inlet, outlet) {
 
 /**
  * ========================================
- * ADVANCED FUZZY LOGIC (Phase 2 - Future)
+ * ADVANCED FUZZY LOGIC (Phase 2)
  * ========================================
- * Uncomment and implement when ready for advanced fuzzy
  */
 
 /**
- * Advanced fuzzy logic analysis (Phase 2)
- * @param {Object} inlet
- * @param {Object} outlet
- * @returns {Object} Advanced fuzzy analysis
+ * Mamdani fuzzy inference (inlet + outlet)
+ * Fuzzification → rule base → aggregation → centroid defuzzification
+ * @param {Object} inlet - Inlet sensor data
+ * @param {Object} outlet - Outlet sensor data
+ * @param {Object} thresholds - Baku mutu from IPAL profile (default: THRESHOLDS)
+ * @returns {Object} { score (0-100 | null), inputs, memberships, rule_activations, output_strengths }
  */
-/*
-async function analyzeAdvancedFuzzy(inlet, outlet) {
-  // TODO: Implement advanced fuzzy logic
-  // 1. Fuzzification (membership functions)
-  // 2. Inference (fuzzy rules)
-  // 3. Defuzzification
-  
-  // Call fuzzyLogicHelper functions here
-  const fuzzyResult = await fuzzyLogicHelper.process(inlet, outlet);
-  
-  return fuzzyResult;
+function analyzeAdvancedFuzzy(inlet, outlet, thresholds = THRESHOLDS) {
+  const inference = mamdaniEngine.infer(inlet, outlet, thresholds);
+
+  const fired = inference.rule_activations.filter((r) => r.strength > 0);
+  console.log(
+    `   Mamdani rules fired: ${fired.length}/${mamdaniEngine.RULES.length}`
+  );
+  fired.forEach((r) => {
+    console.log(`   - ${r.rule_id} (${r.strength}) → ${r.output}`);
+  });
+
+  return inference;
 }
-*/
 
 /**
  * ========================================
@@ -537,6 +723,11 @@ async function analyzeAdvancedFuzzy(inlet, outlet) {
 module.exports = {
   // Main function
   analyze,
+  analyzeAdvancedFuzzy,
+  getAnalysisMethod,
+
+  // Baku mutu profile
+  getThresholdProfile,
 
   // Helper functions (exported for testing)
   calculateSimpleScore,
@@ -545,8 +736,10 @@ module.exports = {
   determineSeverity,
   generateRecommendations,
 
-  // Thresholds (exported for reference)
+  // Default thresholds (exported for reference)
   THRESHOLDS,
+  DEFAULT_PROFILE_VERSION,
+  ANALYSIS_METHODS,
 };
 
 console.log("📦 fuzzyService loaded");
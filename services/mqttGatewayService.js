@@ -0,0 +1,495 @@
+/**
+ * ========================================
+ * MQTT GATEWAY SERVICE
+ * ========================================
+ * Ingestion for field units that speak MQTT, alongside
+ * POST /api/water-quality/submit. Started from server.js.
+ *
+ * Topics (prefix default "ipal", MQTT_TOPIC_PREFIX):
+ *   ipal/{ipal_id}/{location}                   ← device publishes reading
+ *   ipal/{ipal_id}/{location}/reply/{device_id} → gateway publishes ack/error
+ * With MQTT_PROTOCOL_VERSION=5, a Response Topic set by the device is used
+ * instead (only inside its own ipal/{ipal_id}/{location}/reply/...
+ * namespace, otherwise the default reply topic) and correlation data is
+ * echoed.
+ *
+ * Payload (JSON, same fields as the HTTP body):
+ * {
+ *   "device_id": "ESP32-INLET-001",
+ *   "data": { "ph": 7.2, "tds": 150, "turbidity": 5.3, "temperature": 28.5 },
+ *   "sensor_mapping": { ... },   // optional
+ *   "msg_id": "42",              // optional, echoed in reply
+ *   "api_key": "dk_xxx"          // MQTT 3.1.1 devices
+ * }
+ * Over MQTT 5, credentials may be sent as user properties instead:
+ * x-device-key, or x-device-timestamp + x-device-signature (over the raw payload).
+ *
+ * Same device auth (authenticateDevice) and validation
+ * (validateReadingInput) as HTTP, then waterQualityService.submitReading.
+ *
+ * Env: MQTT_URL (gateway disabled when unset), MQTT_USERNAME,
+ *      MQTT_PASSWORD, MQTT_CLIENT_ID, MQTT_TOPIC_PREFIX,
+ *      MQTT_PROTOCOL_VERSION (4 = MQTT 3.1.1 default, 5 = MQTT 5)
+ */
+
+// ⚡ Lazy load heavy dependencies to reduce cold start
+let mqtt;
+let waterQualityService;
+let authenticateDevice;
+let invalidateCache;
+
+const getMqtt = () => {
+  if (!mqtt) {
+    mqtt = require("mqtt");
+  }
+  return mqtt;
+};
+
+const getWaterQualityService = () => {
+  if (!waterQualityService) {
+    waterQualityService = require("./waterQualityService");
+  }
+  return waterQualityService;
+};
+
+const getDeviceAuthenticator = () => {
+  if (!authenticateDevice) {
+    ({ authenticateDevice } = require("../middleware/deviceAuthMiddleware"));
+  }
+  return authenticateDevice;
+};
+
+const getCacheInvalidator = () => {
+  if (!invalidateCache) {
+    ({ invalidateCache } = require("../middleware/cacheMiddleware"));
+  }
+  return invalidateCache;
+};
+
+/**
+ * ========================================
+ * CONFIGURATION
+ * ========================================
+ */
+
+const CONFIG = {
+  URL: process.env.MQTT_URL || null,
+  USERNAME: process.env.MQTT_USERNAME || undefined,
+  PASSWORD: process.env.MQTT_PASSWORD || undefined,
+  CLIENT_ID: process.env.MQTT_CLIENT_ID || `ipal-gateway-${process.pid}`,
+  TOPIC_PREFIX: process.env.MQTT_TOPIC_PREFIX || "ipal",
+  PROTOCOL_VERSION: parseInt(process.env.MQTT_PROTOCOL_VERSION) || 4,
+  QOS: 1,
+  RECONNECT_PERIOD: 5000, // ms
+};
+
+const LOCATIONS = ["inlet", "outlet"];
+
+let client = null;
+let settings = null;
+const stats = {
+  received: 0,
+  accepted: 0,
+  rejected: 0,
+  failed: 0,
+  last_message_at: null,
+};
+
+/**
+ * ========================================
+ * TOPICS
+ * ========================================
+ */
+
+/**
+ * "ipal/3/inlet" → { ipal_id: 3, location: "inlet" }
+ * @returns {Object|null} null if topic is not a reading topic
+ */
+function parseTopic(topic, prefix = CONFIG.TOPIC_PREFIX) {
+  const parts = topic.split("/");
+
+  if (parts.length !== 3 || parts[0] !== prefix) {
+    return null;
+  }
+
+  const ipalId = Number(parts[1]);
+
+  if (!Number.isInteger(ipalId) || ipalId <= 0) {
+    return null;
+  }
+
+  return { ipal_id: ipalId, location: parts[2] };
+}
+
+/**
+ * Default reply topic for a device
+ */
+function buildReplyTopic(prefix, ipalId, location, deviceId) {
+  const base = `${prefix}/${ipalId}/${location}/reply`;
+  return deviceId ? `${base}/${deviceId}` : base;
+}
+
+/**
+ * MQTT 5 Response Topic is only honoured inside the reply namespace of the
+ * topic the device published to, so a device cannot make the gateway
+ * publish to another IPAL's or device's topics
+ * @returns {Boolean}
+ */
+function isOwnReplyTopic(responseTopic, prefix, ipalId, location) {
+  const base = `${buildReplyTopic(prefix, ipalId, location)}/`;
+
+  return (
+    typeof responseTopic === "string" &&
+    responseTopic.length > base.length &&
+    responseTopic.startsWith(base) &&
+    !/[+#]/.test(responseTopic)
+  );
+}
+
+/**
+ * ========================================
+ * MESSAGE HANDLING
+ * ========================================
+ */
+
+/**
+ * Reply body, same shape as the HTTP submit response
+ */
+function buildSuccessReply(result) {
+  if (result.merged) {
+    return {
+      success: true,
+      merged: true,
+      message: "Data merged and processed successfully",
+      data: {
+        buffer_id: result.buffer_id,
+        reading_id: result.reading_id,
+        fuzzy_analysis: {
+          quality_score: result.fuzzy_analysis.quality_score,
+          status: result.fuzzy_analysis.status,
+          alert_count: result.fuzzy_analysis.alert_count,
+        },
+      },
+    };
+  }
+
+  return {
+    success: true,
+    merged: false,
+    message: result.message,
+    data: {
+      buffer_id: result.buffer_id,
+      waiting_for: result.waiting_for,
+    },
+  };
+}
+
+/**
+ * Process one reading message
+ * @param {String} topic - ipal/{ipal_id}/{location}
+ * @param {Buffer} payload - Raw JSON payload
+ * @param {Object} properties - MQTT 5 publish properties (optional)
+ * @returns {Object} Reply body ({ success, message, ... })
+ */
+async function handleReading(topic, payload, properties = {}) {
+  const target = parseTopic(topic, settings?.topicPrefix);
+
+  if (!target) {
+    return { success: false, message: `Invalid reading topic: ${topic}` };
+  }
+
+  const { ipal_id, location } = target;
+
+  if (!LOCATIONS.includes(location)) {
+    return {
+      success: false,
+      message: 'Invalid location. Must be "inlet" or "outlet"',
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(payload.toString("utf8"));
+  } catch (error) {
+    return { success: false, message: "Payload must be valid JSON" };
+  }
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { success: false, message: "Payload must be a JSON object" };
+  }
+
+  // Topic decides IPAL + location, body may repeat them but not contradict
+  if (
+    (body.ipal_id !== undefined && Number(body.ipal_id) !== ipal_id) ||
+    (body.location !== undefined && body.location !== location)
+  ) {
+    return {
+      success: false,
+      message: "ipal_id/location in payload do not match the topic",
+    };
+  }
+
+  const userProperties = properties.userProperties || {};
+
+  const { error: authError } = await getDeviceAuthenticator()({
+    device_id: body.device_id,
+    ipal_id,
+    location,
+    apiKey: userProperties["x-device-key"] || body.api_key,
+    signature: userProperties["x-device-signature"],
+    timestamp: userProperties["x-device-timestamp"],
+    rawBody: payload.toString("utf8"),
+  });
+
+  if (authError) {
+    return { success: false, message: authError };
+  }
+
+  const reading = {
+    ipal_id,
+    location,
+    device_id: body.device_id,
+    data: body.data,
+    sensor_mapping: body.sensor_mapping || {},
+  };
+
+  const validation = getWaterQualityService().validateReadingInput(reading);
+
+  if (!validation.valid) {
+    return {
+      success: false,
+      message: "Validation failed",
+      errors: validation.errors,
+    };
+  }
+
+  const result = await getWaterQualityService().submitReading(reading);
+
+  // ♻️ Invalidate related caches when data is merged
+  if (result.merged) {
+    getCacheInvalidator()([
+      "/api/dashboard",
+      "/api/sensors/readings",
+      "/api/alerts",
+    ]);
+  }
+
+  return buildSuccessReply(result);
+}
+
+/**
+ * Handle incoming message and publish reply
+ * Never throws, a bad message must not take the gateway down
+ */
+async function onMessage(topic, payload, packet) {
+  stats.received++;
+  stats.last_message_at = new Date().toISOString();
+
+  const properties = packet.properties || {};
+  const target = parseTopic(topic, settings.topicPrefix);
+
+  let deviceId = null;
+  let msgId;
+  try {
+    const body = JSON.parse(payload.toString("utf8"));
+    deviceId = typeof body?.device_id === "string" ? body.device_id : null;
+    msgId = body?.msg_id;
+  } catch (error) {
+    // Reported by handleReading
+  }
+
+  let reply;
+  try {
+    reply = await handleReading(topic, payload, properties);
+    if (reply.success) {
+      stats.accepted++;
+      console.log(
+        `📡 MQTT reading from ${deviceId} on ${topic}: merged=${reply.merged}`
+      );
+    } else {
+      stats.rejected++;
+      console.warn(`⚠️  MQTT message rejected on ${topic}: ${reply.message}`);
+    }
+  } catch (error) {
+    stats.failed++;
+    console.error(`❌ MQTT message on ${topic} failed:`, error);
+    reply = {
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    };
+  }
+
+  if (msgId !== undefined) {
+    reply.msg_id = msgId;
+  }
+
+  const ownResponseTopic =
+    target &&
+    isOwnReplyTopic(
+      properties.responseTopic,
+      settings.topicPrefix,
+      target.ipal_id,
+      target.location
+    );
+
+  if (properties.responseTopic && !ownResponseTopic) {
+    console.warn(
+      `⚠️  MQTT response topic ${properties.responseTopic} ignored for ${topic}`
+    );
+  }
+
+  const replyTopic = ownResponseTopic
+    ? properties.responseTopic
+    : target &&
+      buildReplyTopic(
+        settings.topicPrefix,
+        target.ipal_id,
+        target.location,
+        deviceId
+      );
+
+  if (!replyTopic || !client) {
+    return;
+  }
+
+  const publishOptions = { qos: CONFIG.QOS };
+  if (properties.correlationData) {
+    publishOptions.properties = {
+      correlationData: properties.correlationData,
+    };
+  }
+
+  client.publish(
+    replyTopic,
+    JSON.stringify(reply),
+    publishOptions,
+    (publishError) => {
+      if (publishError) {
+        console.error(
+          `❌ MQTT reply to ${replyTopic} failed:`,
+          publishError.message
+        );
+      }
+    }
+  );
+}
+
+/**
+ * ========================================
+ * LIFECYCLE
+ * ========================================
+ */
+
+/**
+ * Connect to broker and subscribe to reading topics
+ * @param {Object} options - Overrides CONFIG (url, username, password, clientId, topicPrefix, protocolVersion)
+ * @returns {Promise<Boolean>} Resolves true once subscribed, false if disabled
+ */
+function start(options = {}) {
+  if (client) {
+    return Promise.resolve(true);
+  }
+
+  settings = {
+    url: options.url || CONFIG.URL,
+    username: options.username || CONFIG.USERNAME,
+    password: options.password || CONFIG.PASSWORD,
+    clientId: options.clientId || CONFIG.CLIENT_ID,
+    topicPrefix: options.topicPrefix || CONFIG.TOPIC_PREFIX,
+    protocolVersion: options.protocolVersion || CONFIG.PROTOCOL_VERSION,
+  };
+
+  if (!settings.url) {
+    console.log("⏸️  MQTT gateway disabled (MQTT_URL not set)");
+    return Promise.resolve(false);
+  }
+
+  const readingTopic = `${settings.topicPrefix}/+/+`;
+
+  client = getMqtt().connect(settings.url, {
+    clientId: settings.clientId,
+    username: settings.username,
+    password: settings.password,
+    protocolVersion: settings.protocolVersion,
+    reconnectPeriod: CONFIG.RECONNECT_PERIOD,
+  });
+
+  client.on("message", (topic, payload, packet) => {
+    onMessage(topic, payload, packet);
+  });
+
+  client.on("reconnect", () => {
+    console.log("🔄 MQTT gateway reconnecting...");
+  });
+
+  client.on("error", (error) => {
+    console.error("❌ MQTT gateway error:", error.message);
+  });
+
+  return new Promise((resolve) => {
+    // Subscription survives reconnects (mqtt.js resubscribes)
+    client.once("connect", () => {
+      client.subscribe(readingTopic, { qos: CONFIG.QOS }, (error) => {
+        if (error) {
+          console.error(
+            `❌ MQTT subscribe to ${readingTopic} failed:`,
+            error.message
+          );
+          resolve(false);
+          return;
+        }
+        console.log(`📡 MQTT gateway subscribed to ${readingTopic}`);
+        resolve(true);
+      });
+    });
+  });
+}
+
+/**
+ * Disconnect from broker (graceful shutdown)
+ */
+async function stop() {
+  if (!client) {
+    return;
+  }
+
+  const current = client;
+  client = null;
+  await current.endAsync();
+  console.log("⏹️  MQTT gateway stopped");
+}
+
+/**
+ * Gateway status (for health check)
+ */
+function getStatus() {
+  return {
+    enabled: Boolean(settings?.url),
+    connected: Boolean(client?.connected),
+    topic: settings?.url ? `${settings.topicPrefix}/+/+` : null,
+    ...stats,
+  };
+}
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  start,
+  stop,
+  getStatus,
+
+  // Exported for testing
+  parseTopic,
+  buildReplyTopic,
+  isOwnReplyTopic,
+  handleReading,
+
+  CONFIG,
+};
+
+console.log("📦 mqttGatewayService loaded");
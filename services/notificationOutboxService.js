@@ -0,0 +1,255 @@
+/**
+ * ========================================
+ * NOTIFICATION OUTBOX SERVICE
+ * ========================================
+ * Durable delivery for alert & recovery notifications
+ *
+ * - deliver: notificationService calls this per channel (email, FCM,
+ *   webhook, Telegram). The delivery is written to the outbox first,
+ *   then attempted immediately. A failed attempt stays "pending" with
+ *   next_retry_at instead of being lost.
+ * - processDueNotifications: notification-retry job (every minute)
+ *   retries pending deliveries with backoff (1m, 5m, 15m, 60m)
+ * - After NOTIFICATION_MAX_ATTEMPTS (or a permanent error, e.g. channel
+ *   removed or HTTP 4xx) the delivery is "failed" and can be resent by
+ *   an admin: POST /api/notifications/deliveries/:id/resend
+ *
+ * Sending itself stays in notificationService.deliverNotification(record),
+ * so the first attempt and every retry go through the same code.
+ */
+
+// ⚡ Lazy load dependencies (notificationService requires this service)
+let notificationModel;
+let notificationService;
+
+const getNotificationModel = () => {
+  if (!notificationModel) {
+    notificationModel = require("../models/notificationModel");
+  }
+  return notificationModel;
+};
+
+const getNotificationService = () => {
+  if (!notificationService) {
+    notificationService = require("./notificationService");
+  }
+  return notificationService;
+};
+
+// ========================================
+// KONFIGURASI
+// ========================================
+
+const CONFIG = {
+  MAX_ATTEMPTS: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+  BACKOFF_MINUTES: [1, 5, 15, 60], // Delay after attempt 1, 2, 3, 4+
+  LEASE_MS: 2 * 60 * 1000, // Webhook retries in-process up to ~20s
+  BATCH_SIZE: 50,
+};
+
+// Result fields worth keeping in the delivery log
+const RESULT_FIELDS = [
+  "messageId",
+  "status",
+  "attempts",
+  "successCount",
+  "failureCount",
+];
+
+/**
+ * Small summary of a sender result (no tokens / response bodies)
+ */
+function summarizeResult(result) {
+  const summary = Object.fromEntries(
+    RESULT_FIELDS.filter((field) => result?.[field] !== undefined).map(
+      (field) => [field, result[field]]
+    )
+  );
+
+  return Object.keys(summary).length > 0 ? summary : null;
+}
+
+/**
+ * Delay before next attempt
+ * @param {Number} attempts - Attempts done so far
+ * @returns {Number} Retry time (ms epoch)
+ */
+function getRetryAt(attempts, now = Date.now()) {
+  const index = Math.min(attempts, CONFIG.BACKOFF_MINUTES.length) - 1;
+  return now + CONFIG.BACKOFF_MINUTES[Math.max(index, 0)] * 60 * 1000;
+}
+
+/**
+ * Run one attempt for a claimed record and store the outcome
+ * @param {Object} record - Raw notification (with id)
+ * @returns {Promise<Object>} Sender result + { notification_id, delivery_status }
+ */
+async function attempt(record) {
+  let result;
+  try {
+    result = await getNotificationService().deliverNotification(record);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  try {
+    const { status, attempts } = await getNotificationModel().recordAttempt(
+      record.id,
+      {
+        success: Boolean(result.success),
+        error: result.error || result.message,
+        result: summarizeResult(result),
+        retryAt: getRetryAt((record.attempts || 0) + 1),
+        permanent: Boolean(result.permanent),
+      }
+    );
+
+    if (status === "failed") {
+      console.log(
+        `❌ Notification ${record.id} (${record.channel}) failed after ${attempts} attempt(s): ${result.error}`
+      );
+    } else if (status === "pending") {
+      console.log(
+        `🔁 Notification ${record.id} (${record.channel}) will be retried (attempt ${attempts}/${record.max_attempts})`
+      );
+    }
+
+    return { ...result, notification_id: record.id, delivery_status: status };
+  } catch (error) {
+    // Sent or not, the outcome is logged; the lease expires and the
+    // worker will pick up the record again
+    console.error(
+      `⚠️  Could not record attempt for notification ${record.id}:`,
+      error.message
+    );
+    return { ...result, notification_id: record.id };
+  }
+}
+
+/**
+ * ========================================
+ * DELIVER (first attempt)
+ * ========================================
+ */
+
+/**
+ * Write a delivery to the outbox and attempt it right away
+ * @param {Object} delivery - { channel, kind, ipal_id, alert_ids, target, payload }
+ * @returns {Promise<Object>} Sender result + { notification_id, delivery_status }
+ */
+async function deliver(delivery) {
+  let notificationId;
+  try {
+    notificationId = await getNotificationModel().addNotification(
+      { ...delivery, max_attempts: CONFIG.MAX_ATTEMPTS },
+      CONFIG.LEASE_MS
+    );
+  } catch (error) {
+    // Outbox unavailable → still send once, without retry
+    console.error(
+      "⚠️  Notification outbox unavailable, sending without retry:",
+      error.message
+    );
+    return getNotificationService().deliverNotification(delivery);
+  }
+
+  return attempt({
+    ...delivery,
+    id: notificationId,
+    attempts: 0,
+    max_attempts: CONFIG.MAX_ATTEMPTS,
+  });
+}
+
+/**
+ * ========================================
+ * RETRY WORKER
+ * ========================================
+ */
+
+/**
+ * Retry pending deliveries whose next_retry_at has passed
+ * Called by notification-retry job
+ * @returns {Promise<Object>} Summary { due, sent, retrying, failed }
+ */
+async function processDueNotifications() {
+  const model = getNotificationModel();
+  const dueIds = await model.getDueNotificationIds(CONFIG.BATCH_SIZE);
+
+  const summary = { due: dueIds.length, sent: 0, retrying: 0, failed: 0 };
+
+  for (const notificationId of dueIds) {
+    try {
+      const record = await model.claimNotification(
+        notificationId,
+        CONFIG.LEASE_MS
+      );
+      if (!record) continue; // Claimed by another instance
+
+      const result = await attempt(record);
+
+      if (result.delivery_status === "sent") summary.sent++;
+      else if (result.delivery_status === "failed") summary.failed++;
+      else summary.retrying++;
+    } catch (error) {
+      console.error(
+        `❌ Notification retry error (${notificationId}):`,
+        error.message
+      );
+      summary.retrying++;
+    }
+  }
+
+  if (summary.due > 0) {
+    console.log(
+      `📬 Notification retry: ${summary.sent} sent, ${summary.retrying} pending, ${summary.failed} failed`
+    );
+  }
+
+  return summary;
+}
+
+/**
+ * ========================================
+ * RESEND (admin)
+ * ========================================
+ */
+
+/**
+ * Resend a failed delivery now, with a fresh retry budget
+ * @param {String} notificationId - Notification ID
+ * @param {String} resentBy - Email of admin
+ * @returns {Promise<Object|null>} Attempt result, null if not failed
+ */
+async function resendNotification(notificationId, resentBy) {
+  const record = await getNotificationModel().requeueNotification(
+    notificationId,
+    {
+      extraAttempts: CONFIG.MAX_ATTEMPTS,
+      resentBy,
+      leaseMs: CONFIG.LEASE_MS,
+    }
+  );
+
+  if (!record) {
+    return null;
+  }
+
+  console.log(`🔁 Resending notification ${notificationId} by ${resentBy}`);
+
+  return attempt(record);
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  deliver,
+  processDueNotifications,
+  resendNotification,
+  getRetryAt,
+  CONFIG,
+};
+
+console.log("📦 notificationOutboxService loaded");
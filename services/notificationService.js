@@ -5,7 +5,13 @@
  * Central notification service yang koordinasi:
  * - Email notifications (via emailService)
  * - FCM push notifications (via fcmService)
- * - Get recipients from Firestore users
+ * - IPAL channels: outbound webhook & Telegram (configured per IPAL)
+ * - Get recipients from Firestore users, filtered by each user's
+ *   notification preferences (IPAL subscriptions, min severity per
+ *   channel, quiet hours)
+ *
+ * Every email / FCM / channel send goes through the notification outbox
+ * (notificationOutboxService): stored first, retried on failure.
  *
  * Called by waterQualityService after alerts created
  */
@@ -13,6 +19,55 @@
 const { db } = require("../config/firebase-config");
 const emailService = require("./emailService");
 const fcmService = require("./fcmService");
+const cacheService = require("./cacheService");
+
+// ⚡ Lazy load models
+let notificationPreferenceModel;
+let fcmTokenModel;
+let notificationChannelModel;
+let notificationOutboxService;
+
+const getNotificationPreferenceModel = () => {
+  if (!notificationPreferenceModel) {
+    notificationPreferenceModel = require("../models/notificationPreferenceModel");
+  }
+  return notificationPreferenceModel;
+};
+
+const getNotificationChannelModel = () => {
+  if (!notificationChannelModel) {
+    notificationChannelModel = require("../models/notificationChannelModel");
+  }
+  return notificationChannelModel;
+};
+
+/**
+ * IPAL channel registry: type → sender with send(channel, event)
+ * event = { type: "alert.triggered" | "alert.resolved" | "test", ipal_id, alerts }
+ * New channel type = new service with send() + entry here + validation schema
+ */
+const IPAL_CHANNEL_SENDERS = {
+  webhook: () => require("./webhookService"),
+  telegram: () => require("./telegramService"),
+};
+
+const CHANNEL_CACHE_TTL = 300; // Seconds (config update invalidates immediately)
+
+const getFcmTokenModel = () => {
+  if (!fcmTokenModel) {
+    fcmTokenModel = require("../models/fcmTokenModel");
+  }
+  return fcmTokenModel;
+};
+
+const getNotificationOutboxService = () => {
+  if (!notificationOutboxService) {
+    notificationOutboxService = require("./notificationOutboxService");
+  }
+  return notificationOutboxService;
+};
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
 
 /**
  * ========================================
@@ -23,9 +78,12 @@ const fcmService = require("./fcmService");
 /**
  * Send notifications for multiple alerts (1 email with all violations)
  * @param {Array} alerts - Array of alert objects
+ * @param {Object} options - Escalation step targeting (optional)
+ * @param {Array} options.roles - Recipient roles (default: admin, manager, operator)
+ * @param {Array} options.channels - "email" | "fcm" | "webhook" | "telegram" (default: all)
  * @returns {Promise<Object>} Notification results
  */
-async function sendAlerts(alerts) {
+async function sendAlerts(alerts, { roles, channels } = {}) {
   try {
     if (!alerts || alerts.length === 0) {
       console.log("⚠️  No alerts to send");
@@ -37,12 +95,23 @@ async function sendAlerts(alerts) {
 
     console.log(`📤 Sending notifications for ${alerts.length} alert(s)...`);
 
+    const useEmail = !channels || channels.includes("email");
+    const useFcm = !channels || channels.includes("fcm");
+
     // Step 1: Get recipients (admin & manager)
     console.log("👥 Getting recipients from Firestore...");
-    const recipients = await getNotificationRecipients();
+    const recipients = await getNotificationRecipients(roles, alerts);
+    const ipalChannels = await getIpalChannelTargets(alerts, {
+      channels,
+      eventType: "alert.triggered",
+    });
 
-    if (!recipients.emails || recipients.emails.length === 0) {
-      console.log("⚠️  No email recipients found");
+    const hasRecipients =
+      (useEmail && recipients.emails.length > 0) ||
+      (useFcm && recipients.fcmTokens.length > 0);
+
+    if (!hasRecipients && ipalChannels.length === 0) {
+      console.log("⚠️  No recipients found");
       return {
         success: false,
         message: "No recipients found",
@@ -55,29 +124,39 @@ async function sendAlerts(alerts) {
     const results = {
       email: null,
       fcm: null,
+      channels: [],
       timestamp: new Date().toISOString(),
     };
 
     // Step 2: Send Email (all violations in 1 email)
-    try {
-      console.log("📧 Sending email notification...");
-      results.email = await sendEmailForAlerts(alerts, recipients.emails);
-
-      if (results.email.success) {
-        console.log("✅ Email sent successfully!");
-      } else {
-        console.log("⚠️  Email failed:", results.email.error);
+    if (useEmail && recipients.emails.length > 0) {
+      try {
+        console.log("📧 Sending email notification...");
+        results.email = await sendEmailForAlerts(alerts, recipients.emails);
+
+        if (results.email.success) {
+          console.log("✅ Email sent successfully!");
+        } else {
+          console.log("⚠️  Email failed:", results.email.error);
+        }
+      } catch (emailError) {
+        console.error("❌ Email error:", emailError.message);
+        results.email = {
+          success: false,
+          error: emailError.message,
+        };
       }
-    } catch (emailError) {
-      console.error("❌ Email error:", emailError.message);
+    } else {
       results.email = {
         success: false,
-        error: emailError.message,
+        message: useEmail
+          ? "No email recipients"
+          : "Email channel not selected",
       };
     }
 
     // Step 3: Send FCM (if tokens available)
-    if (recipients.fcmTokens.length > 0) {
+    if (useFcm && recipients.fcmTokens.length > 0) {
       try {
         console.log("🔔 Sending FCM notifications...");
         results.fcm = await sendFCMForAlerts(alerts, recipients.fcmTokens);
@@ -98,17 +177,38 @@ async function sendAlerts(alerts) {
       console.log("⏭️  Skipping FCM (no tokens registered)");
       results.fcm = {
         success: false,
-        message: "No FCM tokens available",
+        message: useFcm
+          ? "No FCM tokens available"
+          : "FCM channel not selected",
       };
     }
 
-    // Overall success if at least email sent
-    const overallSuccess = results.email?.success || false;
+    // Step 4: IPAL channels (webhook, Telegram)
+    if (ipalChannels.length > 0) {
+      results.channels = await sendToIpalChannels(ipalChannels, {
+        type: "alert.triggered",
+        ipal_id: alerts[0].ipal_id,
+        alerts,
+      });
+    }
+
+    // Overall success if at least email sent (or FCM, for FCM-only steps),
+    // or any IPAL channel delivered
+    const overallSuccess =
+      (useEmail
+        ? results.email?.success || false
+        : results.fcm?.success || false) ||
+      results.channels.some((channel) => channel.success);
 
     console.log(
       `📊 Notification summary: Email=${
         results.email?.success ? "✅" : "❌"
-      }, FCM=${results.fcm?.success ? "✅" : "❌"}`
+      }, FCM=${results.fcm?.success ? "✅" : "❌"}` +
+        results.channels
+          .map(
+            (channel) => `, ${channel.type}=${channel.success ? "✅" : "❌"}`
+          )
+          .join("")
     );
 
     return {
@@ -136,48 +236,79 @@ async function sendAlerts(alerts) {
 
 /**
  * Get notification recipients (admin & manager users)
+ * @param {Array<string>} roles - Roles to notify (escalation steps pick their own)
+ * @param {Array} alerts - Alerts being sent; when given, each user's
+ *   notification preferences decide which channels they get
  * @returns {Promise<Object>} Recipients { emails: [], fcmTokens: [] }
  */
-async function getNotificationRecipients() {
+async function getNotificationRecipients(
+  roles = ["admin", "manager", "operator"],
+  alerts = null
+) {
   try {
     // Query users with role admin, manager, or operator
     const usersSnapshot = await db
       .collection("users")
-      .where("role", "in", ["admin", "manager", "operator"])
+      .where("role", "in", roles)
       .get();
 
     if (usersSnapshot.empty) {
-      console.log("⚠️  No admin/manager/operator users found in Firestore");
+      console.log(`⚠️  No ${roles.join("/")} users found in Firestore`);
       return {
         emails: [],
         fcmTokens: [],
       };
     }
 
+    const users = usersSnapshot.docs.map((doc) => ({
+      uid: doc.id,
+      ...doc.data(),
+    }));
+    const [preferences, deviceTokens] = await Promise.all([
+      alerts ? loadPreferences(users) : null,
+      loadDeviceTokens(users),
+    ]);
+    const now = new Date();
+
     const emails = [];
-    const fcmTokens = [];
+    const fcmTokens = new Set(); // Same device may appear twice during migration
+    let filtered = 0;
 
-    usersSnapshot.forEach((doc) => {
-      const userData = doc.data();
+    users.forEach((userData) => {
+      const allowed = preferences?.has(userData.uid)
+        ? getAllowedChannels(preferences.get(userData.uid), alerts, now)
+        : { email: true, push: true };
+
+      if (!allowed.email && !allowed.push) {
+        filtered++;
+      }
 
       // Collect emails (REQUIRED)
-      if (userData.email) {
+      if (allowed.email && userData.email) {
         emails.push(userData.email);
       }
 
-      // Collect FCM tokens (OPTIONAL - for mobile push notifications)
-      if (userData.fcm_token) {
-        fcmTokens.push(userData.fcm_token);
+      // Collect FCM tokens of every device (OPTIONAL - for mobile push notifications)
+      if (allowed.push) {
+        (deviceTokens.get(userData.uid) || []).forEach((token) =>
+          fcmTokens.add(token)
+        );
+
+        // Legacy single token (not yet migrated)
+        if (userData.fcm_token) {
+          fcmTokens.add(userData.fcm_token);
+        }
       }
     });
 
     console.log(
-      `✅ Recipients loaded: ${emails.length} emails, ${fcmTokens.length} FCM tokens`
+      `✅ Recipients loaded: ${emails.length} emails, ${fcmTokens.size} FCM tokens` +
+        (filtered > 0 ? ` (${filtered} user(s) skipped by preferences)` : "")
     );
 
     return {
       emails: emails,
-      fcmTokens: fcmTokens,
+      fcmTokens: [...fcmTokens],
     };
   } catch (error) {
     console.error("❌ Error getting recipients:", error);
@@ -188,6 +319,271 @@ async function getNotificationRecipients() {
   }
 }
 
+/**
+ * ========================================
+ * NOTIFICATION PREFERENCES
+ * ========================================
+ */
+
+/**
+ * Load preferences of recipients
+ * Failure → null (everyone notified, better than losing an alert)
+ */
+async function loadPreferences(users) {
+  try {
+    return await getNotificationPreferenceModel().getPreferencesForUsers(users);
+  } catch (error) {
+    console.error(
+      "⚠️  Notification preferences unavailable, notifying everyone:",
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Load registered device tokens of recipients
+ * Failure → empty (email still goes out)
+ */
+async function loadDeviceTokens(users) {
+  try {
+    return await getFcmTokenModel().getTokensForUsers(
+      users.map((user) => user.uid)
+    );
+  } catch (error) {
+    console.error("⚠️  FCM tokens unavailable:", error.message);
+    return new Map();
+  }
+}
+
+/**
+ * Is "now" inside the user's quiet hours? (window may cross midnight)
+ * @param {Object} quietHours - { enabled, start, end, timezone }
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+function isInQuietHours(quietHours, now = new Date()) {
+  if (!quietHours?.enabled) {
+    return false;
+  }
+
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: quietHours.timezone || "Asia/Jakarta",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+
+  const part = (type) => parseInt(parts.find((p) => p.type === type).value);
+  const toMinutes = (time) => {
+    const [hour, minute] = time.split(":").map(Number);
+    return hour * 60 + minute;
+  };
+
+  const current = part("hour") * 60 + part("minute");
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  if (start === end) {
+    return false;
+  }
+
+  // 08:00-17:00 → same day, 22:00-06:00 → crosses midnight
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Channels a user should get for these alerts
+ * @param {Object} preferences - Effective user preferences
+ * @param {Array} alerts - Alerts being sent
+ * @param {Date} now
+ * @returns {Object} { email: Boolean, push: Boolean }
+ */
+function getAllowedChannels(preferences, alerts, now = new Date()) {
+  // Only alerts of subscribed IPALs count
+  const relevant = preferences.ipal_ids
+    ? alerts.filter((alert) =>
+        preferences.ipal_ids.includes(parseInt(alert.ipal_id))
+      )
+    : alerts;
+
+  if (relevant.length === 0) {
+    return { email: false, push: false };
+  }
+
+  const highest = Math.max(
+    ...relevant.map(
+      (alert) => SEVERITY_RANK[alert.severity] || SEVERITY_RANK.low
+    )
+  );
+
+  if (
+    isInQuietHours(preferences.quiet_hours, now) &&
+    !(
+      preferences.quiet_hours.critical_override &&
+      highest >= SEVERITY_RANK.critical
+    )
+  ) {
+    return { email: false, push: false };
+  }
+
+  return {
+    email: highest >= (SEVERITY_RANK[preferences.min_severity.email] || 0),
+    push: highest >= (SEVERITY_RANK[preferences.min_severity.push] || 0),
+  };
+}
+
+/**
+ * Users who opted into the daily digest
+ * @returns {Promise<Array>} [{ email, ipal_ids }] (ipal_ids null = semua IPAL)
+ */
+async function getDigestRecipients() {
+  const usersSnapshot = await db
+    .collection("users")
+    .where("role", "in", ["admin", "manager", "teknisi", "operator"])
+    .get();
+
+  const users = usersSnapshot.docs
+    .map((doc) => ({ uid: doc.id, ...doc.data() }))
+    .filter((user) => user.email);
+
+  const preferences =
+    await getNotificationPreferenceModel().getPreferencesForUsers(users);
+
+  return users
+    .filter((user) => preferences.get(user.uid).daily_digest)
+    .map((user) => ({
+      email: user.email,
+      ipal_ids: preferences.get(user.uid).ipal_ids,
+    }));
+}
+
+/**
+ * ========================================
+ * IPAL CHANNELS (webhook, Telegram)
+ * ========================================
+ */
+
+/**
+ * Get channel config of an IPAL (cached)
+ * @returns {Promise<Array>} Channels (with secrets)
+ */
+async function getIpalChannels(ipalId) {
+  // false = "no config" (cacheService does not cache null)
+  const config = await cacheService.getCached(
+    cacheService.KEYS.NOTIFICATION_CHANNELS(ipalId),
+    async () =>
+      (await getNotificationChannelModel().getChannels(ipalId)) || false,
+    CHANNEL_CACHE_TTL
+  );
+
+  return config ? config.channels || [] : [];
+}
+
+/**
+ * IPAL channels that should receive these alerts
+ * @param {Array} alerts - Alerts (same IPAL)
+ * @param {Object} options - { channels: selected types or undefined, eventType }
+ * @returns {Promise<Array>} Channels
+ */
+async function getIpalChannelTargets(alerts, { channels, eventType }) {
+  try {
+    const highest = Math.max(
+      ...alerts.map((alert) => SEVERITY_RANK[alert.severity] || 0)
+    );
+
+    return (await getIpalChannels(alerts[0].ipal_id)).filter(
+      (channel) =>
+        channel.enabled &&
+        IPAL_CHANNEL_SENDERS[channel.type] &&
+        (!channels || channels.includes(channel.type)) &&
+        (channel.events || []).includes(eventType) &&
+        highest >= (SEVERITY_RANK[channel.min_severity] || 0)
+    );
+  } catch (error) {
+    console.error("⚠️  IPAL channels unavailable:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Send event to one IPAL channel (direct, no outbox)
+ * @returns {Promise<Object>} { success, status, attempts, error? }
+ */
+async function sendToIpalChannel(channel, event) {
+  let result;
+  try {
+    result = await IPAL_CHANNEL_SENDERS[channel.type]().send(channel, event);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  console.log(
+    `${result.success ? "✅" : "⚠️ "} ${channel.type} "${
+      channel.name || channel.id
+    }": ${result.success ? "delivered" : result.error}`
+  );
+
+  return result;
+}
+
+/**
+ * Send event to IPAL channels (in parallel, each retries on its own)
+ * Alert events go through the outbox, test events are sent directly
+ * @param {Array} channels - Target channels
+ * @param {Object} event - { type, ipal_id, alerts }
+ * @returns {Promise<Array>} [{ channel_id, type, name, success, status, attempts, error?, notification_id? }]
+ */
+async function sendToIpalChannels(channels, event) {
+  return Promise.all(
+    channels.map(async (channel) => {
+      const result =
+        event.type === "test"
+          ? await sendToIpalChannel(channel, event)
+          : await getNotificationOutboxService().deliver({
+              channel: channel.type,
+              kind: event.type === "alert.resolved" ? "recovery" : "alert",
+              ipal_id: event.ipal_id,
+              alert_ids: getAlertIds(event.alerts),
+              // Channel is loaded again on send, secrets stay out of the outbox
+              target: { channel_id: channel.id, name: channel.name || null },
+              payload: { ...event, alerts: snapshotAlerts(event.alerts) },
+            });
+
+      return {
+        channel_id: channel.id,
+        type: channel.type,
+        name: channel.name || null,
+        ...result,
+      };
+    })
+  );
+}
+
+/**
+ * Send test event to IPAL channels (all, or one by channel_id)
+ * Ignores enabled / min_severity / events, so a disabled channel can be tested
+ * @returns {Promise<Array|null>} Results, null if channel_id not found
+ */
+async function sendTestToIpalChannels(ipalId, channelId = null) {
+  const config = await getNotificationChannelModel().getChannels(ipalId);
+  const channels = (config?.channels || []).filter(
+    (channel) => !channelId || channel.id === channelId
+  );
+
+  if (channelId && channels.length === 0) {
+    return null;
+  }
+
+  return sendToIpalChannels(channels, {
+    type: "test",
+    ipal_id: ipalId,
+    alerts: [],
+  });
+}
+
 /**
  * ========================================
  * EMAIL NOTIFICATION (Multiple Alerts)
@@ -202,13 +598,15 @@ async function getNotificationRecipients() {
  */
 async function sendEmailForAlerts(alerts, emails) {
   try {
-    // Prepare combined alert data for email
-    const emailData = prepareEmailData(alerts);
-
-    // Send via emailService
-    const result = await emailService.sendWaterQualityAlert(emailData, emails);
-
-    return result;
+    // Prepare combined alert data for email, send via outbox
+    return await getNotificationOutboxService().deliver({
+      channel: "email",
+      kind: "alert",
+      ipal_id: alerts[0].ipal_id,
+      alert_ids: getAlertIds(alerts),
+      target: { emails },
+      payload: prepareEmailData(alerts),
+    });
   } catch (error) {
     console.error("❌ Error sending email:", error);
     return {
@@ -237,11 +635,12 @@ function prepareEmailData(alerts) {
   // Combine all violations
   const allViolations = alerts.map((alert) => ({
     parameter: alert.parameter,
-    value: alert.value,
+    value: alert.last_value ?? alert.value, // Repeat → latest measured value
     threshold: alert.threshold,
     severity: alert.severity,
     message: alert.message,
     location: alert.location,
+    occurrences: alert.occurrences || 1,
   }));
 
   // Email data structure (compatible with emailService)
@@ -276,16 +675,15 @@ function prepareEmailData(alerts) {
  */
 async function sendFCMForAlerts(alerts, fcmTokens) {
   try {
-    // Prepare FCM data
-    const fcmData = prepareFCMData(alerts);
-
-    // Send to multiple devices
-    const result = await fcmService.sendPushNotificationToMultiple(
-      fcmTokens,
-      fcmData
-    );
-
-    return result;
+    // Prepare FCM data, send to multiple devices via outbox
+    return await getNotificationOutboxService().deliver({
+      channel: "fcm",
+      kind: "alert",
+      ipal_id: alerts[0].ipal_id,
+      alert_ids: getAlertIds(alerts),
+      target: { tokens: fcmTokens },
+      payload: prepareFCMData(alerts),
+    });
   } catch (error) {
     console.error("❌ Error sending FCM:", error);
     return {
@@ -320,6 +718,242 @@ function prepareFCMData(alerts) {
   };
 }
 
+/**
+ * ========================================
+ * RECOVERY NOTIFICATION (auto-resolved alerts)
+ * ========================================
+ */
+
+/**
+ * Notify recipients that alerts were resolved automatically
+ * @param {Array} alerts - Resolved alerts (with resolution_reason)
+ * @returns {Promise<Object>} Notification results
+ */
+async function sendRecoveries(alerts) {
+  try {
+    if (!alerts || alerts.length === 0) {
+      return { success: false, message: "No alerts provided" };
+    }
+
+    const recipients = await getNotificationRecipients(undefined, alerts);
+    const ipalChannels = await getIpalChannelTargets(alerts, {
+      eventType: "alert.resolved",
+    });
+
+    if (
+      recipients.emails.length === 0 &&
+      recipients.fcmTokens.length === 0 &&
+      ipalChannels.length === 0
+    ) {
+      console.log("⚠️  No recovery recipients found");
+      return { success: false, message: "No recipients found" };
+    }
+
+    const parameters = alerts
+      .map((a) => `${a.parameter.toUpperCase()} ${a.location}`)
+      .join(", ");
+    const outbox = getNotificationOutboxService();
+    const delivery = {
+      kind: "recovery",
+      ipal_id: alerts[0].ipal_id,
+      alert_ids: getAlertIds(alerts),
+    };
+
+    const results = {
+      email:
+        recipients.emails.length > 0
+          ? await outbox.deliver({
+              ...delivery,
+              channel: "email",
+              target: { emails: recipients.emails },
+              payload: {
+                subject: `✅ [IPAL ${alerts[0].ipal_id}] Kembali normal: ${parameters}`,
+                html: emailService.generateRecoveryEmailHTML(alerts),
+              },
+            })
+          : { success: false, message: "No email recipients" },
+      fcm:
+        recipients.fcmTokens.length > 0
+          ? await outbox.deliver({
+              ...delivery,
+              channel: "fcm",
+              target: { tokens: recipients.fcmTokens },
+              payload: {
+                id: alerts[0].alert_id || alerts[0].id,
+                ipal_id: alerts[0].ipal_id,
+                title: `✅ Kembali normal: IPAL ${alerts[0].ipal_id}`,
+                message: `${parameters} kembali dalam baku mutu`,
+                severity: "info",
+                parameter: alerts.length > 1 ? "multiple" : alerts[0].parameter,
+              },
+            })
+          : { success: false, message: "No FCM tokens available" },
+      channels: await sendToIpalChannels(ipalChannels, {
+        type: "alert.resolved",
+        ipal_id: alerts[0].ipal_id,
+        alerts,
+      }),
+    };
+
+    console.log(
+      `📊 Recovery notification: Email=${
+        results.email?.success ? "✅" : "❌"
+      }, FCM=${results.fcm?.success ? "✅" : "❌"}` +
+        results.channels
+          .map(
+            (channel) => `, ${channel.type}=${channel.success ? "✅" : "❌"}`
+          )
+          .join("")
+    );
+
+    return {
+      success: Boolean(
+        results.email?.success ||
+          results.fcm?.success ||
+          results.channels.some((channel) => channel.success)
+      ),
+      results,
+    };
+  } catch (error) {
+    console.error("💥 Error sending recovery notification:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * ========================================
+ * OUTBOX DELIVERY
+ * ========================================
+ */
+
+/**
+ * Alert IDs for the delivery log
+ */
+function getAlertIds(alerts = []) {
+  return alerts.map((alert) => alert.alert_id || alert.id).filter(Boolean);
+}
+
+/**
+ * Plain copy of alerts for a stored channel event (no Timestamps / undefined)
+ */
+function snapshotAlerts(alerts = []) {
+  return alerts.map((alert) => ({
+    alert_id: alert.alert_id || alert.id || null,
+    ipal_id: alert.ipal_id ?? null,
+    parameter: alert.parameter,
+    location: alert.location,
+    severity: alert.severity,
+    status: alert.status || null,
+    value: alert.last_value ?? alert.value ?? null,
+    threshold: alert.threshold ?? null,
+    message: alert.message || null,
+    occurrences: alert.occurrences || 1,
+    resolution_reason: alert.resolution_reason || null,
+  }));
+}
+
+/**
+ * Send one outbox record (first attempt, retry and admin resend)
+ * @param {Object} record - { id?, channel, ipal_id, target, payload }
+ * @returns {Promise<Object>} Sender result { success, error?, permanent? }
+ */
+async function deliverNotification(record) {
+  const { channel, target, payload } = record;
+
+  if (channel === "email") {
+    // Recovery email is pre-rendered, alert email uses the alert template
+    return payload.html
+      ? emailService.sendEmail({
+          to: target.emails,
+          subject: payload.subject,
+          html: payload.html,
+        })
+      : emailService.sendWaterQualityAlert(payload, target.emails);
+  }
+
+  if (channel === "fcm") {
+    return fcmService.sendPushNotificationToMultiple(target.tokens, payload);
+  }
+
+  const ipalChannel = (await getIpalChannels(record.ipal_id)).find(
+    (candidate) => candidate.id === target.channel_id
+  );
+
+  if (!ipalChannel || !ipalChannel.enabled) {
+    return {
+      success: false,
+      permanent: true,
+      error: `Channel ${target.channel_id} removed or disabled`,
+    };
+  }
+
+  // Same delivery id on every retry, so receivers can deduplicate
+  const result = await sendToIpalChannel(ipalChannel, {
+    ...payload,
+    delivery_id: record.id,
+  });
+
+  // 4xx (except 429) = wrong config/payload, retrying later won't help
+  if (result.status >= 400 && result.status < 500 && result.status !== 429) {
+    result.permanent = true;
+  }
+
+  return result;
+}
+
+/**
+ * ========================================
+ * SYSTEM NOTIFICATIONS (background jobs)
+ * ========================================
+ */
+
+/**
+ * Get emails of users with given roles
+ * @param {Array<string>} roles - e.g. ["admin"] or ["admin", "manager"]
+ * @returns {Promise<Array<string>>} Email addresses
+ */
+async function getEmailsByRoles(roles) {
+  const usersSnapshot = await db
+    .collection("users")
+    .where("role", "in", roles)
+    .get();
+
+  const emails = [];
+  usersSnapshot.forEach((doc) => {
+    if (doc.data().email) {
+      emails.push(doc.data().email);
+    }
+  });
+
+  return emails;
+}
+
+/**
+ * Send system email to admins (incomplete readings, sensor offline, digest)
+ * @param {Object} message - { subject, html, priority?, roles? }
+ * @returns {Promise<Object>} Send result
+ */
+async function notifyAdmins({ subject, html, priority, roles = ["admin"] }) {
+  try {
+    const emails = await getEmailsByRoles(roles);
+
+    if (emails.length === 0) {
+      console.log(`⚠️  No ${roles.join("/")} users to notify`);
+      return { success: false, message: "No recipients found" };
+    }
+
+    return await emailService.sendEmail({
+      to: emails,
+      subject,
+      html,
+      priority,
+    });
+  } catch (error) {
+    console.error("❌ Error notifying admins:", error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * ========================================
  * COMPATIBILITY FUNCTIONS
@@ -337,7 +971,7 @@ async function sendEmailAlert(alertData) {
     console.log("📧 sendEmailAlert called (single alert)");
 
     // Get recipients
-    const recipients = await getNotificationRecipients();
+    const recipients = await getNotificationRecipients(undefined, [alertData]);
 
     if (recipients.emails.length === 0) {
       return {
@@ -370,7 +1004,7 @@ async function sendFCMNotification(alertData) {
     console.log("🔔 sendFCMNotification called (single alert)");
 
     // Get recipients
-    const recipients = await getNotificationRecipients();
+    const recipients = await getNotificationRecipients(undefined, [alertData]);
 
     if (recipients.fcmTokens.length === 0) {
       return {
@@ -439,13 +1073,27 @@ async function sendNotification(token, message) {
 module.exports = {
   // Main orchestrator (NEW)
   sendAlerts,
+  sendRecoveries,
 
   // Compatibility functions (for waterQualityService)
   sendEmailAlert,
   sendFCMNotification,
 
+  // System notifications (background jobs)
+  notifyAdmins,
+
+  // IPAL channels (webhook, Telegram)
+  sendTestToIpalChannels,
+
+  // Notification outbox (first attempt, retry, resend)
+  deliverNotification,
+
   // Helper functions
   getNotificationRecipients,
+  getEmailsByRoles,
+  getDigestRecipients,
+  getAllowedChannels,
+  isInQuietHours,
 
   // Legacy (backward compatibility)
   sendNotification,
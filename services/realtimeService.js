@@ -0,0 +1,171 @@
+/**
+ * ========================================
+ * REALTIME SERVICE
+ * ========================================
+ * In-process event hub for live dashboard updates (SSE /api/stream)
+ *
+ * Events:
+ * - reading.created        → processCompleteReading (merged / partial reading)
+ * - alert.created          → processCompleteReading (alerts from this analysis)
+ * - alert.status_changed   → alertController.updateAlertStatus
+ * - sensor.status_changed  → sensor online/offline transitions
+ *
+ * Every event belongs to one IPAL. Subscribers filter by IPAL and
+ * by role (EVENT_ROLES). Recent events are kept so a reconnecting
+ * client can catch up with Last-Event-ID.
+ *
+ * ⚠️ Events live in this process only: clients connected to another
+ * instance (or serverless) won't see them.
+ */
+
+const { EventEmitter } = require("events");
+
+/**
+ * ========================================
+ * CONFIGURATION
+ * ========================================
+ */
+
+const EVENT_TYPES = {
+  READING_CREATED: "reading.created",
+  ALERT_CREATED: "alert.created",
+  ALERT_STATUS_CHANGED: "alert.status_changed",
+  SENSOR_STATUS_CHANGED: "sensor.status_changed",
+};
+
+// Roles allowed to receive each event type
+const EVENT_ROLES = {
+  [EVENT_TYPES.READING_CREATED]: ["admin", "manager", "teknisi"],
+  [EVENT_TYPES.ALERT_CREATED]: ["admin", "manager", "teknisi"],
+  [EVENT_TYPES.ALERT_STATUS_CHANGED]: ["admin", "manager", "teknisi"],
+  // Sensor hardware is handled by admin & teknisi
+  [EVENT_TYPES.SENSOR_STATUS_CHANGED]: ["admin", "teknisi"],
+};
+
+const CONFIG = {
+  HISTORY_SIZE: 200, // Events kept for Last-Event-ID replay
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected client
+
+const history = [];
+let sequence = 0;
+
+/**
+ * ========================================
+ * PUBLISH
+ * ========================================
+ */
+
+/**
+ * Publish event to all matching subscribers
+ * Never throws, realtime delivery must not break the caller
+ * @param {String} type - One of EVENT_TYPES
+ * @param {Number} ipalId - IPAL the event belongs to
+ * @param {Object} data - JSON-serializable payload
+ * @returns {Object|null} Published event
+ */
+function publish(type, ipalId, data) {
+  try {
+    const event = {
+      id: ++sequence,
+      type,
+      ipal_id: parseInt(ipalId),
+      data,
+      published_at: new Date().toISOString(),
+    };
+
+    history.push(event);
+    if (history.length > CONFIG.HISTORY_SIZE) {
+      history.shift();
+    }
+
+    emitter.emit("event", event);
+    return event;
+  } catch (error) {
+    console.error(`❌ Error publishing ${type}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * ========================================
+ * SUBSCRIBE
+ * ========================================
+ */
+
+/**
+ * Check whether a subscriber may receive an event
+ * @param {Object} event - Published event
+ * @param {Object} filter - { role, ipal_id?, types? }
+ */
+function matches(event, { role, ipal_id, types }) {
+  const allowedRoles = EVENT_ROLES[event.type] || [];
+
+  if (!allowedRoles.includes(role)) return false;
+  if (ipal_id && event.ipal_id !== ipal_id) return false;
+  if (types && !types.includes(event.type)) return false;
+
+  return true;
+}
+
+/**
+ * Event types a role may subscribe to
+ */
+function getAllowedTypes(role) {
+  return Object.keys(EVENT_ROLES).filter((type) =>
+    EVENT_ROLES[type].includes(role)
+  );
+}
+
+/**
+ * Subscribe to events
+ * @param {Object} filter - { role, ipal_id?, types? }
+ * @param {Function} handler - Called with each matching event
+ * @param {Number} lastEventId - Replay history after this ID (optional)
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(filter, handler, lastEventId = null) {
+  if (lastEventId) {
+    history
+      .filter((event) => event.id > lastEventId && matches(event, filter))
+      .forEach(handler);
+  }
+
+  const listener = (event) => {
+    if (matches(event, filter)) {
+      handler(event);
+    }
+  };
+
+  emitter.on("event", listener);
+
+  return () => emitter.removeListener("event", listener);
+}
+
+/**
+ * Number of connected subscribers (for monitoring)
+ */
+function getSubscriberCount() {
+  return emitter.listenerCount("event");
+}
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  publish,
+  subscribe,
+  getAllowedTypes,
+  getSubscriberCount,
+
+  EVENT_TYPES,
+  EVENT_ROLES,
+  CONFIG,
+};
+
+console.log("📦 realtimeService loaded");
@@ -0,0 +1,308 @@
+/**
+ * ========================================
+ * REPORT JOB SERVICE
+ * ========================================
+ * Asynchronous report generation (large exports)
+ *
+ * - createJob: POST /api/reports/jobs stores a queued job and returns
+ *   immediately. On a long-lived server generation starts in-process.
+ * - Serverless (Vercel): the function is frozen after the response, so
+ *   createJob does not claim the job (a claimed job keeps its lease and
+ *   would be skipped by everyone else). The job is generated by
+ *   onNewReportJob (functions/index.js, Firestore onCreate); the
+ *   report-jobs worker (scheduler or reportJobsWorker function) retries
+ *   jobs whose lease expired. The lease in claimJob makes sure only one
+ *   of them generates.
+ * - Generation reuses reportService (fetch, summary, CSV/Excel/PDF).
+ *   Progress is stored on the job while fetching / generating / storing.
+ * - The file is stored via reportStorageService and expires after
+ *   REPORT_JOB_EXPIRY_HOURS; the report-jobs worker deletes it.
+ */
+
+// ⚡ Lazy load dependencies (reportService loads exceljs & pdfkit)
+let reportJobModel;
+let reportService;
+let reportStorageService;
+
+const getReportJobModel = () => {
+  if (!reportJobModel) {
+    reportJobModel = require("../models/reportJobModel");
+  }
+  return reportJobModel;
+};
+
+const getReportService = () => {
+  if (!reportService) {
+    reportService = require("./reportService");
+  }
+  return reportService;
+};
+
+const getReportStorageService = () => {
+  if (!reportStorageService) {
+    reportStorageService = require("./reportStorageService");
+  }
+  return reportStorageService;
+};
+
+// ========================================
+// KONFIGURASI
+// ========================================
+
+const CONFIG = {
+  EXPIRY_HOURS: parseInt(process.env.REPORT_JOB_EXPIRY_HOURS) || 24,
+  MAX_ATTEMPTS: parseInt(process.env.REPORT_JOB_MAX_ATTEMPTS) || 2,
+  LEASE_MS: 5 * 60 * 1000, // Extended on every progress update
+  BATCH_SIZE: 5,
+  // Same check as server.js: only a long-lived server keeps running
+  // after the response is sent
+  PROCESS_IN_REQUEST:
+    process.env.NODE_ENV !== "production" || !process.env.VERCEL,
+};
+
+// Progress (%) per stage; fetching runs from FETCH_START to GENERATING
+const PROGRESS = {
+  FETCH_START: 5,
+  GENERATING: 60,
+  STORING: 90,
+};
+
+/**
+ * Fetch progress from the oldest reading fetched so far
+ * (pages come newest first, from end_date back to start_date)
+ */
+function fetchProgress(filters, oldestTimestamp) {
+  const start = Date.parse(filters.start_date + "T00:00:00Z");
+  const end = Date.parse(filters.end_date + "T23:59:59Z");
+  const fraction = Math.min(
+    Math.max((end - Date.parse(oldestTimestamp)) / (end - start), 0),
+    1
+  );
+
+  return Math.round(
+    PROGRESS.FETCH_START +
+      fraction * (PROGRESS.GENERATING - PROGRESS.FETCH_START)
+  );
+}
+
+/**
+ * ========================================
+ * CREATE
+ * ========================================
+ */
+
+/**
+ * Queue a report job (and start generating in the background on a
+ * long-lived server)
+ * @param {Object} request - Validated { format, ipal_id, start_date, end_date, parameters, location }
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Queued job
+ */
+async function createJob(request, user) {
+  const { format, ...filters } = request;
+
+  // Refuse the job now rather than let every attempt fail on storing
+  getReportStorageService().assertConfigured();
+
+  const job = await getReportJobModel().createJob({
+    format,
+    filters,
+    requested_by: { uid: user.uid, email: user.email },
+  });
+
+  console.log(
+    `📄 Report job ${job.id} queued: ${format.toUpperCase()} IPAL ${
+      filters.ipal_id
+    } ${filters.start_date} → ${filters.end_date} by ${user.email}`
+  );
+
+  if (!CONFIG.PROCESS_IN_REQUEST) {
+    return job; // Picked up by onNewReportJob / report-jobs worker
+  }
+
+  // Start now; if this process stops, the worker takes over after the lease
+  setImmediate(() => {
+    processJob(job.id).catch((error) =>
+      console.error(`❌ Report job ${job.id} error:`, error.message)
+    );
+  });
+
+  return job;
+}
+
+/**
+ * ========================================
+ * GENERATE
+ * ========================================
+ */
+
+/**
+ * Claim and generate one job
+ * @param {String} jobId - Job ID
+ * @returns {Promise<String|null>} Final status, null if not claimed
+ */
+async function processJob(jobId) {
+  const model = getReportJobModel();
+  const job = await model.claimJob(jobId, CONFIG.LEASE_MS, CONFIG.MAX_ATTEMPTS);
+
+  if (!job) {
+    return null; // Done, or claimed by another instance
+  }
+
+  const service = getReportService();
+  const { filters, format } = job;
+
+  console.log(
+    `⚙️  Generating report job ${jobId} (attempt ${job.attempts + 1})`
+  );
+
+  try {
+    // 1. Fetch (paged)
+    const data = [];
+    for await (const page of service.fetchWaterQualityPages(filters)) {
+      data.push(...page);
+
+      await model.updateProgress(
+        jobId,
+        {
+          stage: "fetching",
+          readings: data.length,
+          progress: fetchProgress(filters, page[page.length - 1].timestamp),
+        },
+        CONFIG.LEASE_MS
+      );
+    }
+
+    if (data.length === 0) {
+      await model.failJob(jobId, "No data found for the specified period");
+      console.log(`⚠️  Report job ${jobId}: no data`);
+      return "failed";
+    }
+
+    // 2. Generate (same generators as /api/reports/export)
+    await model.updateProgress(
+      jobId,
+      { stage: "generating", progress: PROGRESS.GENERATING },
+      CONFIG.LEASE_MS
+    );
+
+    const summary = service.calculateSummary(data, filters.parameters);
+    const file = await service.generateReportFile(
+      format,
+      data,
+      summary,
+      filters
+    );
+
+    // 3. Store
+    await model.updateProgress(
+      jobId,
+      { stage: "storing", progress: PROGRESS.STORING },
+      CONFIG.LEASE_MS
+    );
+
+    const stored = await getReportStorageService().saveFile(
+      `${jobId}/${file.fileName}`,
+      file.content,
+      file.contentType
+    );
+
+    await model.completeJob(jobId, {
+      file: {
+        ...stored,
+        name: file.fileName,
+        content_type: file.contentType,
+      },
+      readings: data.length,
+      expiresAt: new Date(Date.now() + CONFIG.EXPIRY_HOURS * 60 * 60 * 1000),
+    });
+
+    console.log(
+      `✅ Report job ${jobId} completed: ${file.fileName} (${data.length} readings, ${stored.size} bytes)`
+    );
+    return "completed";
+  } catch (error) {
+    console.error(`❌ Report job ${jobId} failed:`, error);
+    await model.failJob(jobId, error.message);
+    return "failed";
+  }
+}
+
+/**
+ * ========================================
+ * WORKER
+ * ========================================
+ */
+
+/**
+ * Generate pending jobs, delete expired files
+ * Called by report-jobs job
+ * @returns {Promise<Object>} Summary { pending, completed, failed, expired }
+ */
+async function processPendingJobs() {
+  const model = getReportJobModel();
+  const pendingIds = await model.getPendingJobIds(CONFIG.BATCH_SIZE);
+
+  const summary = {
+    pending: pendingIds.length,
+    completed: 0,
+    failed: 0,
+    expired: 0,
+  };
+
+  for (const jobId of pendingIds) {
+    try {
+      const status = await processJob(jobId);
+      if (status) summary[status]++;
+    } catch (error) {
+      console.error(`❌ Report job error (${jobId}):`, error.message);
+      summary.failed++;
+    }
+  }
+
+  // Expired files
+  const expiredJobs = await model.getExpiredJobs(CONFIG.BATCH_SIZE * 10);
+
+  for (const job of expiredJobs) {
+    try {
+      if (job.file) {
+        await getReportStorageService().removeFile(job.file);
+      }
+      await model.markExpired(job.id);
+      summary.expired++;
+    } catch (error) {
+      console.error(`❌ Report job expiry error (${job.id}):`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * ========================================
+ * DOWNLOAD
+ * ========================================
+ */
+
+/**
+ * Read stream of a completed job's file
+ * @param {Object} job - Job (raw, from getJobById(id, { raw: true }))
+ * @returns {Readable}
+ */
+function openJobFile(job) {
+  return getReportStorageService().createReadStream(job.file);
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  createJob,
+  processJob,
+  processPendingJobs,
+  openJobFile,
+  CONFIG,
+};
+
+console.log("📦 reportJobService loaded");
@@ -0,0 +1,324 @@
+/**
+ * ========================================
+ * REPORT SCHEDULE SERVICE
+ * ========================================
+ * Scheduled report delivery by email
+ *
+ * - Schedule: IPAL, parameters, location, format (pdf/excel/csv),
+ *   cadence (daily/weekly/monthly) + send day/hour, recipients
+ * - scheduled-reports job (hourly) generates the report for the previous
+ *   period and emails it as attachment:
+ *     daily   → kemarin
+ *     weekly  → 7 hari sebelum hari kirim (Senin → Senin..Minggu lalu)
+ *     monthly → sebulan sebelum tanggal kirim (tgl 1 → bulan lalu)
+ * - A period is sent once. A failed run is retried on the next job run
+ *   (max REPORT_MAX_ATTEMPTS per period). A job run that was missed
+ *   (server down) catches up on the next run.
+ * - Every run (scheduled or manual) is recorded in report_runs
+ */
+
+// ⚡ Lazy load dependencies (reportService loads exceljs & pdfkit)
+let reportScheduleModel;
+let reportService;
+let emailService;
+
+const getReportScheduleModel = () => {
+  if (!reportScheduleModel) {
+    reportScheduleModel = require("../models/reportScheduleModel");
+  }
+  return reportScheduleModel;
+};
+
+const getReportService = () => {
+  if (!reportService) {
+    reportService = require("./reportService");
+  }
+  return reportService;
+};
+
+const getEmailService = () => {
+  if (!emailService) {
+    emailService = require("./emailService");
+  }
+  return emailService;
+};
+
+// ========================================
+// KONFIGURASI
+// ========================================
+
+const CONFIG = {
+  TIMEZONE: process.env.REPORT_TIMEZONE || "Asia/Jakarta",
+  MAX_ATTEMPTS: parseInt(process.env.REPORT_MAX_ATTEMPTS) || 3,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ========================================
+ * PERIOD
+ * ========================================
+ * Dates are local calendar dates (CONFIG.TIMEZONE), kept as UTC midnight
+ */
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Local date (UTC midnight) and hour of a moment
+ */
+function getLocalNow(now) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: CONFIG.TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+
+  const part = (type) => parseInt(parts.find((p) => p.type === type).value);
+
+  return {
+    today: new Date(Date.UTC(part("year"), part("month") - 1, part("day"))),
+    hour: part("hour"),
+  };
+}
+
+/**
+ * Most recent send date (≤ now) of a schedule
+ */
+function getLastSendDate(schedule, now) {
+  const { today, hour } = getLocalNow(now);
+  const sentToday = hour >= schedule.send_hour;
+
+  if (schedule.cadence === "weekly") {
+    const diff = (today.getUTCDay() - schedule.day_of_week + 7) % 7;
+    const days = diff === 0 && !sentToday ? 7 : diff;
+    return new Date(today.getTime() - days * DAY_MS);
+  }
+
+  if (schedule.cadence === "monthly") {
+    const year = today.getUTCFullYear();
+    const month = today.getUTCMonth();
+    const thisMonth = new Date(Date.UTC(year, month, schedule.day_of_month));
+
+    return thisMonth > today ||
+      (thisMonth.getTime() === today.getTime() && !sentToday)
+      ? new Date(Date.UTC(year, month - 1, schedule.day_of_month))
+      : thisMonth;
+  }
+
+  // daily
+  return sentToday ? today : new Date(today.getTime() - DAY_MS);
+}
+
+/**
+ * Report period for the most recent send date
+ * @param {Object} schedule - { cadence, day_of_week?, day_of_month?, send_hour }
+ * @param {Date} now - Current time
+ * @returns {Object} { start_date, end_date } (YYYY-MM-DD, inclusive)
+ */
+function getReportPeriod(schedule, now = new Date()) {
+  const sendDate = getLastSendDate(schedule, now);
+  const end = new Date(sendDate.getTime() - DAY_MS);
+
+  let start = end;
+  if (schedule.cadence === "weekly") {
+    start = new Date(sendDate.getTime() - 7 * DAY_MS);
+  } else if (schedule.cadence === "monthly") {
+    start = new Date(
+      Date.UTC(
+        sendDate.getUTCFullYear(),
+        sendDate.getUTCMonth() - 1,
+        sendDate.getUTCDate()
+      )
+    );
+  }
+
+  return { start_date: toDateString(start), end_date: toDateString(end) };
+}
+
+/**
+ * ========================================
+ * RUN
+ * ========================================
+ */
+
+/**
+ * Generate report for a period and email it to the schedule recipients
+ * @param {Object} schedule - Schedule
+ * @param {Object} options - { period, trigger: "scheduled" | "manual", triggeredBy? }
+ * @returns {Promise<Object>} Run record (with id)
+ */
+async function runSchedule(schedule, { period, trigger, triggeredBy = null }) {
+  const startedAt = new Date();
+  const filters = {
+    ipal_id: schedule.ipal_id,
+    start_date: period.start_date,
+    end_date: period.end_date,
+    // Period dates are local days, not UTC days
+    timezone: CONFIG.TIMEZONE,
+    parameters: schedule.parameters,
+    location: schedule.location,
+  };
+
+  const run = {
+    schedule_id: schedule.id,
+    schedule_name: schedule.name,
+    ipal_id: schedule.ipal_id,
+    trigger,
+    triggered_by: triggeredBy,
+    period_start: period.start_date,
+    period_end: period.end_date,
+    format: schedule.format,
+    recipients: schedule.recipients,
+    readings: 0,
+    file_name: null,
+    file_size: null,
+  };
+
+  console.log(
+    `📄 Running report schedule "${schedule.name}" (IPAL ${schedule.ipal_id}, ${period.start_date} → ${period.end_date})`
+  );
+
+  try {
+    const service = getReportService();
+    const data = await service.fetchWaterQualityData(filters);
+    const summary =
+      data.length > 0
+        ? service.calculateSummary(data, schedule.parameters)
+        : null;
+    const file =
+      data.length > 0
+        ? await service.generateReportFile(
+            schedule.format,
+            data,
+            summary,
+            filters
+          )
+        : null;
+
+    run.readings = data.length;
+    run.file_name = file?.fileName || null;
+    run.file_size = file?.content.length || null;
+
+    // No data → still email, so recipients know the report was not skipped
+    const email = getEmailService();
+    const result = await email.sendEmail({
+      to: schedule.recipients,
+      subject: `📄 [IPAL ${schedule.ipal_id}] ${schedule.name}: ${period.start_date} s/d ${period.end_date}`,
+      html: email.generateScheduledReportEmailHTML({
+        ...schedule,
+        period_start: period.start_date,
+        period_end: period.end_date,
+        summary,
+        file_name: run.file_name,
+      }),
+      attachments: file
+        ? [
+            {
+              filename: file.fileName,
+              content: file.content,
+              contentType: file.contentType,
+            },
+          ]
+        : [],
+    });
+
+    if (result.success) {
+      run.status = file ? "sent" : "no_data";
+      run.error = null;
+    } else {
+      run.status = "failed";
+      run.error = result.error || result.message || "Email not sent";
+    }
+  } catch (error) {
+    console.error(`❌ Report schedule "${schedule.name}" failed:`, error);
+    run.status = "failed";
+    run.error = error.message;
+  }
+
+  const finishedAt = new Date();
+  run.started_at = startedAt;
+  run.finished_at = finishedAt;
+  run.duration_ms = finishedAt - startedAt;
+
+  try {
+    run.id = await getReportScheduleModel().saveRun(run);
+  } catch (error) {
+    console.error("⚠️  Report run not recorded:", error.message);
+  }
+
+  console.log(
+    `${run.status === "failed" ? "❌" : "✅"} Report schedule "${
+      schedule.name
+    }": ${run.status}${run.error ? ` (${run.error})` : ""}`
+  );
+
+  return {
+    ...run,
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+  };
+}
+
+/**
+ * Run all enabled schedules whose period is due
+ * Called by scheduled-reports job
+ * @returns {Promise<Object>} Summary { schedules, sent, no_data, failed, skipped }
+ */
+async function processDueSchedules(now = new Date()) {
+  const model = getReportScheduleModel();
+  const schedules = await model.getSchedules({ enabled: true });
+
+  const summary = {
+    schedules: schedules.length,
+    sent: 0,
+    no_data: 0,
+    failed: 0,
+    skipped: 0,
+  };
+
+  for (const schedule of schedules) {
+    try {
+      const period = getReportPeriod(schedule, now);
+      const claimed = await model.claimScheduledRun(
+        schedule.id,
+        period.end_date,
+        CONFIG.MAX_ATTEMPTS
+      );
+
+      if (!claimed) {
+        summary.skipped++;
+        continue;
+      }
+
+      const run = await runSchedule(claimed, { period, trigger: "scheduled" });
+      await model.setLastStatus(schedule.id, run.status);
+      summary[run.status]++;
+    } catch (error) {
+      console.error(
+        `❌ Report schedule error (${schedule.id}):`,
+        error.message
+      );
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  getReportPeriod,
+  runSchedule,
+  processDueSchedules,
+  CONFIG,
+};
+
+console.log("📦 reportScheduleService loaded");
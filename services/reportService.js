@@ -7,76 +7,421 @@
 const { db, admin } = require("../config/firebase-config");
 const ExcelJS = require("exceljs");
 const PDFDocument = require("pdfkit");
+const fuzzyService = require("./fuzzyService");
+const { measuredSide, resolveDateRange } = require("./chartService");
+
+// ⚡ Lazy load: only the compliance report reads old profile versions
+let thresholdProfileModel;
+
+const getThresholdProfileModel = () => {
+  if (!thresholdProfileModel) {
+    thresholdProfileModel = require("../models/thresholdProfileModel");
+  }
+  return thresholdProfileModel;
+};
+
+// Compliance report: baku mutu berlaku untuk effluent (outlet)
+const COMPLIANCE_PARAMETERS = ["ph", "tds", "turbidity", "temperature"];
+const PARAMETER_UNITS = {
+  ph: "",
+  tds: "ppm",
+  turbidity: "NTU",
+  temperature: "°C",
+};
+
+// Firestore reads are paged; exports are not capped
+const READINGS_PAGE_SIZE = 1000;
+
+/**
+ * Check one value against baku mutu limits
+ * @returns {Object|null} { condition, limit, deviation } or null if compliant
+ */
+function checkLimit(value, limits) {
+  if (limits.min != null && value < limits.min) {
+    return {
+      condition: "below_minimum",
+      limit: limits.min,
+      deviation: limits.min - value,
+    };
+  }
+
+  if (limits.max != null && value > limits.max) {
+    return {
+      condition: "above_maximum",
+      limit: limits.max,
+      deviation: value - limits.max,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Period bounds of report filters (start_date / end_date inclusive)
+ * Days are local days of filters.timezone when given (scheduled reports),
+ * otherwise UTC days
+ * @returns {Object} { start: Date|null, end: Date|null }
+ */
+function getPeriodBounds({ start_date, end_date, timezone }) {
+  if (timezone && start_date && end_date) {
+    const range = resolveDateRange(
+      "custom",
+      { start: start_date, end: end_date },
+      timezone
+    );
+
+    if (range.error) {
+      throw new Error(`Invalid report period: ${range.error}`);
+    }
+
+    return { start: range.startDate, end: range.endDate };
+  }
+
+  return {
+    start: start_date ? new Date(start_date + "T00:00:00Z") : null,
+    end: end_date ? new Date(end_date + "T23:59:59Z") : null,
+  };
+}
+
+const toMinutes = (ms) => Math.round((ms / 60000) * 10) / 10;
+
+/**
+ * 135 → "2 jam 15 menit"
+ */
+function formatDuration(minutes) {
+  const total = Math.round(minutes);
+  const days = Math.floor(total / 1440);
+  const hours = Math.floor((total % 1440) / 60);
+  const mins = total % 60;
+
+  const parts = [];
+  if (days) parts.push(`${days} hari`);
+  if (hours) parts.push(`${hours} jam`);
+  if (mins || parts.length === 0) parts.push(`${mins} menit`);
+  return parts.join(" ");
+}
+
+function formatDateTime(iso) {
+  return new Date(iso).toLocaleString("id-ID", {
+    timeZone: "Asia/Jakarta",
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function formatLimits({ min, max }, unit) {
+  const suffix = unit ? ` ${unit}` : "";
+  if (min != null && max != null) return `${min} - ${max}${suffix}`;
+  if (max != null) return `<= ${max}${suffix}`;
+  if (min != null) return `>= ${min}${suffix}`;
+  return "-";
+}
+
+/**
+ * Firestore reading → flat report row
+ */
+function toReportRow(doc, parameters, location) {
+  const reading = doc.data();
+
+  const row = {
+    timestamp: reading.timestamp?.toDate
+      ? reading.timestamp.toDate().toISOString()
+      : null,
+    reading_id: doc.id,
+  };
+
+  if (location === "both" || location === "inlet") {
+    parameters.forEach((param) => {
+      row[`inlet_${param}`] = reading.inlet?.[param] || null;
+    });
+  }
+
+  if (location === "both" || location === "outlet") {
+    parameters.forEach((param) => {
+      row[`outlet_${param}`] = reading.outlet?.[param] || null;
+    });
+  }
+
+  return row;
+}
+
+/**
+ * One CSV line (quotes values containing , or ")
+ */
+function toCSVLine(values) {
+  return (
+    values
+      .map((value) => {
+        if (value == null) return "";
+        if (
+          typeof value === "string" &&
+          (value.includes(",") || value.includes('"'))
+        ) {
+          return `"${value.replace(/"/g, '""')}"`;
+        }
+        return value;
+      })
+      .join(",") + "\n"
+  );
+}
+
+/**
+ * Summary row at the end of a CSV export
+ */
+function csvTotalLines(total) {
+  return "\n" + toCSVLine(["Total Readings Exported", total]);
+}
+
+/**
+ * Incremental summary statistics (rows newest first, added page by page)
+ * Same result as calculateSummary without keeping all rows in memory
+ */
+function createSummaryBuilder(parameters) {
+  const stats = {};
+  let total = 0;
+  let newest = null;
+  let oldest = null;
+
+  const addValue = (key, value) => {
+    if (value == null) return;
+
+    if (!stats[key]) {
+      stats[key] = { sum: 0, min: Infinity, max: -Infinity, count: 0 };
+    }
+
+    const stat = stats[key];
+    stat.sum += value;
+    stat.min = Math.min(stat.min, value);
+    stat.max = Math.max(stat.max, value);
+    stat.count++;
+  };
+
+  return {
+    add(rows) {
+      rows.forEach((row) => {
+        if (total === 0) newest = row.timestamp;
+        oldest = row.timestamp;
+        total++;
+
+        parameters.forEach((param) => {
+          addValue(`inlet_${param}`, row[`inlet_${param}`]);
+          addValue(`outlet_${param}`, row[`outlet_${param}`]);
+        });
+      });
+    },
+
+    result() {
+      if (total === 0) {
+        return null;
+      }
+
+      const summary = {
+        total_readings: total,
+        period_start: oldest,
+        period_end: newest,
+        parameters: {},
+      };
+
+      parameters.forEach((param) => {
+        ["inlet", "outlet"].forEach((location) => {
+          const stat = stats[`${location}_${param}`];
+          if (!stat) return;
+
+          summary.parameters[`${location}_${param}`] = {
+            avg: (stat.sum / stat.count).toFixed(2),
+            min: stat.min.toFixed(2),
+            max: stat.max.toFixed(2),
+            count: stat.count,
+          };
+        });
+
+        if (
+          summary.parameters[`inlet_${param}`] &&
+          summary.parameters[`outlet_${param}`]
+        ) {
+          const inletAvg = parseFloat(summary.parameters[`inlet_${param}`].avg);
+          const outletAvg = parseFloat(
+            summary.parameters[`outlet_${param}`].avg
+          );
+
+          if (param !== "ph" && param !== "temperature") {
+            const removal = ((inletAvg - outletAvg) / inletAvg) * 100;
+            summary.parameters[`${param}_removal`] = removal.toFixed(2) + "%";
+          }
+        }
+      });
+
+      return summary;
+    },
+  };
+}
+
+/**
+ * Excel "Summary" sheet (in-memory and streaming workbook)
+ */
+function writeSummarySheet(summarySheet, summary, filters) {
+  summarySheet.columns = [
+    { header: "Metric", key: "metric", width: 35 },
+    { header: "Value", key: "value", width: 30 },
+  ];
+
+  summarySheet.addRow({
+    metric: "Report Generated",
+    value: new Date().toLocaleString("id-ID"),
+  });
+  summarySheet.addRow({
+    metric: "Period",
+    value: `${filters.start_date} to ${filters.end_date}`,
+  });
+  summarySheet.addRow({
+    metric: "Total Readings",
+    value: summary.total_readings,
+  });
+  summarySheet.addRow({ metric: "", value: "" });
+
+  summarySheet.addRow({ metric: "Parameter Statistics", value: "" });
+  Object.entries(summary.parameters).forEach(([key, stats]) => {
+    if (typeof stats === "object" && stats !== null) {
+      summarySheet.addRow({ metric: key.toUpperCase(), value: "" });
+      summarySheet.addRow({ metric: "  Average", value: stats.avg });
+      summarySheet.addRow({ metric: "  Minimum", value: stats.min });
+      summarySheet.addRow({ metric: "  Maximum", value: stats.max });
+      summarySheet.addRow({ metric: "  Count", value: stats.count });
+    } else {
+      summarySheet.addRow({ metric: key.toUpperCase(), value: stats });
+    }
+  });
+
+  summarySheet.getRow(1).font = { bold: true, size: 12 };
+  summarySheet.getRow(5).font = { bold: true, size: 11 };
+  summarySheet.getRow(1).fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FFE0E0E0" },
+  };
+}
+
+/**
+ * Excel "Raw Data" header row (columns from the first row)
+ */
+function writeDataSheetHeader(dataSheet, headers) {
+  dataSheet.columns = headers.map((header) => ({
+    header: header.toUpperCase().replace(/_/g, " "),
+    key: header,
+    width: 20,
+  }));
+
+  dataSheet.getRow(1).fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FF4472C4" },
+  };
+  dataSheet.getRow(1).font = { bold: true, color: { argb: "FFFFFFFF" } };
+
+  dataSheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: 1, column: headers.length },
+  };
+}
+
+/**
+ * Backpressure: wait until the response buffer is flushed
+ * Throws when the client has gone away (stop reading Firestore)
+ */
+async function waitForDrain(output) {
+  if (output.writableNeedDrain && !output.destroyed) {
+    await new Promise((resolve) => {
+      const done = () => {
+        output.off("drain", done);
+        output.off("close", done);
+        resolve();
+      };
+      output.on("drain", done);
+      output.on("close", done);
+    });
+  }
+
+  if (output.destroyed) {
+    throw new Error("Export aborted: client disconnected");
+  }
+}
 
 const reportService = {
   /**
-   * Fetch water quality data dengan filter
+   * Fetch water quality data per page (newest first)
+   * Pages of READINGS_PAGE_SIZE until the period is exhausted, so long
+   * periods are not truncated. Used by streaming exports.
+   * @param {Object} filters - { ipal_id, start_date, end_date, timezone?, parameters, location }
+   * @yields {Array} Report rows (never empty)
    */
-  fetchWaterQualityData: async (filters) => {
+  fetchWaterQualityPages: async function* (filters) {
     const {
       ipal_id = 1,
-      start_date,
-      end_date,
       parameters = ["ph", "tds", "turbidity", "temperature"],
       location = "both",
     } = filters;
+    const { start, end } = getPeriodBounds(filters);
 
-    try {
-      console.log("📊 Fetching water quality data with filters:", filters);
+    console.log("📊 Fetching water quality data with filters:", filters);
 
-      let query = db
-        .collection("water_quality_readings")
-        .where("ipal_id", "==", parseInt(ipal_id));
+    let baseQuery = db
+      .collection("water_quality_readings")
+      .where("ipal_id", "==", parseInt(ipal_id));
 
-      if (start_date) {
-        const startTimestamp = admin.firestore.Timestamp.fromDate(
-          new Date(start_date + "T00:00:00Z")
-        );
-        query = query.where("timestamp", ">=", startTimestamp);
-      }
+    if (start) {
+      baseQuery = baseQuery.where(
+        "timestamp",
+        ">=",
+        admin.firestore.Timestamp.fromDate(start)
+      );
+    }
 
-      if (end_date) {
-        const endTimestamp = admin.firestore.Timestamp.fromDate(
-          new Date(end_date + "T23:59:59Z")
-        );
-        query = query.where("timestamp", "<=", endTimestamp);
-      }
+    if (end) {
+      baseQuery = baseQuery.where(
+        "timestamp",
+        "<=",
+        admin.firestore.Timestamp.fromDate(end)
+      );
+    }
+
+    baseQuery = baseQuery.orderBy("timestamp", "desc");
 
-      query = query.orderBy("timestamp", "desc").limit(1000);
+    let lastDoc = null;
+    let fetched = 0;
+
+    while (true) {
+      let query = baseQuery.limit(READINGS_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
 
       const snapshot = await query.get();
 
-      if (snapshot.empty) {
-        return [];
-      }
+      if (snapshot.empty) break;
 
-      const data = [];
-      snapshot.forEach((doc) => {
-        const reading = doc.data();
+      fetched += snapshot.size;
+      yield snapshot.docs.map((doc) => toReportRow(doc, parameters, location));
 
-        const row = {
-          timestamp: reading.timestamp?.toDate
-            ? reading.timestamp.toDate().toISOString()
-            : null,
-          reading_id: doc.id,
-        };
+      if (snapshot.size < READINGS_PAGE_SIZE) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
 
-        if (location === "both" || location === "inlet") {
-          parameters.forEach((param) => {
-            row[`inlet_${param}`] = reading.inlet?.[param] || null;
-          });
-        }
+    console.log(`✅ Fetched ${fetched} readings`);
+  },
 
-        if (location === "both" || location === "outlet") {
-          parameters.forEach((param) => {
-            row[`outlet_${param}`] = reading.outlet?.[param] || null;
-          });
-        }
+  /**
+   * Fetch water quality data dengan filter (all pages, in memory)
+   * Untuk preview, PDF & lampiran email. Download CSV/Excel pakai stream.
+   */
+  fetchWaterQualityData: async (filters) => {
+    try {
+      const data = [];
 
-        data.push(row);
-      });
+      for await (const page of reportService.fetchWaterQualityPages(filters)) {
+        data.push(...page);
+      }
 
-      console.log(`✅ Fetched ${data.length} readings`);
       return data;
     } catch (error) {
       console.error("❌ Error fetching data:", error);
@@ -92,63 +437,14 @@ const reportService = {
       return null;
     }
 
-    const summary = {
-      total_readings: data.length,
-      period_start: data[data.length - 1]?.timestamp,
-      period_end: data[0]?.timestamp,
-      parameters: {},
-    };
-
-    parameters.forEach((param) => {
-      const inletValues = data
-        .map((d) => d[`inlet_${param}`])
-        .filter((v) => v != null);
-
-      if (inletValues.length > 0) {
-        summary.parameters[`inlet_${param}`] = {
-          avg: (
-            inletValues.reduce((a, b) => a + b, 0) / inletValues.length
-          ).toFixed(2),
-          min: Math.min(...inletValues).toFixed(2),
-          max: Math.max(...inletValues).toFixed(2),
-          count: inletValues.length,
-        };
-      }
-
-      const outletValues = data
-        .map((d) => d[`outlet_${param}`])
-        .filter((v) => v != null);
-
-      if (outletValues.length > 0) {
-        summary.parameters[`outlet_${param}`] = {
-          avg: (
-            outletValues.reduce((a, b) => a + b, 0) / outletValues.length
-          ).toFixed(2),
-          min: Math.min(...outletValues).toFixed(2),
-          max: Math.max(...outletValues).toFixed(2),
-          count: outletValues.length,
-        };
-      }
-
-      if (
-        summary.parameters[`inlet_${param}`] &&
-        summary.parameters[`outlet_${param}`]
-      ) {
-        const inletAvg = parseFloat(summary.parameters[`inlet_${param}`].avg);
-        const outletAvg = parseFloat(summary.parameters[`outlet_${param}`].avg);
-
-        if (param !== "ph" && param !== "temperature") {
-          const removal = ((inletAvg - outletAvg) / inletAvg) * 100;
-          summary.parameters[`${param}_removal`] = removal.toFixed(2) + "%";
-        }
-      }
-    });
-
-    return summary;
+    const builder = createSummaryBuilder(parameters);
+    builder.add(data);
+    return builder.result();
   },
 
   /**
    * Generate CSV content (returns STRING)
+   * Last row = total readings exported
    */
   generateCSV: (data) => {
     if (!data || data.length === 0) {
@@ -157,23 +453,14 @@ const reportService = {
 
     const headers = Object.keys(data[0]);
     let csv = "\ufeff"; // BOM for UTF-8 Excel compatibility
-    csv += headers.join(",") + "\n";
+    csv += toCSVLine(headers);
 
     data.forEach((row) => {
-      const values = headers.map((header) => {
-        const value = row[header];
-        if (value == null) return "";
-        if (
-          typeof value === "string" &&
-          (value.includes(",") || value.includes('"'))
-        ) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      });
-      csv += values.join(",") + "\n";
+      csv += toCSVLine(headers.map((header) => row[header]));
     });
 
+    csv += csvTotalLines(data.length);
+
     return csv;
   },
 
@@ -187,74 +474,17 @@ const reportService = {
       workbook.created = new Date();
 
       // Sheet 1: Summary
-      const summarySheet = workbook.addWorksheet("Summary");
-      summarySheet.columns = [
-        { header: "Metric", key: "metric", width: 35 },
-        { header: "Value", key: "value", width: 30 },
-      ];
-
-      summarySheet.addRow({
-        metric: "Report Generated",
-        value: new Date().toLocaleString("id-ID"),
-      });
-      summarySheet.addRow({
-        metric: "Period",
-        value: `${filters.start_date} to ${filters.end_date}`,
-      });
-      summarySheet.addRow({
-        metric: "Total Readings",
-        value: summary.total_readings,
-      });
-      summarySheet.addRow({ metric: "", value: "" });
-
-      summarySheet.addRow({ metric: "Parameter Statistics", value: "" });
-      Object.entries(summary.parameters).forEach(([key, stats]) => {
-        if (typeof stats === "object" && stats !== null) {
-          summarySheet.addRow({ metric: key.toUpperCase(), value: "" });
-          summarySheet.addRow({ metric: "  Average", value: stats.avg });
-          summarySheet.addRow({ metric: "  Minimum", value: stats.min });
-          summarySheet.addRow({ metric: "  Maximum", value: stats.max });
-          summarySheet.addRow({ metric: "  Count", value: stats.count });
-        } else {
-          summarySheet.addRow({ metric: key.toUpperCase(), value: stats });
-        }
-      });
-
-      summarySheet.getRow(1).font = { bold: true, size: 12 };
-      summarySheet.getRow(5).font = { bold: true, size: 11 };
-      summarySheet.getRow(1).fill = {
-        type: "pattern",
-        pattern: "solid",
-        fgColor: { argb: "FFE0E0E0" },
-      };
+      writeSummarySheet(workbook.addWorksheet("Summary"), summary, filters);
 
       // Sheet 2: Raw Data
       const dataSheet = workbook.addWorksheet("Raw Data");
 
       if (data.length > 0) {
-        const headers = Object.keys(data[0]);
-        dataSheet.columns = headers.map((header) => ({
-          header: header.toUpperCase().replace(/_/g, " "),
-          key: header,
-          width: 20,
-        }));
+        writeDataSheetHeader(dataSheet, Object.keys(data[0]));
 
         data.forEach((row) => {
           dataSheet.addRow(row);
         });
-
-        dataSheet.getRow(1).font = { bold: true };
-        dataSheet.getRow(1).fill = {
-          type: "pattern",
-          pattern: "solid",
-          fgColor: { argb: "FF4472C4" },
-        };
-        dataSheet.getRow(1).font = { bold: true, color: { argb: "FFFFFFFF" } };
-
-        dataSheet.autoFilter = {
-          from: { row: 1, column: 1 },
-          to: { row: 1, column: headers.length },
-        };
       }
 
       // ✅ Return Buffer
@@ -266,6 +496,105 @@ const reportService = {
     }
   },
 
+  /**
+   * ========================================
+   * STREAMING EXPORT (CSV / EXCEL)
+   * ========================================
+   * Rows are written to the output page by page, nothing is capped.
+   * Hooks:
+   *   onStart()      - before the first byte (set response headers)
+   *   onTotal(total) - before the output ends (e.g. HTTP trailer)
+   * @returns {Promise<Number>} Readings exported, 0 = no data (nothing written)
+   */
+
+  /**
+   * Stream CSV to a writable (e.g. Express response)
+   */
+  streamCSV: async (filters, output, { onStart, onTotal } = {}) => {
+    const builder = createSummaryBuilder(filters.parameters || []);
+    let headers = null;
+    let total = 0;
+
+    for await (const page of reportService.fetchWaterQualityPages(filters)) {
+      if (!headers) {
+        headers = Object.keys(page[0]);
+        if (onStart) onStart();
+        output.write("\ufeff" + toCSVLine(headers)); // BOM for Excel
+      }
+
+      output.write(
+        page
+          .map((row) => toCSVLine(headers.map((header) => row[header])))
+          .join("")
+      );
+
+      builder.add(page);
+      total += page.length;
+      await waitForDrain(output);
+    }
+
+    if (total === 0) {
+      return 0;
+    }
+
+    output.write(csvTotalLines(total));
+    if (onTotal) onTotal(total);
+    output.end();
+
+    return total;
+  },
+
+  /**
+   * Stream Excel (ExcelJS streaming WorkbookWriter) to a writable
+   * Sheet order: Raw Data, Summary. The streaming writer zips sheets in
+   * creation order, so Summary (needs all rows) comes after Raw Data.
+   */
+  streamExcel: async (filters, output, { onStart, onTotal } = {}) => {
+    const builder = createSummaryBuilder(filters.parameters || []);
+    let workbook = null;
+    let dataSheet = null;
+
+    for await (const page of reportService.fetchWaterQualityPages(filters)) {
+      if (!workbook) {
+        if (onStart) onStart();
+
+        workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+          stream: output,
+          useStyles: true,
+        });
+        workbook.creator = "IPAL Monitoring System";
+        workbook.created = new Date();
+
+        dataSheet = workbook.addWorksheet("Raw Data");
+        writeDataSheetHeader(dataSheet, Object.keys(page[0]));
+        dataSheet.getRow(1).commit();
+      }
+
+      page.forEach((row) => {
+        dataSheet.addRow(row).commit();
+      });
+
+      builder.add(page);
+      await waitForDrain(output);
+    }
+
+    if (!workbook) {
+      return 0;
+    }
+
+    dataSheet.commit();
+
+    const summary = builder.result();
+    const summarySheet = workbook.addWorksheet("Summary");
+    writeSummarySheet(summarySheet, summary, filters);
+    summarySheet.commit();
+
+    if (onTotal) onTotal(summary.total_readings);
+    await workbook.commit();
+
+    return summary.total_readings;
+  },
+
   /**
    * Generate PDF file using PDFKit (returns BUFFER)
    * Clean professional version without emojis
@@ -855,6 +1184,722 @@ const reportService = {
       }
     });
   },
+
+  /**
+   * ========================================
+   * COMPLIANCE REPORT (baku mutu)
+   * ========================================
+   */
+
+  /**
+   * Fetch measured outlet values in period (oldest first, paged)
+   * Readings without an outlet sample (inlet-only partial, or outlet
+   * borrowed via pair_last_known) are skipped.
+   * @param {Object} filters - { ipal_id, start_date, end_date, timezone? }
+   * @returns {Array} [{ timestamp: Date, outlet: {...}, profile_version }]
+   *   profile_version: baku mutu version the reading was scored with (null if unknown)
+   */
+  fetchOutletSeries: async (filters) => {
+    const { start, end } = getPeriodBounds(filters);
+    const baseQuery = db
+      .collection("water_quality_readings")
+      .where("ipal_id", "==", parseInt(filters.ipal_id))
+      .where("timestamp", ">=", admin.firestore.Timestamp.fromDate(start))
+      .where("timestamp", "<=", admin.firestore.Timestamp.fromDate(end))
+      .orderBy("timestamp", "asc");
+
+    const series = [];
+    let lastDoc = null;
+
+    // Periode panjang bisa > 1000 reading, ambil per halaman
+    while (true) {
+      let query = baseQuery.limit(READINGS_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const snapshot = await query.get();
+
+      snapshot.docs.forEach((doc) => {
+        const reading = doc.data();
+        const outlet = measuredSide(reading, "outlet");
+
+        if (reading.timestamp?.toDate && outlet) {
+          series.push({
+            timestamp: reading.timestamp.toDate(),
+            outlet,
+            profile_version:
+              reading.fuzzy_analysis?.threshold_profile_version ?? null,
+          });
+        }
+      });
+
+      if (snapshot.size < READINGS_PAGE_SIZE) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return series;
+  },
+
+  /**
+   * Baku mutu profiles used to score the readings in a series
+   * Each reading is checked against the version it was scored with;
+   * readings without a recorded version (or whose version no longer
+   * exists) use the current profile. Sets series[i].profile_version to
+   * the version actually applied.
+   * @param {Number} ipalId - IPAL ID
+   * @param {Array} series - Output of fetchOutletSeries
+   * @param {Object} currentProfile - fuzzyService.getThresholdProfile()
+   * @returns {Promise<Map>} version → { version, source, thresholds }
+   */
+  loadAppliedProfiles: async (ipalId, series, currentProfile) => {
+    const profiles = new Map([[currentProfile.version, currentProfile]]);
+    const versions = new Set(series.map((r) => r.profile_version));
+
+    for (const version of versions) {
+      if (version === null || profiles.has(version)) continue;
+
+      if (version === fuzzyService.DEFAULT_PROFILE_VERSION) {
+        profiles.set(version, {
+          version,
+          source: "default",
+          thresholds: fuzzyService.THRESHOLDS,
+        });
+        continue;
+      }
+
+      const profile = await getThresholdProfileModel().getProfileVersion(
+        ipalId,
+        version
+      );
+
+      if (profile) {
+        profiles.set(version, {
+          version,
+          source: "ipal",
+          thresholds: profile.thresholds,
+        });
+      }
+    }
+
+    series.forEach((reading) => {
+      if (!profiles.has(reading.profile_version)) {
+        reading.profile_version = currentProfile.version;
+      }
+    });
+
+    return profiles;
+  },
+
+  /**
+   * Compliance per parameter against baku mutu
+   *
+   * Episode = consecutive readings outside baku mutu. It lasts from the
+   * first violating reading until the next compliant reading; an episode
+   * still open at the end of the period ends at its last reading
+   * (ongoing: true).
+   *
+   * @param {Array} series - [{ timestamp: Date, outlet, profile_version }] oldest first
+   * @param {Map} profiles - version → baku mutu profile (loadAppliedProfiles)
+   * @param {Array} parameters - Parameters to evaluate
+   * @returns {Object} { total_readings, overall, parameters }
+   *   parameters[x].limits: limits of the most recent profile applied
+   */
+  calculateCompliance: (series, profiles, parameters) => {
+    const result = {};
+    const nonCompliantReadings = new Set();
+    const latestVersion = series.length
+      ? series[series.length - 1].profile_version
+      : null;
+
+    const limitsOf = (version, param) => {
+      const thresholds = profiles.get(version)?.thresholds || {};
+      return {
+        min: thresholds[param]?.min ?? null,
+        max: thresholds[param]?.max ?? null,
+      };
+    };
+
+    parameters.forEach((param) => {
+      const stats = {
+        parameter: param,
+        unit: PARAMETER_UNITS[param] || "",
+        limits: limitsOf(latestVersion, param),
+        readings: 0,
+        compliant: 0,
+        exceeded: 0,
+        compliance_percentage: null,
+        episodes: {
+          count: 0,
+          total_duration_minutes: 0,
+          longest: null,
+          items: [],
+        },
+        worst: null,
+      };
+
+      let episode = null;
+      let worstDeviation = -1;
+
+      const closeEpisode = (end, ongoing) => {
+        const duration = end - episode.start;
+        const item = {
+          start: episode.start.toISOString(),
+          end: end.toISOString(),
+          duration_minutes: toMinutes(duration),
+          readings: episode.readings,
+          ongoing,
+        };
+
+        stats.episodes.items.push(item);
+        stats.episodes.total_duration_minutes += duration;
+        if (
+          !stats.episodes.longest ||
+          item.duration_minutes > stats.episodes.longest.duration_minutes
+        ) {
+          stats.episodes.longest = item;
+        }
+        episode = null;
+      };
+
+      series.forEach((reading, index) => {
+        const value = reading.outlet[param];
+        if (typeof value !== "number") return;
+
+        stats.readings++;
+        const violation = checkLimit(
+          value,
+          limitsOf(reading.profile_version, param)
+        );
+
+        if (!violation) {
+          stats.compliant++;
+          if (episode) closeEpisode(reading.timestamp, false);
+          return;
+        }
+
+        stats.exceeded++;
+        nonCompliantReadings.add(index);
+
+        if (!episode) {
+          episode = { start: reading.timestamp, last: null, readings: 0 };
+        }
+        episode.last = reading.timestamp;
+        episode.readings++;
+
+        if (violation.deviation > worstDeviation) {
+          worstDeviation = violation.deviation;
+          stats.worst = {
+            value,
+            timestamp: reading.timestamp.toISOString(),
+            limit: violation.limit,
+            condition: violation.condition,
+          };
+        }
+      });
+
+      if (episode) closeEpisode(episode.last, true);
+
+      stats.episodes.count = stats.episodes.items.length;
+      stats.episodes.total_duration_minutes = toMinutes(
+        stats.episodes.total_duration_minutes
+      );
+      stats.compliance_percentage =
+        stats.readings > 0
+          ? Math.round((stats.compliant / stats.readings) * 10000) / 100
+          : null;
+
+      result[param] = stats;
+    });
+
+    const compliantReadings = series.length - nonCompliantReadings.size;
+
+    return {
+      total_readings: series.length,
+      overall: {
+        compliant_readings: compliantReadings,
+        compliance_percentage:
+          series.length > 0
+            ? Math.round((compliantReadings / series.length) * 10000) / 100
+            : null,
+        status: nonCompliantReadings.size === 0 ? "compliant" : "non_compliant",
+      },
+      parameters: result,
+    };
+  },
+
+  /**
+   * Build compliance report for an IPAL & period
+   * Only readings with a measured outlet sample are counted.
+   * Baku mutu: the IPAL threshold profile version each reading was scored
+   * with (default: fuzzyService THRESHOLDS); listed in baku_mutu.applied
+   * @param {Object} filters - { ipal_id, start_date, end_date, parameters? }
+   * @returns {Object|null} Report, null if no outlet readings
+   */
+  generateComplianceReport: async (filters) => {
+    const ipalId = parseInt(filters.ipal_id);
+    const parameters = filters.parameters || COMPLIANCE_PARAMETERS;
+
+    const [currentProfile, series] = await Promise.all([
+      fuzzyService.getThresholdProfile(ipalId),
+      reportService.fetchOutletSeries(filters),
+    ]);
+
+    if (series.length === 0) {
+      return null;
+    }
+
+    const profiles = await reportService.loadAppliedProfiles(
+      ipalId,
+      series,
+      currentProfile
+    );
+
+    // Versions actually applied, with number of readings per version
+    const readingsPerVersion = new Map();
+    series.forEach((r) =>
+      readingsPerVersion.set(
+        r.profile_version,
+        (readingsPerVersion.get(r.profile_version) || 0) + 1
+      )
+    );
+    const applied = [...readingsPerVersion.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([version, readings]) => ({
+        version,
+        source: profiles.get(version).source,
+        readings,
+      }));
+    const latest = profiles.get(series[series.length - 1].profile_version);
+
+    console.log(
+      `📋 Compliance: IPAL ${ipalId}, ${
+        series.length
+      } outlet readings, baku mutu ${applied
+        .map((p) => `${p.source} v${p.version}`)
+        .join(", ")}`
+    );
+
+    return {
+      ipal_id: ipalId,
+      period: {
+        start_date: filters.start_date,
+        end_date: filters.end_date,
+        first_reading: series[0].timestamp.toISOString(),
+        last_reading: series[series.length - 1].timestamp.toISOString(),
+      },
+      location: "outlet",
+      baku_mutu: {
+        source: latest.source,
+        version: latest.version,
+        applied,
+      },
+      generated_at: new Date().toISOString(),
+      ...reportService.calculateCompliance(series, profiles, parameters),
+    };
+  },
+
+  /**
+   * Generate compliance PDF using PDFKit (returns BUFFER)
+   * Template terpisah dari laporan kualitas air biasa
+   * @param {Object} report - Output of generateComplianceReport
+   */
+  generateCompliancePDF: async (report) => {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: "A4",
+          margins: { top: 30, bottom: 40, left: 40, right: 40 },
+          bufferPages: true,
+          info: {
+            Title: "Compliance Report",
+            Author: "IPAL Monitoring System - UNDIP",
+            Subject: "Baku Mutu Compliance Report",
+            Keywords: "compliance, baku mutu, IPAL, UNDIP",
+          },
+        });
+
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", reject);
+
+        const colors = {
+          primary: "#003d82", // UNDIP Blue
+          accent: "#fbbf24", // Gold accent
+          success: "#10b981",
+          danger: "#ef4444",
+          dark: "#1f2937",
+          gray: "#6b7280",
+          lightGray: "#f3f4f6",
+          white: "#ffffff",
+        };
+
+        const parameters = Object.values(report.parameters);
+
+        // ========================================
+        // HEADER
+        // ========================================
+        doc.rect(0, 0, 612, 100).fill(colors.primary);
+        doc.rect(0, 95, 612, 5).fill(colors.accent);
+
+        doc.circle(70, 50, 30).lineWidth(3).stroke(colors.white);
+        doc
+          .fontSize(10)
+          .fillColor(colors.white)
+          .font("Helvetica-Bold")
+          .text("UNDIP", 50, 42, { width: 40, align: "center" });
+
+        doc
+          .fontSize(20)
+          .font("Helvetica-Bold")
+          .text("LAPORAN KEPATUHAN BAKU MUTU", 120, 25);
+        doc
+          .fontSize(11)
+          .font("Helvetica")
+          .text(`IPAL ${report.ipal_id} - Effluent (Outlet)`, 120, 52);
+        doc.fontSize(10).text("Universitas Diponegoro", 120, 70);
+
+        let yPosition = 115;
+
+        // ========================================
+        // INFO CARDS (periode, kepatuhan, baku mutu)
+        // ========================================
+        const cardWidth = 170;
+        const cardHeight = 55;
+        const cardX = (i) => 40 + i * (cardWidth + 6);
+        const compliant = report.overall.status === "compliant";
+
+        doc
+          .roundedRect(cardX(0), yPosition, cardWidth, cardHeight, 5)
+          .fill(colors.lightGray);
+        doc
+          .fontSize(9)
+          .fillColor(colors.gray)
+          .font("Helvetica-Bold")
+          .text("PERIODE", cardX(0) + 10, yPosition + 10);
+        doc
+          .fontSize(10)
+          .fillColor(colors.dark)
+          .text(
+            `${report.period.start_date} s/d ${report.period.end_date}`,
+            cardX(0) + 10,
+            yPosition + 28,
+            { width: cardWidth - 20 }
+          );
+
+        doc
+          .roundedRect(cardX(1), yPosition, cardWidth, cardHeight, 5)
+          .fill(compliant ? "#d1fae5" : "#fee2e2");
+        doc
+          .fontSize(9)
+          .fillColor(colors.gray)
+          .font("Helvetica-Bold")
+          .text("KEPATUHAN", cardX(1) + 10, yPosition + 10);
+        doc
+          .fontSize(18)
+          .fillColor(compliant ? colors.success : colors.danger)
+          .text(
+            `${report.overall.compliance_percentage}%`,
+            cardX(1) + 10,
+            yPosition + 24
+          );
+        doc
+          .fontSize(8)
+          .fillColor(colors.gray)
+          .font("Helvetica")
+          .text(
+            `${report.overall.compliant_readings} dari ${report.total_readings} data`,
+            cardX(1) + 80,
+            yPosition + 30,
+            { width: cardWidth - 90 }
+          );
+
+        doc
+          .roundedRect(cardX(2), yPosition, cardWidth, cardHeight, 5)
+          .fill("#fef3c7");
+        doc
+          .fontSize(9)
+          .fillColor(colors.gray)
+          .font("Helvetica-Bold")
+          .text("BAKU MUTU", cardX(2) + 10, yPosition + 10);
+        doc
+          .fontSize(10)
+          .fillColor(colors.dark)
+          .text(
+            report.baku_mutu.applied.length > 1
+              ? `Per data: ${report.baku_mutu.applied
+                  .map((p) =>
+                    p.source === "ipal" ? `v${p.version}` : "default"
+                  )
+                  .join(", ")}`
+              : report.baku_mutu.source === "ipal"
+              ? `Profil IPAL v${report.baku_mutu.version}`
+              : "Default sistem",
+            cardX(2) + 10,
+            yPosition + 28,
+            { width: cardWidth - 20 }
+          );
+
+        yPosition += cardHeight + 20;
+
+        // ========================================
+        // TABLE HELPER
+        // ========================================
+        const drawTable = (title, headers, colX, colW, rows) => {
+          if (yPosition > 640) {
+            doc.addPage();
+            yPosition = 40;
+          }
+
+          doc
+            .fontSize(13)
+            .fillColor(colors.dark)
+            .font("Helvetica-Bold")
+            .text(title, 40, yPosition);
+          doc
+            .strokeColor(colors.primary)
+            .lineWidth(2.5)
+            .moveTo(40, yPosition + 20)
+            .lineTo(180, yPosition + 20)
+            .stroke();
+          yPosition += 28;
+
+          const drawHeader = () => {
+            doc.roundedRect(40, yPosition, 532, 22, 3).fill(colors.primary);
+            doc.fontSize(8).font("Helvetica-Bold").fillColor(colors.white);
+            headers.forEach((header, i) => {
+              doc.text(header, colX[i], yPosition + 7, {
+                width: colW[i],
+                align: i === 0 ? "left" : "center",
+              });
+            });
+            yPosition += 22;
+          };
+
+          drawHeader();
+
+          rows.forEach((cells, rowIndex) => {
+            if (yPosition > 740) {
+              doc.addPage();
+              yPosition = 40;
+              drawHeader();
+            }
+
+            if (rowIndex % 2 === 0) {
+              doc.rect(40, yPosition, 532, 20).fill("#f9fafb");
+            }
+
+            cells.forEach((cell, i) => {
+              doc
+                .fontSize(8)
+                .font(i === 0 ? "Helvetica-Bold" : "Helvetica")
+                .fillColor(cell?.color || colors.dark)
+                .text(String(cell?.text ?? cell), colX[i], yPosition + 6, {
+                  width: colW[i],
+                  align: i === 0 ? "left" : "center",
+                });
+            });
+            yPosition += 20;
+          });
+
+          doc
+            .strokeColor(colors.gray)
+            .lineWidth(0.5)
+            .moveTo(40, yPosition)
+            .lineTo(572, yPosition)
+            .stroke();
+          yPosition += 20;
+        };
+
+        // ========================================
+        // KEPATUHAN PER PARAMETER
+        // ========================================
+        drawTable(
+          "KEPATUHAN PER PARAMETER",
+          [
+            "Parameter",
+            "Baku Mutu",
+            "Data",
+            "Sesuai",
+            "Episode",
+            "Total Durasi",
+          ],
+          [48, 130, 230, 290, 370, 440],
+          [80, 100, 60, 80, 70, 130],
+          parameters.map((p) => [
+            p.parameter.toUpperCase(),
+            formatLimits(p.limits, p.unit),
+            p.readings,
+            {
+              text:
+                p.compliance_percentage != null
+                  ? `${p.compliance_percentage}%`
+                  : "-",
+              color: p.exceeded > 0 ? colors.danger : colors.success,
+            },
+            p.episodes.count,
+            p.episodes.count > 0
+              ? formatDuration(p.episodes.total_duration_minutes)
+              : "-",
+          ])
+        );
+
+        // ========================================
+        // PELANGGARAN TERPANJANG & NILAI TERBURUK
+        // ========================================
+        drawTable(
+          "PELANGGARAN TERPANJANG & NILAI TERBURUK",
+          [
+            "Parameter",
+            "Mulai",
+            "Durasi",
+            "Nilai Terburuk",
+            "Waktu Nilai Terburuk",
+          ],
+          [48, 120, 240, 340, 440],
+          [70, 115, 95, 95, 130],
+          parameters.map((p) => [
+            p.parameter.toUpperCase(),
+            p.episodes.longest ? formatDateTime(p.episodes.longest.start) : "-",
+            p.episodes.longest
+              ? `${formatDuration(p.episodes.longest.duration_minutes)}${
+                  p.episodes.longest.ongoing ? "*" : ""
+                }`
+              : "-",
+            p.worst
+              ? {
+                  text: `${p.worst.value}${p.unit ? ` ${p.unit}` : ""}`,
+                  color: colors.danger,
+                }
+              : "-",
+            p.worst ? formatDateTime(p.worst.timestamp) : "-",
+          ])
+        );
+
+        // ========================================
+        // DAFTAR EPISODE (terpanjang dulu)
+        // ========================================
+        const episodes = parameters
+          .flatMap((p) =>
+            p.episodes.items.map((item) => ({
+              ...item,
+              parameter: p.parameter,
+            }))
+          )
+          .sort((a, b) => b.duration_minutes - a.duration_minutes)
+          .slice(0, 20);
+
+        if (episodes.length > 0) {
+          drawTable(
+            "EPISODE PELANGGARAN TERPANJANG",
+            ["Parameter", "Mulai", "Selesai", "Durasi", "Data"],
+            [48, 130, 250, 370, 480],
+            [80, 115, 115, 105, 80],
+            episodes.map((episode) => [
+              episode.parameter.toUpperCase(),
+              formatDateTime(episode.start),
+              formatDateTime(episode.end),
+              `${formatDuration(episode.duration_minutes)}${
+                episode.ongoing ? "*" : ""
+              }`,
+              episode.readings,
+            ])
+          );
+        }
+
+        doc
+          .fontSize(8)
+          .fillColor(colors.gray)
+          .font("Helvetica")
+          .text(
+            "* Pelanggaran masih berlangsung di akhir periode. Durasi episode dihitung dari data pertama di luar baku mutu sampai data pertama yang kembali sesuai.",
+            40,
+            yPosition,
+            { width: 532 }
+          );
+
+        // ========================================
+        // PAGE NUMBERS AND FOOTER
+        // ========================================
+        const pages = doc.bufferedPageRange();
+        for (let i = 0; i < pages.count; i++) {
+          doc.switchToPage(i);
+
+          // Footer sits below the bottom margin → no auto page break
+          doc.page.margins.bottom = 0;
+
+          doc
+            .strokeColor(colors.primary)
+            .lineWidth(1)
+            .moveTo(40, doc.page.height - 60)
+            .lineTo(572, doc.page.height - 60)
+            .stroke();
+
+          doc
+            .fontSize(9)
+            .fillColor(colors.gray)
+            .font("Helvetica")
+            .text(
+              `Halaman ${i + 1} dari ${pages.count}`,
+              0,
+              doc.page.height - 45,
+              { align: "center", width: doc.page.width }
+            );
+
+          doc
+            .fontSize(7)
+            .text(
+              `Dibuat ${formatDateTime(
+                report.generated_at
+              )} - Water Quality Monitoring System`,
+              0,
+              doc.page.height - 32,
+              { align: "center", width: doc.page.width }
+            );
+        }
+
+        doc.end();
+      } catch (error) {
+        console.error("Error in compliance PDF generation:", error);
+        reject(error);
+      }
+    });
+  },
+
+  /**
+   * Generate report file in the requested format
+   * Dipakai oleh scheduled report (lampiran email)
+   * @returns {Object} { content, contentType, fileName }
+   */
+  generateReportFile: async (format, data, summary, filters) => {
+    const baseName = `water_quality_report_${filters.start_date}_${filters.end_date}`;
+
+    if (format === "csv") {
+      return {
+        content: Buffer.from(reportService.generateCSV(data), "utf8"),
+        contentType: "text/csv; charset=utf-8",
+        fileName: `${baseName}.csv`,
+      };
+    }
+
+    if (format === "excel") {
+      return {
+        content: await reportService.generateExcel(data, summary, filters),
+        contentType:
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        fileName: `${baseName}.xlsx`,
+      };
+    }
+
+    if (format === "pdf") {
+      return {
+        content: await reportService.generatePDF(data, summary, filters),
+        contentType: "application/pdf",
+        fileName: `${baseName}.pdf`,
+      };
+    }
+
+    throw new Error(`Invalid format: ${format}`);
+  },
 };
 
 module.exports = reportService;
@@ -0,0 +1,197 @@
+/**
+ * ========================================
+ * REPORT STORAGE SERVICE
+ * ========================================
+ * Storage for generated report files (async report jobs)
+ *
+ * Backend per env REPORT_STORAGE:
+ *   local    → REPORT_STORAGE_DIR (default <tmp>/ipal-reports)
+ *              Hanya untuk server yang jalan terus (satu instance)
+ *   firebase → Firebase Storage bucket REPORT_STORAGE_BUCKET
+ *              (default: storageBucket of the Firebase app, set via
+ *              FIREBASE_STORAGE_BUCKET). Default di Vercel &
+ *              Cloud Functions: /tmp tidak dibagi antar instance.
+ *              Without a bucket name new report jobs are refused.
+ *
+ * Other backends: registerBackend(name, { save, createReadStream, remove,
+ * assertConfigured? })
+ * The stored file record keeps its backend name, so files stay readable
+ * after REPORT_STORAGE changes.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// ========================================
+// KONFIGURASI
+// ========================================
+
+const CONFIG = {
+  BACKEND:
+    process.env.REPORT_STORAGE ||
+    (process.env.VERCEL || process.env.FUNCTION_TARGET ? "firebase" : "local"),
+  LOCAL_DIR:
+    process.env.REPORT_STORAGE_DIR || path.join(os.tmpdir(), "ipal-reports"),
+  BUCKET: process.env.REPORT_STORAGE_BUCKET || null,
+  PREFIX: "reports",
+};
+
+/**
+ * ========================================
+ * BACKENDS
+ * ========================================
+ * save(key, content: Buffer, contentType) → Promise
+ * createReadStream(key) → Readable (emits error if the file is gone)
+ * remove(key) → Promise (missing file is not an error)
+ * assertConfigured() → throws if the backend cannot be used (optional)
+ */
+
+const localBackend = {
+  async save(key, content) {
+    const filePath = path.join(CONFIG.LOCAL_DIR, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+  },
+
+  createReadStream(key) {
+    return fs.createReadStream(path.join(CONFIG.LOCAL_DIR, key));
+  },
+
+  async remove(key) {
+    const filePath = path.join(CONFIG.LOCAL_DIR, key);
+    await fs.promises.rm(filePath, { force: true });
+    // Folder per job
+    await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+  },
+};
+
+// ⚡ Lazy: Firebase Storage client only when used
+let bucket;
+
+const getBucket = () => {
+  if (!bucket) {
+    const { admin } = require("../config/firebase-config");
+    const name = CONFIG.BUCKET || admin.app().options.storageBucket;
+
+    if (!name) {
+      const error = new Error(
+        "Report storage bucket not configured: set REPORT_STORAGE_BUCKET or FIREBASE_STORAGE_BUCKET (or REPORT_STORAGE=local)"
+      );
+      error.code = "storage-not-configured";
+      throw error;
+    }
+
+    bucket = admin.storage().bucket(name);
+  }
+  return bucket;
+};
+
+const firebaseBackend = {
+  async save(key, content, contentType) {
+    await getBucket()
+      .file(`${CONFIG.PREFIX}/${key}`)
+      .save(content, { contentType, resumable: false });
+  },
+
+  createReadStream(key) {
+    return getBucket().file(`${CONFIG.PREFIX}/${key}`).createReadStream();
+  },
+
+  async remove(key) {
+    await getBucket()
+      .file(`${CONFIG.PREFIX}/${key}`)
+      .delete({ ignoreNotFound: true });
+  },
+
+  assertConfigured() {
+    getBucket();
+  },
+};
+
+const backends = new Map([
+  ["local", localBackend],
+  ["firebase", firebaseBackend],
+]);
+
+/**
+ * Register (or replace) a storage backend
+ * @param {String} name - Backend name (REPORT_STORAGE value)
+ * @param {Object} backend - { save, createReadStream, remove }
+ */
+function registerBackend(name, backend) {
+  backends.set(name, backend);
+}
+
+function getBackend(name) {
+  const backend = backends.get(name);
+
+  if (!backend) {
+    throw new Error(`Unknown report storage backend: ${name}`);
+  }
+
+  return backend;
+}
+
+/**
+ * ========================================
+ * FILES
+ * ========================================
+ */
+
+/**
+ * Throw if the configured backend cannot store files
+ * (error.code "storage-not-configured" when the bucket name is missing)
+ */
+function assertConfigured() {
+  const backend = getBackend(CONFIG.BACKEND);
+
+  if (backend.assertConfigured) {
+    backend.assertConfigured();
+  }
+}
+
+/**
+ * Store a file in the configured backend
+ * @param {String} key - Path within the backend (e.g. "<jobId>/<fileName>")
+ * @param {Buffer} content - File content
+ * @param {String} contentType - MIME type
+ * @returns {Promise<Object>} { storage, key, size }
+ */
+async function saveFile(key, content, contentType) {
+  await getBackend(CONFIG.BACKEND).save(key, content, contentType);
+
+  return { storage: CONFIG.BACKEND, key, size: content.length };
+}
+
+/**
+ * Read stream of a stored file
+ * @param {Object} file - { storage, key }
+ * @returns {Readable}
+ */
+function createReadStream(file) {
+  return getBackend(file.storage).createReadStream(file.key);
+}
+
+/**
+ * Delete a stored file
+ * @param {Object} file - { storage, key }
+ */
+async function removeFile(file) {
+  await getBackend(file.storage).remove(file.key);
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  assertConfigured,
+  saveFile,
+  createReadStream,
+  removeFile,
+  registerBackend,
+  CONFIG,
+};
+
+console.log("📦 reportStorageService loaded");
@@ -0,0 +1,280 @@
+/**
+ * ========================================
+ * SCHEDULER SERVICE
+ * ========================================
+ * Background jobs (node-cron), started from server.js
+ * On Vercel the server never starts the scheduler; there every job runs
+ * as a scheduled Cloud Function (functions/index.js) via runJob.
+ *
+ * Jobs are registered in jobs/index.js. Schedule per job can be
+ * overridden via env:
+ *   JOB_<NAME>_SCHEDULE  → cron expression (e.g. JOB_DAILY_DIGEST_SCHEDULE="0 6 * * *")
+ *   JOB_<NAME>_ENABLED   → "false" to disable one job
+ *   JOBS_ENABLED         → "false" to disable the scheduler entirely
+ *   JOB_TIMEZONE         → cron timezone (default Asia/Jakarta)
+ *
+ * Every run (scheduled or manual) is recorded in job_runs.
+ */
+
+const cron = require("node-cron");
+
+// ⚡ Lazy load heavy dependencies to reduce cold start
+let jobs;
+let jobRunModel;
+
+const getJobs = () => {
+  if (!jobs) {
+    jobs = require("../jobs");
+  }
+  return jobs;
+};
+
+const getJobRunModel = () => {
+  if (!jobRunModel) {
+    jobRunModel = require("../models/jobRunModel");
+  }
+  return jobRunModel;
+};
+
+/**
+ * ========================================
+ * CONFIGURATION
+ * ========================================
+ */
+
+const CONFIG = {
+  TIMEZONE: process.env.JOB_TIMEZONE || "Asia/Jakarta",
+};
+
+// In-memory state per job: { task, schedule, enabled, running, last_run }
+const state = new Map();
+let started = false;
+
+/**
+ * "daily-digest" → "JOB_DAILY_DIGEST"
+ */
+function envPrefix(jobName) {
+  return `JOB_${jobName.toUpperCase().replace(/-/g, "_")}`;
+}
+
+/**
+ * Resolve schedule & enabled flag for a job (env overrides default)
+ */
+function resolveJobConfig(job) {
+  const prefix = envPrefix(job.name);
+  const schedule = process.env[`${prefix}_SCHEDULE`] || job.defaultSchedule;
+  const enabled = process.env[`${prefix}_ENABLED`] !== "false";
+
+  return { schedule, enabled };
+}
+
+function findJob(name) {
+  return getJobs().find((job) => job.name === name) || null;
+}
+
+function getState(name) {
+  if (!state.has(name)) {
+    state.set(name, { task: null, running: false, last_run: null });
+  }
+  return state.get(name);
+}
+
+/**
+ * ========================================
+ * LIFECYCLE
+ * ========================================
+ */
+
+/**
+ * Start all enabled jobs
+ * @returns {Array} Started job names
+ */
+function start() {
+  if (started) {
+    return [];
+  }
+
+  if (process.env.JOBS_ENABLED === "false") {
+    console.log("⏸️  Background jobs disabled (JOBS_ENABLED=false)");
+    return [];
+  }
+
+  const startedJobs = [];
+
+  getJobs().forEach((job) => {
+    const { schedule, enabled } = resolveJobConfig(job);
+    const jobState = getState(job.name);
+
+    if (!enabled) {
+      console.log(`⏸️  Job ${job.name} disabled`);
+      return;
+    }
+
+    if (!cron.validate(schedule)) {
+      console.error(`❌ Job ${job.name}: invalid schedule "${schedule}"`);
+      return;
+    }
+
+    jobState.task = cron.schedule(
+      schedule,
+      () => runJob(job.name, { trigger: "schedule" }).catch(() => {}),
+      {
+        name: job.name,
+        timezone: CONFIG.TIMEZONE,
+        noOverlap: true,
+      }
+    );
+
+    startedJobs.push(job.name);
+    console.log(`⏰ Job ${job.name} scheduled (${schedule})`);
+  });
+
+  started = true;
+  return startedJobs;
+}
+
+/**
+ * Stop all scheduled jobs (graceful shutdown)
+ */
+function stop() {
+  state.forEach((jobState) => {
+    if (jobState.task) {
+      jobState.task.destroy();
+      jobState.task = null;
+    }
+  });
+
+  started = false;
+  console.log("⏹️  Background jobs stopped");
+}
+
+/**
+ * ========================================
+ * RUN
+ * ========================================
+ */
+
+/**
+ * Run job now and record the result
+ * @param {String} name - Job name
+ * @param {Object} options - { trigger: "schedule"|"manual", triggered_by? }
+ * @returns {Object} Job run record
+ */
+async function runJob(name, { trigger = "manual", triggered_by = null } = {}) {
+  const job = findJob(name);
+
+  if (!job) {
+    const error = new Error(`Job ${name} not found`);
+    error.code = "not-found";
+    throw error;
+  }
+
+  const jobState = getState(name);
+
+  if (jobState.running) {
+    const error = new Error(`Job ${name} is already running`);
+    error.code = "already-running";
+    throw error;
+  }
+
+  jobState.running = true;
+  const startedAt = new Date();
+  console.log(`▶️  Running job ${name} (${trigger})`);
+
+  const run = {
+    job: name,
+    trigger,
+    triggered_by,
+    started_at: startedAt,
+  };
+
+  try {
+    run.result = await job.run();
+    run.status = "success";
+    console.log(`✅ Job ${name} finished`);
+  } catch (error) {
+    run.status = "failed";
+    run.error = error.message;
+    console.error(`❌ Job ${name} failed:`, error);
+  } finally {
+    jobState.running = false;
+  }
+
+  run.finished_at = new Date();
+  run.duration_ms = run.finished_at - startedAt;
+
+  try {
+    run.id = await getJobRunModel().saveJobRun(run);
+  } catch (error) {
+    // History is best effort, job result is still kept in memory
+    console.error(`⚠️  Could not save run of job ${name}:`, error.message);
+  }
+
+  jobState.last_run = {
+    ...run,
+    started_at: run.started_at.toISOString(),
+    finished_at: run.finished_at.toISOString(),
+  };
+
+  return jobState.last_run;
+}
+
+/**
+ * ========================================
+ * INFO
+ * ========================================
+ */
+
+/**
+ * Describe one job (config + runtime state)
+ */
+function describeJob(job) {
+  const { schedule, enabled } = resolveJobConfig(job);
+  const jobState = getState(job.name);
+  const nextRun = jobState.task ? jobState.task.getNextRun() : null;
+
+  return {
+    name: job.name,
+    description: job.description,
+    schedule,
+    timezone: CONFIG.TIMEZONE,
+    enabled: enabled && process.env.JOBS_ENABLED !== "false",
+    scheduled: jobState.task !== null,
+    running: jobState.running,
+    next_run: nextRun ? nextRun.toISOString() : null,
+    last_run: jobState.last_run,
+  };
+}
+
+/**
+ * List all jobs
+ */
+function listJobs() {
+  return getJobs().map(describeJob);
+}
+
+/**
+ * Get one job (null if unknown)
+ */
+function getJob(name) {
+  const job = findJob(name);
+  return job ? describeJob(job) : null;
+}
+
+/**
+ * ========================================
+ * EXPORTS
+ * ========================================
+ */
+
+module.exports = {
+  start,
+  stop,
+  runJob,
+  listJobs,
+  getJob,
+
+  CONFIG,
+};
+
+console.log("📦 schedulerService loaded");
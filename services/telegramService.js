@@ -0,0 +1,137 @@
+/**
+ * ========================================
+ * TELEGRAM NOTIFICATION SERVICE
+ * ========================================
+ * Kirim alert ke chat/grup Telegram teknisi lewat Bot API
+ *
+ * Setup:
+ * 1. Buat bot via @BotFather → TELEGRAM_BOT_TOKEN
+ * 2. Tambahkan bot ke grup, ambil chat_id grup
+ * 3. Konfigurasi channel "telegram" di IPAL dengan chat_id tersebut
+ *    (bot_token per channel opsional, default TELEGRAM_BOT_TOKEN)
+ *
+ * TELEGRAM_API_URL bisa diarahkan ke mock server untuk testing.
+ */
+
+const { postWithRetry } = require("./webhookService");
+
+// ========================================
+// KONFIGURASI
+// ========================================
+
+const CONFIG = {
+  API_URL: process.env.TELEGRAM_API_URL || "https://api.telegram.org",
+  BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || null,
+};
+
+const SEVERITY_ICONS = {
+  critical: "🔴",
+  high: "🟠",
+  medium: "🟡",
+  low: "🟢",
+};
+
+/**
+ * Escape text for Telegram HTML parse mode
+ */
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Build message text for an event
+ * @param {Object} event - { type, ipal_id, alerts }
+ * @returns {String} HTML message
+ */
+function buildMessage(event) {
+  const alerts = event.alerts || [];
+
+  if (event.type === "test") {
+    return `🧪 <b>Test notifikasi IPAL ${escapeHtml(
+      event.ipal_id
+    )}</b>\nChannel Telegram terkonfigurasi dengan benar.`;
+  }
+
+  if (event.type === "alert.resolved") {
+    const lines = alerts.map(
+      (alert) =>
+        `✅ ${escapeHtml(alert.parameter?.toUpperCase())} ${escapeHtml(
+          alert.location
+        )}: ${escapeHtml(alert.resolution_reason || "kembali normal")}`
+    );
+    return [
+      `✅ <b>IPAL ${escapeHtml(event.ipal_id)} kembali normal</b>`,
+      ...lines,
+    ].join("\n");
+  }
+
+  const lines = alerts.map((alert) => {
+    const value = alert.last_value ?? alert.value;
+    const repeat = alert.occurrences > 1 ? ` (🔁 ${alert.occurrences}x)` : "";
+    return `${SEVERITY_ICONS[alert.severity] || "⚪"} <b>${escapeHtml(
+      alert.parameter?.toUpperCase()
+    )}</b> ${escapeHtml(alert.location)}: ${escapeHtml(
+      value
+    )} (batas ${escapeHtml(alert.threshold)})${repeat}`;
+  });
+
+  return [
+    `🚨 <b>Alert IPAL ${escapeHtml(event.ipal_id)}</b> - ${
+      alerts.length
+    } parameter melebihi baku mutu`,
+    ...lines,
+  ].join("\n");
+}
+
+/**
+ * Send event to a Telegram chat
+ * @param {Object} channel - { chat_id, bot_token? }
+ * @param {Object} event - { type, ipal_id, alerts }
+ * @returns {Promise<Object>} { success, status, attempts, error? }
+ */
+async function send(channel, event) {
+  const botToken = channel.bot_token || CONFIG.BOT_TOKEN;
+
+  if (!botToken) {
+    return {
+      success: false,
+      status: null,
+      attempts: 0,
+      error: "No Telegram bot token configured (TELEGRAM_BOT_TOKEN)",
+    };
+  }
+
+  const result = await postWithRetry(
+    `${CONFIG.API_URL}/bot${botToken}/sendMessage`,
+    {
+      chat_id: channel.chat_id,
+      text: buildMessage(event),
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+    },
+    { headers: { "Content-Type": "application/json" } }
+  );
+
+  // Bot token is part of the URL, never return it in errors
+  if (result.error) {
+    result.error = result.error.split(botToken).join("<bot_token>");
+  }
+  delete result.data;
+
+  return result;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  send,
+  buildMessage,
+  CONFIG,
+};
+
+console.log("📦 telegramService loaded");
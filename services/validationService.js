@@ -34,3 +34,496 @@ const readingSchema = Joi.object({
 exports.validateReadingData = (data) => {
   return readingSchema.validate(data, { abortEarly: false });
 };
+
+// device_id dipakai sebagai Firestore doc ID (devices/{device_id}):
+// tanpa "/", tidak boleh "." / ".." atau "__...__"
+const deviceIdSchema = Joi.string()
+  .pattern(/^[A-Za-z0-9][A-Za-z0-9_.:-]{0,63}$/)
+  .required()
+  .messages({
+    "string.pattern.base":
+      "device_id may only contain letters, digits, '_', '-', '.', ':' (max 64 characters)",
+  });
+
+exports.validateDeviceId = (deviceId) => {
+  return deviceIdSchema.label("device_id").validate(deviceId);
+};
+
+// Schema validasi untuk data IPAL (create)
+const IPAL_STATUSES = ["active", "inactive", "maintenance"];
+const ANALYSIS_METHODS = ["simple_threshold", "mamdani"]; // lihat fuzzyService
+const ORPHAN_POLICIES = ["discard", "partial", "pair_last_known"]; // lihat waterQualityService
+
+// IANA timezone, e.g. "Asia/Jakarta"
+const ianaTimezone = Joi.string().custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message("{{#label}} is not a valid IANA timezone");
+  }
+});
+
+const ipalFields = {
+  ipal_id: Joi.number().integer().positive(),
+  ipal_location: Joi.string().trim().min(1).max(200),
+  ipal_description: Joi.string().allow("", null).max(1000),
+  address: Joi.string().allow("", null).max(500),
+  coordinates: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+  }).allow(null),
+  capacity: Joi.number().positive().allow(null), // m³/hari
+  status: Joi.string().valid(...IPAL_STATUSES),
+  contact_person: Joi.string().trim().max(100).allow("", null),
+  contact_phone: Joi.string()
+    .pattern(/^\+?[0-9\s-]{6,20}$/)
+    .allow("", null)
+    .messages({
+      "string.pattern.base": "contact_phone must be a valid phone number",
+    }),
+  analysis_method: Joi.string().valid(...ANALYSIS_METHODS),
+  orphan_policy: Joi.string().valid(...ORPHAN_POLICIES),
+  // Zona waktu lokal IPAL (chart bucket harian/jam), null = default
+  timezone: ianaTimezone.allow(null),
+};
+
+const ipalCreateSchema = Joi.object({
+  ...ipalFields,
+  ipal_location: ipalFields.ipal_location.required(),
+  status: ipalFields.status.default("active"),
+  analysis_method: ipalFields.analysis_method.default("simple_threshold"),
+  orphan_policy: ipalFields.orphan_policy.default("discard"),
+});
+
+// Update: semua field optional, ipal_id tidak boleh diubah
+const ipalUpdateSchema = Joi.object({
+  ...ipalFields,
+  ipal_id: Joi.forbidden(),
+}).min(1);
+
+// Fungsi validasi IPAL
+exports.validateIpalData = (data, { partial = false } = {}) => {
+  const schema = partial ? ipalUpdateSchema : ipalCreateSchema;
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+exports.IPAL_STATUSES = IPAL_STATUSES;
+exports.ANALYSIS_METHODS = ANALYSIS_METHODS;
+exports.ORPHAN_POLICIES = ORPHAN_POLICIES;
+
+// Schema validasi untuk baku mutu profile per IPAL
+// Format sama dengan fuzzyService THRESHOLDS
+const rangeThreshold = Joi.object({
+  min: Joi.number().required(),
+  max: Joi.number().required(),
+  optimal_min: Joi.number().required(),
+  optimal_max: Joi.number().required(),
+}).custom((value, helpers) => {
+  const { min, max, optimal_min, optimal_max } = value;
+  if (
+    !(min <= optimal_min && optimal_min <= optimal_max && optimal_max <= max)
+  ) {
+    return helpers.message(
+      "{{#label}} must satisfy min <= optimal_min <= optimal_max <= max"
+    );
+  }
+  return value;
+});
+
+const maxThreshold = Joi.object({
+  max: Joi.number().positive().required(),
+  optimal_max: Joi.number().min(0).required(),
+}).custom((value, helpers) => {
+  if (value.optimal_max > value.max) {
+    return helpers.message("{{#label}} optimal_max must not exceed max");
+  }
+  return value;
+});
+
+const thresholdProfileSchema = Joi.object({
+  thresholds: Joi.object({
+    ph: rangeThreshold.required(),
+    tds: maxThreshold.required(),
+    turbidity: maxThreshold.required(),
+    temperature: rangeThreshold.required(),
+  }).required(),
+  permit_reference: Joi.string().trim().max(200).allow("", null),
+  notes: Joi.string().max(1000).allow("", null),
+});
+
+// Fungsi validasi baku mutu profile
+exports.validateThresholdProfile = (data) => {
+  return thresholdProfileSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+};
+
+// Schema validasi untuk backlog submission (ESP32 offline buffer)
+const MAX_BACKLOG_READINGS = 200;
+// Batas Date di JS (±8.64e15 ms); epoch di atas ini tidak bisa jadi Date
+const MAX_EPOCH_MS = 8.64e15;
+
+const sensorMappingSchema = Joi.object().pattern(
+  /^(inlet|outlet)_(ph|tds|turbidity|temperature)$/,
+  Joi.string()
+);
+
+const backlogSchema = Joi.object({
+  ipal_id: Joi.number().integer().positive().required(),
+  location: Joi.string().valid("inlet", "outlet").required(),
+  device_id: Joi.string().trim().required(),
+  sensor_mapping: sensorMappingSchema.default({}),
+  // Item divalidasi satu per satu (validateBacklogReading), supaya
+  // reading yang rusak tidak menggagalkan seluruh batch
+  readings: Joi.array()
+    .items(Joi.any())
+    .min(1)
+    .max(MAX_BACKLOG_READINGS)
+    .required(),
+});
+
+const backlogReadingSchema = Joi.object({
+  // Device-side time: ISO 8601 string atau unix epoch (detik / milidetik)
+  timestamp: Joi.alternatives()
+    .try(Joi.number().positive().max(MAX_EPOCH_MS), Joi.date().iso())
+    .required(),
+  data: Joi.object({
+    ph: Joi.number().required(),
+    tds: Joi.number().required(),
+    turbidity: Joi.number().required(),
+    temperature: Joi.number().required(),
+  })
+    .unknown(true)
+    .required(),
+});
+
+// Fungsi validasi backlog
+exports.validateBacklog = (data) => {
+  return backlogSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+};
+
+exports.validateBacklogReading = (reading) => {
+  return backlogReadingSchema.validate(reading, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+};
+
+exports.MAX_BACKLOG_READINGS = MAX_BACKLOG_READINGS;
+
+// Schema validasi untuk command ke device (WebSocket command channel)
+const DEVICE_COMMANDS = {
+  // Interval pengambilan sampel sensor
+  set_sampling_interval: Joi.object({
+    interval_seconds: Joi.number().integer().min(5).max(3600).required(),
+  }),
+  // Jalankan rutin kalibrasi untuk satu sensor
+  calibrate: Joi.object({
+    sensor_type: Joi.string()
+      .valid("ph", "tds", "turbidity", "temperature")
+      .required(),
+    reference_value: Joi.number().optional(),
+  }),
+  reboot: Joi.object({
+    delay_seconds: Joi.number().integer().min(0).max(300).default(0),
+  }),
+};
+
+const deviceCommandSchema = Joi.object({
+  command: Joi.string()
+    .valid(...Object.keys(DEVICE_COMMANDS))
+    .required(),
+  params: Joi.object().default({}),
+  // Command yang belum di-ack setelah TTL ditandai expired
+  ttl_minutes: Joi.number().integer().min(1).max(10080).default(60),
+});
+
+// Fungsi validasi command (params divalidasi sesuai jenis command)
+exports.validateDeviceCommand = (data) => {
+  const result = deviceCommandSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (result.error) {
+    return result;
+  }
+
+  const params = DEVICE_COMMANDS[result.value.command].validate(
+    result.value.params,
+    { abortEarly: false, stripUnknown: true }
+  );
+
+  if (params.error) {
+    return { error: params.error, value: result.value };
+  }
+
+  return { value: { ...result.value, params: params.value } };
+};
+
+exports.DEVICE_COMMANDS = Object.keys(DEVICE_COMMANDS);
+
+// Schema validasi untuk escalation policy per IPAL
+// email & fcm → users with the step roles, webhook & telegram → IPAL channels
+const ESCALATION_CHANNELS = ["email", "fcm", "webhook", "telegram"];
+const ESCALATION_ROLES = ["admin", "manager", "teknisi"];
+const ALERT_SEVERITIES = ["low", "medium", "high", "critical"];
+
+const escalationStepSchema = Joi.object({
+  // Menit sejak alert dibuat (T+0, T+15, T+60, ...)
+  delay_minutes: Joi.number().integer().min(0).max(10080).required(),
+  roles: Joi.array()
+    .items(Joi.string().valid(...ESCALATION_ROLES))
+    .min(1)
+    .unique()
+    .required(),
+  channels: Joi.array()
+    .items(Joi.string().valid(...ESCALATION_CHANNELS))
+    .min(1)
+    .unique()
+    .default(ESCALATION_CHANNELS),
+});
+
+const escalationPolicySchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  severities: Joi.array()
+    .items(Joi.string().valid(...ALERT_SEVERITIES))
+    .min(1)
+    .unique()
+    .default(["critical"]),
+  steps: Joi.array()
+    .items(escalationStepSchema)
+    .min(1)
+    .max(10)
+    .required()
+    .custom((steps, helpers) => {
+      const ascending = steps.every(
+        (step, i) => i === 0 || step.delay_minutes > steps[i - 1].delay_minutes
+      );
+      if (!ascending) {
+        return helpers.message(
+          "{{#label}} delay_minutes must be strictly increasing"
+        );
+      }
+      return steps;
+    }),
+  notes: Joi.string().max(1000).allow("", null),
+});
+
+// Fungsi validasi escalation policy
+exports.validateEscalationPolicy = (data) => {
+  return escalationPolicySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+};
+
+exports.ESCALATION_CHANNELS = ESCALATION_CHANNELS;
+
+// ========================================
+// NOTIFICATION PREFERENCES
+// ========================================
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Partial update: field yang tidak dikirim tetap seperti sebelumnya
+const notificationPreferencesSchema = Joi.object({
+  // null = semua IPAL
+  ipal_ids: Joi.array()
+    .items(Joi.number().integer().positive())
+    .min(1)
+    .unique()
+    .allow(null),
+  min_severity: Joi.object({
+    email: Joi.string().valid(...ALERT_SEVERITIES),
+    push: Joi.string().valid(...ALERT_SEVERITIES),
+  }),
+  quiet_hours: Joi.object({
+    enabled: Joi.boolean(),
+    start: Joi.string()
+      .pattern(TIME_OF_DAY)
+      .message("{{#label}} must be HH:mm"),
+    end: Joi.string().pattern(TIME_OF_DAY).message("{{#label}} must be HH:mm"),
+    timezone: ianaTimezone,
+    critical_override: Joi.boolean(),
+  }),
+  daily_digest: Joi.boolean(),
+}).min(1);
+
+// Fungsi validasi notification preferences
+exports.validateNotificationPreferences = (data) => {
+  return notificationPreferencesSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+};
+
+// ========================================
+// NOTIFICATION CHANNELS (per IPAL)
+// ========================================
+
+const NOTIFICATION_CHANNEL_TYPES = ["webhook", "telegram"];
+const NOTIFICATION_CHANNEL_EVENTS = ["alert.triggered", "alert.resolved"];
+
+const notificationChannelSchema = Joi.object({
+  // Tanpa id → channel baru
+  id: Joi.string()
+    .max(40)
+    .pattern(/^[A-Za-z0-9_-]+$/),
+  type: Joi.string()
+    .valid(...NOTIFICATION_CHANNEL_TYPES)
+    .required(),
+  name: Joi.string().max(100).allow("", null),
+  enabled: Joi.boolean().default(true),
+  min_severity: Joi.string()
+    .valid(...ALERT_SEVERITIES)
+    .default("low"),
+  events: Joi.array()
+    .items(Joi.string().valid(...NOTIFICATION_CHANNEL_EVENTS))
+    .min(1)
+    .unique()
+    .default(NOTIFICATION_CHANNEL_EVENTS),
+
+  // Webhook
+  url: Joi.when("type", {
+    is: "webhook",
+    then: Joi.string()
+      .uri({ scheme: ["http", "https"] })
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  // Omitted on update → secret lama dipakai, channel baru → dibuatkan
+  secret: Joi.when("type", {
+    is: "webhook",
+    then: Joi.string().min(16).max(256),
+    otherwise: Joi.forbidden(),
+  }),
+  headers: Joi.when("type", {
+    is: "webhook",
+    then: Joi.object()
+      .pattern(/^[A-Za-z0-9-]+$/, Joi.string().max(500))
+      .max(10),
+    otherwise: Joi.forbidden(),
+  }),
+
+  // Telegram
+  chat_id: Joi.when("type", {
+    is: "telegram",
+    then: Joi.alternatives()
+      .try(Joi.number().integer(), Joi.string().max(100))
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  bot_token: Joi.when("type", {
+    is: "telegram",
+    then: Joi.string().pattern(/^\d+:[A-Za-z0-9_-]+$/),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+const notificationChannelsSchema = Joi.object({
+  channels: Joi.array()
+    .items(notificationChannelSchema)
+    .max(10)
+    .unique((a, b) => a.id && a.id === b.id)
+    .required(),
+});
+
+// Fungsi validasi notification channels
+exports.validateNotificationChannels = (data) => {
+  return notificationChannelsSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+};
+
+// ========================================
+// REPORT SCHEDULES
+// ========================================
+
+const REPORT_FORMATS = ["pdf", "excel", "csv"];
+const REPORT_CADENCES = ["daily", "weekly", "monthly"];
+const REPORT_PARAMETERS = ["ph", "tds", "turbidity", "temperature"];
+
+const reportScheduleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  ipal_id: Joi.number().integer().positive().required(),
+  parameters: Joi.array()
+    .items(Joi.string().valid(...REPORT_PARAMETERS))
+    .min(1)
+    .unique()
+    .default(REPORT_PARAMETERS),
+  location: Joi.string().valid("inlet", "outlet", "both").default("both"),
+  format: Joi.string()
+    .valid(...REPORT_FORMATS)
+    .default("pdf"),
+  cadence: Joi.string()
+    .valid(...REPORT_CADENCES)
+    .required(),
+  // Hari kirim: weekly 0=Minggu..6=Sabtu, monthly tanggal 1-28
+  day_of_week: Joi.when("cadence", {
+    is: "weekly",
+    then: Joi.number().integer().min(0).max(6).default(1),
+    otherwise: Joi.forbidden(),
+  }),
+  day_of_month: Joi.when("cadence", {
+    is: "monthly",
+    then: Joi.number().integer().min(1).max(28).default(1),
+    otherwise: Joi.forbidden(),
+  }),
+  // Jam kirim (REPORT_TIMEZONE, default Asia/Jakarta)
+  send_hour: Joi.number().integer().min(0).max(23).default(7),
+  recipients: Joi.array()
+    .items(Joi.string().email())
+    .min(1)
+    .max(20)
+    .unique()
+    .required(),
+  enabled: Joi.boolean().default(true),
+});
+
+// Fungsi validasi report schedule (create & full update)
+exports.validateReportSchedule = (data) => {
+  return reportScheduleSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+};
+
+// ========================================
+// REPORT JOBS (async export)
+// ========================================
+
+const reportJobSchema = Joi.object({
+  format: Joi.string()
+    .valid(...REPORT_FORMATS)
+    .required(),
+  ipal_id: Joi.number().integer().positive().default(1),
+  start_date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .required()
+    .messages({ "string.pattern.base": "start_date must be YYYY-MM-DD" }),
+  end_date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .required()
+    .messages({ "string.pattern.base": "end_date must be YYYY-MM-DD" }),
+  parameters: Joi.array()
+    .items(Joi.string().valid(...REPORT_PARAMETERS))
+    .min(1)
+    .unique()
+    .default(REPORT_PARAMETERS),
+  location: Joi.string().valid("inlet", "outlet", "both").default("both"),
+});
+
+// Fungsi validasi report job
+exports.validateReportJob = (data) => {
+  return reportJobSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+};
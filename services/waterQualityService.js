@@ -5,20 +5,20 @@
  * Main service that coordinates:
  * - Buffer management
  * - Inlet/Outlet merge logic
- * - Fuzzy logic processing
- * - Alert generation
- * - Notifications
+ * - Orphaned buffer handling (single-sided readings)
+ * - Analysis (fuzzy → alerts → notifications) via analysisPipeline
  *
  * This is the "brain" of the water quality monitoring system
  */
 
+const cacheService = require("./cacheService");
+
 // ⚡ Lazy load heavy dependencies to reduce cold start
 let waterQualityModel;
-let fuzzyService;
+let analysisPipeline;
 let validationService;
-let alertModel;
-let notificationService;
 let sensorModel;
+let realtimeService;
 
 const getWaterQualityModel = () => {
   if (!waterQualityModel) {
@@ -27,12 +27,12 @@ const getWaterQualityModel = () => {
   return waterQualityModel;
 };
 
-const getFuzzyService = () => {
-  if (!fuzzyService) {
-    console.log("⚡ Loading fuzzyService...");
-    fuzzyService = require("./fuzzyService");
+const getAnalysisPipeline = () => {
+  if (!analysisPipeline) {
+    console.log("⚡ Loading analysisPipeline...");
+    analysisPipeline = require("./analysisPipeline");
   }
-  return fuzzyService;
+  return analysisPipeline;
 };
 
 const getValidationService = () => {
@@ -42,20 +42,6 @@ const getValidationService = () => {
   return validationService;
 };
 
-const getAlertModel = () => {
-  if (!alertModel) {
-    alertModel = require("../models/alertModel");
-  }
-  return alertModel;
-};
-
-const getNotificationService = () => {
-  if (!notificationService) {
-    notificationService = require("./notificationService");
-  }
-  return notificationService;
-};
-
 const getSensorModel = () => {
   if (!sensorModel) {
     sensorModel = require("../models/sensorModel");
@@ -63,6 +49,13 @@ const getSensorModel = () => {
   return sensorModel;
 };
 
+const getRealtimeService = () => {
+  if (!realtimeService) {
+    realtimeService = require("./realtimeService");
+  }
+  return realtimeService;
+};
+
 /**
  * ========================================
  * CONFIGURATION
@@ -73,6 +66,22 @@ const CONFIG = {
   MERGE_TIME_WINDOW: 5, // Minutes
   MAX_MERGE_ATTEMPTS: 3, // Max retry attempts
   ALERT_INCOMPLETE_AFTER: 10, // Minutes before alerting admin
+  PAIR_LAST_KNOWN_MAX_AGE: 60, // Minutes, older last-known data → partial instead
+  BACKLOG_PAIR_TOLERANCE: 120, // Seconds between inlet & outlet device timestamps
+  BACKLOG_PAIR_WAIT: 30, // Minutes a backlog doc waits for the other side's backlog
+  BACKLOG_MAX_AGE: 7, // Days, older device timestamps are rejected
+  BACKLOG_MAX_CLOCK_SKEW: 5, // Minutes a device timestamp may be in the future
+  ORPHAN_POLICY_CACHE_TTL: 300, // Seconds (IPAL update invalidates immediately)
+};
+
+/**
+ * What happens to a buffer reading whose pair did not arrive
+ * within MERGE_TIME_WINDOW (per IPAL: ipals.orphan_policy)
+ */
+const ORPHAN_POLICIES = {
+  DISCARD: "discard", // Keep waiting, deleted by cleanup (default)
+  PARTIAL: "partial", // Analyse as inlet-only / outlet-only reading
+  PAIR_LAST_KNOWN: "pair_last_known", // Pair with last measured other side
 };
 
 /**
@@ -176,52 +185,34 @@ async function submitReading(data) {
 /**
  * Try to merge inlet and outlet data
  * Returns merged result if successful, null if waiting
+ *
+ * The pair is claimed in a Firestore transaction (claimBufferPair),
+ * so concurrent inlet/outlet submissions process each pair exactly once.
  */
 async function tryMerge(ipalId) {
   try {
-    // Step 1: Get unmerged readings from buffer
-    const unmergedReadings = await getWaterQualityModel().getUnmergedReadings(
+    // Step 1: Claim latest inlet + outlet from buffer (atomic)
+    const pair = await getWaterQualityModel().claimBufferPair(
       ipalId,
       CONFIG.MERGE_TIME_WINDOW
     );
 
-    if (unmergedReadings.length === 0) {
-      console.log("⏳ No unmerged readings found");
+    if (!pair) {
+      // No complete pair, or a concurrent submission already claimed it
+      console.log("⏳ Incomplete pair, waiting...");
       return null;
     }
 
-    // Step 2: Separate inlet and outlet
-    const inletReadings = unmergedReadings.filter(
-      (r) => r.location === "inlet"
-    );
-    const outletReadings = unmergedReadings.filter(
-      (r) => r.location === "outlet"
-    );
+    const { inlet: latestInlet, outlet: latestOutlet } = pair;
 
     console.log(
-      `   Found: ${inletReadings.length} inlet, ${outletReadings.length} outlet`
+      `   Found: ${pair.counts.inlet} inlet, ${pair.counts.outlet} outlet`
     );
-
-    // Step 3: Check if we have complete pair
-    if (inletReadings.length === 0 || outletReadings.length === 0) {
-      console.log("⏳ Incomplete pair, waiting...");
-      return null;
-    }
-
-    // Step 4: Select latest from each location
-    const latestInlet = inletReadings.sort(
-      (a, b) => b.timestamp?.toMillis() - a.timestamp?.toMillis()
-    )[0];
-
-    const latestOutlet = outletReadings.sort(
-      (a, b) => b.timestamp?.toMillis() - a.timestamp?.toMillis()
-    )[0];
-
-    console.log("✅ Complete pair found!");
+    console.log("✅ Complete pair claimed!");
     console.log(`   Inlet ID: ${latestInlet.id}`);
     console.log(`   Outlet ID: ${latestOutlet.id}`);
 
-    // Step 5: Merge data
+    // Step 2: Merge data
     const mergedData = {
       ipal_id: ipalId,
       inlet: latestInlet.data,
@@ -238,16 +229,366 @@ async function tryMerge(ipalId) {
       buffer_ids: [latestInlet.id, latestOutlet.id],
     };
 
-    // Step 6: Process complete reading (THE ORCHESTRATOR!)
-    const result = await processCompleteReading(mergedData);
-
-    return result;
+    // Step 3: Process complete reading (THE ORCHESTRATOR!)
+    try {
+      return await processCompleteReading(mergedData);
+    } catch (error) {
+      // Reading not saved → release pair so the next submission retries
+      if (!error.readingSaved) {
+        await getWaterQualityModel().releaseBufferClaim(mergedData.buffer_ids);
+      }
+      throw error;
+    }
   } catch (error) {
     console.error("❌ Error in tryMerge:", error);
     throw error;
   }
 }
 
+/**
+ * ========================================
+ * BACKLOG SUBMISSION (offline ESP32 buffer)
+ * ========================================
+ * ESP32 yang kehilangan Wi-Fi menyimpan reading lokal lalu mengirim
+ * semuanya sekaligus. Setiap reading membawa timestamp device, dipasangkan
+ * dengan reading lokasi lain yang timestamp-nya paling dekat
+ * (bukan urutan kedatangan), dan diproses sebagai backfilled
+ * (alert tetap dicatat, tanpa notifikasi live).
+ */
+
+/**
+ * Convert device timestamp (ISO / unix seconds / unix ms) to Date
+ */
+function toDeviceDate(timestamp) {
+  if (timestamp instanceof Date) {
+    return timestamp;
+  }
+  // Unix seconds (ESP32 NTP time) vs milliseconds
+  return new Date(timestamp < 1e12 ? timestamp * 1000 : timestamp);
+}
+
+/**
+ * Submit backlog readings from one device
+ * @param {Object} data - { ipal_id, location, device_id, sensor_mapping, readings: [{ timestamp, data }] }
+ * @returns {Object} { accepted, rejected, paired, results: [...] } (one result per input reading, same order)
+ */
+async function submitBacklog(data) {
+  const { ipal_id, location, device_id, sensor_mapping, readings } = data;
+  const validationSvc = getValidationService();
+
+  const now = Date.now();
+  const oldest = now - CONFIG.BACKLOG_MAX_AGE * 24 * 60 * 60 * 1000;
+  const newest = now + CONFIG.BACKLOG_MAX_CLOCK_SKEW * 60 * 1000;
+  const pairDeadline = new Date(now + CONFIG.BACKLOG_PAIR_WAIT * 60 * 1000);
+
+  console.log(
+    `📥 Backlog from ${device_id}: ${readings.length} reading(s) (IPAL ${ipal_id} ${location})`
+  );
+
+  // ========================================
+  // STEP 1: VALIDATE + SAVE EACH READING
+  // ========================================
+  const results = [];
+  const seen = new Set();
+
+  for (const [index, reading] of readings.entries()) {
+    const result = { index, status: "rejected" };
+    results.push(result);
+
+    const { error, value } = validationSvc.validateBacklogReading(reading);
+
+    if (error) {
+      result.reason = error.details.map((d) => d.message).join(", ");
+      continue;
+    }
+
+    const deviceTime = toDeviceDate(value.timestamp);
+
+    // Cek dulu sebelum toISOString() (Invalid Date → RangeError)
+    if (isNaN(deviceTime.getTime())) {
+      result.reason = "invalid timestamp";
+      continue;
+    }
+    result.timestamp = deviceTime.toISOString();
+
+    if (deviceTime.getTime() < oldest) {
+      result.reason = `timestamp older than ${CONFIG.BACKLOG_MAX_AGE} days`;
+      continue;
+    }
+    if (deviceTime.getTime() > newest) {
+      result.reason = "timestamp is in the future";
+      continue;
+    }
+    if (seen.has(deviceTime.getTime())) {
+      result.reason = "duplicate timestamp in batch";
+      continue;
+    }
+    seen.add(deviceTime.getTime());
+
+    const saved = await getWaterQualityModel().saveBacklogToBuffer({
+      ipal_id,
+      location,
+      device_id,
+      data: value.data,
+      sensor_mapping,
+      device_timestamp: deviceTime,
+      pair_deadline: pairDeadline,
+    });
+
+    result.buffer_id = saved.buffer_id;
+
+    if (!saved.created) {
+      result.reason = "duplicate, already submitted";
+      continue;
+    }
+
+    result.status = "accepted";
+    result.paired = false;
+  }
+
+  // ========================================
+  // STEP 2: PAIR BY TIMESTAMP PROXIMITY (oldest first)
+  // ========================================
+  const accepted = results
+    .filter((r) => r.status === "accepted")
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  for (const result of accepted) {
+    const pair = await getWaterQualityModel().claimBacklogPair(
+      result.buffer_id,
+      CONFIG.BACKLOG_PAIR_TOLERANCE * 1000
+    );
+
+    if (!pair) {
+      result.waiting_for = location === "inlet" ? "outlet" : "inlet";
+      continue;
+    }
+
+    const mergedData = {
+      ipal_id,
+      inlet: pair.inlet.data,
+      outlet: pair.outlet.data,
+      device_ids: {
+        inlet: pair.inlet.device_id,
+        outlet: pair.outlet.device_id,
+      },
+      sensor_mapping: {
+        ...pair.inlet.sensor_mapping,
+        ...pair.outlet.sensor_mapping,
+      },
+      // Same rule as live merge: outlet time marks the reading
+      timestamp: pair.outlet.timestamp,
+      buffer_ids: [pair.inlet.id, pair.outlet.id],
+      backfilled: true,
+    };
+
+    try {
+      const processed = await processCompleteReading(mergedData);
+      result.paired = true;
+      result.reading_id = processed.reading_id;
+    } catch (error) {
+      console.error(`❌ Failed to process backlog ${result.buffer_id}:`, error);
+      if (!error.readingSaved) {
+        await getWaterQualityModel().releaseBufferClaim(mergedData.buffer_ids);
+      }
+      result.waiting_for = location === "inlet" ? "outlet" : "inlet";
+      result.error = error.message;
+    }
+  }
+
+  const summary = {
+    accepted: accepted.length,
+    rejected: results.length - accepted.length,
+    paired: accepted.filter((r) => r.paired).length,
+    results,
+  };
+
+  console.log(
+    `✅ Backlog processed: ${summary.accepted} accepted (${summary.paired} paired), ${summary.rejected} rejected`
+  );
+
+  return summary;
+}
+
+/**
+ * ========================================
+ * ORPHANED BUFFER HANDLING
+ * ========================================
+ * Inlet atau outlet saja yang mengirim → tryMerge tidak pernah berhasil.
+ * Setelah MERGE_TIME_WINDOW, reading diproses sesuai orphan_policy IPAL.
+ * Dipanggil oleh orphan-readings job (jobs/orphanReadingsJob.js).
+ */
+
+/**
+ * Get orphan policy configured for an IPAL (cached)
+ * @param {Number} ipalId - IPAL ID
+ * @returns {Promise<String>} "discard" | "partial" | "pair_last_known"
+ */
+async function getOrphanPolicy(ipalId) {
+  const policy = await cacheService.getCached(
+    cacheService.KEYS.ORPHAN_POLICY(ipalId),
+    async () => {
+      const { db } = require("../config/firebase-config");
+      const snapshot = await db
+        .collection("ipals")
+        .where("ipal_id", "==", parseInt(ipalId))
+        .limit(1)
+        .get();
+
+      return snapshot.empty
+        ? ORPHAN_POLICIES.DISCARD
+        : snapshot.docs[0].data().orphan_policy || ORPHAN_POLICIES.DISCARD;
+    },
+    CONFIG.ORPHAN_POLICY_CACHE_TTL
+  );
+
+  return Object.values(ORPHAN_POLICIES).includes(policy)
+    ? policy
+    : ORPHAN_POLICIES.DISCARD;
+}
+
+/**
+ * Process buffer readings whose pair did not arrive in time
+ * @param {Number} ipalId - IPAL ID
+ * @returns {Object} { policy, orphans, processed, discarded, skipped, failed, readings }
+ */
+async function processOrphanedReadings(ipalId) {
+  const policy = await getOrphanPolicy(ipalId);
+
+  const orphans = (
+    await getWaterQualityModel().getIncompleteReadings(
+      ipalId,
+      CONFIG.MERGE_TIME_WINDOW
+    )
+  ).filter((r) => !r.orphan_resolution);
+
+  const summary = {
+    policy,
+    orphans: orphans.length,
+    processed: 0,
+    discarded: 0,
+    skipped: 0,
+    failed: 0,
+    readings: [],
+  };
+
+  if (orphans.length === 0) {
+    return summary;
+  }
+
+  console.log(
+    `🧩 IPAL ${ipalId}: ${orphans.length} orphaned reading(s), policy: ${policy}`
+  );
+
+  // Oldest first, so pair_last_known picks up earlier partial results in order
+  orphans.sort((a, b) => a.timestamp?.toMillis() - b.timestamp?.toMillis());
+
+  for (const orphan of orphans) {
+    if (policy === ORPHAN_POLICIES.DISCARD) {
+      await getWaterQualityModel().markOrphanDiscarded(orphan.id);
+      summary.discarded++;
+      continue;
+    }
+
+    const claimed = await getWaterQualityModel().claimOrphanBuffer(
+      orphan.id,
+      policy
+    );
+
+    if (!claimed) {
+      // Merged by a late pair or handled by another run
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const result = await processOrphanedReading(ipalId, claimed, policy);
+      summary.processed++;
+      summary.readings.push({
+        buffer_id: claimed.id,
+        reading_id: result.reading_id,
+        mode: result.partial_info.mode,
+      });
+    } catch (error) {
+      console.error(`❌ Failed to process orphan ${claimed.id}:`, error);
+      summary.failed++;
+
+      // Reading not saved → release buffer so next run retries
+      if (!error.readingSaved) {
+        await getWaterQualityModel().releaseBufferClaim([claimed.id]);
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Turn one orphaned buffer doc into a (partial) reading
+ */
+async function processOrphanedReading(ipalId, buffer, policy) {
+  const location = buffer.location;
+  const missing = location === "inlet" ? "outlet" : "inlet";
+
+  const mergedData = {
+    ipal_id: ipalId,
+    inlet: null,
+    outlet: null,
+    device_ids: { [location]: buffer.device_id },
+    sensor_mapping: buffer.sensor_mapping || {},
+    timestamp: buffer.timestamp || new Date(),
+    buffer_ids: [buffer.id],
+    backfilled: buffer.source === "backlog",
+  };
+  mergedData[location] = buffer.data;
+
+  const partialInfo = {
+    mode: `${location}_only`,
+    policy,
+    missing_location: missing,
+    buffer_id: buffer.id,
+  };
+
+  if (policy === ORPHAN_POLICIES.PAIR_LAST_KNOWN) {
+    const bufferTime = buffer.timestamp?.toDate
+      ? buffer.timestamp.toDate()
+      : new Date();
+
+    const lastKnown = await getWaterQualityModel().getLastMeasuredSide(
+      ipalId,
+      missing,
+      bufferTime
+    );
+
+    const ageMinutes = lastKnown?.timestamp?.toMillis
+      ? (bufferTime.getTime() - lastKnown.timestamp.toMillis()) / 60000
+      : null;
+
+    if (lastKnown && ageMinutes !== null) {
+      if (ageMinutes <= CONFIG.PAIR_LAST_KNOWN_MAX_AGE) {
+        mergedData[missing] = lastKnown.data;
+        partialInfo.mode = "paired_last_known";
+        partialInfo.source_reading_id = lastKnown.id;
+        partialInfo.source_timestamp = lastKnown.timestamp;
+        partialInfo.source_age_minutes = Math.round(ageMinutes);
+      } else {
+        partialInfo.fallback_reason = "last_known_too_old";
+      }
+    } else {
+      partialInfo.fallback_reason = "no_last_known";
+    }
+  }
+
+  console.log(`🧩 Processing orphan ${buffer.id} as ${partialInfo.mode}`);
+
+  const result = await processCompleteReading({
+    ...mergedData,
+    partial_info: partialInfo,
+  });
+
+  return { ...result, partial_info: partialInfo };
+}
+
 /**
  * ========================================
  * COMPLETE READING PROCESSOR (ORCHESTRATOR!)
@@ -257,234 +598,161 @@ async function tryMerge(ipalId) {
 
 /**
  * Process complete reading (inlet + outlet merged)
- * Orchestrates: fuzzy logic → save → alerts → notifications
+ * Orchestrates: save → analysisPipeline (fuzzy → alerts → notifications) → sensors
+ * Buffer docs (buffer_ids) must already be claimed (claimBufferPair / claimOrphanBuffer)
+ * Also used for partial readings (mergedData.partial_info, one side null or borrowed)
  */
 async function processCompleteReading(mergedData) {
+  let readingId = null;
+
   try {
-    const { ipal_id, inlet, outlet, device_ids, sensor_mapping, buffer_ids } =
-      mergedData;
+    const {
+      ipal_id,
+      inlet,
+      outlet,
+      device_ids,
+      sensor_mapping,
+      buffer_ids,
+      backfilled,
+      partial_info,
+    } = mergedData;
 
     console.log("🎯 Processing complete reading...");
     console.log("   Inlet:", inlet);
     console.log("   Outlet:", outlet);
 
     // ========================================
-    // STEP 1: RUN FUZZY LOGIC ANALYSIS
+    // STEP 1: SAVE TO FINAL COLLECTION (pre-claimed)
     // ========================================
-    console.log("🧠 Running fuzzy logic analysis...");
-    const fuzzyResult = await getFuzzyService().analyze(inlet, outlet);
-
-    console.log("✅ Fuzzy analysis complete:");
-    console.log(`   Score: ${fuzzyResult.quality_score}/100`);
-    console.log(`   Status: ${fuzzyResult.status}`);
-    console.log(`   Violations: ${fuzzyResult.violations.length}`);
+    // Reading is saved with an analysis claim for this run, so the
+    // Firestore onCreate trigger sees it as owned and skips it
+    const claim = getAnalysisPipeline().createClaim("submit");
 
-    // ========================================
-    // STEP 2: PREPARE COMPLETE DATA
-    // ========================================
-    const completeData = {
+    console.log("💾 Saving to water_quality_readings...");
+    readingId = await getWaterQualityModel().saveToFinalReadings({
       ipal_id,
       inlet,
       outlet,
       device_ids,
       sensor_mapping,
+      buffer_ids,
+      backfilled,
       timestamp: mergedData.timestamp,
-      fuzzy_analysis: {
-        quality_score: fuzzyResult.quality_score,
-        status: fuzzyResult.status,
-        alert_count: fuzzyResult.alert_count,
-        violations: fuzzyResult.violations,
-        recommendations: fuzzyResult.recommendations,
-        analysis_method: fuzzyResult.analysis_method,
-      },
-    };
-
-    // ========================================
-    // STEP 3: SAVE TO FINAL COLLECTION
-    // ========================================
-    console.log("💾 Saving to water_quality_readings...");
-    const readingId = await getWaterQualityModel().saveToFinalReadings(
-      completeData
-    );
+      analysis_state: claim,
+      partial_info,
+    });
 
     console.log(`✅ Reading saved: ${readingId}`);
 
     // ========================================
-    // STEP 4: CREATE ALERTS (if violations exist)
-    // ========================================
-    let alertsCreated = [];
-
-    if (fuzzyResult.violations.length > 0) {
-      console.log("🚨 Creating alerts...");
-      alertsCreated = await createAlertsForViolations(
-        readingId,
-        ipal_id,
-        fuzzyResult.violations
-      );
-      console.log(`✅ Created ${alertsCreated.length} alert(s)`);
-    } else {
-      console.log("✅ No violations, no alerts needed");
-    }
-
-    // ========================================
-    // STEP 5: SEND NOTIFICATIONS (if critical)
+    // STEP 2: ANALYSIS PIPELINE
     // ========================================
-    if (alertsCreated.length > 0) {
-      const criticalAlerts = alertsCreated.filter(
-        (a) => a.severity === "critical" || a.severity === "high"
-      );
-
-      if (criticalAlerts.length > 0) {
-        console.log("📧 Sending notifications for critical alerts...");
-        await sendNotificationsForAlerts(criticalAlerts);
-        console.log("✅ Notifications sent");
-      }
-    }
+    // fuzzy logic → alerts → save result → notifications
+    const analysis = await getAnalysisPipeline().analyzeReading(readingId, {
+      source: "submit",
+      runId: claim.run_id,
+    });
 
-    // ========================================
-    // STEP 6: UPDATE BUFFER STATUS
-    // ========================================
-    console.log("✏️ Marking buffer as merged...");
-    await getWaterQualityModel().markBufferAsMerged(buffer_ids);
-    console.log("✅ Buffer updated");
+    const fuzzyResult = analysis.fuzzy_analysis || null;
 
     // ========================================
-    // STEP 7: UPDATE SENSORS (NEW!)
+    // STEP 3: UPDATE SENSORS (NEW!)
     // ========================================
+    // Borrowed side (pair_last_known) was not measured now, skip its sensors
+    const missing = partial_info?.missing_location;
     console.log("🔧 Updating sensors with latest readings...");
-    await updateSensorsFromReading(
+    const sensorResult = await updateSensorsFromReading(
       readingId,
       sensor_mapping,
-      inlet,
-      outlet,
-      fuzzyResult.status
+      missing === "inlet" ? null : inlet,
+      missing === "outlet" ? null : outlet,
+      fuzzyResult?.status
     );
     console.log("✅ Sensors updated");
 
+    // ========================================
+    // STEP 4: REALTIME EVENTS (SSE /api/stream)
+    // ========================================
+    publishReadingEvents(readingId, mergedData, analysis, sensorResult);
+
     // ========================================
     // RETURN COMPLETE RESULT
     // ========================================
     return {
       reading_id: readingId,
       fuzzy_analysis: fuzzyResult,
-      alerts_created: alertsCreated.length,
-      notifications_sent: alertsCreated.filter(
-        (a) => a.severity === "critical" || a.severity === "high"
-      ).length,
+      alerts_created: analysis.alerts?.length || 0,
+      alerts_repeated: analysis.repeated_alerts?.length || 0,
+      alerts_resolved: analysis.resolved_alerts?.length || 0,
+      notifications_sent: analysis.notifications_sent || 0,
     };
   } catch (error) {
     console.error("❌ Error in processCompleteReading:", error);
+    // Reading already exists → analysis-retry job re-runs it, not the buffer
+    error.readingSaved = readingId !== null;
     throw error;
   }
 }
 
 /**
- * ========================================
- * ALERT CREATION
- * ========================================
- */
-
-/**
- * Create alerts for violations
+ * Publish new reading, its alerts (created / auto-resolved) and sensors
+ * that came back online to realtimeService (live dashboard stream)
  */
-async function createAlertsForViolations(readingId, ipalId, violations) {
-  try {
-    const alertsCreated = [];
-
-    for (const violation of violations) {
-      const alertData = {
-        ipal_id: ipalId,
-        reading_id: readingId,
-        parameter: violation.parameter,
-        location: violation.location,
-        value: violation.value,
-        threshold: violation.threshold,
-        deviation: Math.abs(violation.value - violation.threshold),
-        severity: violation.severity,
-        status: "active",
-        rule: `${violation.parameter} ${violation.condition}`,
-        message: violation.message,
-        // Note: created_at will be added by alertModel using serverTimestamp()
-      };
-
-      // Save alert using alertModel
-      const alertId = await getAlertModel().createAlert(alertData);
-
-      alertsCreated.push({
-        alert_id: alertId,
-        ...alertData,
-      });
-
-      console.log(`   Alert created: ${alertId} (${violation.severity})`);
-    }
-
-    return alertsCreated;
-  } catch (error) {
-    console.error("❌ Error creating alerts:", error);
-    // Don't throw - continue even if alerts fail
-    return [];
-  }
-}
-
-async function sendNotificationsForAlerts(alerts) {
-  try {
-    // Check if notificationService exists
-    if (!notificationService) {
-      console.warn("⚠️ notificationService not available");
-      return;
-    }
-
-    if (!alerts || alerts.length === 0) {
-      console.log("ℹ️  No alerts to send");
-      return;
-    }
-
-    console.log(
-      `📤 Preparing to send notifications for ${alerts.length} alert(s)...`
-    );
-
-    // Filter critical/high alerts only (optional)
-    // Uncomment line below to only send critical/high severity alerts
-    // const criticalAlerts = alerts.filter(a => a.severity === 'critical' || a.severity === 'high');
-
-    // OR send all alerts regardless of severity:
-    const alertsToSend = alerts;
-
-    if (alertsToSend.length === 0) {
-      console.log("ℹ️  No critical/high alerts to send");
-      return;
-    }
-
-    console.log(
-      `📧 Sending notifications for ${alertsToSend.length} alert(s)...`
-    );
-
-    // ⭐ CALL NEW ORCHESTRATOR
-    // This will:
-    // 1. Get admin/manager emails from Firestore
-    // 2. Send 1 email with ALL violations
-    // 3. Send FCM (if tokens available)
-    const result = await getNotificationService().sendAlerts(alertsToSend);
-
-    if (result.success) {
-      console.log("✅ Notifications sent successfully");
-      console.log(`   Email: ${result.results?.email?.success ? "✅" : "❌"}`);
-      console.log(
-        `   FCM: ${result.results?.fcm?.success ? "✅" : "⏭️ Skipped"}`
-      );
-    } else {
-      console.log("⚠️  Notification sending had issues:", result.message);
-    }
+function publishReadingEvents(readingId, mergedData, analysis, sensorResult) {
+  const realtime = getRealtimeService();
+  const { ipal_id, inlet, outlet, backfilled, partial_info } = mergedData;
+  const fuzzyResult = analysis.fuzzy_analysis || {};
+  const timestamp = mergedData.timestamp?.toDate
+    ? mergedData.timestamp.toDate()
+    : new Date(mergedData.timestamp || Date.now());
+
+  realtime.publish(realtime.EVENT_TYPES.READING_CREATED, ipal_id, {
+    reading_id: readingId,
+    timestamp: timestamp.toISOString(),
+    inlet: inlet || null,
+    outlet: outlet || null,
+    quality_score: fuzzyResult.quality_score ?? null,
+    status: fuzzyResult.status || null,
+    alert_count: fuzzyResult.alert_count || 0,
+    partial: Boolean(partial_info),
+    partial_mode: partial_info?.mode || null,
+    backfilled: Boolean(backfilled),
+  });
+
+  (analysis.alerts || []).forEach((alert) => {
+    realtime.publish(realtime.EVENT_TYPES.ALERT_CREATED, ipal_id, {
+      alert_id: alert.alert_id,
+      reading_id: readingId,
+      parameter: alert.parameter,
+      location: alert.location,
+      value: alert.value,
+      threshold: alert.threshold,
+      severity: alert.severity,
+      status: alert.status,
+      message: alert.message,
+      backfilled: alert.backfilled,
+    });
+  });
+
+  (analysis.resolved_alerts || []).forEach((alert) => {
+    realtime.publish(realtime.EVENT_TYPES.ALERT_STATUS_CHANGED, ipal_id, {
+      alert_id: alert.alert_id,
+      parameter: alert.parameter,
+      location: alert.location,
+      severity: alert.severity,
+      previous_status: alert.previous_status,
+      status: "resolved",
+      updated_by: "system",
+      resolution_reason: alert.resolution_reason,
+    });
+  });
 
-    return result;
-  } catch (error) {
-    console.error("❌ Error sending notifications:", error);
-    // Don't throw - notifications failing shouldn't break the main flow
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
+  (sensorResult?.came_online || []).forEach((sensor) => {
+    realtime.publish(realtime.EVENT_TYPES.SENSOR_STATUS_CHANGED, ipal_id, {
+      ...sensor,
+      online_status: "online",
+    });
+  });
 }
 
 /**
@@ -565,11 +833,8 @@ async function cleanupExpiredBuffer() {
  */
 async function checkIncompleteReadings(ipalId) {
   try {
-    const cutoffTime = new Date(
-      Date.now() - CONFIG.ALERT_INCOMPLETE_AFTER * 60 * 1000
-    );
-
-    const unmerged = await getWaterQualityModel().getUnmergedReadings(
+    // Unmerged buffer older than ALERT_INCOMPLETE_AFTER = pair never arrived
+    const unmerged = await getWaterQualityModel().getIncompleteReadings(
       ipalId,
       CONFIG.ALERT_INCOMPLETE_AFTER
     );
@@ -579,8 +844,8 @@ async function checkIncompleteReadings(ipalId) {
         `⚠️ Found ${unmerged.length} incomplete reading(s) > ${CONFIG.ALERT_INCOMPLETE_AFTER} minutes old`
       );
 
-      // TODO: Alert admin about incomplete readings
-      // This could indicate ESP32 failure
+      // Admin notification is sent by the incomplete-readings job
+      // (jobs/incompleteReadingsJob.js), this could indicate ESP32 failure
 
       return {
         hasIncomplete: true,
@@ -742,16 +1007,20 @@ async function updateSensorsFromReading(
 module.exports = {
   // Main functions
   submitReading,
+  submitBacklog,
   tryMerge,
   processCompleteReading,
 
-  // Alert & notification helpers
-  createAlertsForViolations,
-  sendNotificationsForAlerts,
+  // Orphaned buffer (single-sided readings)
+  getOrphanPolicy,
+  processOrphanedReadings,
 
   // Sensor update (NEW!)
   updateSensorsFromReading,
 
+  // Validation (shared with mqttGatewayService)
+  validateReadingInput,
+
   // Monitoring & debugging
   getBufferStatus,
   cleanupExpiredBuffer,
@@ -759,6 +1028,7 @@ module.exports = {
 
   // Configuration (exported for reference)
   CONFIG,
+  ORPHAN_POLICIES,
 };
 
 console.log("📦 waterQualityService (orchestrator) loaded");
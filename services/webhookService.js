@@ -0,0 +1,205 @@
+/**
+ * ========================================
+ * WEBHOOK NOTIFICATION SERVICE
+ * ========================================
+ * Outbound webhook untuk sistem lain / HTTP gateway (WhatsApp, dll)
+ *
+ * Request:
+ *   POST <url>
+ *   Content-Type: application/json
+ *   X-IPAL-Event: alert.triggered | alert.resolved | test
+ *   X-IPAL-Delivery: <id>              (sama untuk semua retry, termasuk
+ *                                       retry dari notification outbox)
+ *   X-IPAL-Timestamp: <unix seconds>
+ *   X-IPAL-Signature: sha256=<hex>     (jika channel punya secret)
+ *
+ * Signature = HMAC-SHA256(secret, `${timestamp}.${rawBody}`)
+ * Receiver harus hitung ulang dari raw body dan tolak timestamp lama.
+ *
+ * Retry: network error, timeout, 429 dan 5xx (exponential backoff).
+ * 4xx lain tidak di-retry (config/payload salah, retry tidak membantu).
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+// ========================================
+// KONFIGURASI
+// ========================================
+
+const CONFIG = {
+  TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+  MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 3,
+  BACKOFF_BASE_MS: parseInt(process.env.WEBHOOK_BACKOFF_MS) || 1000,
+  USER_AGENT: "IPAL-Monitoring-Webhook/1.0",
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Should this failed attempt be retried?
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Compute signature header value
+ * @param {String} secret - Channel secret
+ * @param {String|Number} timestamp - Unix seconds
+ * @param {String} body - Raw JSON body
+ * @returns {String} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${hmac}`;
+}
+
+// ========================================
+// HTTP POST WITH RETRY
+// ========================================
+
+/**
+ * POST with retries and exponential backoff (1s, 2s, 4s, ...)
+ * @param {String} url - Target URL
+ * @param {String|Object} body - Request body
+ * @param {Object} options - { headers, maxAttempts, backoffMs, timeoutMs, prepare }
+ *   prepare(attempt) → extra headers per attempt (e.g. fresh signature)
+ * @returns {Promise<Object>} { success, status, attempts, error? }
+ */
+async function postWithRetry(url, body, options = {}) {
+  const {
+    headers = {},
+    maxAttempts = CONFIG.MAX_ATTEMPTS,
+    backoffMs = CONFIG.BACKOFF_BASE_MS,
+    timeoutMs = CONFIG.TIMEOUT_MS,
+    prepare,
+  } = options;
+
+  let lastError = null;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    attempts = attempt;
+
+    try {
+      const response = await axios.post(url, body, {
+        headers: { ...headers, ...(prepare ? prepare(attempt) : {}) },
+        timeout: timeoutMs,
+        maxRedirects: 0,
+      });
+
+      return {
+        success: true,
+        status: response.status,
+        attempts: attempt,
+        data: response.data,
+      };
+    } catch (error) {
+      lastError = error;
+      const status = error.response?.status || null;
+
+      console.log(
+        `⚠️  POST ${
+          new URL(url).host
+        } attempt ${attempt}/${maxAttempts} failed: ${
+          status ? `HTTP ${status}` : error.code || error.message
+        }`
+      );
+
+      if (!isRetryable(error) || attempt === maxAttempts) {
+        break;
+      }
+
+      await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+  }
+
+  return {
+    success: false,
+    status: lastError.response?.status || null,
+    attempts,
+    error:
+      lastError.response?.data?.description || // Telegram error message
+      lastError.message,
+  };
+}
+
+// ========================================
+// WEBHOOK CHANNEL
+// ========================================
+
+/**
+ * Build webhook JSON payload
+ * @param {Object} event - { type, ipal_id, alerts }
+ */
+function buildPayload(event) {
+  return {
+    event: event.type,
+    ipal_id: event.ipal_id,
+    sent_at: new Date().toISOString(),
+    alerts: (event.alerts || []).map((alert) => ({
+      alert_id: alert.alert_id || alert.id || null,
+      parameter: alert.parameter,
+      location: alert.location,
+      severity: alert.severity,
+      status: alert.status || null,
+      value: alert.last_value ?? alert.value ?? null,
+      threshold: alert.threshold ?? null,
+      message: alert.message || null,
+      occurrences: alert.occurrences || 1,
+      resolution_reason: alert.resolution_reason || null,
+    })),
+  };
+}
+
+/**
+ * Send event to a webhook channel
+ * @param {Object} channel - { url, secret?, headers? }
+ * @param {Object} event - { type, ipal_id, alerts, delivery_id? }
+ * @returns {Promise<Object>} { success, status, attempts, error? }
+ */
+async function send(channel, event) {
+  const body = JSON.stringify(buildPayload(event));
+  const deliveryId = event.delivery_id || crypto.randomUUID();
+
+  const { data, ...result } = await postWithRetry(channel.url, body, {
+    headers: {
+      ...(channel.headers || {}),
+      "Content-Type": "application/json",
+      "User-Agent": CONFIG.USER_AGENT,
+      "X-IPAL-Event": event.type,
+      "X-IPAL-Delivery": deliveryId,
+    },
+    // Timestamp per attempt, so receivers can reject replays
+    prepare: () => {
+      const timestamp = Math.floor(Date.now() / 1000);
+      return {
+        "X-IPAL-Timestamp": String(timestamp),
+        ...(channel.secret
+          ? { "X-IPAL-Signature": signPayload(channel.secret, timestamp, body) }
+          : {}),
+      };
+    },
+  });
+
+  return result;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+  send,
+  signPayload,
+  buildPayload,
+  postWithRetry,
+  CONFIG,
+};
+
+console.log("📦 webhookService loaded");
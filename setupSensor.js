@@ -4,6 +4,10 @@
  * ========================================
  * Run this ONCE to create sensor metadata
  *
+ * ⚠️ DEPRECATED: use POST /api/sensors (register),
+ * POST /api/sensors/:id/replace and DELETE /api/sensors/:id instead.
+ * Kept only for bootstrapping IPAL 1 on an empty project.
+ *
  * Usage: node scripts/setupSensors.js
  */
 
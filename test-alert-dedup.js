@@ -0,0 +1,268 @@
+/**
+ * ========================================
+ * ALERT DEDUP & COOLDOWN TEST
+ * ========================================
+ * Membuktikan pelanggaran berulang dicatat sebagai occurrence pada alert
+ * yang masih open (fingerprint), dan notifikasi ulang mengikuti cooldown
+ * per severity (analysisPipeline.createAlertsForViolations).
+ *
+ * Jalankan terhadap Firestore emulator (BUKAN production):
+ *   gcloud emulators firestore start --host-port=localhost:8080
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 node test-alert-dedup.js
+ *
+ * Checks:
+ * 1. Pelanggaran pertama → alert baru + notifikasi
+ * 2. Pelanggaran sama (fingerprint sama) → occurrence, dalam cooldown tanpa notifikasi,
+ *    last_value & message ikut nilai terbaru
+ * 3. Analisis ulang reading yang sama → tidak dihitung dua kali
+ * 4. Severity naik (high → critical) → notifikasi walau masih cooldown
+ * 5. Cooldown lewat → notifikasi lagi
+ * 6. Kondisi lain (below_minimum) → alert terpisah
+ * 7. Reading backfilled & severity medium → tidak ada notifikasi
+ */
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error("❌ FIRESTORE_EMULATOR_HOST is not set.");
+  console.error(
+    "   This test writes and deletes data, run it against the Firestore emulator only."
+  );
+  process.exit(1);
+}
+
+const { db, admin } = require("./config/firebase-config");
+const analysisPipeline = require("./services/analysisPipeline");
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const TEST_IPAL_ID = 9003;
+const { critical: CRITICAL_COOLDOWN } =
+  analysisPipeline.CONFIG.NOTIFICATION_COOLDOWN_MINUTES;
+
+const results = { passed: 0, failed: 0 };
+
+function check(condition, message) {
+  if (condition) {
+    results.passed++;
+    console.log(`   ✅ ${message}`);
+  } else {
+    results.failed++;
+    console.log(`   ❌ ${message}`);
+  }
+}
+
+let readingCounter = 0;
+
+function violation(severity, condition = "above_maximum") {
+  return {
+    parameter: "ph",
+    location: "outlet",
+    value: condition === "above_maximum" ? 9.8 : 5.2,
+    threshold: condition === "above_maximum" ? 9 : 6,
+    condition,
+    severity,
+    message: `pH outlet ${condition}`,
+  };
+}
+
+/**
+ * Record one violation for a (new or given) reading
+ */
+async function record(violationData, { readingId, backfilled = false } = {}) {
+  const id = readingId || `test-dedup-${++readingCounter}`;
+
+  const result = await analysisPipeline.createAlertsForViolations(
+    id,
+    {
+      ipal_id: TEST_IPAL_ID,
+      timestamp: admin.firestore.Timestamp.now(),
+      backfilled,
+    },
+    [violationData],
+    0
+  );
+
+  return { readingId: id, ...result };
+}
+
+async function getAlerts() {
+  const snapshot = await db
+    .collection("alerts")
+    .where("ipal_id", "==", TEST_IPAL_ID)
+    .get();
+  return snapshot.docs;
+}
+
+async function cleanup() {
+  const alerts = await getAlerts();
+  for (const alert of alerts) {
+    const occurrences = await alert.ref.collection("occurrences").get();
+    await Promise.all(occurrences.docs.map((doc) => doc.ref.delete()));
+    await alert.ref.delete();
+  }
+
+  const fingerprints = await db
+    .collection("alert_fingerprints")
+    .where("ipal_id", "==", TEST_IPAL_ID)
+    .get();
+  await Promise.all(fingerprints.docs.map((doc) => doc.ref.delete()));
+}
+
+// ========================================
+// TESTS
+// ========================================
+
+async function testDedupAndCooldown() {
+  console.log("\n=== TEST 1: first violation creates an alert ===");
+
+  const first = await record(violation("high"));
+  const alertId = first.alert_ids[0];
+
+  check(first.created.length === 1, "Alert created");
+  check(first.to_notify.length === 1, "New alert is notified");
+
+  console.log("\n=== TEST 2: repeat within cooldown ===");
+
+  const repeat = await record({
+    ...violation("high"),
+    value: 9.6,
+    message: "pH outlet 9.6",
+  });
+  const alerts = await getAlerts();
+  const alert = alerts[0]?.data();
+
+  check(
+    repeat.repeated.length === 1 && repeat.alert_ids[0] === alertId,
+    "Repeat recorded on the open alert"
+  );
+  check(alerts.length === 1, `${alerts.length} alert doc(s), expected 1`);
+  check(alert?.occurrences === 2, `occurrences = ${alert?.occurrences}`);
+  check(
+    alert?.last_value === 9.6 && alert?.message === "pH outlet 9.6",
+    `last_value & message follow the repeat (${alert?.message})`
+  );
+  check(repeat.to_notify.length === 0, "Repeat within cooldown not notified");
+
+  console.log("\n=== TEST 3: re-analysis of the same reading ===");
+
+  const rerun = await record(violation("high"), {
+    readingId: repeat.readingId,
+  });
+  const afterRerun = (await db.collection("alerts").doc(alertId).get()).data();
+
+  check(
+    rerun.created.length === 0 && rerun.repeated.length === 0,
+    "Re-run recorded nothing"
+  );
+  check(
+    afterRerun.occurrences === 2,
+    `occurrences still ${afterRerun.occurrences}`
+  );
+
+  console.log("\n=== TEST 4: severity escalates (high → critical) ===");
+
+  const escalated = await record(violation("critical"));
+  const afterEscalation = (
+    await db.collection("alerts").doc(alertId).get()
+  ).data();
+
+  check(escalated.to_notify.length === 1, "Escalation notified in cooldown");
+  check(
+    afterEscalation.severity === "critical",
+    `severity = ${afterEscalation.severity}`
+  );
+  check(
+    afterEscalation.notification_count === 2,
+    `notification_count = ${afterEscalation.notification_count}`
+  );
+
+  console.log(`\n=== TEST 5: cooldown (${CRITICAL_COOLDOWN} min) elapsed ===`);
+
+  const withinCooldown = await record(violation("critical"));
+  check(withinCooldown.to_notify.length === 0, "Within cooldown not notified");
+
+  await db
+    .collection("alerts")
+    .doc(alertId)
+    .update({
+      last_notified_at: admin.firestore.Timestamp.fromMillis(
+        Date.now() - (CRITICAL_COOLDOWN + 1) * 60 * 1000
+      ),
+    });
+
+  const afterCooldown = await record(violation("critical"));
+  const final = (await db.collection("alerts").doc(alertId).get()).data();
+  const occurrenceDocs = await db
+    .collection("alerts")
+    .doc(alertId)
+    .collection("occurrences")
+    .get();
+
+  check(afterCooldown.to_notify.length === 1, "Notified after cooldown");
+  check(
+    final.notification_count === 3,
+    `notification_count = ${final.notification_count}`
+  );
+  check(
+    final.occurrences === 5 && occurrenceDocs.size === 5,
+    `occurrences = ${final.occurrences}, ${occurrenceDocs.size} occurrence doc(s)`
+  );
+
+  return alertId;
+}
+
+async function testSeparateAndSilent(alertId) {
+  console.log("\n=== TEST 6: other condition → separate alert ===");
+
+  const below = await record(violation("high", "below_minimum"));
+
+  check(below.created.length === 1, "New alert for below_minimum");
+  check(below.alert_ids[0] !== alertId, "Different alert ID");
+
+  console.log("\n=== TEST 7: backfilled & medium severity ===");
+
+  const backfilled = await record(violation("critical"), { backfilled: true });
+  check(
+    backfilled.repeated.length === 1 && backfilled.to_notify.length === 0,
+    "Backfilled repeat recorded, not notified"
+  );
+
+  const medium = await record({
+    ...violation("medium"),
+    parameter: "turbidity",
+  });
+  check(
+    medium.created.length === 1 && medium.to_notify.length === 0,
+    "Medium alert created, not notified"
+  );
+}
+
+// ========================================
+// MAIN
+// ========================================
+
+(async () => {
+  try {
+    console.log("🧪 ALERT DEDUP & COOLDOWN TEST");
+    console.log(`   Emulator: ${process.env.FIRESTORE_EMULATOR_HOST}`);
+    console.log(`   Test IPAL: ${TEST_IPAL_ID}`);
+
+    await cleanup();
+
+    const alertId = await testDedupAndCooldown();
+    await testSeparateAndSilent(alertId);
+
+    await cleanup();
+
+    console.log("\n========================================");
+    console.log(`✅ Passed: ${results.passed}`);
+    console.log(`❌ Failed: ${results.failed}`);
+    console.log("========================================\n");
+
+    process.exit(results.failed === 0 ? 0 : 1);
+  } catch (error) {
+    console.error("💥 Test error:", error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,154 @@
+/**
+ * ========================================
+ * BACKLOG SUBMISSION TEST
+ * ========================================
+ * Membuktikan reading backlog yang rusak ditolak satu per satu, tanpa
+ * menggagalkan seluruh batch (submitBacklog).
+ *
+ * Jalankan terhadap Firestore emulator (BUKAN production):
+ *   gcloud emulators firestore start --host-port=localhost:8080
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 node test-backlog-submission.js
+ *
+ * Checks:
+ * 1. Epoch di luar jangkauan Date (9e15) ditolak oleh validasi
+ * 2. Batch dengan timestamp di luar jangkauan tetap diproses:
+ *    item rusak rejected, item lain accepted & tersimpan di buffer
+ */
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error("❌ FIRESTORE_EMULATOR_HOST is not set.");
+  console.error(
+    "   This test writes and deletes data, run it against the Firestore emulator only."
+  );
+  process.exit(1);
+}
+
+const { db } = require("./config/firebase-config");
+const waterQualityService = require("./services/waterQualityService");
+const { validateBacklogReading } = require("./services/validationService");
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const TEST_IPAL_ID = 9004;
+const OUT_OF_RANGE_TIMESTAMP = 9e15; // > 8.64e15 ms, new Date() → Invalid Date
+
+const INLET_DATA = { ph: 7.2, tds: 450, turbidity: 25, temperature: 28 };
+
+const results = { passed: 0, failed: 0 };
+
+function check(condition, message) {
+  if (condition) {
+    results.passed++;
+    console.log(`   ✅ ${message}`);
+  } else {
+    results.failed++;
+    console.log(`   ❌ ${message}`);
+  }
+}
+
+async function getBufferDocs() {
+  const snapshot = await db
+    .collection("readings_buffer")
+    .where("ipal_id", "==", TEST_IPAL_ID)
+    .get();
+  return snapshot.docs;
+}
+
+async function cleanup() {
+  const docs = await getBufferDocs();
+  await Promise.all(docs.map((doc) => doc.ref.delete()));
+}
+
+// ========================================
+// TESTS
+// ========================================
+
+function testValidation() {
+  console.log("\n=== TEST 1: out-of-range epoch is rejected by validation ===");
+
+  const { error } = validateBacklogReading({
+    timestamp: OUT_OF_RANGE_TIMESTAMP,
+    data: INLET_DATA,
+  });
+
+  check(!!error, `timestamp ${OUT_OF_RANGE_TIMESTAMP} fails validation`);
+}
+
+async function testBatchWithOutOfRangeTimestamp() {
+  console.log("\n=== TEST 2: batch with an out-of-range timestamp ===");
+
+  const now = Date.now();
+  let summary;
+
+  try {
+    summary = await waterQualityService.submitBacklog({
+      ipal_id: TEST_IPAL_ID,
+      location: "inlet",
+      device_id: "TEST-INLET",
+      sensor_mapping: {},
+      readings: [
+        { timestamp: now - 10 * 60 * 1000, data: INLET_DATA },
+        { timestamp: OUT_OF_RANGE_TIMESTAMP, data: INLET_DATA },
+        {
+          timestamp: new Date(now - 5 * 60 * 1000).toISOString(),
+          data: INLET_DATA,
+        },
+      ],
+    });
+  } catch (error) {
+    check(false, `submitBacklog threw: ${error.message}`);
+    return;
+  }
+
+  const [first, bad, last] = summary.results;
+
+  check(
+    bad.status === "rejected",
+    `Out-of-range item rejected (${bad.reason})`
+  );
+  check(
+    first.status === "accepted" && last.status === "accepted",
+    "Other items accepted"
+  );
+  check(
+    summary.accepted === 2 && summary.rejected === 1,
+    `Summary: ${summary.accepted} accepted, ${summary.rejected} rejected`
+  );
+
+  const buffered = await getBufferDocs();
+  check(
+    buffered.length === 2,
+    `${buffered.length} buffer doc(s) saved, expected 2`
+  );
+}
+
+// ========================================
+// MAIN
+// ========================================
+
+(async () => {
+  try {
+    console.log("🧪 BACKLOG SUBMISSION TEST");
+    console.log(`   Emulator: ${process.env.FIRESTORE_EMULATOR_HOST}`);
+    console.log(`   Test IPAL: ${TEST_IPAL_ID}`);
+
+    await cleanup();
+
+    testValidation();
+    await testBatchWithOutOfRangeTimestamp();
+
+    await cleanup();
+
+    console.log("\n========================================");
+    console.log(`✅ Passed: ${results.passed}`);
+    console.log(`❌ Failed: ${results.failed}`);
+    console.log("========================================\n");
+
+    process.exit(results.failed === 0 ? 0 : 1);
+  } catch (error) {
+    console.error("💥 Test error:", error);
+    process.exit(1);
+  }
+})();
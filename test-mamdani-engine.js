@@ -0,0 +1,143 @@
+/**
+ * ========================================
+ * MAMDANI ENGINE TEST
+ * ========================================
+ * Membuktikan himpunan fuzzy "melebihi baku mutu" hanya aktif di luar
+ * batas baku mutu (utils/mamdaniEngine.js). Pure engine, tanpa Firestore:
+ *   node test-mamdani-engine.js
+ *
+ * Checks:
+ * 1. Batas himpunan: high mulai di max, low berakhir di min
+ * 2. Outlet memenuhi baku mutu → rule pelanggaran (R9-R11, R13, R14) tidak aktif
+ * 3. Outlet tepat di batas (borderline) → tetap tidak dianggap melebihi
+ * 4. Outlet melebihi baku mutu → rule pelanggaran aktif, skor turun
+ */
+
+const mamdaniEngine = require("./utils/mamdaniEngine");
+const { THRESHOLDS } = require("./services/fuzzyService");
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const INLET = { ph: 7.4, tds: 900, turbidity: 80, temperature: 28 };
+
+const COMPLIANT_OUTLET = { ph: 7.2, tds: 450, turbidity: 20, temperature: 27 };
+const BORDERLINE_OUTLET = {
+  ph: THRESHOLDS.ph.max,
+  tds: THRESHOLDS.tds.max,
+  turbidity: THRESHOLDS.turbidity.max,
+  temperature: THRESHOLDS.temperature.min,
+};
+const EXCEEDING_OUTLET = { ph: 9.8, tds: 700, turbidity: 40, temperature: 27 };
+
+// Rule yang hanya boleh aktif kalau baku mutu dilanggar
+const EXCEED_RULES = ["R9", "R10", "R11", "R13", "R14"];
+
+const results = { passed: 0, failed: 0 };
+
+function check(condition, message) {
+  if (condition) {
+    results.passed++;
+    console.log(`   ✅ ${message}`);
+  } else {
+    results.failed++;
+    console.log(`   ❌ ${message}`);
+  }
+}
+
+function strengthOf(inference, ruleId) {
+  return inference.rule_activations.find((r) => r.rule_id === ruleId).strength;
+}
+
+function firedExceedRules(inference) {
+  return EXCEED_RULES.filter((id) => strengthOf(inference, id) > 0);
+}
+
+// ========================================
+// TESTS
+// ========================================
+
+function testTermBoundaries() {
+  console.log("\n=== TEST 1: term boundaries follow the baku mutu ===");
+
+  const variables = mamdaniEngine.buildInputVariables(THRESHOLDS);
+
+  ["tds", "turbidity"].forEach((param) => {
+    const { max } = THRESHOLDS[param];
+    check(variables[param].high(max) === 0, `${param}.high(${max}) = 0`);
+    check(variables[param].high(max * 1.5) > 0, `${param}.high above max > 0`);
+    check(variables[param].medium(max) === 1, `${param}.medium(${max}) = 1`);
+  });
+
+  ["ph", "temperature"].forEach((param) => {
+    const { min, max } = THRESHOLDS[param];
+    check(variables[param].high(max) === 0, `${param}.high(${max}) = 0`);
+    check(variables[param].low(min) === 0, `${param}.low(${min}) = 0`);
+    check(
+      variables[param].normal(min) > 0 && variables[param].normal(max) > 0,
+      `${param}.normal > 0 at min and max`
+    );
+    check(
+      variables[param].high(max + 1) > 0 && variables[param].low(min - 1) > 0,
+      `${param} low/high > 0 outside the range`
+    );
+  });
+}
+
+function testCompliant() {
+  console.log("\n=== TEST 2: compliant outlet ===");
+
+  const inference = mamdaniEngine.infer(INLET, COMPLIANT_OUTLET, THRESHOLDS);
+  const fired = firedExceedRules(inference);
+
+  check(fired.length === 0, `No exceed rule fired (${fired.join(", ")})`);
+  check(inference.score >= 55, `Score ${inference.score} ≥ 55`);
+}
+
+function testBorderline() {
+  console.log("\n=== TEST 3: outlet exactly at the limits ===");
+
+  const inference = mamdaniEngine.infer(INLET, BORDERLINE_OUTLET, THRESHOLDS);
+  const fired = firedExceedRules(inference);
+
+  check(fired.length === 0, `No exceed rule fired (${fired.join(", ")})`);
+  check(inference.score !== null, `Score ${inference.score} is defined`);
+}
+
+function testExceeding() {
+  console.log("\n=== TEST 4: outlet exceeds the baku mutu ===");
+
+  const compliant = mamdaniEngine.infer(INLET, COMPLIANT_OUTLET, THRESHOLDS);
+  const inference = mamdaniEngine.infer(INLET, EXCEEDING_OUTLET, THRESHOLDS);
+
+  EXCEED_RULES.forEach((id) => {
+    check(strengthOf(inference, id) > 0, `${id} fired`);
+  });
+  check(
+    inference.output_strengths.critical > 0,
+    `critical strength ${inference.output_strengths.critical}`
+  );
+  check(
+    inference.score < compliant.score,
+    `Score ${inference.score} < compliant ${compliant.score}`
+  );
+}
+
+// ========================================
+// MAIN
+// ========================================
+
+console.log("🧪 MAMDANI ENGINE TEST");
+
+testTermBoundaries();
+testCompliant();
+testBorderline();
+testExceeding();
+
+console.log("\n========================================");
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}`);
+console.log("========================================\n");
+
+process.exit(results.failed === 0 ? 0 : 1);
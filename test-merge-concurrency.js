@@ -0,0 +1,235 @@
+/**
+ * ========================================
+ * MERGE CONCURRENCY TEST
+ * ========================================
+ * Membuktikan tryMerge memproses setiap pasangan inlet/outlet tepat
+ * satu kali saat submission datang bersamaan (claimBufferPair transaction).
+ *
+ * Jalankan terhadap Firestore emulator (BUKAN production):
+ *   gcloud emulators firestore start --host-port=localhost:8080
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 node test-merge-concurrency.js
+ *
+ * Checks:
+ * 1. Inlet + outlet dikirim bersamaan → tepat 1 reading per pasangan
+ * 2. Burst N inlet + N outlet → tidak ada buffer doc yang dipakai 2 reading
+ * 3. Satu alert per fingerprint; setiap pelanggaran tercatat tepat satu
+ *    kali sebagai occurrence (tidak ada alert / occurrence duplikat)
+ */
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error("❌ FIRESTORE_EMULATOR_HOST is not set.");
+  console.error(
+    "   This test writes and deletes data, run it against the Firestore emulator only."
+  );
+  process.exit(1);
+}
+
+const { db } = require("./config/firebase-config");
+const waterQualityService = require("./services/waterQualityService");
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const TEST_IPAL_ID = 9001;
+const PAIR_ROUNDS = 10;
+const BURST_SIZE = 5;
+
+const INLET_DATA = { ph: 7.2, tds: 450, turbidity: 25, temperature: 28 };
+// Outlet melanggar baku mutu (pH & TDS) supaya alert ikut dibuat
+const OUTLET_DATA = { ph: 9.8, tds: 2500, turbidity: 8, temperature: 29 };
+
+const results = { passed: 0, failed: 0 };
+
+function check(condition, message) {
+  if (condition) {
+    results.passed++;
+    console.log(`   ✅ ${message}`);
+  } else {
+    results.failed++;
+    console.log(`   ❌ ${message}`);
+  }
+}
+
+function submit(location) {
+  return waterQualityService.submitReading({
+    ipal_id: TEST_IPAL_ID,
+    location,
+    device_id: `TEST-${location.toUpperCase()}`,
+    data: location === "inlet" ? INLET_DATA : OUTLET_DATA,
+    sensor_mapping: {},
+  });
+}
+
+async function getDocs(collection) {
+  const snapshot = await db
+    .collection(collection)
+    .where("ipal_id", "==", TEST_IPAL_ID)
+    .get();
+  return snapshot.docs;
+}
+
+async function cleanup() {
+  // Occurrences are a subcollection of alerts
+  const alerts = await getDocs("alerts");
+  for (const alert of alerts) {
+    const occurrences = await alert.ref.collection("occurrences").get();
+    await Promise.all(occurrences.docs.map((doc) => doc.ref.delete()));
+  }
+
+  for (const collection of [
+    "readings_buffer",
+    "water_quality_readings",
+    "alerts",
+    "alert_fingerprints",
+  ]) {
+    const docs = await getDocs(collection);
+    await Promise.all(docs.map((doc) => doc.ref.delete()));
+  }
+}
+
+// ========================================
+// TESTS
+// ========================================
+
+async function testConcurrentPairs() {
+  console.log(
+    `\n=== TEST 1: ${PAIR_ROUNDS}x inlet + outlet submitted concurrently ===`
+  );
+
+  let mergedPerRound = [];
+
+  for (let i = 0; i < PAIR_ROUNDS; i++) {
+    const roundResults = await Promise.all([submit("inlet"), submit("outlet")]);
+    mergedPerRound.push(roundResults.filter((r) => r.merged).length);
+  }
+
+  const readings = await getDocs("water_quality_readings");
+
+  check(
+    mergedPerRound.every((count) => count === 1),
+    `Each round merged exactly once (${mergedPerRound.join(", ")})`
+  );
+  check(
+    readings.length === PAIR_ROUNDS,
+    `${readings.length} reading(s) created, expected ${PAIR_ROUNDS}`
+  );
+}
+
+async function testBurst() {
+  console.log(
+    `\n=== TEST 2: burst of ${BURST_SIZE} inlet + ${BURST_SIZE} outlet ===`
+  );
+
+  const before = (await getDocs("water_quality_readings")).length;
+
+  const submissions = [];
+  for (let i = 0; i < BURST_SIZE; i++) {
+    submissions.push(submit("inlet"), submit("outlet"));
+  }
+  const burstResults = await Promise.all(submissions);
+
+  const readings = (await getDocs("water_quality_readings")).map((doc) =>
+    doc.data()
+  );
+  const created = readings.length - before;
+  const mergedResults = burstResults.filter((r) => r.merged).length;
+
+  // Setiap buffer doc hanya boleh ada di satu reading
+  const usedBufferIds = readings.flatMap((r) => r.buffer_ids || []);
+  const duplicates = usedBufferIds.filter(
+    (id, index) => usedBufferIds.indexOf(id) !== index
+  );
+
+  const mergedBuffers = (await getDocs("readings_buffer")).filter(
+    (doc) => doc.data().is_merged
+  ).length;
+
+  check(
+    created === mergedResults,
+    `${created} reading(s) created for ${mergedResults} merged submission(s)`
+  );
+  check(
+    duplicates.length === 0,
+    `No buffer doc used by two readings (${duplicates.length} duplicate(s))`
+  );
+  check(
+    mergedBuffers === usedBufferIds.length,
+    `${mergedBuffers} merged buffer doc(s) = ${usedBufferIds.length} used by readings`
+  );
+  check(created <= BURST_SIZE, `At most ${BURST_SIZE} pair(s) created`);
+}
+
+async function testNoDuplicateAlerts() {
+  console.log("\n=== TEST 3: alerts per fingerprint ===");
+
+  const readings = await getDocs("water_quality_readings");
+  const alertDocs = await getDocs("alerts");
+  const alerts = alertDocs.map((doc) => doc.data());
+
+  // Repeats of an open alert are counted as occurrences, not new alerts
+  const violations = readings.flatMap(
+    (doc) => doc.data().fuzzy_analysis?.violations || []
+  );
+  const fingerprints = new Set(
+    violations.map(
+      (v) => `${TEST_IPAL_ID}_${v.parameter}_${v.location}_${v.condition}`
+    )
+  );
+  const alertFingerprints = new Set(alerts.map((a) => a.fingerprint));
+  const totalOccurrences = alerts.reduce(
+    (sum, a) => sum + (a.occurrences || 0),
+    0
+  );
+
+  const occurrenceDocs = await Promise.all(
+    alertDocs.map((doc) => doc.ref.collection("occurrences").get())
+  );
+  const occurrencesMatch = alertDocs.every(
+    (doc, i) => occurrenceDocs[i].size === doc.data().occurrences
+  );
+
+  check(
+    alerts.length === fingerprints.size,
+    `${alerts.length} alert(s) for ${fingerprints.size} fingerprint(s)`
+  );
+  check(
+    alertFingerprints.size === alerts.length,
+    "No two alerts share a fingerprint"
+  );
+  check(
+    totalOccurrences === violations.length,
+    `${totalOccurrences} occurrence(s) for ${violations.length} violation(s) in ${readings.length} reading(s)`
+  );
+  check(occurrencesMatch, "Occurrence docs match each alert's occurrences");
+}
+
+// ========================================
+// MAIN
+// ========================================
+
+(async () => {
+  try {
+    console.log("🧪 MERGE CONCURRENCY TEST");
+    console.log(`   Emulator: ${process.env.FIRESTORE_EMULATOR_HOST}`);
+    console.log(`   Test IPAL: ${TEST_IPAL_ID}`);
+
+    await cleanup();
+
+    await testConcurrentPairs();
+    await testBurst();
+    await testNoDuplicateAlerts();
+
+    await cleanup();
+
+    console.log("\n========================================");
+    console.log(`✅ Passed: ${results.passed}`);
+    console.log(`❌ Failed: ${results.failed}`);
+    console.log("========================================\n");
+
+    process.exit(results.failed === 0 ? 0 : 1);
+  } catch (error) {
+    console.error("💥 Test error:", error);
+    process.exit(1);
+  }
+})();
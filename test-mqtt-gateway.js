@@ -0,0 +1,367 @@
+/**
+ * ========================================
+ * MQTT GATEWAY TEST
+ * ========================================
+ * Menjalankan broker Aedes in-process, lalu mengirim reading lewat MQTT
+ * dan memeriksa balasan gateway di reply topic.
+ *
+ * Jalankan terhadap Firestore emulator (BUKAN production):
+ *   gcloud emulators firestore start --host-port=localhost:8080
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 node test-mqtt-gateway.js
+ *
+ * Checks:
+ * 1. Inlet reading diterima → ack merged=false, msg_id di-echo
+ * 2. Outlet reading → ack merged=true + reading_id, reading tersimpan
+ * 3. API key salah / topic lokasi lain → error reply
+ * 4. Data tidak lengkap / JSON rusak → validation error reply
+ * 5. Topic dengan lokasi tidak dikenal → error reply
+ * 6. MQTT 5 Response Topic hanya dipakai di reply namespace device sendiri
+ *    (Aedes belum mendukung MQTT 5 → dicek lewat isOwnReplyTopic)
+ */
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error("❌ FIRESTORE_EMULATOR_HOST is not set.");
+  console.error(
+    "   This test writes and deletes data, run it against the Firestore emulator only."
+  );
+  process.exit(1);
+}
+
+const net = require("net");
+const mqtt = require("mqtt");
+const { Aedes } = require("aedes");
+const { db } = require("./config/firebase-config");
+const deviceModel = require("./models/deviceModel");
+const mqttGatewayService = require("./services/mqttGatewayService");
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const TEST_IPAL_ID = 9002;
+const REPLY_TIMEOUT = 10000; // ms
+
+const DEVICES = {
+  inlet: "TEST-MQTT-INLET",
+  outlet: "TEST-MQTT-OUTLET",
+};
+
+const INLET_DATA = { ph: 7.2, tds: 450, turbidity: 25, temperature: 28 };
+const OUTLET_DATA = { ph: 7.4, tds: 300, turbidity: 8, temperature: 28 };
+
+const results = { passed: 0, failed: 0 };
+const apiKeys = {};
+
+function check(condition, message) {
+  if (condition) {
+    results.passed++;
+    console.log(`   ✅ ${message}`);
+  } else {
+    results.failed++;
+    console.log(`   ❌ ${message}`);
+  }
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Publish and wait for the reply (matched by msg_id or reply topic)
+ */
+function request(client, topic, payload, { replyTopic, msgId, properties }) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.removeListener("message", onReply);
+      reject(new Error(`No reply on ${replyTopic} within ${REPLY_TIMEOUT}ms`));
+    }, REPLY_TIMEOUT);
+
+    function onReply(replyTopicReceived, message, packet) {
+      if (replyTopicReceived !== replyTopic) return;
+
+      const reply = JSON.parse(message.toString());
+      if (msgId !== undefined && reply.msg_id !== msgId) return;
+
+      clearTimeout(timer);
+      client.removeListener("message", onReply);
+      resolve({ reply, packet });
+    }
+
+    client.on("message", onReply);
+    client.publish(topic, payload, { qos: 1, properties });
+  });
+}
+
+function replyTopicFor(location, deviceId) {
+  return mqttGatewayService.buildReplyTopic(
+    "ipal",
+    TEST_IPAL_ID,
+    location,
+    deviceId
+  );
+}
+
+async function cleanup() {
+  for (const collection of [
+    "readings_buffer",
+    "water_quality_readings",
+    "alerts",
+  ]) {
+    const snapshot = await db
+      .collection(collection)
+      .where("ipal_id", "==", TEST_IPAL_ID)
+      .get();
+    await Promise.all(snapshot.docs.map((doc) => doc.ref.delete()));
+  }
+
+  await Promise.all(
+    Object.values(DEVICES).map((id) =>
+      db.collection("devices").doc(id).delete()
+    )
+  );
+}
+
+// ========================================
+// TESTS
+// ========================================
+
+async function testReadingPair(client) {
+  console.log("\n=== TEST 1+2: inlet + outlet over MQTT ===");
+
+  const inlet = await request(
+    client,
+    `ipal/${TEST_IPAL_ID}/inlet`,
+    JSON.stringify({
+      device_id: DEVICES.inlet,
+      api_key: apiKeys.inlet,
+      msg_id: "in-1",
+      data: INLET_DATA,
+    }),
+    { replyTopic: replyTopicFor("inlet", DEVICES.inlet), msgId: "in-1" }
+  );
+
+  check(inlet.reply.success === true, "Inlet reading accepted");
+  check(inlet.reply.merged === false, "Inlet buffered, waiting for outlet");
+  check(
+    inlet.reply.data?.waiting_for === "outlet",
+    "Ack says waiting_for outlet"
+  );
+
+  const outlet = await request(
+    client,
+    `ipal/${TEST_IPAL_ID}/outlet`,
+    JSON.stringify({
+      device_id: DEVICES.outlet,
+      api_key: apiKeys.outlet,
+      msg_id: "out-1",
+      data: OUTLET_DATA,
+    }),
+    { replyTopic: replyTopicFor("outlet", DEVICES.outlet), msgId: "out-1" }
+  );
+
+  check(outlet.reply.merged === true, "Outlet reading merged with inlet");
+
+  const readingId = outlet.reply.data?.reading_id;
+  const reading = readingId
+    ? await db.collection("water_quality_readings").doc(readingId).get()
+    : null;
+
+  check(
+    reading?.exists && reading.data().ipal_id === TEST_IPAL_ID,
+    `Reading ${readingId} saved for IPAL ${TEST_IPAL_ID}`
+  );
+}
+
+async function testRejectedCredentials(client) {
+  console.log("\n=== TEST 3: authentication ===");
+
+  const badKey = await request(
+    client,
+    `ipal/${TEST_IPAL_ID}/inlet`,
+    JSON.stringify({
+      device_id: DEVICES.inlet,
+      api_key: "dk_wrong",
+      msg_id: "bad-key",
+      data: INLET_DATA,
+    }),
+    { replyTopic: replyTopicFor("inlet", DEVICES.inlet), msgId: "bad-key" }
+  );
+
+  check(
+    badKey.reply.success === false &&
+      badKey.reply.message === "Invalid device API key",
+    `Wrong API key rejected (${badKey.reply.message})`
+  );
+
+  // Inlet device publishing on the outlet topic
+  const wrongTopic = await request(
+    client,
+    `ipal/${TEST_IPAL_ID}/outlet`,
+    JSON.stringify({
+      device_id: DEVICES.inlet,
+      api_key: apiKeys.inlet,
+      msg_id: "wrong-topic",
+      data: INLET_DATA,
+    }),
+    { replyTopic: replyTopicFor("outlet", DEVICES.inlet), msgId: "wrong-topic" }
+  );
+
+  check(
+    wrongTopic.reply.success === false &&
+      /not allowed/.test(wrongTopic.reply.message),
+    `Device on other location's topic rejected (${wrongTopic.reply.message})`
+  );
+}
+
+async function testValidation(client) {
+  console.log("\n=== TEST 4: validation ===");
+
+  const missing = await request(
+    client,
+    `ipal/${TEST_IPAL_ID}/inlet`,
+    JSON.stringify({
+      device_id: DEVICES.inlet,
+      api_key: apiKeys.inlet,
+      msg_id: "missing",
+      data: { ph: 7.1 },
+    }),
+    { replyTopic: replyTopicFor("inlet", DEVICES.inlet), msgId: "missing" }
+  );
+
+  check(
+    missing.reply.success === false &&
+      missing.reply.errors?.includes("data.tds is required"),
+    `Incomplete data rejected (${missing.reply.errors?.join(", ")})`
+  );
+
+  const invalidJson = await request(
+    client,
+    `ipal/${TEST_IPAL_ID}/inlet`,
+    "{not json",
+    { replyTopic: replyTopicFor("inlet", null) }
+  );
+
+  check(
+    invalidJson.reply.success === false &&
+      invalidJson.reply.message === "Payload must be valid JSON",
+    "Invalid JSON answered on the location reply topic"
+  );
+}
+
+async function testUnknownLocation(client) {
+  console.log("\n=== TEST 5: unknown location topic ===");
+
+  const { reply } = await request(
+    client,
+    `ipal/${TEST_IPAL_ID}/middle`,
+    JSON.stringify({
+      device_id: DEVICES.inlet,
+      api_key: apiKeys.inlet,
+      msg_id: "middle",
+      data: INLET_DATA,
+    }),
+    { replyTopic: replyTopicFor("middle", DEVICES.inlet), msgId: "middle" }
+  );
+
+  check(
+    reply.success === false && /Invalid location/.test(reply.message),
+    `Unknown location rejected (${reply.message})`
+  );
+}
+
+function testResponseTopic() {
+  console.log("\n=== TEST 6: MQTT 5 response topic namespace ===");
+
+  const own = (responseTopic) =>
+    mqttGatewayService.isOwnReplyTopic(
+      responseTopic,
+      "ipal",
+      TEST_IPAL_ID,
+      "inlet"
+    );
+
+  check(
+    own(`ipal/${TEST_IPAL_ID}/inlet/reply/${DEVICES.inlet}`),
+    "Own reply topic accepted"
+  );
+  check(
+    own(`ipal/${TEST_IPAL_ID}/inlet/reply/${DEVICES.inlet}/req-1`),
+    "Sub-topic of own reply namespace accepted"
+  );
+  check(!own(`ipal/${TEST_IPAL_ID + 1}/inlet/reply/x`), "Other IPAL rejected");
+  check(
+    !own(`ipal/${TEST_IPAL_ID}/outlet/reply/${DEVICES.outlet}`),
+    "Other location rejected"
+  );
+  check(!own(`ipal/${TEST_IPAL_ID}/inlet`), "Reading topic rejected");
+  check(
+    !own(`ipal/${TEST_IPAL_ID}/inlet/reply`) &&
+      !own(`ipal/${TEST_IPAL_ID}/inlet/replyx/a`),
+    "Namespace prefix without segment rejected"
+  );
+  check(!own(`ipal/${TEST_IPAL_ID}/inlet/reply/#`), "Wildcard rejected");
+  check(!own("devices/commands"), "Unrelated topic rejected");
+}
+
+// ========================================
+// MAIN
+// ========================================
+
+(async () => {
+  let broker;
+  let server;
+  let client;
+
+  try {
+    console.log("🧪 MQTT GATEWAY TEST");
+    console.log(`   Emulator: ${process.env.FIRESTORE_EMULATOR_HOST}`);
+    console.log(`   Test IPAL: ${TEST_IPAL_ID}`);
+
+    await cleanup();
+
+    for (const [location, deviceId] of Object.entries(DEVICES)) {
+      const { api_key } = await deviceModel.createDevice(
+        { device_id: deviceId, ipal_id: TEST_IPAL_ID, location },
+        "test-mqtt-gateway"
+      );
+      apiKeys[location] = api_key;
+    }
+
+    // In-process broker on a random port
+    broker = await Aedes.createBroker();
+    server = net.createServer(broker.handle);
+    await new Promise((resolve) => server.listen(0, resolve));
+    const url = `mqtt://localhost:${server.address().port}`;
+    console.log(`   Broker: ${url}`);
+
+    await mqttGatewayService.start({ url, clientId: "test-gateway" });
+
+    client = await mqtt.connectAsync(url, { clientId: "test-device" });
+    await client.subscribeAsync(`ipal/${TEST_IPAL_ID}/+/reply/#`, { qos: 1 });
+
+    await testReadingPair(client);
+    await testRejectedCredentials(client);
+    await testValidation(client);
+    await testUnknownLocation(client);
+    testResponseTopic();
+
+    console.log("\n📊 Gateway status:", mqttGatewayService.getStatus());
+
+    await cleanup();
+
+    console.log("\n========================================");
+    console.log(`✅ Passed: ${results.passed}`);
+    console.log(`❌ Failed: ${results.failed}`);
+    console.log("========================================\n");
+  } catch (error) {
+    console.error("💥 Test error:", error);
+    results.failed++;
+  } finally {
+    if (client) await client.endAsync();
+    await mqttGatewayService.stop();
+    if (broker) await new Promise((resolve) => broker.close(resolve));
+    if (server) server.close();
+  }
+
+  process.exit(results.failed === 0 ? 0 : 1);
+})();
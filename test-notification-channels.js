@@ -0,0 +1,215 @@
+/**
+ * ========================================
+ * NOTIFICATION CHANNELS TEST
+ * ========================================
+ * Menjalankan mock HTTP server lokal, lalu mengirim event lewat
+ * webhookService dan telegramService (tanpa Firestore / internet).
+ *
+ * Run: node test-notification-channels.js
+ *
+ * Checks:
+ * 1. Webhook terkirim, JSON payload + header + HMAC signature valid
+ * 2. HTTP 500 → retry dengan backoff, delivery id sama di semua attempt
+ * 3. HTTP 400 → tidak di-retry
+ * 4. Telegram sendMessage (bot token di path, chat_id, HTML text)
+ * 5. Error Telegram tidak membocorkan bot token
+ */
+
+const http = require("http");
+
+// Mock server port is known only after listen, services read env on load
+const mock = { requests: [], responses: [] };
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    mock.requests.push({
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      body,
+    });
+    const [status, payload] = mock.responses.shift() || [200, { ok: true }];
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  });
+});
+
+const results = { passed: 0, failed: 0 };
+
+function check(condition, message) {
+  if (condition) {
+    results.passed++;
+    console.log(`   ✅ ${message}`);
+  } else {
+    results.failed++;
+    console.log(`   ❌ ${message}`);
+  }
+}
+
+// ========================================
+// TEST DATA
+// ========================================
+
+const SECRET = "test-secret-0123456789abcdef";
+const BOT_TOKEN = "123456:TEST-token_abc";
+
+const EVENT = {
+  type: "alert.triggered",
+  ipal_id: 1,
+  alerts: [
+    {
+      alert_id: "reading1_ph_outlet",
+      parameter: "ph",
+      location: "outlet",
+      severity: "critical",
+      status: "active",
+      value: 9.8,
+      threshold: 9,
+      message: "pH outlet di atas baku mutu",
+      occurrences: 3,
+    },
+  ],
+};
+
+// ========================================
+// TESTS
+// ========================================
+
+async function testWebhookDelivered(webhookService, baseUrl) {
+  console.log("\n=== TEST 1: webhook delivered & signed ===");
+  mock.requests = [];
+
+  const result = await webhookService.send(
+    { url: `${baseUrl}/hook`, secret: SECRET, headers: { "X-Api-Key": "k1" } },
+    EVENT
+  );
+  const request = mock.requests[0];
+  const payload = JSON.parse(request?.body || "{}");
+
+  check(result.success && result.attempts === 1, "Delivered on first attempt");
+  check(
+    request?.headers["x-ipal-event"] === "alert.triggered",
+    "X-IPAL-Event header"
+  );
+  check(request?.headers["x-api-key"] === "k1", "Custom channel header sent");
+  check(
+    payload.alerts?.[0]?.alert_id === "reading1_ph_outlet" &&
+      payload.alerts[0].occurrences === 3,
+    "Payload contains alert"
+  );
+
+  const expected = webhookService.signPayload(
+    SECRET,
+    request?.headers["x-ipal-timestamp"],
+    request?.body
+  );
+  check(
+    request?.headers["x-ipal-signature"] === expected,
+    "HMAC signature valid"
+  );
+}
+
+async function testWebhookRetry(webhookService, baseUrl) {
+  console.log("\n=== TEST 2+3: retry with backoff ===");
+  mock.requests = [];
+  mock.responses = [
+    [500, { error: "boom" }],
+    [503, { error: "busy" }],
+  ];
+
+  const retried = await webhookService.send(
+    { url: `${baseUrl}/hook`, secret: SECRET },
+    EVENT
+  );
+  const deliveryIds = new Set(
+    mock.requests.map((r) => r.headers["x-ipal-delivery"])
+  );
+
+  check(
+    retried.success && retried.attempts === 3,
+    `5xx retried (${retried.attempts} attempts)`
+  );
+  check(deliveryIds.size === 1, "Same delivery id on every attempt");
+
+  mock.requests = [];
+  mock.responses = [[400, { error: "bad request" }]];
+
+  const rejected = await webhookService.send(
+    { url: `${baseUrl}/hook`, secret: SECRET },
+    EVENT
+  );
+
+  check(
+    !rejected.success && rejected.status === 400 && mock.requests.length === 1,
+    "4xx not retried"
+  );
+}
+
+async function testTelegram(telegramService) {
+  console.log("\n=== TEST 4+5: Telegram ===");
+  mock.requests = [];
+
+  const result = await telegramService.send(
+    { chat_id: -100123, bot_token: BOT_TOKEN },
+    EVENT
+  );
+  const request = mock.requests[0];
+  const body = JSON.parse(request?.body || "{}");
+
+  check(result.success, "Telegram message delivered");
+  check(request?.url === `/bot${BOT_TOKEN}/sendMessage`, "Bot token in path");
+  check(
+    body.chat_id === -100123 && body.parse_mode === "HTML",
+    "chat_id + HTML parse mode"
+  );
+  check(body.text?.includes("<b>PH</b>"), "Message lists violated parameter");
+
+  mock.responses = [
+    [401, { ok: false, description: `Unauthorized ${BOT_TOKEN}` }],
+  ];
+
+  const failed = await telegramService.send(
+    { chat_id: -100123, bot_token: BOT_TOKEN },
+    EVENT
+  );
+
+  check(
+    !failed.success && !failed.error.includes(BOT_TOKEN),
+    `Error hides bot token (${failed.error})`
+  );
+}
+
+// ========================================
+// MAIN
+// ========================================
+
+(async () => {
+  try {
+    await new Promise((resolve) => server.listen(0, resolve));
+    const baseUrl = `http://localhost:${server.address().port}`;
+    console.log(`   Mock server: ${baseUrl}`);
+
+    process.env.TELEGRAM_API_URL = baseUrl;
+    process.env.WEBHOOK_BACKOFF_MS = "50";
+
+    const webhookService = require("./services/webhookService");
+    const telegramService = require("./services/telegramService");
+
+    await testWebhookDelivered(webhookService, baseUrl);
+    await testWebhookRetry(webhookService, baseUrl);
+    await testTelegram(telegramService);
+
+    console.log("\n========================================");
+    console.log(`✅ Passed: ${results.passed}`);
+    console.log(`❌ Failed: ${results.failed}`);
+    console.log("========================================\n");
+  } catch (error) {
+    console.error("💥 Test error:", error);
+    results.failed++;
+  } finally {
+    server.close();
+  }
+
+  process.exit(results.failed === 0 ? 0 : 1);
+})();
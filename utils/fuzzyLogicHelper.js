@@ -29,6 +29,38 @@ const THRESHOLDS = {
   },
 };
 
+/**
+ * Terapkan baku mutu profile IPAL ke THRESHOLDS helper
+ * Profile (format fuzzyService) hanya mengatur batas outlet,
+ * aturan inlet & efektivitas tetap pakai default
+ * @param {Object} profileThresholds - { ph, tds, turbidity, temperature } dari threshold profile
+ * @returns {Object} THRESHOLDS dengan batas outlet dari profile
+ */
+function buildThresholds(profileThresholds) {
+  if (!profileThresholds) return THRESHOLDS;
+
+  const { ph, tds, turbidity, temperature } = profileThresholds;
+
+  return {
+    pH: {
+      ...THRESHOLDS.pH,
+      outlet: { min: ph.min, max: ph.max },
+    },
+    tds: {
+      ...THRESHOLDS.tds,
+      outlet: { max: tds.max },
+    },
+    turbidity: {
+      ...THRESHOLDS.turbidity,
+      outlet: { max: turbidity.max },
+    },
+    temperature: {
+      ...THRESHOLDS.temperature,
+      outlet: { min: temperature.min, max: temperature.max },
+    },
+  };
+}
+
 /**
  * Fungsi membership untuk pH (Fuzzy Sets)
  */
@@ -47,11 +79,11 @@ function pHMembership(value) {
 /**
  * Fungsi membership untuk TDS
  */
-function tdsMembership(value, location) {
+function tdsMembership(value, location, thresholds = THRESHOLDS) {
   const threshold =
     location === "outlet"
-      ? THRESHOLDS.tds.outlet.max
-      : THRESHOLDS.tds.inlet.max;
+      ? thresholds.tds.outlet.max
+      : thresholds.tds.inlet.max;
 
   if (value <= threshold * 0.5)
     return { category: "very_low", severity: "low" };
@@ -64,11 +96,11 @@ function tdsMembership(value, location) {
 /**
  * Fungsi membership untuk Turbidity
  */
-function turbidityMembership(value, location) {
+function turbidityMembership(value, location, thresholds = THRESHOLDS) {
   const threshold =
     location === "outlet"
-      ? THRESHOLDS.turbidity.outlet.max
-      : THRESHOLDS.turbidity.inlet.max;
+      ? thresholds.turbidity.outlet.max
+      : thresholds.turbidity.inlet.max;
 
   if (value <= threshold * 0.3)
     return { category: "very_clear", severity: "low" };
@@ -94,7 +126,12 @@ function temperatureMembership(value) {
 /**
  * Analisis perubahan parameter inlet vs outlet
  */
-function analyzeParameterChange(inlet, outlet, parameter) {
+function analyzeParameterChange(
+  inlet,
+  outlet,
+  parameter,
+  thresholds = THRESHOLDS
+) {
   const alerts = [];
 
   switch (parameter) {
@@ -102,14 +139,14 @@ function analyzeParameterChange(inlet, outlet, parameter) {
       const pHDiff = outlet - inlet;
 
       // Rule 1: pH outlet harus naik sedikit (0.3 - 1.5)
-      if (pHDiff < THRESHOLDS.pH.optimalIncrease.min) {
+      if (pHDiff < thresholds.pH.optimalIncrease.min) {
         alerts.push({
           parameter: "ph",
           location: "comparison",
           rule: "pH outlet tidak naik cukup",
           message: `pH hanya naik ${pHDiff.toFixed(2)} (seharusnya ${
-            THRESHOLDS.pH.optimalIncrease.min
-          } - ${THRESHOLDS.pH.optimalIncrease.max})`,
+            thresholds.pH.optimalIncrease.min
+          } - ${thresholds.pH.optimalIncrease.max})`,
           severity: "medium",
           inlet_value: inlet,
           outlet_value: outlet,
@@ -118,13 +155,13 @@ function analyzeParameterChange(inlet, outlet, parameter) {
       }
 
       // Rule 2: pH outlet terlalu tinggi
-      if (pHDiff > THRESHOLDS.pH.optimalIncrease.max) {
+      if (pHDiff > thresholds.pH.optimalIncrease.max) {
         alerts.push({
           parameter: "ph",
           location: "comparison",
           rule: "pH outlet naik terlalu tinggi",
           message: `pH naik ${pHDiff.toFixed(2)} (max seharusnya ${
-            THRESHOLDS.pH.optimalIncrease.max
+            thresholds.pH.optimalIncrease.max
           })`,
           severity: "high",
           inlet_value: inlet,
@@ -135,20 +172,20 @@ function analyzeParameterChange(inlet, outlet, parameter) {
 
       // Rule 3: pH outlet di luar baku mutu
       if (
-        outlet < THRESHOLDS.pH.outlet.min ||
-        outlet > THRESHOLDS.pH.outlet.max
+        outlet < thresholds.pH.outlet.min ||
+        outlet > thresholds.pH.outlet.max
       ) {
         alerts.push({
           parameter: "ph",
           location: "outlet",
           rule: "pH outlet di luar baku mutu",
           message: `pH outlet ${outlet.toFixed(2)} (baku mutu: ${
-            THRESHOLDS.pH.outlet.min
-          } - ${THRESHOLDS.pH.outlet.max})`,
+            thresholds.pH.outlet.min
+          } - ${thresholds.pH.outlet.max})`,
           severity: "critical",
           inlet_value: inlet,
           outlet_value: outlet,
-          threshold: `${THRESHOLDS.pH.outlet.min}-${THRESHOLDS.pH.outlet.max}`,
+          threshold: `${thresholds.pH.outlet.min}-${thresholds.pH.outlet.max}`,
         });
       }
       break;
@@ -157,14 +194,14 @@ function analyzeParameterChange(inlet, outlet, parameter) {
       const tdsReduction = ((inlet - outlet) / inlet) * 100;
 
       // Rule 4: TDS harus turun minimal 15%
-      if (tdsReduction < THRESHOLDS.tds.minReduction * 100) {
+      if (tdsReduction < thresholds.tds.minReduction * 100) {
         alerts.push({
           parameter: "tds",
           location: "comparison",
           rule: "TDS tidak turun cukup",
           message: `TDS hanya turun ${tdsReduction.toFixed(
             1
-          )}% (seharusnya min ${THRESHOLDS.tds.minReduction * 100}%)`,
+          )}% (seharusnya min ${thresholds.tds.minReduction * 100}%)`,
           severity: "high",
           inlet_value: inlet,
           outlet_value: outlet,
@@ -173,18 +210,18 @@ function analyzeParameterChange(inlet, outlet, parameter) {
       }
 
       // Rule 5: TDS outlet melebihi baku mutu
-      if (outlet > THRESHOLDS.tds.outlet.max) {
+      if (outlet > thresholds.tds.outlet.max) {
         alerts.push({
           parameter: "tds",
           location: "outlet",
           rule: "TDS outlet melebihi baku mutu",
           message: `TDS outlet ${outlet.toFixed(1)} ppm (max ${
-            THRESHOLDS.tds.outlet.max
+            thresholds.tds.outlet.max
           } ppm)`,
           severity: "critical",
           inlet_value: inlet,
           outlet_value: outlet,
-          threshold: THRESHOLDS.tds.outlet.max,
+          threshold: thresholds.tds.outlet.max,
         });
       }
       break;
@@ -193,14 +230,14 @@ function analyzeParameterChange(inlet, outlet, parameter) {
       const turbidityReduction = ((inlet - outlet) / inlet) * 100;
 
       // Rule 6: Turbidity harus turun minimal 50%
-      if (turbidityReduction < THRESHOLDS.turbidity.minReduction * 100) {
+      if (turbidityReduction < thresholds.turbidity.minReduction * 100) {
         alerts.push({
           parameter: "turbidity",
           location: "comparison",
           rule: "Turbidity tidak turun cukup",
           message: `Turbidity hanya turun ${turbidityReduction.toFixed(
             1
-          )}% (seharusnya min ${THRESHOLDS.turbidity.minReduction * 100}%)`,
+          )}% (seharusnya min ${thresholds.turbidity.minReduction * 100}%)`,
           severity: "high",
           inlet_value: inlet,
           outlet_value: outlet,
@@ -209,18 +246,18 @@ function analyzeParameterChange(inlet, outlet, parameter) {
       }
 
       // Rule 7: Turbidity outlet melebihi baku mutu
-      if (outlet > THRESHOLDS.turbidity.outlet.max) {
+      if (outlet > thresholds.turbidity.outlet.max) {
         alerts.push({
           parameter: "turbidity",
           location: "outlet",
           rule: "Turbidity outlet melebihi baku mutu",
           message: `Turbidity outlet ${outlet.toFixed(1)} NTU (max ${
-            THRESHOLDS.turbidity.outlet.max
+            thresholds.turbidity.outlet.max
           } NTU)`,
           severity: "critical",
           inlet_value: inlet,
           outlet_value: outlet,
-          threshold: THRESHOLDS.turbidity.outlet.max,
+          threshold: thresholds.turbidity.outlet.max,
         });
       }
       break;
@@ -229,13 +266,13 @@ function analyzeParameterChange(inlet, outlet, parameter) {
       const tempDiff = Math.abs(outlet - inlet);
 
       // Rule 8: Perbedaan suhu tidak boleh terlalu besar
-      if (tempDiff > THRESHOLDS.temperature.maxDifference) {
+      if (tempDiff > thresholds.temperature.maxDifference) {
         alerts.push({
           parameter: "temperature",
           location: "comparison",
           rule: "Perbedaan suhu terlalu besar",
           message: `Perbedaan suhu ${tempDiff.toFixed(1)}°C (max ${
-            THRESHOLDS.temperature.maxDifference
+            thresholds.temperature.maxDifference
           }°C)`,
           severity: "medium",
           inlet_value: inlet,
@@ -246,20 +283,20 @@ function analyzeParameterChange(inlet, outlet, parameter) {
 
       // Rule 9: Suhu outlet di luar range normal
       if (
-        outlet < THRESHOLDS.temperature.outlet.min ||
-        outlet > THRESHOLDS.temperature.outlet.max
+        outlet < thresholds.temperature.outlet.min ||
+        outlet > thresholds.temperature.outlet.max
       ) {
         alerts.push({
           parameter: "temperature",
           location: "outlet",
           rule: "Suhu outlet di luar range normal",
           message: `Suhu outlet ${outlet.toFixed(1)}°C (range: ${
-            THRESHOLDS.temperature.outlet.min
-          }-${THRESHOLDS.temperature.outlet.max}°C)`,
+            thresholds.temperature.outlet.min
+          }-${thresholds.temperature.outlet.max}°C)`,
           severity: "medium",
           inlet_value: inlet,
           outlet_value: outlet,
-          threshold: `${THRESHOLDS.temperature.outlet.min}-${THRESHOLDS.temperature.outlet.max}`,
+          threshold: `${thresholds.temperature.outlet.min}-${thresholds.temperature.outlet.max}`,
         });
       }
       break;
@@ -272,12 +309,14 @@ function analyzeParameterChange(inlet, outlet, parameter) {
  * Main Fuzzy Logic Analysis Function
  * @param {Object} inletData - Data dari inlet {ph, tds, turbidity, temperature}
  * @param {Object} outletData - Data dari outlet {ph, tds, turbidity, temperature}
+ * @param {Object} profileThresholds - Baku mutu profile IPAL (optional, default THRESHOLDS)
  * @returns {Object} - Hasil analisis dengan alerts
  */
-function analyzeFuzzy(inletData, outletData) {
+function analyzeFuzzy(inletData, outletData, profileThresholds = null) {
   console.log("🧠 Running Fuzzy Logic Analysis...");
 
   const alerts = [];
+  const thresholds = buildThresholds(profileThresholds);
 
   // Analisis setiap parameter
   const parameters = ["ph", "tds", "turbidity", "temperature"];
@@ -286,7 +325,8 @@ function analyzeFuzzy(inletData, outletData) {
     const paramAlerts = analyzeParameterChange(
       inletData[param],
       outletData[param],
-      param
+      param,
+      thresholds
     );
     alerts.push(...paramAlerts);
   });
@@ -350,6 +390,7 @@ function getOverallStatus(score, alerts) {
 
 module.exports = {
   analyzeFuzzy,
+  buildThresholds,
   THRESHOLDS,
   pHMembership,
   tdsMembership,
@@ -0,0 +1,449 @@
+/**
+ * ========================================
+ * MAMDANI FUZZY INFERENCE ENGINE
+ * ========================================
+ * Pipeline:
+ *   1. Fuzzification   → derajat keanggotaan (0-1) tiap input
+ *   2. Rule evaluation → kekuatan aktivasi rule (AND = min, OR = max)
+ *   3. Aggregation     → output set di-clip per rule, digabung dengan max
+ *   4. Defuzzification → centroid (center of gravity) di universe 0-100
+ *
+ * Input: outlet pH/TDS/turbidity/temperature + efektivitas removal
+ * TDS & turbidity (inlet vs outlet).
+ * Batas himpunan fuzzy diturunkan dari baku mutu profile IPAL,
+ * jadi profile per IPAL otomatis berlaku.
+ */
+
+const { THRESHOLDS: HELPER_THRESHOLDS } = require("./fuzzyLogicHelper");
+
+// Resolusi universe output (quality score 0-100)
+const OUTPUT_STEP = 0.5;
+
+/**
+ * ========================================
+ * MEMBERSHIP FUNCTIONS
+ * ========================================
+ */
+
+/**
+ * Trapezoid membership (a ≤ b ≤ c ≤ d)
+ * a = b atau c = d menghasilkan bahu (shoulder) kiri/kanan
+ */
+function trapezoid(x, a, b, c, d) {
+  if (x < a || x > d) return 0;
+  if (x >= b && x <= c) return 1;
+  if (x < b) return b === a ? 1 : (x - a) / (b - a);
+  return d === c ? 1 : (d - x) / (d - c);
+}
+
+/**
+ * Triangle membership (a ≤ b ≤ c)
+ */
+function triangle(x, a, b, c) {
+  return trapezoid(x, a, b, b, c);
+}
+
+/**
+ * ========================================
+ * LINGUISTIC VARIABLES
+ * ========================================
+ */
+
+/**
+ * Build input variables from baku mutu thresholds
+ * @param {Object} thresholds - { ph, tds, turbidity, temperature } (fuzzyService format)
+ * @returns {Object} variable → term → membership function
+ */
+function buildInputVariables(thresholds) {
+  const { ph, tds, turbidity, temperature } = thresholds;
+
+  // Lebar ramp di luar baku mutu; fallback kalau optimal = batas
+  const rampWidth = (width, limit) => width || Math.abs(limit) * 0.1 || 1;
+
+  // Sisi "upper-limit" parameter (TDS, turbidity): low / medium / high
+  // high mulai di max: nilai ≤ max (masih memenuhi baku mutu) tidak "high"
+  const upperLimitTerms = ({ max, optimal_max }) => {
+    const mid = (optimal_max + max) / 2;
+    const ramp = rampWidth(max - mid, max);
+    return {
+      low: (x) => trapezoid(x, -Infinity, -Infinity, optimal_max, mid),
+      medium: (x) => trapezoid(x, optimal_max, mid, max, max + ramp),
+      high: (x) => trapezoid(x, max, max + ramp, Infinity, Infinity),
+    };
+  };
+
+  // Parameter dengan range (pH, temperature): low / normal / high
+  // low berakhir di min dan high mulai di max (di luar baku mutu saja)
+  const rangeTerms = ({ min, max, optimal_min, optimal_max }) => {
+    const lowRamp = rampWidth(optimal_min - min, min);
+    const highRamp = rampWidth(max - optimal_max, max);
+    return {
+      low: (x) => trapezoid(x, -Infinity, -Infinity, min - lowRamp, min),
+      normal: (x) =>
+        trapezoid(x, min - lowRamp, optimal_min, optimal_max, max + highRamp),
+      high: (x) => trapezoid(x, max, max + highRamp, Infinity, Infinity),
+    };
+  };
+
+  // Removal efficiency (%): poor / adequate / good
+  const removalTerms = (minReduction) => {
+    const target = minReduction * 100;
+    const good = Math.min(100, target * 2);
+    return {
+      poor: (x) => trapezoid(x, -Infinity, -Infinity, 0, target),
+      adequate: (x) => triangle(x, 0, target, good),
+      good: (x) => trapezoid(x, target, good, Infinity, Infinity),
+    };
+  };
+
+  return {
+    ph: rangeTerms(ph),
+    tds: upperLimitTerms(tds),
+    turbidity: upperLimitTerms(turbidity),
+    temperature: rangeTerms(temperature),
+    tds_removal: removalTerms(HELPER_THRESHOLDS.tds.minReduction),
+    turbidity_removal: removalTerms(HELPER_THRESHOLDS.turbidity.minReduction),
+  };
+}
+
+/**
+ * Output variable: quality score (0-100)
+ * Selaras dengan fuzzyService.determineStatus()
+ */
+const OUTPUT_TERMS = {
+  critical: (x) => trapezoid(x, 0, 0, 15, 30),
+  poor: (x) => triangle(x, 20, 35, 50),
+  fair: (x) => triangle(x, 40, 55, 70),
+  good: (x) => triangle(x, 60, 75, 90),
+  excellent: (x) => trapezoid(x, 80, 92, 100, 100),
+};
+
+/**
+ * ========================================
+ * RULE BASE
+ * ========================================
+ * Antecedent: { all: [...] } (AND/min) atau { any: [...] } (OR/max)
+ * Clause: [variable, term] atau nested antecedent
+ */
+
+const RULES = [
+  {
+    id: "R1",
+    description: "Semua parameter outlet dalam kondisi optimal",
+    if: {
+      all: [
+        ["ph", "normal"],
+        ["tds", "low"],
+        ["turbidity", "low"],
+        ["temperature", "normal"],
+      ],
+    },
+    then: "excellent",
+  },
+  {
+    id: "R2",
+    description: "Removal turbidity baik dan turbidity outlet rendah",
+    if: {
+      all: [
+        ["turbidity_removal", "good"],
+        ["turbidity", "low"],
+      ],
+    },
+    then: "excellent",
+  },
+  {
+    id: "R3",
+    description: "Removal TDS baik dan TDS outlet rendah",
+    if: {
+      all: [
+        ["tds_removal", "good"],
+        ["tds", "low"],
+      ],
+    },
+    then: "excellent",
+  },
+  {
+    id: "R4",
+    description: "pH normal dengan TDS atau turbidity mendekati batas",
+    if: {
+      all: [
+        ["ph", "normal"],
+        {
+          any: [
+            ["tds", "medium"],
+            ["turbidity", "medium"],
+          ],
+        },
+      ],
+    },
+    then: "good",
+  },
+  {
+    id: "R5",
+    description: "TDS dan turbidity outlet sama-sama mendekati batas",
+    if: {
+      all: [
+        ["tds", "medium"],
+        ["turbidity", "medium"],
+      ],
+    },
+    then: "fair",
+  },
+  {
+    id: "R6",
+    description: "Suhu outlet di luar range normal",
+    if: {
+      any: [
+        ["temperature", "low"],
+        ["temperature", "high"],
+      ],
+    },
+    then: "fair",
+  },
+  {
+    id: "R7",
+    description: "Removal TDS kurang dan TDS outlet mendekati batas",
+    if: {
+      all: [
+        ["tds_removal", "poor"],
+        ["tds", "medium"],
+      ],
+    },
+    then: "fair",
+  },
+  {
+    id: "R8",
+    description:
+      "Removal turbidity kurang dan turbidity outlet mendekati batas",
+    if: {
+      all: [
+        ["turbidity_removal", "poor"],
+        ["turbidity", "medium"],
+      ],
+    },
+    then: "fair",
+  },
+  {
+    id: "R9",
+    description: "pH outlet terlalu asam atau basa",
+    if: {
+      any: [
+        ["ph", "low"],
+        ["ph", "high"],
+      ],
+    },
+    then: "poor",
+  },
+  {
+    id: "R10",
+    description: "TDS outlet melebihi baku mutu",
+    if: ["tds", "high"],
+    then: "poor",
+  },
+  {
+    id: "R11",
+    description: "Turbidity outlet melebihi baku mutu",
+    if: ["turbidity", "high"],
+    then: "poor",
+  },
+  {
+    id: "R12",
+    description: "IPAL tidak efektif menurunkan TDS dan turbidity",
+    if: {
+      all: [
+        ["tds_removal", "poor"],
+        ["turbidity_removal", "poor"],
+      ],
+    },
+    then: "poor",
+  },
+  {
+    id: "R13",
+    description: "TDS dan turbidity outlet sama-sama melebihi baku mutu",
+    if: {
+      all: [
+        ["tds", "high"],
+        ["turbidity", "high"],
+      ],
+    },
+    then: "critical",
+  },
+  {
+    id: "R14",
+    description: "pH di luar baku mutu disertai TDS atau turbidity tinggi",
+    if: {
+      all: [
+        {
+          any: [
+            ["ph", "low"],
+            ["ph", "high"],
+          ],
+        },
+        {
+          any: [
+            ["tds", "high"],
+            ["turbidity", "high"],
+          ],
+        },
+      ],
+    },
+    then: "critical",
+  },
+];
+
+/**
+ * ========================================
+ * INFERENCE PIPELINE
+ * ========================================
+ */
+
+/**
+ * Removal efficiency (%) inlet → outlet
+ */
+function removalPercent(inletValue, outletValue) {
+  if (!(inletValue > 0)) {
+    // Inlet kosong: tidak ada yang perlu diturunkan
+    return outletValue > 0 ? 0 : 100;
+  }
+  return ((inletValue - outletValue) / inletValue) * 100;
+}
+
+/**
+ * Step 1: Fuzzification
+ * @returns {Object} { variable: { term: degree } }
+ */
+function fuzzify(crispInputs, variables) {
+  const memberships = {};
+
+  Object.entries(variables).forEach(([variable, terms]) => {
+    memberships[variable] = {};
+    Object.entries(terms).forEach(([term, fn]) => {
+      memberships[variable][term] = round(fn(crispInputs[variable]), 4);
+    });
+  });
+
+  return memberships;
+}
+
+/**
+ * Step 2: Evaluate antecedent (AND = min, OR = max)
+ */
+function evaluateAntecedent(antecedent, memberships) {
+  if (Array.isArray(antecedent)) {
+    const [variable, term] = antecedent;
+    return memberships[variable]?.[term] ?? 0;
+  }
+
+  if (antecedent.all) {
+    return Math.min(
+      ...antecedent.all.map((c) => evaluateAntecedent(c, memberships))
+    );
+  }
+
+  if (antecedent.any) {
+    return Math.max(
+      ...antecedent.any.map((c) => evaluateAntecedent(c, memberships))
+    );
+  }
+
+  return 0;
+}
+
+/**
+ * Step 3 + 4: Aggregation (max of clipped sets) & centroid defuzzification
+ * @param {Object} outputStrengths - { term: strongest activation }
+ * @returns {Number|null} Crisp score, null if no rule fired
+ */
+function defuzzifyCentroid(outputStrengths) {
+  let numerator = 0;
+  let denominator = 0;
+
+  for (let x = 0; x <= 100; x += OUTPUT_STEP) {
+    // Mamdani implication: clip (min) tiap output set, aggregate dengan max
+    let mu = 0;
+    Object.entries(outputStrengths).forEach(([term, strength]) => {
+      mu = Math.max(mu, Math.min(strength, OUTPUT_TERMS[term](x)));
+    });
+
+    numerator += x * mu;
+    denominator += mu;
+  }
+
+  return denominator === 0 ? null : numerator / denominator;
+}
+
+/**
+ * Run full Mamdani inference
+ * @param {Object} inlet - { ph, tds, turbidity, temperature }
+ * @param {Object} outlet - { ph, tds, turbidity, temperature }
+ * @param {Object} thresholds - Baku mutu (fuzzyService format)
+ * @returns {Object} { score, inputs, memberships, rule_activations, output_strengths }
+ */
+function infer(inlet, outlet, thresholds) {
+  const variables = buildInputVariables(thresholds);
+
+  const crispInputs = {
+    ph: outlet.ph,
+    tds: outlet.tds,
+    turbidity: outlet.turbidity,
+    temperature: outlet.temperature,
+    tds_removal: removalPercent(inlet.tds, outlet.tds),
+    turbidity_removal: removalPercent(inlet.turbidity, outlet.turbidity),
+  };
+
+  // 1. Fuzzification
+  const memberships = fuzzify(crispInputs, variables);
+
+  // 2. Rule evaluation
+  const ruleActivations = RULES.map((rule) => ({
+    rule_id: rule.id,
+    description: rule.description,
+    output: rule.then,
+    strength: round(evaluateAntecedent(rule.if, memberships), 4),
+  }));
+
+  // 3. Aggregation: kekuatan terbesar per output term
+  const outputStrengths = {};
+  Object.keys(OUTPUT_TERMS).forEach((term) => {
+    outputStrengths[term] = Math.max(
+      0,
+      ...ruleActivations.filter((r) => r.output === term).map((r) => r.strength)
+    );
+  });
+
+  // 4. Defuzzification
+  const centroid = defuzzifyCentroid(outputStrengths);
+
+  return {
+    score: centroid === null ? null : round(centroid, 2),
+    inputs: {
+      ...crispInputs,
+      tds_removal: round(crispInputs.tds_removal, 2),
+      turbidity_removal: round(crispInputs.turbidity_removal, 2),
+    },
+    memberships,
+    rule_activations: ruleActivations.sort((a, b) => b.strength - a.strength),
+    output_strengths: outputStrengths,
+  };
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  infer,
+  RULES,
+  OUTPUT_TERMS,
+
+  // Exported for testing
+  trapezoid,
+  triangle,
+  buildInputVariables,
+  fuzzify,
+  evaluateAntecedent,
+  defuzzifyCentroid,
+};
+
+console.log("📦 mamdaniEngine loaded");